@@ -6,9 +6,9 @@
  * OpenAPI 기반 TypeScript 코드 자동 생성 CLI
  */
 
-import { Command } from 'commander'
-import { readFileSync } from 'fs'
-import { join, dirname } from 'path'
+import { Command, InvalidArgumentError } from 'commander'
+import { existsSync, readFileSync } from 'fs'
+import { join, dirname, extname, relative, resolve } from 'path'
 import { fileURLToPath } from 'url'
 
 // ES modules에서 __dirname 구하기
@@ -21,6 +21,21 @@ const packageJson = JSON.parse(readFileSync(join(__dirname, '../package.json'),
 // CLI 프로그램 생성
 const program = new Command()
 
+/**
+ * 적용한 환경과 읽은 .env 파일 출력
+ *
+ * --env로 지정한 환경의 .env.{env} 파일과 environments.{env} 설정이 모두 없으면 (오타 등) 경고합니다.
+ */
+function printEnvironment({ environment, files }, config, requested) {
+	const fileNames = files.map((file) => relative(process.cwd(), file))
+	console.log(`🌱 환경: ${environment} (${fileNames.length > 0 ? fileNames.join(', ') : '.env 파일 없음'})`)
+
+	const hasEnvFile = fileNames.some((file) => file.startsWith(`.env.${environment}`))
+	if (requested && !hasEnvFile && !config.environments?.[environment]) {
+		console.warn(`⚠️  ${environment} 환경의 .env.${environment} 파일과 environments.${environment} 설정이 없습니다.`)
+	}
+}
+
 program
 	.name('openapi-codegen')
 	.description('OpenAPI 기반 TypeScript 코드 자동 생성 도구')
@@ -32,12 +47,51 @@ program
 	.description('모든 서버의 API 코드 생성')
 	.option('-c, --config <path>', '설정 파일 경로', './openapi-codegen.config.json')
 	.option('-s, --server <name>', '특정 서버만 생성')
-	.option('--steps <steps>', '특정 단계만 실행 (쉼표로 구분)')
-	.option('--dry-run', '실제 파일 생성 없이 시뮬레이션')
+	.option('-p, --project <names>', 'workspace의 특정 프로젝트만 생성 (쉼표로 구분)')
+	.option('-e, --env <name>', '환경 (.env.{env} 파일과 environments.{env} 설정 적용, 기본: serverSettings.defaultEnvironment)')
+	.option('--steps <steps>', '특정 단계만 실행 (쉼표로 구분: types,tags,validated,deepSchema,endpoints,api,hooks)')
+	.option('--dry-run', '실제 파일 생성 없이 변경 내역과 diff 출력')
+	.option('--check', '메모리에 다시 생성하여 기존 파일과 비교, 다르면 실패 (CI용)')
+	.option('--force', '생성 manifest를 무시하고 모든 서버/태그 다시 생성')
+	.option('--report <file>', '실행 결과(서버, 단계, 파일, 경고, 에러)를 JSON으로 저장')
+	.option('--verbose', 'debug 로그 출력 (filters로 제외한 operation과 이유 등)')
+	.option('--no-atomic', '임시 디렉토리를 거치지 않고 파일을 바로 쓰기 (실패해도 이미 쓴 파일은 유지)')
+	.option('--concurrency <n>', '동시에 생성할 서버/태그 수 - 스펙 다운로드, 타입 변환 등 비동기 작업만 겹쳐 실행 (기본: 1)', (value) => {
+		const concurrency = parseInt(value, 10)
+		if (!(concurrency >= 1)) {
+			throw new InvalidArgumentError('1 이상의 정수여야 합니다.')
+		}
+		return concurrency
+	})
+	.option('--watch', '스펙 파일, 설정 파일, .env 변경을 감시하여 영향을 받는 서버만 다시 생성')
+	.option('--poll <seconds>', '--watch에서 원격 스펙 URL을 확인할 간격 (초, 기본: 확인하지 않음)', (value) => {
+		const seconds = Number(value)
+		if (!(seconds > 0)) {
+			throw new InvalidArgumentError('0보다 큰 숫자여야 합니다.')
+		}
+		return seconds
+	})
 	.action(async (options) => {
-		try {
-			console.log('🚀 OpenAPI CodeGen 시작...')
+		let generator = null
+
+		if (options.verbose) {
+			const { default: logger } = await import('../src/utils/Logger.js')
+			logger.setLevelEnabled('debug')
+		}
+
+		// --watch에서 다시 로드할 때 이전에 읽은 값을 지울 수 있도록 한 번만 생성
+		const { EnvLoader } = await import('../src/core/EnvLoader.js')
+		const envLoader = new EnvLoader()
 
+		// --report: 실패로 끝나도 리포트는 남김
+		const writeReport = () => {
+			if (!options.report || !generator) return
+			generator.report.write(resolve(options.report))
+			console.log(`📊 실행 리포트 저장: ${options.report}`)
+		}
+
+		// 설정 파일 로드부터 Generator 생성까지 (--watch에서 설정이 바뀌면 다시 호출)
+		const createGenerator = async () => {
 			// 모든 필요한 클래스 import
 			const { ConfigManager } = await import('../src/core/ConfigManager.js')
 			const { Generator } = await import('../src/core/Generator.js')
@@ -51,51 +105,179 @@ program
 			const { DomainAPIGenerator } = await import('../src/generators/DomainAPIGenerator.js')
 			const { ReactQueryGenerator } = await import('../src/generators/ReactQueryGenerator.js')
 			const { DeepSchemaGenerator } = await import('../src/generators/DeepSchemaGenerator.js')
+			const { loadPlugins } = await import('../src/core/PluginManager.js')
+			const { WorkspaceGenerator, isWorkspaceConfig, resolveWorkspaceProjects } = await import(
+				'../src/core/WorkspaceGenerator.js'
+			)
+
+			// --env가 있으면 설정보다 먼저 .env를 읽음 (JS 설정 파일에서 process.env 사용 가능)
+			envLoader.load(options.env)
 
-			// 설정 파일 로드
+			// 설정 파일 로드 (environments.{env} 적용)
 			const configManager = new ConfigManager()
-			const config = configManager.loadConfig(options.config)
+			const config = await configManager.loadConfig(options.config, { environment: options.env })
 
 			if (!config) {
-				console.error('❌ 설정 파일을 찾을 수 없습니다.')
-				process.exit(1)
+				throw new Error('설정 파일을 찾을 수 없습니다.')
 			}
 
+			// --env가 없으면 설정의 serverSettings.defaultEnvironment 기준으로 다시 읽음
+			const environment = configManager.getEnvironment()
+			printEnvironment(envLoader.load(environment), config, Boolean(options.env))
+
 			// 설정 검증
 			configManager.validateConfigOrThrow(config)
 
-			// PathResolver, ImportResolver, NamingConventions 인스턴스 생성
-			const pathResolver = new PathResolver(config)
-			const importResolver = new ImportResolver(config, pathResolver)
-			const naming = new NamingConventions(config)
+			// 플러그인 로드 (상대 경로는 설정 파일 위치 기준)
+			const configPath = configManager.getConfigPath()
+			const plugins = await loadPlugins(config, {
+				baseDir: configPath ? dirname(configPath) : process.cwd(),
+			})
+
+			// 설정 하나로 Generator 생성 (workspace면 프로젝트마다 호출)
+			const buildGenerator = (projectConfig, projectRoot = process.cwd(), sources = {}) => {
+				// PathResolver, ImportResolver, NamingConventions 인스턴스 생성
+				const pathResolver = new PathResolver(projectConfig, projectRoot)
+				const importResolver = new ImportResolver(projectConfig, pathResolver)
+				const naming = new NamingConventions(projectConfig)
+
+				// 모든 Generator 인스턴스 생성
+				const generators = {
+					generateTypes: new SchemaGenerator(projectConfig, pathResolver, sources),
+					generateTags: new TagsGenerator(projectConfig, pathResolver, naming),
+					generateValidatedTypes: new TypeGenerator(projectConfig, pathResolver, naming),
+					generateDeepSchema: new DeepSchemaGenerator(projectConfig, pathResolver, importResolver, naming),
+					generateEndpoints: new EndpointGenerator(projectConfig, pathResolver, importResolver, naming),
+					generateDomainAPI: new DomainAPIGenerator(projectConfig, pathResolver, importResolver, naming),
+					generateReactQueryHooks: new ReactQueryGenerator(projectConfig, pathResolver, importResolver, naming),
+				}
+
+				// Generator 인스턴스 생성 (모든 의존성 전달, --dry-run/--check이면 메모리 OutputSink 사용)
+				return new Generator(projectConfig, pathResolver, importResolver, naming, generators, {
+					dryRun: options.dryRun,
+					check: options.check,
+					force: options.force,
+					atomic: options.atomic,
+					concurrency: options.concurrency,
+					plugins,
+					sources,
+				})
+			}
+
+			if (isWorkspaceConfig(config)) {
+				// workspace: 스펙 소스는 workspace 루트 기준, 프로젝트 간에 한 번만 로드
+				const pathResolver = new PathResolver(config)
+				const sources = { baseDir: pathResolver.projectRoot, cache: new Map() }
+				const projectNames = options.project
+					? options.project
+							.split(',')
+							.map((name) => name.trim())
+							.filter(Boolean)
+					: null
+				const projects = resolveWorkspaceProjects(config, pathResolver.projectRoot, projectNames).map((project) => ({
+					...project,
+					generator: buildGenerator(project.config, project.root, sources),
+				}))
+
+				console.log(`🏢 workspace 프로젝트: ${projects.map((project) => project.name).join(', ')}`)
+				generator = new WorkspaceGenerator(config, pathResolver, projects, { sources })
+			} else {
+				if (options.project) {
+					throw new Error('--project는 workspace.projects가 있는 설정에서만 사용할 수 있습니다.')
+				}
+				generator = buildGenerator(config)
+			}
+
+			// 설정 파일을 읽지 못해 기본 설정을 쓴 경우에도 설정 파일은 계속 감시 (extends한 파일 포함)
+			return {
+				generator,
+				configPath: configPath || resolve(options.config),
+				configFiles: configManager.getConfigFiles(),
+				envFiles: envLoader.getEnvFiles(environment),
+			}
+		}
+
+		try {
+			console.log('🚀 OpenAPI CodeGen 시작...')
+			if (options.check) {
+				console.log('🔎 Check 모드: 생성 결과를 기존 파일과 비교합니다. (디스크에 쓰지 않음)')
+			} else if (options.dryRun) {
+				console.log('🧪 Dry-run 모드: 파일을 디스크에 쓰지 않습니다.')
+			}
+
+			if (options.poll && !options.watch) {
+				console.warn('⚠️  --poll은 --watch와 함께 사용할 때만 적용됩니다.')
+			}
+
+			// 실행 옵션 (--steps types,api → ['types', 'api'])
+			const generateOptions = {
+				steps: options.steps
+					? options.steps
+							.split(',')
+							.map((step) => step.trim())
+							.filter(Boolean)
+					: null,
+			}
 
-			// 모든 Generator 인스턴스 생성
-			const generators = {
-				generateTypes: new SchemaGenerator(config, pathResolver),
-				generateTags: new TagsGenerator(config, pathResolver, importResolver, naming),
-				generateValidatedTypes: new TypeGenerator(config, pathResolver, importResolver, naming),
-				generateDeepSchema: new DeepSchemaGenerator(config, pathResolver, importResolver, naming),
-				generateEndpoints: new EndpointGenerator(config, pathResolver, importResolver, naming),
-				generateDomainAPI: new DomainAPIGenerator(config, pathResolver, importResolver, naming),
-				generateReactQueryHooks: new ReactQueryGenerator(config, pathResolver, importResolver, naming),
+			// --watch: 첫 생성 후 변경을 감시하며 계속 실행 (실패해도 종료하지 않음)
+			if (options.watch) {
+				if (options.check) {
+					console.error('❌ --watch는 --check와 함께 사용할 수 없습니다.')
+					process.exit(1)
+				}
+
+				const { Watcher } = await import('../src/core/Watcher.js')
+				const watcher = new Watcher(createGenerator, {
+					servers: options.server ? [options.server] : null,
+					generateOptions,
+					poll: options.poll || 0,
+					onRun: () => writeReport(),
+				})
+
+				process.on('SIGINT', () => {
+					watcher.close()
+					console.log('\n👋 감시 종료')
+					process.exit(0)
+				})
+
+				await watcher.start()
+				return
 			}
 
-			// Generator 인스턴스 생성 (모든 의존성 전달)
-			const generator = new Generator(config, pathResolver, importResolver, naming, generators)
+			await createGenerator()
 
 			// 코드 생성 실행
+			let results
 			if (options.server) {
 				console.log(`📦 서버: ${options.server}`)
-				await generator.generateForServer(options.server)
+				results = await generator.generateServer(options.server, generateOptions)
 			} else {
 				console.log('📦 모든 서버 생성')
-				await generator.generateAll()
+				results = await generator.generateAll(null, generateOptions)
 			}
 
-			console.log('\n✅ 코드 생성 완료!')
+			writeReport()
+
+			// --check: 달라진 파일이 있거나 생성에 실패하면 CI가 실패하도록 종료 코드 1
+			if (options.check) {
+				if (results.failed.length > 0 || results.drift?.length > 0) {
+					process.exit(1)
+				}
+				console.log('\n✅ Check 완료!')
+				return
+			}
+
+			// 실패한 단계가 있으면 (훅 에러 포함) 종료 코드 1
+			if (results.failed.length > 0) {
+				console.error('\n❌ 일부 단계가 실패했습니다.')
+				process.exit(1)
+			}
+
+			console.log(options.dryRun ? '\n✅ Dry-run 완료! (디스크 변경 없음)' : '\n✅ 코드 생성 완료!')
 		} catch (error) {
 			console.error('❌ 생성 실패:', error.message)
 			console.error(error.stack)
+			writeReport()
 			process.exit(1)
 		}
 	})
@@ -115,8 +297,11 @@ program
 			const { ConfigManager } = await import('../src/core/ConfigManager.js')
 			const configManager = new ConfigManager()
 
-			// 프로젝트 타입별 기본 설정
-			const defaultConfig = configManager.getDefaultConfig()
+			// 프로젝트 타입별 기본 설정 ($schema: 에디터 자동완성/검증용 스키마)
+			const defaultConfig = {
+				$schema: './node_modules/@stepin/openapi-codegen/schema/openapi-codegen.schema.json',
+				...configManager.getDefaultConfig(),
+			}
 			defaultConfig.projectType = options.type
 			defaultConfig.projectName = 'my-project'
 
@@ -148,26 +333,39 @@ program
 	.command('validate')
 	.description('설정 파일 유효성 검증')
 	.option('-c, --config <path>', '설정 파일 경로', './openapi-codegen.config.json')
+	.option('-e, --env <name>', '환경 (environments.{env} 설정을 적용한 결과를 검증)')
 	.action(async (options) => {
 		try {
 			console.log('🔍 설정 파일 검증 중...')
 			console.log(`📄 파일: ${options.config}`)
 
-			// ConfigManager import
+			// ConfigManager, EnvLoader import
 			const { ConfigManager } = await import('../src/core/ConfigManager.js')
+			const { EnvLoader } = await import('../src/core/EnvLoader.js')
 			const configManager = new ConfigManager()
+			const envLoader = new EnvLoader()
 
-			// 설정 파일 로드
-			const config = configManager.loadConfig(options.config)
+			// 설정 파일 로드 (JS 설정 파일이 process.env를 읽을 수 있도록 .env 먼저)
+			envLoader.load(options.env)
+			const config = await configManager.loadConfig(options.config, { environment: options.env })
 
 			if (!config) {
 				console.error('❌ 설정 파일을 찾을 수 없습니다.')
 				process.exit(1)
 			}
 
+			printEnvironment(envLoader.load(configManager.getEnvironment()), config, Boolean(options.env))
+
 			// 설정 검증
 			configManager.validateConfigOrThrow(config)
 
+			// workspace: 프로젝트 디렉토리 확인
+			const { isWorkspaceConfig, resolveWorkspaceProjects } = await import('../src/core/WorkspaceGenerator.js')
+			if (isWorkspaceConfig(config)) {
+				const projects = resolveWorkspaceProjects(config)
+				console.log(`🏢 workspace 프로젝트: ${projects.map(({ name, root }) => `${name} (${relative(process.cwd(), root)})`).join(', ')}`)
+			}
+
 			console.log('\n✅ 설정 파일이 유효합니다!')
 			console.log(`\n프로젝트 정보:`)
 			console.log(`  이름: ${config.projectName}`)
@@ -178,6 +376,76 @@ program
 		}
 	})
 
+// migrate-config 커맨드
+program
+	.command('migrate-config')
+	.description('이전 형식의 설정 파일을 현재 형식으로 변환')
+	.option('-c, --config <path>', '설정 파일 경로', './openapi-codegen.config.json')
+	.option('--strip-comments', '설명용 키(_comment, _examples 등) 제거')
+	.option('--dry-run', '파일을 쓰지 않고 변경 내용(diff)만 출력')
+	.action(async (options) => {
+		try {
+			const configPath = resolve(options.config)
+
+			if (!existsSync(configPath)) {
+				console.error(`❌ 설정 파일을 찾을 수 없습니다: ${options.config}`)
+				process.exit(1)
+			}
+			if (extname(configPath) !== '.json') {
+				console.error('❌ JSON 설정 파일만 변환할 수 있습니다. (JS 설정 파일은 직접 수정하세요)')
+				process.exit(1)
+			}
+
+			// ConfigManager, ConfigMigrator, OutputSink import
+			const { ConfigManager } = await import('../src/core/ConfigManager.js')
+			const { migrateConfig } = await import('../src/core/ConfigMigrator.js')
+			const { OutputSink } = await import('../src/core/OutputSink.js')
+
+			const userConfig = JSON.parse(readFileSync(configPath, 'utf-8'))
+			const { config, fromVersion, toVersion, changes } = migrateConfig(userConfig, {
+				stripComments: options.stripComments,
+			})
+
+			if (changes.length === 0) {
+				console.log(`✅ 이미 최신 형식입니다: ${options.config} (v${toVersion})`)
+				return
+			}
+
+			console.log(`🔄 설정 마이그레이션: ${options.config} (v${fromVersion} → v${toVersion})`)
+			changes.forEach(({ pointer, message }) => console.log(`   - ${pointer || '/'}: ${message}`))
+
+			if (config.extends !== undefined) {
+				console.log('ℹ️  extends를 사용하는 설정이므로 새 기본값은 추가하지 않았습니다.')
+			}
+
+			// --dry-run이면 메모리에만 쓰고 diff 출력
+			const sink = new OutputSink({ dryRun: options.dryRun })
+			sink.write(configPath, JSON.stringify(config, null, 2) + '\n')
+
+			if (options.dryRun) {
+				sink.printReport()
+			} else {
+				console.log(`💾 저장: ${options.config}`)
+			}
+
+			// 변환 후에도 남은 문제 (알 수 없는 키 등)는 경고만 출력
+			if (config.extends === undefined) {
+				const configManager = new ConfigManager()
+				const { errors } = configManager.validateConfig(configManager.mergeWithDefaults(config))
+
+				if (errors.length > 0) {
+					console.warn('\n⚠️  변환 후에도 남은 설정 문제 (직접 수정하세요):')
+					errors.forEach((error) => console.warn(`   - ${error}`))
+				}
+			}
+
+			console.log(options.dryRun ? '\n✅ Dry-run 완료! (디스크 변경 없음)' : '\n✅ 마이그레이션 완료!')
+		} catch (error) {
+			console.error('❌ 마이그레이션 실패:', error.message)
+			process.exit(1)
+		}
+	})
+
 // info 커맨드
 program
 	.command('info')
@@ -217,6 +485,8 @@ program
 		console.log('   $ npx openapi-codegen validate\n')
 		console.log('6. 시뮬레이션 (dry-run):')
 		console.log('   $ npx openapi-codegen generate --dry-run\n')
+		console.log('7. 이전 형식의 설정 파일 변환:')
+		console.log('   $ npx openapi-codegen migrate-config --strip-comments\n')
 		console.log('')
 	})
 
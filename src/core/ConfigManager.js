@@ -3,18 +3,82 @@
 /**
  * ⚙️ ConfigManager - 설정 관리 유틸리티
  *
- * openapi-codegen.config.json 파일을 로드, 검증, 병합하는 역할을 합니다.
+ * openapi-codegen.config.json (또는 .mjs/.js/.cjs) 파일을 로드, 검증, 병합하는 역할을 합니다.
  * 프로젝트별 설정과 기본 설정을 병합하여 완전한 설정 객체를 제공합니다.
  *
  * @description
  * - 여러 경로에서 설정 파일 자동 탐색
+ * - JS 설정 파일: default export(`defineConfig({...})`)를 설정으로 사용, 함수 값 허용
  * - 기본 설정과 사용자 설정 깊은 병합 (deep merge)
- * - 설정 유효성 검증
+ * - extends: 공통 설정 파일(경로 또는 패키지)을 먼저 병합한 뒤 현재 설정으로 덮어씀
+ * - servers.{name}: 서버별 설정 덮어쓰기 (fileGeneration, imports, tagging, filters, errorHandling, codeGeneration)
+ * - environments.{env}: 환경(--env, serverSettings.defaultEnvironment)별 설정 덮어쓰기
+ * - 설정 유효성 검증 (schema/openapi-codegen.schema.json, 위반 위치와 비슷한 이름 제안)
  * - 타입 안전성 보장
  */
 
-import { existsSync, readFileSync, writeFileSync } from 'fs';
-import { join } from 'path';
+import { existsSync, readFileSync, statSync, writeFileSync } from 'fs';
+import { createRequire } from 'module';
+import { dirname, extname, isAbsolute, join, relative, resolve } from 'path';
+import { pathToFileURL } from 'url';
+import { formatIssue, validateSchema } from '../utils/SchemaValidator.js';
+import { resolveEnvironment } from './EnvLoader.js';
+
+/**
+ * 현재 설정 형식 버전 (configVersion, 없으면 1)
+ *
+ * 설정 형식이 바뀌면 올리고 ConfigMigrator에 변환을 추가합니다. (migrate-config)
+ */
+export const CONFIG_VERSION = 3;
+
+/**
+ * JS 모듈로 로드하는 설정 파일 확장자
+ */
+const JS_CONFIG_EXTENSIONS = ['.mjs', '.js', '.cjs'];
+
+/**
+ * servers.{name}에서 덮어쓸 수 있는 설정
+ * (featureFlags, plugins 등 실행 전체에 적용되는 설정은 서버별로 바꿀 수 없음)
+ */
+export const SERVER_OVERRIDE_KEYS = [
+  'fileGeneration',
+  'imports',
+  'tagging',
+  'filters',
+  'errorHandling',
+  'codeGeneration',
+];
+
+/**
+ * workspace.projects.{name}에서 덮어쓸 수 있는 설정
+ * (servers, envVarConfig 등 스펙 소스 설정은 모든 프로젝트가 공유)
+ */
+export const PROJECT_OVERRIDE_KEYS = [
+  'projectType',
+  ...SERVER_OVERRIDE_KEYS,
+  'featureFlags',
+  'includeOnlyServers',
+  'excludeServers',
+];
+
+/**
+ * 설정 JSON Schema 경로 (패키지에 포함, 에디터 자동완성에도 사용)
+ */
+export const CONFIG_SCHEMA_PATH = new URL('../../schema/openapi-codegen.schema.json', import.meta.url);
+
+let configSchema = null;
+
+/**
+ * 설정 JSON Schema 로드 (한 번만 읽음)
+ *
+ * @returns {Object} JSON Schema
+ */
+export function getConfigSchema() {
+  if (!configSchema) {
+    configSchema = JSON.parse(readFileSync(CONFIG_SCHEMA_PATH, 'utf-8'));
+  }
+  return configSchema;
+}
 
 /**
  * ConfigManager 클래스
@@ -30,6 +94,8 @@ export class ConfigManager {
     this.projectRoot = projectRoot;
     this.config = null;
     this.configPath = null;
+    this.configFiles = [];
+    this.environment = null;
   }
 
   // ========================================
@@ -40,17 +106,22 @@ export class ConfigManager {
    * 설정 파일 로드 (자동 탐색)
    *
    * @param {string} customPath - 커스텀 설정 파일 경로 (선택사항)
-   * @returns {Object} 로드된 설정 객체
+   * @param {Object} options - 옵션
+   * @param {string} options.environment - 환경 (없으면 serverSettings.defaultEnvironment)
+   * @returns {Promise<Object>} 로드된 설정 객체 (environments.{env} 적용)
    *
    * @example
-   * const config = configManager.loadConfig()
-   * const config = configManager.loadConfig('./my-config.json')
+   * const config = await configManager.loadConfig()
+   * const config = await configManager.loadConfig('./my-config.mjs', { environment: 'staging' })
    */
-  loadConfig(customPath = null) {
+  async loadConfig(customPath = null, options = {}) {
     // 설정 파일 탐색 경로 목록
     const possiblePaths = [
       customPath,
       join(this.projectRoot, 'scripts/api/openapi-codegen.config.json'),
+      ...JS_CONFIG_EXTENSIONS.map((extension) =>
+        join(this.projectRoot, `openapi-codegen.config${extension}`)
+      ),
       join(this.projectRoot, 'openapi-codegen.config.json'),
       join(this.projectRoot, '.openapi-codegen.config.json'),
       join(this.projectRoot, 'config/openapi-codegen.json'),
@@ -61,10 +132,17 @@ export class ConfigManager {
     for (const path of possiblePaths) {
       if (existsSync(path)) {
         try {
-          const userConfig = JSON.parse(readFileSync(path, 'utf-8'));
+          this.configFiles = [];
+          const userConfig = await this.readConfigWithExtends(path);
           this.configPath = path;
-          this.config = this.mergeWithDefaults(userConfig);
+          this.config = this.applyEnvironment(this.mergeWithDefaults(userConfig), options.environment);
           console.log(`📋 설정 파일 로드: ${path}`);
+
+          if (userConfig.configVersion > CONFIG_VERSION) {
+            console.warn(
+              `⚠️  설정 파일이 더 새 버전의 toolkit용입니다. (configVersion ${userConfig.configVersion}, 지원: ${CONFIG_VERSION})`
+            );
+          }
           return this.config;
         } catch (error) {
           console.warn(`⚠️  설정 파일 파싱 실패: ${path}`, error.message);
@@ -74,10 +152,104 @@ export class ConfigManager {
 
     // 설정 파일을 찾지 못한 경우 기본 설정 사용
     console.log('📋 기본 설정 사용 (설정 파일을 찾을 수 없음)');
-    this.config = this.getDefaultConfig();
+    this.config = this.applyEnvironment(this.getDefaultConfig(), options.environment);
     return this.config;
   }
 
+  /**
+   * 설정 파일 하나 읽기 (JSON 또는 JS 모듈)
+   *
+   * @param {string} path - 설정 파일 경로
+   * @returns {Promise<Object>} 사용자 설정 객체
+   * @throws {Error} 파싱 실패 또는 객체가 아닌 경우
+   */
+  async readConfigFile(path) {
+    if (!JS_CONFIG_EXTENSIONS.includes(extname(path))) {
+      return JSON.parse(readFileSync(path, 'utf-8'));
+    }
+
+    // 파일이 바뀌면 다시 import되도록 수정 시각을 쿼리로 붙임 (--watch)
+    const url = pathToFileURL(resolve(path));
+    url.search = `t=${statSync(path).mtimeMs}`;
+
+    const module = await import(url.href);
+    const userConfig = module.default ?? module;
+
+    if (!this._isPlainObject(userConfig)) {
+      throw new Error('설정 객체를 default export해야 합니다.');
+    }
+
+    return userConfig;
+  }
+
+  /**
+   * 설정 파일과 extends한 설정 파일들을 읽어 병합
+   *
+   * extends는 문자열 또는 배열이며, 앞의 것부터 병합한 뒤 현재 파일의 설정으로 덮어씁니다.
+   * extends한 파일에도 extends가 있으면 재귀적으로 병합합니다.
+   *
+   * @param {string} path - 설정 파일 경로
+   * @param {string[]} chain - 현재까지 extends한 파일 경로 (순환 참조 검사용)
+   * @returns {Promise<Object>} extends가 병합된 사용자 설정 (extends 키 제외)
+   * @throws {Error} extends 대상을 찾을 수 없거나 순환 참조인 경우
+   *
+   * @example
+   * // apps/admin/openapi-codegen.config.json
+   * { "extends": "../../openapi-codegen.base.json", "projectName": "admin" }
+   */
+  async readConfigWithExtends(path, chain = []) {
+    const absolutePath = resolve(path);
+
+    if (chain.includes(absolutePath)) {
+      const cycle = [...chain, absolutePath].map((file) => relative(this.projectRoot, file));
+      throw new Error(`extends 순환 참조: ${cycle.join(' → ')}`);
+    }
+
+    const { extends: bases, ...userConfig } = await this.readConfigFile(absolutePath);
+    this.configFiles.push(absolutePath);
+
+    const specifiers = [].concat(bases ?? []);
+    if (specifiers.some((specifier) => typeof specifier !== 'string')) {
+      throw new Error('extends는 경로 또는 패키지 이름(문자열, 문자열 배열)이어야 합니다.');
+    }
+
+    let merged = {};
+    for (const specifier of specifiers) {
+      const basePath = this.resolveExtendsPath(specifier, absolutePath);
+      const baseConfig = await this.readConfigWithExtends(basePath, [...chain, absolutePath]);
+      merged = this._deepMerge(merged, baseConfig);
+    }
+
+    return this._deepMerge(merged, userConfig);
+  }
+
+  /**
+   * extends 대상 경로 결정
+   *
+   * - `./`, `../`, 절대 경로: extends를 선언한 설정 파일 위치 기준
+   * - 그 외: 패키지 이름 (`@org/codegen-config`, `@org/codegen-config/base.json`)
+   *
+   * @param {string} specifier - extends 값
+   * @param {string} fromPath - extends를 선언한 설정 파일 경로
+   * @returns {string} 설정 파일 절대 경로
+   * @throws {Error} 파일 또는 패키지를 찾을 수 없는 경우
+   */
+  resolveExtendsPath(specifier, fromPath) {
+    if (specifier.startsWith('.') || isAbsolute(specifier)) {
+      const basePath = resolve(dirname(fromPath), specifier);
+      if (!existsSync(basePath)) {
+        throw new Error(`extends 대상 파일을 찾을 수 없습니다: ${specifier}`);
+      }
+      return basePath;
+    }
+
+    try {
+      return createRequire(fromPath).resolve(specifier);
+    } catch {
+      throw new Error(`extends 대상 패키지를 찾을 수 없습니다: ${specifier}`);
+    }
+  }
+
   /**
    * 현재 로드된 설정 반환
    *
@@ -101,6 +273,24 @@ export class ConfigManager {
     return this.configPath;
   }
 
+  /**
+   * 로드에 사용한 모든 설정 파일 경로 (설정 파일 + extends한 파일, --watch 감시용)
+   *
+   * @returns {string[]} 절대 경로 목록
+   */
+  getConfigFiles() {
+    return this.configFiles;
+  }
+
+  /**
+   * 설정에 적용한 환경 (loadConfig 후)
+   *
+   * @returns {string|null} 환경 이름
+   */
+  getEnvironment() {
+    return this.environment;
+  }
+
   // ========================================
   // 2. 기본 설정
   // ========================================
@@ -112,6 +302,7 @@ export class ConfigManager {
    */
   getDefaultConfig() {
     return {
+      configVersion: CONFIG_VERSION,
       projectName: 'my-project',
       projectType: 'nextjs',
 
@@ -122,12 +313,16 @@ export class ConfigManager {
         domainTypes: 'src/domains/{serverName}/types',
         apiEndpoints: 'src/domains/{serverName}/api',
         files: {
+          spec: 'openapi.json',
           schema: 'schema.d.ts',
           validated: 'validated.ts',
           deepSchema: 'deepSchema.ts',
           endpoint: 'endpoint.ts',
           domainApi: '{tagName}API.ts',
         },
+
+        // 증분 생성용 manifest (입력/출력 해시) 경로
+        manifest: '.openapi-codegen/manifest.json',
       },
 
       // Import 경로 설정
@@ -149,6 +344,7 @@ export class ConfigManager {
 
       // 서버 설정
       serverSettings: {
+        // --env가 없을 때 사용할 환경 (.env.{env} 파일, environments.{env} 설정)
         defaultEnvironment: 'development',
         serverNameExtraction: {
           pattern: '{serverName}-server',
@@ -164,10 +360,40 @@ export class ConfigManager {
         customDocsSuffix: {},
       },
 
+      // 환경별 설정 덮어쓰기 (예: staging에서만 다른 스펙 소스 사용)
+      environments: {},
+
+      // 서버별 설정 - { auth: { source: 'specs/auth.yaml' } }
+      // source: 로컬 .json/.yaml 경로, glob 패턴, URL (없으면 환경변수 URL 사용)
+      servers: {},
+
       // 제외/포함 서버 설정
       excludeServers: [],
       includeOnlyServers: [],
 
+      // 플러그인 (추가 생성 단계, 출력 후처리) - 경로 또는 { path, options }
+      // 상대 경로는 설정 파일 위치 기준
+      plugins: [],
+
+      // 생성 과정 훅 - { beforeAll, beforeStep, afterStep, afterWrite, afterAll }
+      // 값은 함수를 default export하는 모듈 경로 (또는 경로 배열, JS 설정에서는 함수)
+      hooks: {},
+
+      // 태그 설정
+      // strategy: 'path-segment' | 'path-depth:N' | 'operation-tags' | 함수 (JS 설정 전용)
+      // map: { 태그: 새 이름 | null | { name, split: { 경로 패턴: 태그 } } }
+      //   또는 (tag, { path, method, operationId, serverName }) => 태그 이름 (null이면 제외, JS 설정 전용)
+      tagging: {
+        strategy: 'path-segment',
+      },
+
+      // 생성 대상 operation 필터 - 규칙: { path, methods, operationIds, tags, deprecated, "x-...": 값 }
+      // include가 있으면 일치하는 operation만, exclude와 일치하면 제외 (배열은 병합하지 않고 교체)
+      filters: {
+        include: [],
+        exclude: [{ path: ['/internal', '/internal/**', '/v*/internal', '/v*/internal/**'] }],
+      },
+
       // 기능 플래그
       featureFlags: {
         _comment:
@@ -392,6 +618,130 @@ export class ConfigManager {
     return this._deepMerge(defaultConfig, userConfig);
   }
 
+  /**
+   * 환경별 설정 적용 (environments.{env}를 깊은 병합)
+   *
+   * 환경은 지정한 값 > serverSettings.defaultEnvironment > development 순으로 정합니다.
+   *
+   * @param {Object} config - 병합된 설정
+   * @param {string} environment - 환경 (선택)
+   * @returns {Object} 환경 설정이 적용된 설정
+   *
+   * @example
+   * // "environments": { "staging": { "servers": { "auth": { "source": "https://staging.example.com/auth/docs-yaml" } } } }
+   * applyEnvironment(config, 'staging').servers.auth.source
+   * // => 'https://staging.example.com/auth/docs-yaml'
+   */
+  applyEnvironment(config, environment = null) {
+    this.environment = resolveEnvironment(config, environment);
+
+    const profile = config.environments?.[this.environment];
+    return this._isPlainObject(profile)
+      ? this._deepMerge(config, this._expandServerSources(config, profile))
+      : config;
+  }
+
+  /**
+   * 서버별 설정 (servers.{name}의 덮어쓰기를 병합한 설정)
+   *
+   * 덮어쓸 설정이 없으면 원래 설정 객체를 그대로 반환합니다.
+   *
+   * @param {string} serverName - 서버 이름
+   * @param {Object} config - 전체 설정 (선택, 없으면 현재 설정 사용)
+   * @returns {Object} 서버에 적용할 설정
+   *
+   * @example
+   * // "servers": { "legacy": { "source": "specs/legacy.yaml", "errorHandling": { "logErrors": false } } }
+   * getServerConfig('legacy').errorHandling.logErrors
+   * // => false
+   */
+  getServerConfig(serverName, config = null) {
+    const cfg = config || this.config;
+    const serverConfig = cfg?.servers?.[serverName];
+
+    if (!this._isPlainObject(serverConfig)) {
+      return cfg;
+    }
+
+    const overrides = Object.fromEntries(
+      SERVER_OVERRIDE_KEYS.filter((key) => serverConfig[key] !== undefined).map((key) => [
+        key,
+        serverConfig[key],
+      ])
+    );
+
+    return Object.keys(overrides).length > 0 ? this._deepMerge(cfg, overrides) : cfg;
+  }
+
+  /**
+   * workspace 프로젝트 이름 목록 (workspace.projects가 없으면 빈 배열)
+   *
+   * @param {Object} config - 전체 설정 (선택, 없으면 현재 설정 사용)
+   * @returns {string[]} 프로젝트 이름
+   */
+  getProjectNames(config = null) {
+    const cfg = config || this.config;
+    return Object.keys(cfg?.workspace?.projects || {}).filter((name) => !name.startsWith('_'));
+  }
+
+  /**
+   * workspace 프로젝트별 설정 (workspace.projects.{name}의 덮어쓰기를 병합한 설정)
+   *
+   * 반환한 설정에는 workspace가 없으며, 프로젝트의 root는 WorkspaceGenerator가 PathResolver에 사용합니다.
+   *
+   * @param {string} projectName - 프로젝트 이름
+   * @param {Object} config - 전체 설정 (선택, 없으면 현재 설정 사용)
+   * @returns {Object} 프로젝트에 적용할 설정
+   * @throws {Error} 프로젝트가 없는 경우
+   *
+   * @example
+   * // "workspace": { "projects": { "admin": { "root": "apps/admin", "imports": { "internal": { "apiHandlers": "~/lib/apiHandlers" } } } } }
+   * getProjectConfig('admin').imports.internal.apiHandlers
+   * // => '~/lib/apiHandlers'
+   */
+  getProjectConfig(projectName, config = null) {
+    const cfg = config || this.config;
+    const project = cfg?.workspace?.projects?.[projectName];
+
+    if (!this._isPlainObject(project)) {
+      const names = this.getProjectNames(cfg);
+      throw new Error(
+        `workspace.projects에 '${projectName}' 프로젝트가 없습니다. (사용 가능: ${names.join(', ') || '없음'})`
+      );
+    }
+
+    const { workspace, ...base } = cfg;
+    const overrides = Object.fromEntries(
+      PROJECT_OVERRIDE_KEYS.filter((key) => project[key] !== undefined).map((key) => [key, project[key]])
+    );
+
+    return this._deepMerge(base, overrides);
+  }
+
+  /**
+   * 문자열 서버 소스를 { source } 형식으로 변환 (병합 대상에 같은 서버의 객체 설정이 있는 경우만)
+   *
+   * 환경별 설정의 "auth": "https://..."이 servers.auth의 filters 등 다른 설정을 지우지 않도록 합니다.
+   *
+   * @param {Object} target - 병합 대상 설정
+   * @param {Object} source - 덮어쓸 설정
+   * @returns {Object} servers를 변환한 설정 (변환할 항목이 없으면 source 그대로)
+   * @private
+   */
+  _expandServerSources(target, source) {
+    if (!this._isPlainObject(source?.servers) || !this._isPlainObject(target?.servers)) {
+      return source;
+    }
+
+    const servers = Object.entries(source.servers).map(([name, server]) =>
+      typeof server === 'string' && this._isPlainObject(target.servers[name])
+        ? [name, { source: server }]
+        : [name, server]
+    );
+
+    return { ...source, servers: Object.fromEntries(servers) };
+  }
+
   /**
    * 깊은 객체 병합 (Deep Merge)
    *
@@ -447,8 +797,12 @@ export class ConfigManager {
   /**
    * 설정 유효성 검증
    *
+   * 필수 설정 확인 후 JSON Schema로 모든 위반 사항을 찾습니다.
+   * (알 수 없는 키, 타입 불일치, 경로 패턴의 알 수 없는 {변수})
+   *
    * @param {Object} config - 검증할 설정 객체 (선택, 없으면 현재 설정 사용)
-   * @returns {Object} { valid: boolean, errors: string[] }
+   * @returns {Object} { valid: boolean, errors: string[], issues: Object[] }
+   *   issues: { pointer, message, expected, actual, suggestion } (SchemaValidator)
    */
   validateConfig(config = null) {
     const cfg = config || this.config;
@@ -490,9 +844,14 @@ export class ConfigManager {
       errors.push('featureFlags가 정의되지 않았습니다.');
     }
 
+    // 스키마 검증 (필수 설정 누락은 위에서 보고했으므로 나머지 위반 사항만)
+    const issues = validateSchema(cfg, getConfigSchema());
+    errors.push(...issues.map(formatIssue));
+
     return {
       valid: errors.length === 0,
       errors,
+      issues,
     };
   }
 
@@ -649,7 +1008,7 @@ export class ConfigManager {
  * @example
  * import { createConfigManager } from './utils/ConfigManager.js'
  * const configManager = createConfigManager()
- * const config = configManager.loadConfig()
+ * const config = await configManager.loadConfig()
  */
 export function createConfigManager(projectRoot = process.cwd()) {
   return new ConfigManager(projectRoot);
@@ -660,15 +1019,60 @@ export function createConfigManager(projectRoot = process.cwd()) {
  *
  * @param {string} configPath - 설정 파일 경로 (선택사항)
  * @param {string} projectRoot - 프로젝트 루트 경로
- * @returns {Object} 로드된 설정 객체
+ * @param {Object} options - loadConfig 옵션 (environment)
+ * @returns {Promise<Object>} 로드된 설정 객체
  *
  * @example
  * import { loadConfig } from './utils/ConfigManager.js'
- * const config = loadConfig()
+ * const config = await loadConfig()
  */
-export function loadConfig(configPath = null, projectRoot = process.cwd()) {
+export function loadConfig(configPath = null, projectRoot = process.cwd(), options = {}) {
   const manager = new ConfigManager(projectRoot);
-  return manager.loadConfig(configPath);
+  return manager.loadConfig(configPath, options);
+}
+
+/**
+ * 서버별 설정 헬퍼 (Generator에서 서버마다 PathResolver 등을 만들 때 사용)
+ *
+ * @param {Object} config - 전체 설정
+ * @param {string} serverName - 서버 이름
+ * @returns {Object} servers.{name}의 덮어쓰기가 병합된 설정
+ */
+export function resolveServerConfig(config, serverName) {
+  return new ConfigManager().getServerConfig(serverName, config);
+}
+
+/**
+ * workspace 프로젝트별 설정 헬퍼 (프로젝트마다 Generator를 만들 때 사용)
+ *
+ * @param {Object} config - 전체 설정
+ * @param {string} projectName - 프로젝트 이름
+ * @returns {Object} workspace.projects.{name}의 덮어쓰기가 병합된 설정
+ */
+export function resolveProjectConfig(config, projectName) {
+  return new ConfigManager().getProjectConfig(projectName, config);
+}
+
+/**
+ * JS 설정 파일용 헬퍼 (설정을 그대로 반환, 에디터 자동완성용 타입 제공)
+ *
+ * @param {import('../index').OpenAPICodegenConfig} config - 사용자 설정
+ * @returns {import('../index').OpenAPICodegenConfig} 같은 설정 객체
+ *
+ * @example
+ * // openapi-codegen.config.mjs
+ * import { defineConfig } from '@stepin/openapi-codegen'
+ *
+ * export default defineConfig({
+ *   projectName: 'my-app',
+ *   servers: { auth: { source: process.env.AUTH_SPEC ?? 'specs/auth.yaml' } },
+ *   codeGeneration: {
+ *     functionNaming: ({ method, defaultName }) => (method === 'get' ? defaultName : `${defaultName}Mutation`),
+ *   },
+ * })
+ */
+export function defineConfig(config) {
+  return config;
 }
 
 /**
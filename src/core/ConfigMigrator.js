@@ -0,0 +1,197 @@
+#!/usr/bin/env node
+
+/**
+ * 🔄 ConfigMigrator - 이전 형식의 설정 파일 변환
+ *
+ * `migrate-config` 커맨드에서 사용합니다.
+ * 설정 파일의 configVersion(없으면 1)을 확인하고 현재 버전(CONFIG_VERSION)까지 차례로 변환합니다.
+ *
+ * @description
+ * - 버전별 변환: 이전 형식(boolean featureFlags 등)을 현재 형식으로, 사용자 값은 그대로 유지
+ *   (코드에 있던 content 서버의 tournament 제외 규칙은 servers.content.filters로 옮김)
+ * - 새 릴리스에서 추가된 설정(errorHandling.customHandlers 등)을 기본값으로 추가
+ *   (extends를 사용하는 설정은 공통 설정의 값을 가리지 않도록 추가하지 않음)
+ * - 설명용 키(_comment, _examples 등) 제거 (선택)
+ * - 변경 내역을 JSON pointer와 함께 반환
+ *
+ * @example
+ * const { config, changes } = migrateConfig({ featureFlags: { generateDeepSchema: true } })
+ * // config.featureFlags.generateDeepSchema => { enabled: true }
+ * // changes => [{ pointer: '/featureFlags/generateDeepSchema', message: 'true → {"enabled":true}' }, ...]
+ */
+
+import { CONFIG_VERSION, ConfigManager } from './ConfigManager.js'
+
+/**
+ * v2까지 코드에서 content 서버의 tournament 태그를 제외하던 규칙
+ */
+const TOURNAMENT_PATHS = ['/tournament', '/tournament/**', '/v*/tournament', '/v*/tournament/**']
+
+/**
+ * 버전별 변환 (version: 변환 후 버전, 오래된 것부터)
+ *
+ * migrate(config, changes)는 config를 직접 수정하고 바꾼 위치를 changes에 추가합니다.
+ */
+const MIGRATIONS = [
+	{
+		version: 2,
+		description: 'featureFlags, servers 객체 형식',
+		migrate(config, changes) {
+			// "generateDeepSchema": true → { "enabled": true }
+			Object.entries(config.featureFlags || {}).forEach(([name, flag]) => {
+				if (typeof flag !== 'boolean') return
+
+				config.featureFlags[name] = { enabled: flag }
+				changes.push({
+					pointer: `/featureFlags/${name}`,
+					message: `${flag} → ${JSON.stringify(config.featureFlags[name])}`,
+				})
+			})
+
+			// "auth": "specs/auth.yaml" → { "source": "specs/auth.yaml" }
+			Object.entries(config.servers || {}).forEach(([name, source]) => {
+				if (typeof source !== 'string') return
+
+				config.servers[name] = { source }
+				changes.push({
+					pointer: `/servers/${name}`,
+					message: `${JSON.stringify(source)} → ${JSON.stringify(config.servers[name])}`,
+				})
+			})
+		},
+	},
+	{
+		version: 3,
+		description: 'content 서버의 tournament 경로 제외 규칙',
+		migrate(config, changes) {
+			// 이전 버전에서 코드에 있던 규칙 - 공통 설정(extends)의 값을 가리지 않도록 추가하지 않음
+			if (config.extends !== undefined || config.servers?.content?.filters?.exclude !== undefined) return
+
+			// 서버별 exclude는 최상위 규칙을 대신하므로 최상위(없으면 기본) 규칙도 함께 지정
+			const exclude = config.filters?.exclude ?? new ConfigManager().getDefaultConfig().filters.exclude
+			const server = config.servers?.content
+			config.servers = config.servers || {}
+			config.servers.content = typeof server === 'string' ? { source: server } : server || {}
+			config.servers.content.filters = {
+				...config.servers.content.filters,
+				exclude: [...structuredClone(exclude), { path: [...TOURNAMENT_PATHS] }],
+			}
+			changes.push({ pointer: '/servers/content/filters/exclude', message: '추가 (이전 버전의 tournament 경로 제외 규칙)' })
+		},
+	},
+]
+
+/**
+ * 설정 형식 버전
+ *
+ * @param {Object} config - 사용자 설정 (기본 설정과 병합하기 전)
+ * @returns {number} configVersion (없으면 1)
+ */
+export function detectConfigVersion(config) {
+	return Number.isInteger(config?.configVersion) ? config.configVersion : 1
+}
+
+/**
+ * 설정을 현재 형식으로 변환
+ *
+ * @param {Object} userConfig - 설정 파일 내용 (변경하지 않음)
+ * @param {Object} options - 옵션
+ * @param {boolean} options.stripComments - 설명용 키(_comment, _examples 등) 제거
+ * @returns {{config: Object, fromVersion: number, toVersion: number, changes: Array<{pointer: string, message: string}>}}
+ * @throws {Error} 이 toolkit보다 새 버전의 설정인 경우
+ */
+export function migrateConfig(userConfig, { stripComments = false } = {}) {
+	const fromVersion = detectConfigVersion(userConfig)
+
+	if (fromVersion > CONFIG_VERSION) {
+		throw new Error(`지원하는 설정 버전(${CONFIG_VERSION})보다 새 버전입니다: configVersion ${fromVersion}`)
+	}
+
+	const { $schema, configVersion, ...config } = structuredClone(userConfig)
+	const changes = []
+
+	MIGRATIONS.filter((migration) => migration.version > fromVersion).forEach((migration) =>
+		migration.migrate(config, changes)
+	)
+
+	if (config.extends === undefined) {
+		const defaults = new ConfigManager().getDefaultConfig()
+		delete defaults.configVersion
+		addMissingDefaults(config, defaults, '', changes)
+	}
+
+	if (stripComments) {
+		const removed = stripDescriptionKeys(config)
+		if (removed > 0) {
+			changes.push({ pointer: '', message: `설명용 키 ${removed}개 제거 (_comment, _examples 등)` })
+		}
+	}
+
+	if (configVersion !== CONFIG_VERSION) {
+		changes.unshift({ pointer: '/configVersion', message: `${configVersion ?? '(없음)'} → ${CONFIG_VERSION}` })
+	}
+
+	return {
+		config: {
+			...($schema !== undefined && { $schema }),
+			configVersion: CONFIG_VERSION,
+			...config,
+		},
+		fromVersion,
+		toVersion: CONFIG_VERSION,
+		changes,
+	}
+}
+
+// ========================================
+// 내부 함수
+// ========================================
+
+/**
+ * 기본 설정에만 있는 값 추가 (사용자 값은 유지, 설명용 키는 추가하지 않음)
+ */
+function addMissingDefaults(target, defaults, pointer, changes) {
+	Object.entries(defaults).forEach(([key, value]) => {
+		if (key.startsWith('_')) return
+
+		const childPointer = `${pointer}/${key}`
+
+		if (target[key] === undefined) {
+			target[key] = structuredClone(value)
+			stripDescriptionKeys(target[key])
+			changes.push({ pointer: childPointer, message: '추가 (기본값)' })
+		} else if (isPlainObject(target[key]) && isPlainObject(value)) {
+			addMissingDefaults(target[key], value, childPointer, changes)
+		}
+	})
+}
+
+/**
+ * `_`로 시작하는 설명용 키 제거 (재귀)
+ *
+ * @returns {number} 제거한 키 수
+ */
+function stripDescriptionKeys(value) {
+	if (!isPlainObject(value)) return 0
+
+	let removed = 0
+	Object.keys(value).forEach((key) => {
+		if (key.startsWith('_')) {
+			delete value[key]
+			removed++
+		} else {
+			removed += stripDescriptionKeys(value[key])
+		}
+	})
+
+	return removed
+}
+
+function isPlainObject(value) {
+	return value !== null && typeof value === 'object' && !Array.isArray(value)
+}
+
+export default {
+	migrateConfig,
+	detectConfigVersion,
+}
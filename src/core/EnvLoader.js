@@ -0,0 +1,144 @@
+#!/usr/bin/env node
+
+/**
+ * 🌱 EnvLoader - 환경별 .env 파일 로드
+ *
+ * `generate --env staging`처럼 환경을 지정하면 Next.js와 같은 우선순위로 .env 파일들을 읽어
+ * process.env에 반영합니다. (환경을 지정하지 않으면 serverSettings.defaultEnvironment)
+ *
+ * @description
+ * - 우선순위 (높은 순): 셸 환경 변수 > .env.{env}.local > .env.local > .env.{env} > .env
+ * - test 환경에서는 .env.local을 읽지 않음 (Next.js와 같음, 테스트 결과가 로컬 설정에 따라 달라지지 않도록)
+ * - 다시 로드하면 이전에 이 로더가 설정한 값을 먼저 지우고 읽음 (--watch에서 .env 변경/삭제 반영)
+ * - 셸에서 이미 설정한 환경 변수는 덮어쓰지 않음
+ */
+
+import { existsSync, readFileSync } from 'fs'
+import { join } from 'path'
+import dotenv from 'dotenv'
+
+/**
+ * 환경을 지정하지 않고 설정에도 없을 때 사용하는 환경
+ */
+export const DEFAULT_ENVIRONMENT = 'development'
+
+/**
+ * EnvLoader 클래스
+ *
+ * @class
+ * @description 환경별 .env 파일 탐색 및 process.env 반영
+ */
+export class EnvLoader {
+	/**
+	 * @param {string} projectRoot - .env 파일이 있는 프로젝트 루트 (기본: process.cwd())
+	 * @param {Object} env - 값을 반영할 환경 변수 객체 (기본: process.env)
+	 */
+	constructor(projectRoot = process.cwd(), env = process.env) {
+		this.projectRoot = projectRoot
+		this.env = env
+
+		// 이 로더가 설정한 환경 변수 (key → value), 다시 로드할 때 지움
+		this.loaded = new Map()
+	}
+
+	/**
+	 * 환경의 .env 파일 경로 (우선순위 높은 순, 존재 여부와 무관)
+	 *
+	 * @param {string|null} environment - 환경 이름 (없으면 .env.local, .env만)
+	 * @returns {string[]} 절대 경로 목록
+	 *
+	 * @example
+	 * getEnvFiles('staging')
+	 * // => ['/app/.env.staging.local', '/app/.env.local', '/app/.env.staging', '/app/.env']
+	 */
+	getEnvFiles(environment = null) {
+		const files = [
+			environment && `.env.${environment}.local`,
+			environment !== 'test' && '.env.local',
+			environment && `.env.${environment}`,
+			'.env',
+		]
+
+		return files.filter(Boolean).map((file) => join(this.projectRoot, file))
+	}
+
+	/**
+	 * 환경의 .env 파일들을 읽어 process.env에 반영
+	 *
+	 * @param {string|null} environment - 환경 이름 (없으면 환경과 무관한 .env.local, .env만)
+	 * @returns {{environment: string|null, files: string[], variables: string[]}}
+	 *   files: 실제로 읽은 파일 (우선순위 높은 순), variables: 반영한 환경 변수 이름
+	 */
+	load(environment = null) {
+		this.unload()
+
+		const files = this.getEnvFiles(environment).filter((file) => existsSync(file))
+
+		// 낮은 우선순위부터 읽어 높은 우선순위 파일의 값으로 덮어씀
+		const values = {}
+		for (const file of [...files].reverse()) {
+			Object.assign(values, dotenv.parse(readFileSync(file, 'utf-8')))
+		}
+
+		const variables = []
+		for (const [key, value] of Object.entries(values)) {
+			if (key in this.env) continue
+
+			this.env[key] = value
+			this.loaded.set(key, value)
+			variables.push(key)
+		}
+
+		return { environment, files, variables }
+	}
+
+	/**
+	 * 이 로더가 설정한 환경 변수 제거 (그 사이 다른 값으로 바뀐 변수는 유지)
+	 */
+	unload() {
+		this.loaded.forEach((value, key) => {
+			if (this.env[key] === value) {
+				delete this.env[key]
+			}
+		})
+		this.loaded.clear()
+	}
+}
+
+/**
+ * 사용할 환경 결정 (지정한 환경 > serverSettings.defaultEnvironment > development)
+ *
+ * @param {Object} config - 설정 객체
+ * @param {string|null} environment - --env로 지정한 환경
+ * @returns {string} 환경 이름
+ */
+export function resolveEnvironment(config, environment = null) {
+	return environment || config?.serverSettings?.defaultEnvironment || DEFAULT_ENVIRONMENT
+}
+
+/**
+ * EnvLoader 인스턴스 생성 헬퍼
+ *
+ * @param {string} projectRoot - 프로젝트 루트 경로
+ * @returns {EnvLoader} EnvLoader 인스턴스
+ */
+export function createEnvLoader(projectRoot = process.cwd()) {
+	return new EnvLoader(projectRoot)
+}
+
+/**
+ * 환경별 .env 로드 헬퍼 (프로그래밍 방식으로 Generator를 사용할 때)
+ *
+ * @param {string|null} environment - 환경 이름
+ * @param {string} projectRoot - 프로젝트 루트 경로
+ * @returns {{environment: string|null, files: string[], variables: string[]}} 로드 결과
+ *
+ * @example
+ * import { loadEnv } from '@stepin/openapi-codegen'
+ * loadEnv('staging')
+ */
+export function loadEnv(environment = null, projectRoot = process.cwd()) {
+	return new EnvLoader(projectRoot).load(environment)
+}
+
+export default EnvLoader
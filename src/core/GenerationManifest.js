@@ -0,0 +1,382 @@
+#!/usr/bin/env node
+
+/**
+ * 🧾 GenerationManifest - 증분 생성 manifest
+ *
+ * 이전 실행의 입력 해시와 출력 파일 해시를 기록하여
+ * 입력이 바뀌지 않은 서버/태그의 생성을 건너뜁니다.
+ *
+ * @description
+ * - 기본 위치: .openapi-codegen/manifest.json (fileGeneration.manifest)
+ * - toolkit 버전 또는 설정 해시가 바뀌면 이전 기록을 재사용하지 않음
+ * - 출력 파일이 삭제되었거나 직접 수정된 경우(해시 불일치) 다시 생성
+ * - 파일 해시는 afterWrite 훅까지 실행한 뒤의 내용 기준 (포맷터 훅을 써도 다음 실행에서 재사용)
+ * - 이번 실행에서 다루지 않은 서버/단계의 기록은 그대로 유지 (--server, --steps)
+ * - 이전 실행에는 있었지만 이번에 생성되지 않은 파일(orphan) 목록 제공
+ *
+ * @example
+ * {
+ *   "version": 1,
+ *   "toolkitVersion": "1.0.0",
+ *   "configHash": "3f2a...",
+ *   "servers": {
+ *     "auth": {
+ *       "specHash": "9c1d...",
+ *       "steps": { "tags": "9c1d...", "validated": "9c1d..." },
+ *       "tags": { "user": { "endpoints": "a41b...", "api": "77e0..." } }
+ *     }
+ *   },
+ *   "files": {
+ *     "src/domains/auth/tags.ts": { "hash": "5be2...", "server": "auth", "step": "tags", "tag": null },
+ *     "src/domains/auth/api/user/userAPI.ts": { "hash": "c0ff...", "generatedHash": "e3b0...", "server": "auth", "step": "api", "tag": "user" }
+ *   }
+ * }
+ */
+
+import { createHash } from 'crypto'
+import logger from '../utils/Logger.js'
+
+/**
+ * manifest 형식 버전 (구조가 바뀌면 증가)
+ */
+const MANIFEST_VERSION = 1
+
+/**
+ * 문자열 또는 값 목록의 sha256 해시
+ *
+ * @param {...*} values - 해시할 값 (문자열이 아니면 JSON 직렬화, 함수는 소스 코드로 직렬화)
+ * @returns {string} 16진수 해시
+ */
+export function hashContent(...values) {
+	const hash = createHash('sha256')
+
+	values.forEach((value) => {
+		hash.update(typeof value === 'string' ? value : JSON.stringify(value ?? null, serializeFunction))
+		// 값 경계 구분 (['ab', 'c']와 ['a', 'bc']가 같은 해시가 되지 않도록)
+		hash.update('\0')
+	})
+
+	return hash.digest('hex')
+}
+
+/**
+ * JS 설정의 함수 값(naming, tagging.map 등)이 바뀌어도 해시가 달라지도록 소스 코드로 직렬화
+ */
+function serializeFunction(key, value) {
+	return typeof value === 'function' ? value.toString() : value
+}
+
+/**
+ * GenerationManifest 클래스
+ *
+ * @class
+ * @description 입력/출력 해시 기록 및 재사용 판단
+ */
+export class GenerationManifest {
+	/**
+	 * @param {Object} pathResolver - PathResolver 인스턴스
+	 * @param {Object} output - OutputSink 인스턴스 (읽기/쓰기 모두 sink 경유)
+	 * @param {Object} options - 옵션
+	 * @param {string} options.toolkitVersion - toolkit 버전
+	 * @param {string} options.configHash - 설정 해시
+	 */
+	constructor(pathResolver, output, { toolkitVersion, configHash }) {
+		this.pathResolver = pathResolver
+		this.output = output
+		this.manifestPath = pathResolver.getManifestPath()
+		this.toolkitVersion = toolkitVersion
+		this.configHash = configHash
+
+		// 이전 실행의 기록 (재사용 판단용)
+		this.previous = null
+
+		// 이번 실행 후 저장할 기록
+		this.next = this.createEmpty()
+
+		// 이전 기록 재사용 가능 여부 (버전/설정이 같고 --force가 아닐 때)
+		this.reusable = false
+	}
+
+	/**
+	 * 빈 manifest
+	 */
+	createEmpty() {
+		return {
+			version: MANIFEST_VERSION,
+			toolkitVersion: this.toolkitVersion,
+			configHash: this.configHash,
+			servers: {},
+			files: {},
+		}
+	}
+
+	// ========================================
+	// 1. 로드 / 저장
+	// ========================================
+
+	/**
+	 * 이전 manifest 로드
+	 *
+	 * @param {Object} options - 옵션
+	 * @param {boolean} options.force - 이전 기록을 재사용하지 않음 (--force)
+	 */
+	load({ force = false } = {}) {
+		this.previous = null
+		this.next = this.createEmpty()
+		this.reusable = false
+
+		if (!this.output.exists(this.manifestPath)) return
+
+		try {
+			this.previous = JSON.parse(this.output.read(this.manifestPath))
+		} catch (error) {
+			logger.warn(`manifest를 읽을 수 없어 전체를 다시 생성합니다: ${error.message}`)
+			return
+		}
+
+		if (this.previous.version !== MANIFEST_VERSION) {
+			this.previous = null
+			return
+		}
+
+		// 출력 파일 기록은 항상 이어받음 (이번 실행에서 다루지 않는 서버/단계 유지)
+		this.next.servers = structuredClone(this.previous.servers || {})
+		this.next.files = structuredClone(this.previous.files || {})
+
+		if (force) {
+			return
+		}
+
+		if (this.previous.toolkitVersion !== this.toolkitVersion) {
+			logger.info(`toolkit 버전이 바뀌어 전체를 다시 생성합니다. (${this.previous.toolkitVersion} → ${this.toolkitVersion})`)
+		} else if (this.previous.configHash !== this.configHash) {
+			logger.info('설정이 바뀌어 전체를 다시 생성합니다.')
+		} else {
+			this.reusable = true
+		}
+	}
+
+	/**
+	 * manifest 저장 (OutputSink 경유, 변경 내역에는 기록하지 않음)
+	 */
+	save() {
+		this.output.write(this.manifestPath, JSON.stringify(sortKeys(this.next), null, 2) + '\n', { track: false })
+	}
+
+	// ========================================
+	// 2. 재사용 판단 / 기록
+	// ========================================
+
+	/**
+	 * 이전 실행과 입력이 같고 출력 파일이 그대로인지 확인
+	 *
+	 * @param {string} serverName - 서버 이름
+	 * @param {string} stepId - 단계 id
+	 * @param {string|null} tagName - 태그 이름 (서버 단위 단계는 null)
+	 * @param {string} inputHash - 이번 실행의 입력 해시
+	 * @returns {boolean} 생성을 건너뛰어도 되는지 여부
+	 */
+	isFresh(serverName, stepId, tagName, inputHash) {
+		if (!this.reusable || !inputHash) return false
+		if (this.getEntry(this.previous, serverName, stepId, tagName) !== inputHash) return false
+
+		// 출력 파일이 삭제되었거나 직접 수정되었으면 다시 생성
+		return this.getFiles(this.previous, serverName, stepId, tagName).every(
+			([filePath, { hash }]) =>
+				this.output.exists(this.toAbsolutePath(filePath)) &&
+				hashContent(this.output.read(this.toAbsolutePath(filePath))) === hash
+		)
+	}
+
+	/**
+	 * 생성 결과 기록 (같은 서버/단계/태그의 이전 출력 기록은 교체)
+	 *
+	 * @param {string} serverName - 서버 이름
+	 * @param {string} stepId - 단계 id
+	 * @param {string|null} tagName - 태그 이름
+	 * @param {string|null} inputHash - 입력 해시
+	 * @param {Array<{filePath: string, content: string, generatedContent?: string}>} files - 생성된 파일
+	 *   (content는 훅까지 실행한 뒤 실제 파일 내용, generatedContent는 훅 실행 전 내용)
+	 */
+	record(serverName, stepId, tagName, inputHash, files) {
+		const server = (this.next.servers[serverName] = this.next.servers[serverName] || {})
+
+		if (tagName) {
+			server.tags = server.tags || {}
+			server.tags[tagName] = server.tags[tagName] || {}
+			server.tags[tagName][stepId] = inputHash
+		} else {
+			server.steps = server.steps || {}
+			server.steps[stepId] = inputHash
+		}
+
+		this.getFiles(this.next, serverName, stepId, tagName).forEach(([filePath]) => delete this.next.files[filePath])
+
+		files.forEach(({ filePath, content, generatedContent = content }) => {
+			const file = { hash: hashContent(content), server: serverName, step: stepId, tag: tagName }
+
+			// afterWrite 훅이 파일을 고쳐 쓴 경우 generator가 만든 내용의 해시도 기록 (dry-run/check 비교용)
+			if (generatedContent !== content) {
+				file.generatedHash = hashContent(generatedContent)
+			}
+
+			this.next.files[this.toRelativePath(filePath)] = file
+		})
+	}
+
+	/**
+	 * 이전 실행에서 afterWrite 훅이 같은 생성 결과를 고쳐 쓴 내용 (디스크에 그대로 남아 있을 때만)
+	 *
+	 * dry-run/check에서는 훅을 실행하지 않으므로, 이 내용으로 비교해야 포맷팅 등 훅의 변경을 drift로 보지 않습니다.
+	 * 설정(훅 포함)이 바뀌었으면 이전 결과를 믿지 않습니다.
+	 *
+	 * @param {string} filePath - 파일 경로
+	 * @param {string} content - 이번 실행에서 generator가 만든 내용
+	 * @returns {string|null} 훅이 고쳐 쓴 내용 (없으면 null)
+	 */
+	getRewrittenContent(filePath, content) {
+		const file = this.previous?.files?.[this.toRelativePath(filePath)]
+		if (!file?.generatedHash || file.generatedHash !== hashContent(content)) return null
+		if (this.previous.configHash !== this.configHash) return null
+
+		const absolutePath = this.toAbsolutePath(filePath)
+		if (!this.output.exists(absolutePath)) return null
+
+		const current = this.output.read(absolutePath)
+		return hashContent(current) === file.hash ? current : null
+	}
+
+	/**
+	 * 태그 단위 단계에서 현재 태그 목록에 없는 태그의 기록 제거
+	 *
+	 * 스펙에서 사라진 태그의 출력 파일은 기록에서 빠지므로 getOrphans()에 포함됩니다.
+	 *
+	 * @param {string} serverName - 서버 이름
+	 * @param {string} stepId - 단계 id
+	 * @param {string[]} tagNames - 이번 실행의 태그 목록
+	 */
+	retainTags(serverName, stepId, tagNames) {
+		const tags = this.next.servers[serverName]?.tags || {}
+
+		Object.keys(tags)
+			.filter((tagName) => !tagNames.includes(tagName))
+			.forEach((tagName) => {
+				delete tags[tagName][stepId]
+				if (Object.keys(tags[tagName]).length === 0) {
+					delete tags[tagName]
+				}
+			})
+
+		Object.entries(this.next.files)
+			.filter(([, file]) => file.server === serverName && file.step === stepId && file.tag && !tagNames.includes(file.tag))
+			.forEach(([filePath]) => delete this.next.files[filePath])
+	}
+
+	/**
+	 * 정의되지 않은 단계(제거된 플러그인 등)의 기록 제거
+	 *
+	 * @param {string[]} stepIds - 현재 정의된 단계 id 목록
+	 */
+	retainSteps(stepIds) {
+		Object.values(this.next.servers).forEach((server) => {
+			Object.keys(server.steps || {})
+				.filter((stepId) => !stepIds.includes(stepId))
+				.forEach((stepId) => delete server.steps[stepId])
+
+			Object.entries(server.tags || {}).forEach(([tagName, steps]) => {
+				Object.keys(steps)
+					.filter((stepId) => !stepIds.includes(stepId))
+					.forEach((stepId) => delete steps[stepId])
+				if (Object.keys(steps).length === 0) {
+					delete server.tags[tagName]
+				}
+			})
+		})
+
+		Object.entries(this.next.files)
+			.filter(([, file]) => !stepIds.includes(file.step))
+			.forEach(([filePath]) => delete this.next.files[filePath])
+	}
+
+	/**
+	 * 이전 실행에서 생성했지만 이번 실행에서는 생성하지 않은 파일
+	 *
+	 * @returns {Array<{filePath: string, hash: string, server: string, step: string, tag: string|null}>}
+	 */
+	getOrphans() {
+		return Object.entries(this.previous?.files || {})
+			.filter(([filePath]) => !(filePath in this.next.files))
+			.map(([filePath, file]) => ({ filePath, ...file }))
+	}
+
+	/**
+	 * 서버의 스펙 해시 기록
+	 */
+	recordSpecHash(serverName, specHash) {
+		this.next.servers[serverName] = this.next.servers[serverName] || {}
+		this.next.servers[serverName].specHash = specHash
+	}
+
+	/**
+	 * 이전 실행의 스펙 해시
+	 */
+	getPreviousSpecHash(serverName) {
+		return this.previous?.servers?.[serverName]?.specHash || null
+	}
+
+	/**
+	 * manifest의 서버/단계/태그 입력 해시
+	 */
+	getEntry(manifest, serverName, stepId, tagName) {
+		const server = manifest?.servers?.[serverName]
+		if (!server) return null
+
+		return (tagName ? server.tags?.[tagName]?.[stepId] : server.steps?.[stepId]) || null
+	}
+
+	/**
+	 * manifest의 서버/단계/태그 출력 파일 목록
+	 *
+	 * @returns {Array<[string, {hash: string, server: string, step: string, tag: string|null}]>}
+	 */
+	getFiles(manifest, serverName, stepId, tagName) {
+		return Object.entries(manifest?.files || {}).filter(
+			([, file]) => file.server === serverName && file.step === stepId && (file.tag || null) === (tagName || null)
+		)
+	}
+
+	// ========================================
+	// 3. 경로 유틸리티
+	// ========================================
+
+	toAbsolutePath(filePath) {
+		return this.output.toAbsolutePath(filePath)
+	}
+
+	toRelativePath(filePath) {
+		return this.output.toRelativePath(this.output.toAbsolutePath(filePath))
+	}
+}
+
+/**
+ * 객체 키를 재귀적으로 정렬 (manifest diff를 안정적으로 유지)
+ */
+function sortKeys(value) {
+	if (Array.isArray(value)) return value.map(sortKeys)
+	if (!value || typeof value !== 'object') return value
+
+	return Object.fromEntries(
+		Object.keys(value)
+			.sort()
+			.map((key) => [key, sortKeys(value[key])])
+	)
+}
+
+/**
+ * GenerationManifest 인스턴스 생성 헬퍼
+ */
+export function createGenerationManifest(pathResolver, output, options) {
+	return new GenerationManifest(pathResolver, output, options)
+}
+
+export default GenerationManifest
@@ -9,11 +9,38 @@
  * @description
  * - 7단계 생성 프로세스 실행
  * - Feature flags로 단계 제어
+ * - --steps로 요청된 단계와 필요한 선행 단계만 실행
+ * - 모든 파일 쓰기는 OutputSink를 거침 (--dry-run 지원)
+ * - --check: 메모리에 다시 생성하여 커밋된 파일과 비교 (CI용)
+ * - manifest 기반 증분 생성: 입력이 같은 서버/태그는 건너뜀 (--force로 무시)
+ * - 더 이상 생성되지 않는 파일(사라진 태그 등) 정리
+ * - 플러그인 단계 등록 및 출력 후처리 (transform)
+ * - 생성 과정 훅 호출 (beforeAll, beforeStep, afterStep, afterWrite, afterAll)
+ * - 실행 리포트 기록 (--report)
+ * - atomic 쓰기: 모든 단계가 성공해야 출력을 반영하고, 실패하면 이전 상태 유지
+ * - 단계마다 서버, 서버 안에서는 태그를 병렬 실행 (--concurrency)
+ *   (스펙 다운로드, 타입 변환 등 비동기 작업만 겹쳐지고 동기 생성 단계는 순서대로 실행됨)
+ * - servers.{name}의 설정 덮어쓰기를 서버별 resolver/generator에 적용
  * - 진행 상황 추적
  */
 
-import { writeFileSync, mkdirSync, existsSync, readFileSync } from 'fs'
-import { dirname } from 'path'
+import { readFileSync } from 'fs'
+import { resolveServerConfig } from './ConfigManager.js'
+import { ImportResolver } from './ImportResolver.js'
+import { OutputSink } from './OutputSink.js'
+import { GenerationManifest, hashContent } from './GenerationManifest.js'
+import { PathResolver } from './PathResolver.js'
+import { PLUGIN_EXECUTOR_PREFIX } from './PluginManager.js'
+import { RunReport } from './RunReport.js'
+import { ServerDetector } from './ServerDetector.js'
+import { SourceResolver } from './SourceResolver.js'
+import { expandGlob } from '../utils/GlobMatcher.js'
+import { NamingConventions } from '../utils/NamingConventions.js'
+import { runBuffered, runPool } from '../utils/Concurrency.js'
+import { loadSpecModel } from '../parsers/SchemaParser.js'
+
+// toolkit 버전 (바뀌면 manifest의 이전 기록을 재사용하지 않음)
+const TOOLKIT_VERSION = JSON.parse(readFileSync(new URL('../../package.json', import.meta.url), 'utf-8')).version
 
 /**
  * Generator 클래스
@@ -25,106 +52,557 @@ export class Generator {
 	 * @param {Object} importResolver - ImportResolver 인스턴스
 	 * @param {Object} naming - NamingConventions 인스턴스
 	 * @param {Object} generators - 모든 Generator 인스턴스들
+	 * @param {Object} options - 옵션
+	 * @param {boolean} options.dryRun - 디스크에 쓰지 않고 변경 내역과 diff만 출력
+	 * @param {boolean} options.check - 디스크에 쓰지 않고 기존 파일과 달라진 파일 목록만 보고 (CI용)
+	 * @param {boolean} options.force - manifest를 무시하고 모든 서버/태그 생성
+	 * @param {boolean} options.atomic - 임시 디렉토리에 준비 후 한 번에 반영 (기본: true)
+	 * @param {number} options.concurrency - 동시에 생성할 서버/태그 수 (기본: 1)
+	 * @param {Object[]} options.plugins - 로드된 플러그인 목록 (PluginManager.loadPlugins 결과)
+	 * @param {OutputSink} options.output - 사용할 OutputSink (없으면 생성)
+	 * @param {Object} options.sources - SourceResolver 옵션 (workspace: 스펙 소스 기준 디렉토리, 프로젝트 간 공유 캐시)
 	 */
-	constructor(config, pathResolver, importResolver, naming, generators = {}) {
+	constructor(config, pathResolver, importResolver, naming, generators = {}, options = {}) {
 		this.config = config
 		this.pathResolver = pathResolver
 		this.importResolver = importResolver
 		this.naming = naming
 		this.generators = generators
+		this.serverScopes = new Map()
+		this.serverDetector = new ServerDetector(config, pathResolver)
+		this.sourceResolver = new SourceResolver(config, pathResolver, options.sources)
+
+		// check 모드는 항상 메모리에 생성 (dry-run과 같은 sink 사용)
+		this.checkMode = Boolean(options.check)
+
+		// 모든 generator가 같은 sink로 읽고 써야 dry-run에서도 단계 간 입력이 이어짐
+		this.output =
+			options.output ||
+			new OutputSink({
+				dryRun: Boolean(options.dryRun) || this.checkMode,
+				atomic: options.atomic !== false,
+				projectRoot: pathResolver.projectRoot,
+			})
+		Object.values(this.generators).forEach((generator) => {
+			if (generator) generator.output = this.output
+		})
+
+		// 병렬 실행 수 (단계 순서는 유지, 한 단계 안의 서버/태그만 병렬)
+		this.concurrency = Math.max(1, Number(options.concurrency) || 1)
+
+		// 플러그인 (추가 단계 + 출력 후처리)
+		this.plugins = options.plugins || []
+
+		// 증분 생성 manifest (check 모드는 모든 파일을 비교해야 하므로 항상 force)
+		this.force = Boolean(options.force) || this.checkMode
+		this.manifest = new GenerationManifest(pathResolver, this.output, {
+			toolkitVersion: TOOLKIT_VERSION,
+			configHash: hashContent(
+				config,
+				this.plugins.map((plugin) => plugin.fingerprint || plugin.name)
+			),
+		})
+
+		// 실행 리포트 (generateAll마다 새로 생성)
+		this.report = this.createReport()
 
-		// 생성 단계 정의
+		// 생성 단계 정의 (기본 단계 + 플러그인 단계)
 		this.steps = this.defineSteps()
+		this.registerPlugins(this.plugins)
 	}
 
 	/**
 	 * 생성 단계 정의 (generateApi.js line 30-73)
+	 *
+	 * id는 --steps 옵션에서 사용하는 고정 이름이고,
+	 * dependsOn은 해당 단계가 입력으로 읽는 파일을 만드는 선행 단계입니다.
+	 * scope가 'tag'인 단계는 tags.ts의 태그마다 실행됩니다.
 	 */
 	defineSteps() {
 		return [
 			{
+				id: 'types',
 				name: 'OpenAPI 타입 생성',
-				description: 'schema.d.ts 파일 생성 (openapi-typescript)',
+				description: 'openapi.json, schema.d.ts 파일 생성 (openapi-typescript)',
 				required: true,
 				executor: 'generateTypes',
+				scope: 'server',
+				dependsOn: [],
 			},
 			{
+				id: 'tags',
 				name: 'Swagger 태그 추출',
 				description: 'tags.ts 파일 생성',
 				required: true,
 				executor: 'generateTags',
+				scope: 'server',
+				dependsOn: ['types'],
 			},
 			{
+				id: 'validated',
 				name: 'validated 타입 생성',
 				description: 'validated.ts 파일 생성',
 				flagKey: 'generateValidatedTypes',
 				executor: 'generateValidatedTypes',
+				scope: 'server',
+				dependsOn: ['types'],
 			},
 			{
+				id: 'deepSchema',
 				name: 'deep schema 추출',
 				description: 'deepSchema.ts 파일 생성',
 				flagKey: 'generateDeepSchema',
 				executor: 'generateDeepSchema',
+				scope: 'server',
+				dependsOn: ['types'],
 			},
 			{
+				id: 'endpoints',
 				name: '서버별 엔드포인트 생성',
 				description: 'endpoint.ts 파일들 생성',
 				flagKey: 'generateEndpoints',
 				executor: 'generateEndpoints',
+				scope: 'tag',
+				dependsOn: ['tags'],
 			},
 			{
+				id: 'api',
 				name: '도메인 API 함수 생성',
 				description: '{tag}API.ts 파일들 생성',
 				flagKey: 'generateDomainAPI',
 				executor: 'generateDomainAPI',
+				scope: 'tag',
+				dependsOn: ['tags', 'validated'],
 			},
 			{
+				id: 'hooks',
 				name: 'React Query hooks 생성',
 				description: 'useQueries.ts, useMutations.ts 파일들 생성',
 				flagKey: 'generateReactQueryHooks',
 				executor: 'generateReactQueryHooks',
+				scope: 'tag',
+				dependsOn: ['api', 'validated'],
 			},
 		]
 	}
 
+	/**
+	 * 플러그인 단계 등록
+	 *
+	 * 플러그인 단계는 기본 단계 뒤에 등록 순서대로 추가되며,
+	 * dependsOn에는 기본 단계 또는 먼저 등록된 플러그인 단계만 지정할 수 있습니다.
+	 *
+	 * @param {Object[]} plugins - 로드된 플러그인 목록
+	 * @throws {Error} 단계 id가 중복되거나 선행 단계를 찾을 수 없는 경우
+	 */
+	registerPlugins(plugins) {
+		for (const plugin of plugins) {
+			for (const pluginStep of plugin.steps) {
+				if (this.steps.some((step) => step.id === pluginStep.id)) {
+					throw new Error(`${plugin.name}: 단계 id '${pluginStep.id}'가 이미 존재합니다.`)
+				}
+
+				pluginStep.dependsOn.forEach((depId) => {
+					if (!this.steps.some((step) => step.id === depId)) {
+						throw new Error(`${plugin.name}: '${pluginStep.id}' 단계의 선행 단계 '${depId}'를 찾을 수 없습니다.`)
+					}
+				})
+
+				const step = {
+					id: pluginStep.id,
+					name: pluginStep.name,
+					description: pluginStep.description,
+					executor: PLUGIN_EXECUTOR_PREFIX + pluginStep.id,
+					scope: pluginStep.scope,
+					dependsOn: pluginStep.dependsOn,
+					plugin: plugin.name,
+				}
+
+				this.steps.push(step)
+				this.generators[step.executor] = {
+					generate: (serverName, tagName) =>
+						pluginStep.generate(this.createPluginContext(step, serverName, tagName)),
+					outputPath: pluginStep.outputPath,
+				}
+			}
+		}
+	}
+
+	/**
+	 * 플러그인에 전달하는 컨텍스트
+	 *
+	 * model은 처음 접근할 때 openapi.json에서 로드합니다.
+	 */
+	createPluginContext(step, serverName, tagName = null) {
+		const { config, pathResolver, importResolver, naming } = this.getServerScope(serverName)
+		const context = {
+			config,
+			step: step.id,
+			serverName,
+			tagName,
+			pathResolver,
+			importResolver,
+			naming,
+			readFile: this.output.readFile,
+		}
+
+		Object.defineProperty(context, 'model', {
+			enumerable: true,
+			get: () => loadSpecModel(pathResolver.getSpecPath(serverName), this.output.readFile),
+		})
+
+		return context
+	}
+
+	// ========================================
+	// 서버별 설정 (servers.{name} 덮어쓰기)
+	// ========================================
+
+	/**
+	 * 서버에 적용할 설정과 resolver/generator 묶음
+	 *
+	 * servers.{name}에 덮어쓸 설정이 없으면 기본 인스턴스를 그대로 사용하고,
+	 * 있으면 병합한 설정으로 PathResolver, ImportResolver, NamingConventions를 새로 만들어
+	 * 모든 generator가 그 인스턴스를 사용하게 합니다.
+	 *
+	 * @param {string} serverName - 서버 이름
+	 * @returns {{config: Object, pathResolver: Object, importResolver: Object, naming: Object, generators: Object}}
+	 */
+	getServerScope(serverName) {
+		if (!this.serverScopes.has(serverName)) {
+			this.serverScopes.set(serverName, this.createServerScope(serverName))
+		}
+		return this.serverScopes.get(serverName)
+	}
+
+	createServerScope(serverName) {
+		const config = resolveServerConfig(this.config, serverName)
+
+		if (config === this.config) {
+			const { pathResolver, importResolver, naming, generators } = this
+			return { config, pathResolver, importResolver, naming, generators }
+		}
+
+		const pathResolver = new PathResolver(config, this.pathResolver.projectRoot)
+		const scope = {
+			config,
+			pathResolver,
+			importResolver: new ImportResolver(config, pathResolver),
+			naming: new NamingConventions(config),
+		}
+
+		const generators = Object.fromEntries(
+			Object.entries(this.generators).map(([executor, generator]) => [executor, this.bindGenerator(generator, scope)])
+		)
+
+		return { ...scope, generators }
+	}
+
+	/**
+	 * generator가 서버별 설정/resolver를 사용하도록 복제
+	 *
+	 * generator는 생성자에서 받은 의존성 외에 상태가 없으므로
+	 * 원본을 프로토타입으로 두고 의존성만 교체합니다. (output도 원본과 공유)
+	 * 플러그인 단계는 createPluginContext에서 서버별 설정을 받으므로 그대로 사용합니다.
+	 */
+	bindGenerator(generator, scope) {
+		if (!generator?.config) return generator
+
+		const bound = Object.create(generator)
+		for (const key of ['config', 'pathResolver', 'importResolver', 'naming']) {
+			if (key in generator) bound[key] = scope[key]
+		}
+		if (generator.sourceResolver) {
+			bound.sourceResolver = new SourceResolver(scope.config, scope.pathResolver, generator.sourceResolver.getOptions())
+		}
+
+		return bound
+	}
+
+	/**
+	 * 플러그인/설정 훅 실행 (등록 순서대로)
+	 *
+	 * 훅이 던진 에러는 훅 이름을 붙여 다시 던집니다.
+	 * beforeStep/afterStep/afterWrite는 해당 단계, beforeAll/afterAll은 실행 전체를 실패시킵니다.
+	 *
+	 * @param {string} hookName - 훅 이름 (HOOK_NAMES)
+	 * @param {Object} context - 훅별 컨텍스트
+	 */
+	async runHook(hookName, context = {}) {
+		// 서버 단위 훅(beforeStep 등)은 해당 서버의 설정을 전달
+		const { config, pathResolver, importResolver, naming } = context.serverName
+			? this.getServerScope(context.serverName)
+			: this
+
+		for (const plugin of this.plugins) {
+			const hook = plugin.hooks?.[hookName]
+			if (!hook) continue
+
+			try {
+				await hook({
+					hook: hookName,
+					config,
+					pathResolver,
+					importResolver,
+					naming,
+					dryRun: this.output.dryRun,
+					check: this.checkMode,
+					...context,
+				})
+			} catch (error) {
+				throw new Error(`${plugin.name} ${hookName} 훅 실패: ${error.message}`, { cause: error })
+			}
+		}
+	}
+
 	/**
 	 * 활성화된 단계들 필터링 (generateApi.js line 76-99)
 	 */
 	getEnabledSteps() {
-		const featureFlags = this.config.featureFlags || {}
+		return this.steps.filter((step) => this.isStepEnabled(step))
+	}
 
-		return this.steps.filter((step) => {
-			// required 단계는 항상 실행
-			if (step.required) {
-				return true
+	/**
+	 * 단계 활성화 여부 (required 또는 featureFlags)
+	 */
+	isStepEnabled(step) {
+		// required 단계는 항상 실행
+		if (step.required) {
+			return true
+		}
+
+		// flagKey가 있으면 featureFlags 확인
+		if (step.flagKey) {
+			const flag = (this.config.featureFlags || {})[step.flagKey]
+
+			// { enabled: true } 구조
+			if (flag && typeof flag === 'object' && 'enabled' in flag) {
+				return flag.enabled
 			}
 
-			// flagKey가 있으면 featureFlags 확인
-			if (step.flagKey) {
-				const flag = featureFlags[step.flagKey]
+			// boolean 구조 (하위 호환성)
+			return Boolean(flag)
+		}
 
-				// { enabled: true } 구조
-				if (flag && typeof flag === 'object' && 'enabled' in flag) {
-					return flag.enabled
-				}
+		return true
+	}
 
-				// boolean 구조 (하위 호환성)
-				return Boolean(flag)
+	/**
+	 * id, executor 또는 이름으로 단계 조회
+	 *
+	 * @param {string} stepId - 단계 id (types, tags, validated, deepSchema, endpoints, api, hooks)
+	 * @returns {Object} 단계 정의
+	 * @throws {Error} 존재하지 않는 단계
+	 */
+	findStep(stepId) {
+		const step = this.steps.find((s) => s.id === stepId || s.executor === stepId || s.name === stepId)
+
+		if (!step) {
+			throw new Error(`알 수 없는 단계입니다: ${stepId} (사용 가능: ${this.steps.map((s) => s.id).join(', ')})`)
+		}
+
+		return step
+	}
+
+	// ========================================
+	// 단계 의존성 해결 (--steps)
+	// ========================================
+
+	/**
+	 * 요청된 단계와 필요한 선행 단계를 실행 순서대로 반환
+	 *
+	 * 요청되지 않은 선행 단계는 출력 파일이 최신이면 재사용하고,
+	 * 없거나 오래되었으면 실행 목록에 추가합니다.
+	 * check 모드에서는 커밋된 출력을 신뢰하지 않으므로 선행 단계를 항상 다시 실행합니다.
+	 *
+	 * @param {string[]} stepIds - 요청된 단계 id 목록
+	 * @param {string[]} servers - 대상 서버 목록
+	 * @returns {Object[]} 실행할 단계 목록 (정의 순서)
+	 * @throws {Error} 선행 단계를 실행할 수 없는 경우 (featureFlags 비활성화, generator 없음)
+	 *
+	 * @example
+	 * resolveSteps(['hooks'], ['auth'])
+	 * // validated.ts, {tag}API.ts가 최신이면 => [hooks]
+	 * // {tag}API.ts가 없으면 => [api, hooks]
+	 */
+	resolveSteps(stepIds, servers) {
+		const requested = stepIds.map((stepId) => this.findStep(stepId))
+		const selected = new Set(requested)
+		const decisions = new Map()
+
+		// 선행 단계 실행 필요 여부 (메모이제이션)
+		const needsRun = (step, dependent) => {
+			if (selected.has(step)) return true
+			if (decisions.has(step)) return decisions.get(step)
+
+			// 더 앞선 단계가 다시 실행되면 이 단계의 출력도 오래된 것이 됨
+			const upstreamChanged = step.dependsOn.map((depId) => needsRun(this.findStep(depId), step)).some(Boolean)
+
+			if (!upstreamChanged && !this.checkMode && this.isStepUpToDate(step, servers)) {
+				console.log(`   ♻️  ${step.id}: 기존 출력이 최신이므로 재사용합니다.`)
+				decisions.set(step, false)
+				return false
 			}
 
+			const reason = this.getStepUnavailableReason(step)
+			if (reason) {
+				throw new Error(
+					`'${dependent.id}' 단계에 필요한 '${step.id}' 단계를 실행할 수 없습니다: ${reason}. ` +
+						`'${step.id}' 단계를 활성화하거나 먼저 생성하세요.`
+				)
+			}
+
+			console.log(`   ➕ ${step.id}: ${dependent.id} 단계에 필요하여 함께 실행합니다.`)
+			selected.add(step)
+			decisions.set(step, true)
 			return true
+		}
+
+		for (const step of requested) {
+			step.dependsOn.forEach((depId) => needsRun(this.findStep(depId), step))
+		}
+
+		return this.steps.filter((step) => selected.has(step))
+	}
+
+	/**
+	 * 단계를 실행할 수 없는 이유 (실행 가능하면 null)
+	 */
+	getStepUnavailableReason(step) {
+		if (!this.generators[step.executor]) {
+			return `${step.executor} generator가 없습니다`
+		}
+
+		if (!this.isStepEnabled(step)) {
+			return `featureFlags.${step.flagKey}가 비활성화되어 있습니다`
+		}
+
+		return null
+	}
+
+	/**
+	 * 단계의 출력 파일이 모든 서버에서 존재하고 입력보다 최신인지 확인
+	 */
+	isStepUpToDate(step, servers) {
+		return servers.every((server) => {
+			const outputs = this.getStepOutputs(step, server)
+			if (!outputs || outputs.length === 0 || !outputs.every((file) => this.output.exists(file))) {
+				return false
+			}
+
+			const inputs = [
+				...this.getStepSourceInputs(step, server),
+				...step.dependsOn.flatMap((depId) => this.getStepOutputs(this.findStep(depId), server) || []),
+			].filter((file) => this.output.exists(file))
+
+			// dry-run/atomic 모드의 파일은 디스크에 없을 수 있으므로 sink를 통해 조회
+			const outputTimes = outputs.map((file) => this.output.getModifiedTime(file))
+			if (outputTimes.includes(null)) return false
+
+			const inputTimes = inputs.map((file) => this.output.getModifiedTime(file)).filter((time) => time !== null)
+
+			return Math.min(...outputTimes) >= Math.max(0, ...inputTimes)
 		})
 	}
 
+	/**
+	 * 단계가 서버별로 생성하는 파일 목록 (재사용 판단용, 알 수 없으면 null)
+	 */
+	getStepOutputs(step, serverName) {
+		switch (step.executor) {
+			case 'generateTypes': {
+				const { pathResolver } = this.getServerScope(serverName)
+				return [pathResolver.getSpecPath(serverName), pathResolver.getSchemaPath(serverName)]
+			}
+
+			case 'generateEndpoints':
+			case 'generateDomainAPI':
+				if (!this.output.exists(this.getOutputPath('generateTags', serverName))) return null
+				return this.readServerTags(serverName)
+					.map((tag) => this.getOutputPath(step.executor, serverName, tag))
+					.filter(Boolean)
+
+			case 'generateReactQueryHooks':
+				// 태그별로 생성되는 파일이 달라 재사용 판단 대상에서 제외
+				return null
+
+			default: {
+				const outputPath = this.getOutputPath(step.executor, serverName)
+				return outputPath ? [outputPath] : null
+			}
+		}
+	}
+
+	/**
+	 * 단계가 직접 읽는 원본 입력 파일 (types 단계의 로컬 스펙 파일)
+	 */
+	getStepSourceInputs(step, serverName) {
+		if (step.executor !== 'generateTypes') return []
+
+		const source = this.sourceResolver.getConfiguredSource(serverName)
+		if (!source) return []
+
+		switch (this.sourceResolver.getSourceType(source)) {
+			case 'file':
+				return [this.sourceResolver.toAbsolutePath(source)]
+			case 'glob':
+				return expandGlob(source, this.sourceResolver.projectRoot)
+			default:
+				return []
+		}
+	}
+
 	/**
 	 * 전체 생성 프로세스 실행 (generateApi.js line 101-160)
+	 *
+	 * 실행 기록은 this.report에 남습니다. (에러로 중단된 경우에도 기록)
+	 *
+	 * @param {string[]|null} servers - 대상 서버 목록 (없으면 자동 감지)
+	 * @param {Object} options - 옵션
+	 * @param {string[]} options.steps - 실행할 단계 id 목록 (없으면 활성화된 모든 단계)
+	 */
+	async generateAll(servers = null, options = {}) {
+		this.report = this.createReport()
+		this.report.start()
+
+		let results = null
+		try {
+			results = await this.runGeneration(servers, options)
+			this.output.finalize()
+			return results
+		} catch (error) {
+			// beforeAll/afterAll 훅 등에서 중단되면 반영한 파일까지 되돌림
+			const reverted = this.output.rollback()
+			if (reverted > 0) {
+				console.error(`↩️  실행이 중단되어 ${reverted}개 파일을 이전 상태로 되돌렸습니다.`)
+				this.report.recordRollback()
+			}
+			this.report.error(error.message)
+			throw error
+		} finally {
+			this.report.finish(Boolean(results) && results.failed.length === 0)
+		}
+	}
+
+	/**
+	 * 실행 리포트 생성
 	 */
-	async generateAll(servers = null) {
+	createReport() {
+		return new RunReport({
+			toolkitVersion: TOOLKIT_VERSION,
+			mode: this.checkMode ? 'check' : this.output.dryRun ? 'dry-run' : 'write',
+		})
+	}
+
+	/**
+	 * 단계 실행, 정리, 결과 출력 (generateAll 본문)
+	 */
+	async runGeneration(servers, options) {
 		console.log('🚀 API 통합 생성 프로세스 시작...')
 		console.log('='.repeat(60))
 
-		const enabledSteps = this.getEnabledSteps()
-		const disabledSteps = this.steps.filter((s) => !enabledSteps.includes(s) && !s.required)
+		const requestedSteps = options.steps?.length > 0 ? options.steps : null
+		const disabledSteps = requestedSteps ? [] : this.steps.filter((s) => !this.isStepEnabled(s))
 
 		// 비활성화된 단계 표시
 		if (disabledSteps.length > 0) {
@@ -135,13 +613,49 @@ export class Generator {
 			console.log('='.repeat(60))
 		}
 
-		let completedSteps = 0
-		const totalSteps = enabledSteps.length
 		const results = {
 			success: [],
 			failed: [],
 		}
 
+		// 대상 서버는 한 번만 감지하여 모든 단계에서 사용
+		const targetServers = servers || this.detectServers()
+		if (targetServers.length === 0) {
+			console.warn('⚠️  생성할 서버가 없습니다. 환경 변수, servers 설정, includeOnlyServers/excludeServers를 확인하세요.')
+			this.report.warning('생성할 서버가 없습니다.')
+			return results
+		}
+		this.report.setServers(targetServers)
+		console.log('='.repeat(60))
+
+		// 이전 실행 기록 로드 (디스크 읽기 캐시와 변경 내역은 실행마다 초기화)
+		this.output.reset()
+		this.manifest.load({ force: this.force })
+		// 제거된 플러그인 단계의 출력은 orphan으로 정리
+		this.manifest.retainSteps(this.steps.map((step) => step.id))
+		if (this.force && !this.checkMode) {
+			console.log('🔄 --force: 이전 생성 기록을 무시하고 전체를 다시 생성합니다.')
+		}
+
+		// --steps가 있으면 요청된 단계 + 필요한 선행 단계만 실행
+		let enabledSteps
+		if (requestedSteps) {
+			console.log(`🎯 요청된 단계: ${requestedSteps.join(', ')}`)
+			enabledSteps = this.resolveSteps(requestedSteps, targetServers)
+			console.log('='.repeat(60))
+		} else {
+			enabledSteps = this.getEnabledSteps()
+		}
+
+		// 훅에서 던진 에러는 단계를 실행하지 않고 전체를 중단
+		await this.runHook('beforeAll', {
+			servers: targetServers,
+			steps: enabledSteps.map((step) => step.id),
+		})
+
+		let completedSteps = 0
+		const totalSteps = enabledSteps.length
+
 		console.log(`📋 활성화된 단계: ${totalSteps}개`)
 		console.log('='.repeat(60))
 
@@ -149,22 +663,28 @@ export class Generator {
 		for (let i = 0; i < enabledSteps.length; i++) {
 			const step = enabledSteps[i]
 
+			this.report.beginStep(step)
+
 			try {
-				console.log(`\n${i + 1}/${totalSteps}: ${step.name}`)
+				console.log(`\n${i + 1}/${totalSteps}: ${step.name} (${step.id})`)
 				console.log(`📝 ${step.description}`)
 
 				// executor 실행
 				if (this.generators[step.executor]) {
-					await this.executeStep(step, servers)
+					await this.executeStep(step, targetServers)
 					completedSteps++
 					results.success.push(step.name)
+					this.report.endStep('success')
 					console.log(`✅ ${step.name} 완료!`)
 				} else {
 					console.warn(`⚠️  ${step.executor} generator가 없습니다. 건너뜁니다.`)
+					this.report.warning(`${step.executor} generator가 없습니다.`)
+					this.report.endStep('skipped')
 				}
 			} catch (error) {
 				console.error(`❌ ${step.name} 실패:`, error.message)
 				results.failed.push({ name: step.name, error: error.message })
+				this.report.endStep('failed', error.message)
 
 				// required 단계 실패 시 중단
 				if (step.required) {
@@ -174,6 +694,17 @@ export class Generator {
 			}
 		}
 
+		// 더 이상 생성되지 않는 파일 정리 (실패한 단계가 있으면 출력이 불완전하므로 건너뜀)
+		if (results.failed.length > 0) {
+			console.warn('\n⚠️  실패한 단계가 있어 이전 생성 파일 정리를 건너뜁니다.')
+		} else {
+			results.pruned = this.pruneOrphans()
+			this.report.recordPruned(results.pruned)
+		}
+
+		// Response 타입이 any로 생성된 operation (리포트용)
+		targetServers.forEach((server) => this.report.recordAnyFallbacks(server, this.collectAnyFallbacks(server)))
+
 		// 결과 요약
 		console.log('\n' + '='.repeat(60))
 		console.log('✅ API 생성 프로세스 완료!')
@@ -191,9 +722,79 @@ export class Generator {
 
 		console.log('='.repeat(60))
 
+		// 성공한 서버/태그의 기록 저장 (dry-run, check 모드에서는 메모리에만 기록됨)
+		this.manifest.save()
+
+		// atomic: 하나라도 실패하면 준비한 파일을 버리고, 모두 성공하면 한 번에 반영
+		if (this.output.atomic) {
+			if (results.failed.length > 0) {
+				const discarded = this.output.rollback()
+				console.warn(`↩️  실패한 단계가 있어 변경 사항을 반영하지 않았습니다. (${discarded}개 파일)`)
+				this.report.recordRollback()
+			} else {
+				const committed = this.output.commit()
+				if (committed > 0) {
+					console.log(`📦 변경 사항 반영: ${committed}개 파일`)
+				}
+			}
+		}
+
+		// check 모드면 달라진 파일 목록, dry-run이면 생성될 파일의 상태와 디스크 대비 diff 출력
+		if (this.checkMode) {
+			results.drift = this.getDrift()
+			this.report.recordDrift(results.drift)
+			this.printDrift(results.drift)
+		} else if (this.output.dryRun) {
+			this.output.printReport()
+		}
+
+		// 최종 검사 훅 (tsc 등) - 에러를 던지면 실행이 실패로 끝남
+		await this.runHook('afterAll', {
+			servers: targetServers,
+			results,
+			changes: this.output.getChanges(),
+		})
+
 		return results
 	}
 
+	// ========================================
+	// 생성 결과 검사 (--check)
+	// ========================================
+
+	/**
+	 * 다시 생성한 내용과 디스크의 파일이 다른 목록
+	 *
+	 * @returns {Array<{filePath: string, status: 'created'|'modified'|'deleted'}>}
+	 * created는 디스크에 없는 파일, modified는 내용이 다른 파일입니다.
+	 */
+	getDrift() {
+		return this.output
+			.getChanges()
+			.filter(({ status }) => status !== 'unchanged')
+			.map(({ filePath, status }) => ({ filePath: this.pathResolver.toRelativePath(filePath), status }))
+	}
+
+	/**
+	 * check 결과 출력
+	 */
+	printDrift(drift) {
+		const labels = { created: '누락', modified: '변경됨', deleted: '삭제 필요' }
+		const checked = this.output.getChanges().length
+
+		console.log('\n' + '='.repeat(60))
+
+		if (drift.length === 0) {
+			console.log(`✅ 생성 코드가 최신입니다. (${checked}개 파일 확인)`)
+		} else {
+			console.error(`❌ 생성 코드가 최신이 아닙니다: ${drift.length}/${checked}개 파일`)
+			drift.forEach(({ filePath, status }) => console.error(`   - [${labels[status]}] ${filePath}`))
+			console.error('💡 generate를 다시 실행하고 결과를 커밋하세요. (--dry-run으로 diff 확인)')
+		}
+
+		console.log('='.repeat(60))
+	}
+
 	/**
 	 * 단일 단계 실행
 	 */
@@ -207,53 +808,308 @@ export class Generator {
 		// servers가 없으면 자동 감지
 		const targetServers = servers || this.detectServers()
 
-		// 각 서버에 대해 실행
-		for (const server of targetServers) {
-			console.log(`   🔧 ${server} 처리 중...`)
-
-			try {
-				// 태그별로 실행해야 하는 generator인지 확인
-				const needsTags = ['generateEndpoints', 'generateDomainAPI', 'generateReactQueryHooks'].includes(
-					step.executor
-				)
+		// 각 서버에 대해 실행 (concurrency > 1이면 병렬, 출력은 서버별로 모아서 표시)
+		await runPool(targetServers, this.concurrency, (server) =>
+			this.runGrouped(async () => {
+				console.log(`   🔧 ${server} 처리 중...`)
 
-				if (needsTags) {
-					// tags.ts에서 태그 목록 읽기
-					const tags = this.readServerTags(server)
-					if (tags.length === 0) {
-						console.warn(`   ⚠️  ${server} 서버의 태그를 찾을 수 없습니다.`)
-						continue
-					}
+				// servers.{name} 덮어쓰기가 적용된 generator
+				const serverExecutor = this.getServerScope(server).generators[step.executor]
 
-					// 각 태그별로 실행
-					for (const tag of tags) {
-						const result = await executor.generate(server, tag)
-
-						// 결과가 문자열이면 파일로 저장
-						if (typeof result === 'string' && result.length > 0) {
-							const filePath = this.getOutputPath(step.executor, server, tag)
-							if (filePath) {
-								this.writeFile(filePath, result)
-							}
-						}
-					}
-				} else {
-					// 서버별로만 실행
-					const result = await executor.generate(server)
-
-					// 결과가 문자열이면 파일로 저장
-					if (typeof result === 'string' && result.length > 0) {
-						const filePath = this.getOutputPath(step.executor, server)
-						if (filePath) {
-							this.writeFile(filePath, result)
-						}
+				try {
+					// 태그별로 실행해야 하는 단계인지 확인
+					if (step.scope === 'tag') {
+						await this.executeTagStep(step, serverExecutor, server)
+					} else {
+						await this.executeServerStep(step, serverExecutor, server)
 					}
+				} catch (error) {
+					console.error(`   ❌ ${server} 처리 실패:`, error.message)
+					throw error
 				}
-			} catch (error) {
-				console.error(`   ❌ ${server} 처리 실패:`, error.message)
-				throw error
+			})
+		)
+	}
+
+	/**
+	 * 서버 단위 단계 실행 (입력이 이전 실행과 같으면 건너뜀)
+	 */
+	async executeServerStep(step, executor, server) {
+		const inputHash = this.getStepInputHash(step, server)
+		if (this.manifest.isFresh(server, step.id, null, inputHash)) {
+			console.log(`   ♻️  입력 변경 없음, 건너뜀`)
+			this.report.skipUnit(server)
+			return
+		}
+
+		await this.report.runUnit(server, null, async () => {
+			await this.runHook('beforeStep', { step: step.id, serverName: server, tagName: null })
+			const result = await executor.generate(server)
+			const files = await this.writeResult(step, result, server)
+			await this.runHook('afterStep', { step: step.id, serverName: server, tagName: null, files })
+
+			// 훅까지 성공한 경우에만 기록 (실패하면 다음 실행에서 다시 생성)
+			this.manifest.record(server, step.id, null, inputHash, files)
+
+			if (step.executor === 'generateTypes') {
+				this.recordSpecHash(server)
+			}
+		})
+	}
+
+	/**
+	 * 태그 단위 단계 실행 - tags.ts의 태그마다 실행 (입력이 이전 실행과 같으면 건너뜀)
+	 */
+	async executeTagStep(step, executor, server) {
+		const tags = this.readServerTags(server)
+		if (tags.length === 0) {
+			console.warn(`   ⚠️  ${server} 서버의 태그를 찾을 수 없습니다.`)
+			this.report.warning('서버의 태그를 찾을 수 없습니다.', { server })
+			return
+		}
+
+		const skippedTags = []
+		await runPool(tags, this.concurrency, (tag) => {
+			const inputHash = this.getStepInputHash(step, server, tag)
+			if (this.manifest.isFresh(server, step.id, tag, inputHash)) {
+				skippedTags.push(tag)
+				this.report.skipUnit(server, tag)
+				return
 			}
+
+			return this.runGrouped(() =>
+				this.report.runUnit(server, tag, async () => {
+					await this.runHook('beforeStep', { step: step.id, serverName: server, tagName: tag })
+					const result = await executor.generate(server, tag)
+					const files = await this.writeResult(step, result, server, tag)
+					await this.runHook('afterStep', { step: step.id, serverName: server, tagName: tag, files })
+
+					this.manifest.record(server, step.id, tag, inputHash, files)
+				})
+			)
+		})
+
+		if (skippedTags.length > 0) {
+			console.log(`   ♻️  입력 변경 없음, 건너뜀: ${skippedTags.length}/${tags.length}개 태그`)
 		}
+
+		// 스펙에서 사라진 태그의 기록 제거 (정리 단계에서 orphan으로 처리)
+		this.manifest.retainTags(server, step.id, tags)
+	}
+
+	/**
+	 * 병렬 실행 시 작업의 콘솔 출력을 모아서 한 번에 표시 (순차 실행이면 그대로 실행)
+	 */
+	runGrouped(task) {
+		return this.concurrency > 1 ? runBuffered(task) : task()
+	}
+
+	/**
+	 * generator 결과를 파일로 저장
+	 *
+	 * - 문자열: getOutputPath() 또는 플러그인 단계의 outputPath()의 경로에 저장
+	 * - 배열: [{ filePath, content }] 각각 저장 (여러 파일을 만드는 generator)
+	 * - 그 외(null 등): 저장하지 않음
+	 *
+	 * 저장 전에 플러그인의 transform으로 내용을 후처리하고,
+	 * 실제로 디스크에 쓴 경우 afterWrite 훅을 호출합니다.
+	 * 훅이 파일을 고쳐 쓰면 고친 내용을 다시 읽어 manifest에 기록합니다.
+	 *
+	 * @returns {Promise<Array<{filePath: string, content: string, generatedContent: string}>>}
+	 *   저장한 파일 목록 (manifest 기록용, content는 훅 실행 후 실제 내용)
+	 */
+	async writeResult(step, result, serverName, tagName = null) {
+		let files = []
+
+		if (Array.isArray(result)) {
+			files = result
+		} else if (typeof result === 'string' && result.length > 0) {
+			const outputPath = this.generators[step.executor]?.outputPath
+			const filePath = outputPath
+				? outputPath(this.createPluginContext(step, serverName, tagName))
+				: this.getOutputPath(step.executor, serverName, tagName)
+			if (filePath) {
+				files = [{ filePath, content: result }]
+			}
+		}
+
+		const hasAfterWrite = this.plugins.some((plugin) => plugin.hooks?.afterWrite)
+		const written = []
+		for (const file of files) {
+			const generatedContent = await this.applyTransforms(step, file, serverName, tagName)
+
+			// dry-run/check에서는 afterWrite 훅을 실행하지 않으므로 이전 실행에서 훅이 고쳐 쓴 내용과 비교
+			const content = (this.output.dryRun && this.manifest.getRewrittenContent(file.filePath, generatedContent)) || generatedContent
+			const status = this.writeFile(file.filePath, content)
+
+			if (this.output.dryRun || !hasAfterWrite) {
+				written.push({ filePath: file.filePath, content, generatedContent })
+				continue
+			}
+
+			// targetPath는 항상 최종 위치, absolutePath는 지금 읽고 쓸 수 있는 위치 (atomic 모드에서는 stagedPath)
+			const targetPath = this.output.toAbsolutePath(file.filePath)
+			const absolutePath = this.output.getPhysicalPath(file.filePath)
+			await this.runHook('afterWrite', {
+				step: step.id,
+				serverName,
+				tagName,
+				filePath: this.output.toRelativePath(targetPath),
+				absolutePath,
+				targetPath,
+				stagedPath: absolutePath === targetPath ? null : absolutePath,
+				content,
+				status,
+			})
+
+			// 훅이 파일을 고쳐 썼으면 (포맷터 등) 실제 파일 내용을 manifest에 기록
+			written.push({ filePath: file.filePath, content: this.output.reload(file.filePath) ?? content, generatedContent })
+		}
+
+		return written
+	}
+
+	/**
+	 * 플러그인 transform 적용 (등록 순서대로, 문자열을 반환하면 내용 교체)
+	 */
+	async applyTransforms(step, { filePath, content }, serverName, tagName) {
+		for (const plugin of this.plugins) {
+			if (!plugin.transform) continue
+
+			const transformed = await plugin.transform({
+				step: step.id,
+				serverName,
+				tagName,
+				filePath: this.pathResolver.toRelativePath(this.output.toAbsolutePath(filePath)),
+				content,
+			}, this.createPluginContext(step, serverName, tagName))
+
+			if (typeof transformed === 'string') {
+				content = transformed
+			}
+		}
+
+		return content
+	}
+
+	// ========================================
+	// 증분 생성 (manifest)
+	// ========================================
+
+	/**
+	 * 단계 입력 해시 - 이전 실행과 같으면 생성을 건너뜀
+	 *
+	 * 설정과 toolkit 버전은 manifest 전체 단위로 비교하므로 여기에는 포함하지 않습니다.
+	 *
+	 * @param {Object} step - 단계 정의
+	 * @param {string} serverName - 서버 이름
+	 * @param {string|null} tagName - 태그 이름
+	 * @returns {string|null} 입력 해시 (null이면 항상 실행)
+	 */
+	getStepInputHash(step, serverName, tagName = null) {
+		const readIfExists = (filePath) => (this.output.exists(filePath) ? this.output.read(filePath) : '')
+		const { pathResolver } = this.getServerScope(serverName)
+		const validatedPath = pathResolver.getValidatedTypesPath(serverName)
+
+		// 플러그인 단계는 입력을 알 수 없으므로 항상 실행
+		if (step.plugin) return null
+
+		switch (step.executor) {
+			case 'generateTypes':
+				// 원본 소스(URL 등)를 읽어야 변경 여부를 알 수 있으므로 항상 실행
+				return null
+
+			case 'generateEndpoints':
+				return hashContent(this.getTagSpecSection(serverName, tagName))
+
+			case 'generateDomainAPI':
+				return hashContent(this.getTagSpecSection(serverName, tagName), readIfExists(validatedPath))
+
+			case 'generateReactQueryHooks':
+				return hashContent(
+					this.getTagSpecSection(serverName, tagName),
+					readIfExists(validatedPath),
+					readIfExists(this.getOutputPath('generateDomainAPI', serverName, tagName))
+				)
+
+			default:
+				return hashContent(readIfExists(pathResolver.getSpecPath(serverName)))
+		}
+	}
+
+	/**
+	 * 태그에 속한 operation들의 스펙 (태그 단위 입력 해시용)
+	 */
+	getTagSpecSection(serverName, tagName) {
+		const { pathResolver, naming } = this.getServerScope(serverName)
+		const specPath = pathResolver.getSpecPath(serverName)
+		if (!this.output.exists(specPath)) return []
+
+		const model = loadSpecModel(specPath, this.output.readFile)
+
+		return naming.getTagOperations(model, serverName, tagName).map(({ path, method }) => {
+			const pathItem = model.document.paths[path]
+			return [path, method, pathItem[method], pathItem.parameters]
+		})
+	}
+
+	/**
+	 * 이전 실행에서 생성했지만 이번에는 생성하지 않은 파일 삭제 (dry-run/check에서는 보고만)
+	 *
+	 * manifest에 기록된 파일만 대상으로 하며, 생성 이후 직접 수정된 파일은 삭제하지 않습니다.
+	 *
+	 * @returns {string[]} 삭제한 파일 경로 (projectRoot 기준)
+	 */
+	pruneOrphans() {
+		const orphans = this.manifest.getOrphans().filter(({ filePath }) => this.output.exists(filePath))
+		if (orphans.length === 0) return []
+
+		console.log(`\n🧹 더 이상 생성되지 않는 파일 정리: ${orphans.length}개`)
+
+		const pruned = []
+
+		for (const { filePath, hash } of orphans) {
+			if (hashContent(this.output.read(filePath)) !== hash) {
+				console.warn(`   ⚠️  생성 후 직접 수정된 파일이므로 삭제하지 않습니다: ${filePath}`)
+				this.report.warning(`생성 후 직접 수정된 파일이므로 삭제하지 않습니다: ${filePath}`)
+				continue
+			}
+
+			this.output.remove(filePath)
+			pruned.push(filePath)
+			console.log(`   🗑️  ${this.output.dryRun ? '삭제 예정' : '삭제'}: ${filePath}`)
+		}
+
+		return pruned
+	}
+
+	/**
+	 * types 단계 후 스펙 해시 기록 및 변경 여부 출력
+	 */
+	recordSpecHash(serverName) {
+		const specPath = this.getServerScope(serverName).pathResolver.getSpecPath(serverName)
+		if (!this.output.exists(specPath)) return
+
+		const specHash = hashContent(this.output.read(specPath))
+		if (this.manifest.reusable && this.manifest.getPreviousSpecHash(serverName) === specHash) {
+			console.log(`   ♻️  ${serverName} 스펙 변경 없음`)
+		}
+
+		this.manifest.recordSpecHash(serverName, specHash)
+	}
+
+	/**
+	 * validated.ts에서 Response 타입이 any인 operation 목록
+	 *
+	 * TypeGenerator가 응답 타입을 추출하지 못하면 `{operationId}_Response = any`로 생성합니다.
+	 */
+	collectAnyFallbacks(serverName) {
+		const validatedPath = this.getServerScope(serverName).pathResolver.getValidatedTypesPath(serverName)
+		if (!this.output.exists(validatedPath)) return []
+
+		return [...this.output.read(validatedPath).matchAll(/^export type (\w+)_Response = any;$/gm)].map(
+			([, operationId]) => operationId
+		)
 	}
 
 	/**
@@ -261,10 +1117,8 @@ export class Generator {
 	 */
 	readServerTags(serverName) {
 		try {
-			const tagsPath = this.pathResolver.resolvePath(this.config.fileGeneration.domainTypes + '/../tags.ts', {
-				serverName,
-			})
-			const content = readFileSync(tagsPath, 'utf-8')
+			const tagsPath = this.getOutputPath('generateTags', serverName)
+			const content = this.output.read(tagsPath)
 
 			// AUTH_TAGS = ['auth', 'device', ...] 패턴에서 추출
 			const tagsMatch = content.match(/export const [A-Z_]+_TAGS = \[([\s\S]*?)\] as const/)
@@ -277,6 +1131,7 @@ export class Generator {
 			return tagMatches.map((match) => match.slice(1, -1))
 		} catch (error) {
 			console.warn(`   ⚠️  ${serverName} tags.ts 읽기 실패:`, error.message)
+			this.report.warning(`tags.ts 읽기 실패: ${error.message}`, { server: serverName })
 			return []
 		}
 	}
@@ -285,52 +1140,53 @@ export class Generator {
 	 * 단계별 출력 파일 경로 결정
 	 */
 	getOutputPath(executorName, serverName, tagName = null) {
-		const fileConfig = this.config.fileGeneration?.files || {}
+		const { config, pathResolver } = this.getServerScope(serverName)
+		const fileConfig = config.fileGeneration?.files || {}
 
 		switch (executorName) {
 			case 'generateTypes':
-				// schema.d.ts는 openapi-typescript가 생성하므로 여기서는 건너뜀
+				// openapi.json, schema.d.ts는 SchemaGenerator가 파일 목록으로 반환하므로 여기서는 건너뜀
 				return null
 
 			case 'generateTags':
 				// src/domains/{serverName}/tags.ts
-				return this.pathResolver.resolvePath(
-					this.config.fileGeneration.domainTypes + '/../tags.ts',
+				return pathResolver.resolvePath(
+					config.fileGeneration.domainTypes + '/../tags.ts',
 					{ serverName }
 				)
 
 			case 'generateValidatedTypes':
 				// src/domains/{serverName}/types/validated.ts
-				return this.pathResolver.resolvePath(
-					this.config.fileGeneration.domainTypes + '/' + fileConfig.validated,
+				return pathResolver.resolvePath(
+					config.fileGeneration.domainTypes + '/' + fileConfig.validated,
 					{ serverName }
 				)
 
 			case 'generateDeepSchema':
 				// src/domains/{serverName}/types/deepSchema.ts
-				return this.pathResolver.resolvePath(
-					this.config.fileGeneration.domainTypes + '/' + fileConfig.deepSchema,
+				return pathResolver.resolvePath(
+					config.fileGeneration.domainTypes + '/' + fileConfig.deepSchema,
 					{ serverName }
 				)
 
 			case 'generateEndpoints':
 				// src/domains/{serverName}/api/{tagName}/endpoint.ts
 				if (!tagName) return null
-				return this.pathResolver.resolvePath(
-					this.config.fileGeneration.apiEndpoints + '/{tagName}/' + fileConfig.endpoint,
+				return pathResolver.resolvePath(
+					config.fileGeneration.apiEndpoints + '/{tagName}/' + fileConfig.endpoint,
 					{ serverName, tagName }
 				)
 
 			case 'generateDomainAPI':
 				// src/domains/{serverName}/api/{tagName}/{tagName}API.ts
 				if (!tagName) return null
-				return this.pathResolver.resolvePath(
-					this.config.fileGeneration.apiEndpoints + '/{tagName}/' + fileConfig.domainApi,
+				return pathResolver.resolvePath(
+					config.fileGeneration.apiEndpoints + '/{tagName}/' + fileConfig.domainApi,
 					{ serverName, tagName }
 				)
 
 			case 'generateReactQueryHooks':
-				// ReactQueryGenerator 내부에서 2개 파일 생성하므로 null 반환
+				// ReactQueryGenerator가 2개 파일을 목록으로 반환하므로 null 반환
 				return null
 
 			default:
@@ -339,50 +1195,35 @@ export class Generator {
 	}
 
 	/**
-	 * 서버 자동 감지 (임시 - TODO: 실제 구현 필요)
+	 * 서버 자동 감지 (환경 변수, 설정 파일, 서버 인스턴스 폴더)
+	 * include/exclude 필터를 적용하고 감지 결과를 출력합니다.
 	 */
 	detectServers() {
-		// TODO: universalAutoDetect.js 로직 통합 필요
-		return ['auth', 'content'] // 임시
+		const result = this.serverDetector.detect()
+		this.serverDetector.printResult(result)
+		return result.servers.map((server) => server.name)
 	}
 
 	/**
 	 * 단일 서버 생성
+	 *
+	 * @param {string} serverName - 서버 이름
+	 * @param {Object} options - generateAll과 동일한 옵션
 	 */
-	async generateServer(serverName) {
+	async generateServer(serverName, options = {}) {
 		console.log(`🚀 ${serverName} 서버 생성 시작...`)
 
-		const enabledSteps = this.getEnabledSteps()
-
-		for (const step of enabledSteps) {
-			try {
-				console.log(`\n📋 ${step.name}`)
-
-				if (this.generators[step.executor]) {
-					await this.executeStep(step, [serverName])
-					console.log(`✅ ${step.name} 완료!`)
-				}
-			} catch (error) {
-				console.error(`❌ ${step.name} 실패:`, error.message)
-
-				if (step.required) {
-					throw error
-				}
-			}
-		}
+		const results = await this.generateAll([serverName], options)
 
 		console.log(`\n✅ ${serverName} 서버 생성 완료!`)
+		return results
 	}
 
 	/**
-	 * 특정 단계만 실행
+	 * 특정 단계만 실행 (선행 단계는 실행하지 않음)
 	 */
 	async generateStep(stepName, servers = null) {
-		const step = this.steps.find((s) => s.executor === stepName || s.name === stepName)
-
-		if (!step) {
-			throw new Error(`Step not found: ${stepName}`)
-		}
+		const step = this.findStep(stepName)
 
 		console.log(`🚀 ${step.name} 실행...`)
 
@@ -392,25 +1233,30 @@ export class Generator {
 	}
 
 	/**
-	 * 파일 쓰기 헬퍼
+	 * 파일 쓰기 헬퍼 (OutputSink 경유, 내용이 같으면 건너뜀)
 	 */
 	writeFile(filePath, content) {
-		const dir = dirname(filePath)
-
-		if (!existsSync(dir)) {
-			mkdirSync(dir, { recursive: true })
+		const status = this.output.write(filePath, content)
+		const relativePath = this.pathResolver.toRelativePath(this.output.toAbsolutePath(filePath))
+		this.report.recordFile(relativePath, status)
+
+		if (status === 'unchanged') {
+			console.log(`   ⏭️  변경 없음: ${relativePath}`)
+		} else if (this.output.dryRun) {
+			console.log(`   🧪 ${status === 'created' ? '생성 예정' : '수정 예정'}: ${relativePath}`)
+		} else {
+			console.log(`   💾 ${status === 'created' ? '생성' : '수정'}: ${relativePath}`)
 		}
 
-		writeFileSync(filePath, content, 'utf-8')
-		console.log(`   💾 생성: ${filePath}`)
+		return status
 	}
 }
 
 /**
  * Generator 인스턴스 생성 헬퍼
  */
-export function createGenerator(config, pathResolver, importResolver, naming, generators) {
-	return new Generator(config, pathResolver, importResolver, naming, generators)
+export function createGenerator(config, pathResolver, importResolver, naming, generators, options = {}) {
+	return new Generator(config, pathResolver, importResolver, naming, generators, options)
 }
 
 export default Generator
@@ -0,0 +1,579 @@
+#!/usr/bin/env node
+
+/**
+ * 📤 OutputSink - 생성 파일 출력 관리
+ *
+ * 모든 generator의 파일 읽기/쓰기가 이 클래스를 거칩니다.
+ * 일반 모드에서는 디스크에 쓰고, dry-run 모드에서는 메모리에만 보관합니다.
+ *
+ * @description
+ * - 내용이 같으면 쓰지 않음 (mtime 유지)
+ * - 파일별 변경 상태 기록 (created, modified, unchanged, deleted)
+ * - dry-run 모드: 메모리 가상 파일 시스템 + 디스크 대비 unified diff 출력
+ * - 이전 단계의 출력(openapi.json, tags.ts, validated.ts 등)을 같은 sink에서 읽어
+ *   dry-run에서도 단계 간 입력이 이어짐
+ * - 디스크 읽기 캐시: 태그마다 같은 validated.ts, openapi.json을 다시 읽지 않음
+ * - atomic 모드: 임시 디렉토리에 준비한 뒤 commit()에서 한 번에 이동, 실패하면 rollback()
+ *   (임시 파일은 projectRoot 기준 상대 경로를 그대로 사용하므로 확장자가 유지됨)
+ */
+
+import {
+	existsSync,
+	mkdirSync,
+	mkdtempSync,
+	readdirSync,
+	readFileSync,
+	renameSync,
+	rmdirSync,
+	rmSync,
+	statSync,
+	writeFileSync,
+} from 'fs'
+import { basename, dirname, isAbsolute, join, relative, resolve, sep } from 'path'
+import { createTwoFilesPatch } from 'diff'
+import chalk from 'chalk'
+
+/**
+ * 변경 상태별 표시 기호
+ */
+const STATUS_SYMBOLS = {
+	created: '+',
+	modified: '~',
+	unchanged: '=',
+	deleted: '-',
+}
+
+/**
+ * 변경 상태별 표시 이름
+ */
+const STATUS_LABELS = {
+	created: '생성',
+	modified: '수정',
+	unchanged: '변경 없음',
+	deleted: '삭제',
+}
+
+/**
+ * OutputSink 클래스
+ *
+ * @class
+ * @description 디스크 또는 메모리로 파일을 출력하고 변경 내역을 추적
+ */
+export class OutputSink {
+	/**
+	 * @param {Object} options - 옵션
+	 * @param {boolean} options.dryRun - 메모리에만 기록 (기본: false)
+	 * @param {boolean} options.atomic - 임시 디렉토리에 준비 후 commit()에서 반영 (기본: false)
+	 * @param {string} options.projectRoot - 상대 경로 기준 디렉토리 (기본: process.cwd())
+	 */
+	constructor({ dryRun = false, atomic = false, projectRoot = process.cwd() } = {}) {
+		this.dryRun = dryRun
+		this.atomic = atomic && !dryRun
+		this.projectRoot = projectRoot
+
+		// dry-run 가상 파일 시스템: 절대 경로 → 내용 (삭제된 파일은 null)
+		this.files = new Map()
+
+		// 절대 경로 → { filePath, status, before, after }
+		this.changes = new Map()
+
+		// 디스크 읽기 캐시: 절대 경로 → 내용 (쓰기/삭제 시 무효화)
+		this.readCache = new Map()
+
+		// atomic 모드: 절대 경로 → 임시 파일 경로 (삭제 예정이면 null)
+		this.staged = new Map()
+		this.stagingDir = null
+		// projectRoot 밖의 파일을 준비할 번호 디렉토리
+		this.stagedCount = 0
+
+		// commit()으로 이동한 파일의 백업 (rollback용): { absolutePath, backupPath }
+		this.applied = []
+
+		// loadSpecModel 등 readFile 콜백이 필요한 곳에 그대로 전달하기 위한 바인딩
+		this.readFile = (filePath) => this.read(filePath)
+	}
+
+	// ========================================
+	// 1. 읽기
+	// ========================================
+
+	/**
+	 * 파일 존재 여부 (dry-run에서는 메모리 우선)
+	 *
+	 * @param {string} filePath - 파일 경로
+	 * @returns {boolean} 존재 여부
+	 */
+	exists(filePath) {
+		const absolutePath = this.toAbsolutePath(filePath)
+
+		if (this.files.has(absolutePath)) {
+			return this.files.get(absolutePath) !== null
+		}
+
+		if (this.staged.has(absolutePath)) {
+			return this.staged.get(absolutePath) !== null
+		}
+
+		return existsSync(absolutePath)
+	}
+
+	/**
+	 * 파일 읽기 (dry-run에서는 메모리 우선)
+	 *
+	 * @param {string} filePath - 파일 경로
+	 * @returns {string} 파일 내용
+	 * @throws {Error} 파일이 없는 경우
+	 */
+	read(filePath) {
+		const absolutePath = this.toAbsolutePath(filePath)
+
+		if (this.files.has(absolutePath)) {
+			const content = this.files.get(absolutePath)
+			if (content === null) {
+				throw new Error(`ENOENT: 파일이 삭제되었습니다: ${filePath}`)
+			}
+			return content
+		}
+
+		if (this.staged.get(absolutePath) === null) {
+			throw new Error(`ENOENT: 파일이 삭제되었습니다: ${filePath}`)
+		}
+
+		if (!this.readCache.has(absolutePath)) {
+			this.readCache.set(absolutePath, readFileSync(this.getPhysicalPath(absolutePath), 'utf-8'))
+		}
+
+		return this.readCache.get(absolutePath)
+	}
+
+	/**
+	 * 파일 수정 시간 (단계 재사용 판단용)
+	 *
+	 * dry-run에서 메모리에 쓴 파일은 방금 쓴 것으로 보고 현재 시각을 반환하고,
+	 * atomic 모드에서 준비 중인 파일은 임시 파일의 수정 시간을 반환합니다.
+	 *
+	 * @param {string} filePath - 파일 경로
+	 * @returns {number|null} mtimeMs (파일이 없으면 null)
+	 */
+	getModifiedTime(filePath) {
+		const absolutePath = this.toAbsolutePath(filePath)
+		if (!this.exists(absolutePath)) return null
+
+		if (this.files.has(absolutePath)) {
+			return Date.now()
+		}
+
+		try {
+			return statSync(this.getPhysicalPath(absolutePath)).mtimeMs
+		} catch {
+			return null
+		}
+	}
+
+	/**
+	 * 디스크 읽기 캐시 비우기 (watch 등으로 같은 sink를 다시 사용할 때)
+	 */
+	clearCache() {
+		this.readCache.clear()
+	}
+
+	/**
+	 * 새 실행 준비 - 읽기 캐시, dry-run 메모리 파일, 변경 내역 초기화
+	 *
+	 * watch 모드처럼 같은 sink로 여러 번 생성할 때 이전 실행의 결과가 섞이지 않도록 합니다.
+	 */
+	reset() {
+		this.clearCache()
+		this.files.clear()
+		this.changes.clear()
+	}
+
+	// ========================================
+	// 2. 쓰기 / 삭제
+	// ========================================
+
+	/**
+	 * 파일 쓰기 - 내용이 같으면 건너뜀
+	 *
+	 * @param {string} filePath - 파일 경로
+	 * @param {string} content - 파일 내용
+	 * @param {Object} options - 옵션
+	 * @param {boolean} options.track - 변경 내역에 기록 (기본: true, manifest 등 내부 파일은 false)
+	 * @returns {'created'|'modified'|'unchanged'} 변경 상태
+	 */
+	write(filePath, content, { track = true } = {}) {
+		const absolutePath = this.toAbsolutePath(filePath)
+		const previous = this.exists(absolutePath) ? this.read(absolutePath) : null
+
+		if (previous === content) {
+			return track ? this.recordChange(absolutePath, previous, content) : 'unchanged'
+		}
+
+		if (this.dryRun) {
+			this.files.set(absolutePath, content)
+		} else if (this.atomic) {
+			const stagedPath = this.staged.get(absolutePath) || this.createStagedPath(absolutePath)
+			mkdirSync(dirname(stagedPath), { recursive: true })
+			writeFileSync(stagedPath, content, 'utf-8')
+			this.staged.set(absolutePath, stagedPath)
+			this.readCache.set(absolutePath, content)
+		} else {
+			const dir = dirname(absolutePath)
+			if (!existsSync(dir)) {
+				mkdirSync(dir, { recursive: true })
+			}
+			writeFileSync(absolutePath, content, 'utf-8')
+			this.readCache.set(absolutePath, content)
+		}
+
+		if (!track) {
+			return previous === null ? 'created' : 'modified'
+		}
+
+		return this.recordChange(absolutePath, previous, content)
+	}
+
+	/**
+	 * 파일 삭제 - 삭제 후 비게 된 상위 디렉토리도 projectRoot 전까지 함께 삭제
+	 *
+	 * @param {string} filePath - 파일 경로
+	 * @returns {'deleted'|null} 변경 상태 (파일이 없으면 null)
+	 */
+	remove(filePath) {
+		const absolutePath = this.toAbsolutePath(filePath)
+		if (!this.exists(absolutePath)) return null
+
+		const previous = this.read(absolutePath)
+
+		if (this.dryRun) {
+			this.files.set(absolutePath, null)
+		} else if (this.atomic) {
+			if (this.staged.get(absolutePath)) {
+				rmSync(this.staged.get(absolutePath), { force: true })
+			}
+			this.staged.set(absolutePath, null)
+			this.readCache.delete(absolutePath)
+		} else {
+			rmSync(absolutePath, { force: true })
+			this.readCache.delete(absolutePath)
+			this.removeEmptyDirs(dirname(absolutePath))
+		}
+
+		return this.recordChange(absolutePath, previous, null)
+	}
+
+	/**
+	 * 쓴 뒤 외부에서 고친 파일을 다시 읽어 캐시와 변경 내역에 반영 (afterWrite 훅의 포맷팅 등)
+	 *
+	 * @param {string} filePath - 파일 경로
+	 * @returns {string|null} 현재 내용 (파일이 없으면 null)
+	 */
+	reload(filePath) {
+		const absolutePath = this.toAbsolutePath(filePath)
+		if (this.dryRun) {
+			return this.exists(absolutePath) ? this.read(absolutePath) : null
+		}
+
+		this.readCache.delete(absolutePath)
+		const content = this.exists(absolutePath) && existsSync(this.getPhysicalPath(absolutePath)) ? this.read(absolutePath) : null
+
+		if (this.changes.has(absolutePath)) {
+			this.recordChange(absolutePath, null, content)
+		}
+
+		return content
+	}
+
+	/**
+	 * 실제로 내용이 있는 경로 (atomic 모드에서 준비 중인 파일은 임시 파일 경로)
+	 *
+	 * @param {string} filePath - 파일 경로
+	 * @returns {string} 절대 경로
+	 */
+	getPhysicalPath(filePath) {
+		const absolutePath = this.toAbsolutePath(filePath)
+		return this.staged.get(absolutePath) || absolutePath
+	}
+
+	/**
+	 * 빈 디렉토리를 projectRoot 전까지 위로 올라가며 삭제
+	 */
+	removeEmptyDirs(dir) {
+		while (dir.startsWith(this.projectRoot + sep) && existsSync(dir) && readdirSync(dir).length === 0) {
+			rmdirSync(dir)
+			dir = dirname(dir)
+		}
+	}
+
+	/**
+	 * 변경 내역 기록 - 같은 파일을 여러 번 쓰면 첫 쓰기 이전 내용 대비 최종 상태로 계산
+	 */
+	recordChange(absolutePath, previous, content) {
+		const existing = this.changes.get(absolutePath)
+		const before = existing ? existing.before : previous
+
+		let status
+		if (content === null) {
+			status = before === null ? 'unchanged' : 'deleted'
+		} else if (before === null) {
+			status = 'created'
+		} else {
+			status = before === content ? 'unchanged' : 'modified'
+		}
+
+		this.changes.set(absolutePath, {
+			filePath: absolutePath,
+			status,
+			before,
+			after: content,
+		})
+
+		return status
+	}
+
+	// ========================================
+	// 3. atomic 반영 / 되돌리기
+	// ========================================
+
+	/**
+	 * 준비한 파일을 제자리로 이동 (atomic 모드)
+	 *
+	 * 기존 파일은 임시 디렉토리에 백업하고, 이동 중 실패하면 모두 되돌립니다.
+	 * 백업은 finalize() 또는 rollback()을 호출할 때까지 유지됩니다.
+	 *
+	 * @returns {number} 반영한 파일 수
+	 * @throws {Error} 이동에 실패한 경우 (디스크는 이전 상태로 복구됨)
+	 */
+	commit() {
+		if (this.staged.size === 0) return 0
+
+		const backupDir = join(this.getStagingDir(), 'backup')
+		mkdirSync(backupDir, { recursive: true })
+
+		try {
+			for (const [absolutePath, stagedPath] of this.staged) {
+				let backupPath = null
+				if (existsSync(absolutePath)) {
+					backupPath = join(backupDir, String(this.applied.length))
+					renameSync(absolutePath, backupPath)
+				}
+				this.applied.push({ absolutePath, backupPath })
+
+				if (stagedPath !== null) {
+					mkdirSync(dirname(absolutePath), { recursive: true })
+					renameSync(stagedPath, absolutePath)
+				}
+			}
+		} catch (error) {
+			this.rollback()
+			throw new Error(`생성 파일 반영 실패, 이전 상태로 되돌렸습니다: ${error.message}`)
+		}
+
+		const count = this.staged.size
+		this.staged.forEach((stagedPath, absolutePath) => {
+			if (stagedPath === null) {
+				this.removeEmptyDirs(dirname(absolutePath))
+			}
+		})
+		this.staged.clear()
+
+		return count
+	}
+
+	/**
+	 * 준비한 파일 폐기 + commit()으로 이동한 파일 복구
+	 *
+	 * @returns {number} 되돌린 파일 수 (준비 중이던 파일 + 복구한 파일)
+	 */
+	rollback() {
+		const count = this.staged.size + this.applied.length
+
+		this.applied.reverse().forEach(({ absolutePath, backupPath }) => {
+			rmSync(absolutePath, { force: true })
+			if (backupPath) {
+				mkdirSync(dirname(absolutePath), { recursive: true })
+				renameSync(backupPath, absolutePath)
+			} else {
+				this.removeEmptyDirs(dirname(absolutePath))
+			}
+		})
+
+		this.staged.clear()
+		this.applied = []
+		this.readCache.clear()
+		this.removeStagingDir()
+
+		return count
+	}
+
+	/**
+	 * commit() 이후 백업과 임시 디렉토리 삭제 (더 이상 되돌리지 않음)
+	 */
+	finalize() {
+		this.applied = []
+		this.removeStagingDir()
+	}
+
+	/**
+	 * 파일을 준비할 임시 경로
+	 *
+	 * projectRoot 안의 파일은 상대 경로 그대로 (files/src/domains/auth/tags.ts),
+	 * 밖의 파일은 번호 디렉토리 아래에 파일 이름만 유지합니다.
+	 * afterWrite 훅의 포맷터 등이 확장자로 파일 종류를 판단할 수 있도록 합니다.
+	 *
+	 * @param {string} absolutePath - 최종 절대 경로
+	 * @returns {string} 임시 파일 절대 경로
+	 */
+	createStagedPath(absolutePath) {
+		const relativePath = this.toRelativePath(absolutePath)
+
+		if (relativePath === '..' || relativePath.startsWith(`..${sep}`) || isAbsolute(relativePath)) {
+			return join(this.getStagingDir(), 'external', String(this.stagedCount++), basename(absolutePath))
+		}
+
+		return join(this.getStagingDir(), 'files', relativePath)
+	}
+
+	/**
+	 * 임시 디렉토리 (같은 파일 시스템에서 rename할 수 있도록 projectRoot 아래에 생성)
+	 */
+	getStagingDir() {
+		if (!this.stagingDir) {
+			this.stagingDir = mkdtempSync(join(this.projectRoot, '.openapi-codegen-staging-'))
+		}
+		return this.stagingDir
+	}
+
+	removeStagingDir() {
+		if (this.stagingDir) {
+			rmSync(this.stagingDir, { recursive: true, force: true })
+			this.stagingDir = null
+		}
+	}
+
+	// ========================================
+	// 4. 변경 내역
+	// ========================================
+
+	/**
+	 * 변경 내역 목록
+	 *
+	 * @param {string|null} status - 특정 상태만 조회 (선택)
+	 * @returns {Array<{filePath: string, status: string, before: string|null, after: string|null}>}
+	 */
+	getChanges(status = null) {
+		const changes = Array.from(this.changes.values()).sort((a, b) => a.filePath.localeCompare(b.filePath))
+		return status ? changes.filter((change) => change.status === status) : changes
+	}
+
+	/**
+	 * 상태별 파일 수
+	 *
+	 * @returns {{created: number, modified: number, unchanged: number, deleted: number}}
+	 */
+	getSummary() {
+		const summary = { created: 0, modified: 0, unchanged: 0, deleted: 0 }
+		this.getChanges().forEach(({ status }) => summary[status]++)
+		return summary
+	}
+
+	/**
+	 * 변경 파일의 unified diff (디스크 → 생성 결과)
+	 *
+	 * @param {Object} change - getChanges()의 항목
+	 * @returns {string} unified diff 문자열
+	 */
+	createDiff(change) {
+		const relativePath = this.toRelativePath(change.filePath)
+
+		return createTwoFilesPatch(
+			change.before === null ? '/dev/null' : `a/${relativePath}`,
+			change.after === null ? '/dev/null' : `b/${relativePath}`,
+			change.before || '',
+			change.after || ''
+		)
+	}
+
+	/**
+	 * 변경 요약과 파일별 diff 출력
+	 *
+	 * @param {Object} options - 옵션
+	 * @param {boolean} options.showDiff - diff 출력 여부 (기본: true)
+	 */
+	printReport({ showDiff = true } = {}) {
+		const summary = this.getSummary()
+		const changes = this.getChanges()
+
+		console.log('\n' + '='.repeat(60))
+		console.log(`🧪 ${this.dryRun ? 'Dry-run 결과 (디스크에 쓰지 않음)' : '출력 결과'}`)
+		console.log(
+			`📊 ${Object.entries(summary)
+				.map(([status, count]) => `${STATUS_LABELS[status]} ${count}`)
+				.join(', ')}`
+		)
+
+		changes.forEach(({ filePath, status }) => {
+			console.log(`   ${STATUS_SYMBOLS[status]} [${STATUS_LABELS[status]}] ${this.toRelativePath(filePath)}`)
+		})
+
+		if (showDiff) {
+			changes
+				.filter(({ status }) => status !== 'unchanged')
+				.forEach((change) => {
+					console.log('')
+					console.log(colorizeDiff(this.createDiff(change).trimEnd()))
+				})
+		}
+
+		console.log('='.repeat(60))
+	}
+
+	// ========================================
+	// 5. 경로 유틸리티
+	// ========================================
+
+	/**
+	 * projectRoot 기준 절대 경로
+	 */
+	toAbsolutePath(filePath) {
+		return resolve(this.projectRoot, filePath)
+	}
+
+	/**
+	 * projectRoot 기준 상대 경로
+	 */
+	toRelativePath(filePath) {
+		return relative(this.projectRoot, filePath)
+	}
+}
+
+/**
+ * unified diff 색상 적용 (TTY가 아니면 chalk가 자동으로 색상 제거)
+ *
+ * @param {string} patch - unified diff 문자열
+ * @returns {string} 색상이 적용된 diff
+ */
+function colorizeDiff(patch) {
+	return patch
+		.split('\n')
+		.map((line) => {
+			if (line.startsWith('+++') || line.startsWith('---')) return chalk.bold(line)
+			if (line.startsWith('+')) return chalk.green(line)
+			if (line.startsWith('-')) return chalk.red(line)
+			if (line.startsWith('@@')) return chalk.cyan(line)
+			return line
+		})
+		.join('\n')
+}
+
+/**
+ * OutputSink 인스턴스 생성 헬퍼
+ *
+ * @param {Object} options - OutputSink 옵션
+ * @returns {OutputSink} OutputSink 인스턴스
+ */
+export function createOutputSink(options = {}) {
+	return new OutputSink(options)
+}
+
+export default OutputSink
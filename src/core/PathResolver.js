@@ -136,6 +136,20 @@ export class PathResolver {
 		return this.toAbsolutePath(resolved)
 	}
 
+	/**
+	 * 원본 OpenAPI 문서 스냅샷 경로 (openapi.json)
+	 *
+	 * types 단계가 스펙을 이 파일에 저장하고, 이후 단계들은 이 파일에서 모델을 만듭니다.
+	 *
+	 * @param {string} serverName - 서버 이름
+	 * @returns {string} openapi.json 파일의 절대 경로
+	 */
+	getSpecPath(serverName) {
+		const typesDir = this.getDomainTypesDir(serverName)
+		const filename = this.fileGeneration.files?.spec || 'openapi.json'
+		return join(typesDir, filename)
+	}
+
 	/**
 	 * schema.d.ts 파일 경로
 	 *
@@ -319,6 +333,15 @@ export class PathResolver {
 		return join(this.projectRoot, 'scripts/api/openapi-codegen.config.json')
 	}
 
+	/**
+	 * 증분 생성 manifest 파일 경로
+	 *
+	 * @returns {string} manifest.json 파일의 절대 경로
+	 */
+	getManifestPath() {
+		return this.toAbsolutePath(this.fileGeneration.manifest || '.openapi-codegen/manifest.json')
+	}
+
 	/**
 	 * .env 파일 경로
 	 *
@@ -369,6 +392,7 @@ export class PathResolver {
 
 			// Types
 			typesDir: this.getDomainTypesDir(serverName),
+			specPath: this.getSpecPath(serverName),
 			schemaPath: this.getSchemaPath(serverName),
 			validatedPath: this.getValidatedTypesPath(serverName),
 			deepSchemaPath: this.getDeepSchemaPath(serverName),
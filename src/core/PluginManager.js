@@ -0,0 +1,273 @@
+#!/usr/bin/env node
+
+/**
+ * 🧩 PluginManager - 커스텀 생성 단계 플러그인
+ *
+ * 설정의 `plugins`에 지정한 모듈을 로드하여 Generator에 단계를 추가합니다.
+ * toolkit을 fork하지 않고 팀 전용 출력(zod 스키마, msw 핸들러 등)을 만들 수 있습니다.
+ *
+ * @description
+ * - 설정: `plugins: ['./codegen/zodPlugin.mjs', { path: 'codegen-plugin-msw', options: {...} }]`
+ * - 상대 경로는 설정 파일 위치 기준, 패키지 이름은 프로젝트의 node_modules 기준으로 해석
+ * - 모듈의 default export는 플러그인 객체 또는 `(options) => 플러그인` 함수
+ * - 생성 과정 훅: 플러그인의 `hooks` 또는 설정의 `hooks: { afterAll: './scripts/typecheck.mjs' }`
+ *   (JS 설정 파일에서는 모듈 경로 대신 함수를 바로 지정 가능)
+ *
+ * @example
+ * // codegen/zodPlugin.mjs
+ * export default (options) => ({
+ *   name: 'zod',
+ *   steps: [
+ *     {
+ *       id: 'zod',
+ *       name: 'zod 스키마 생성',
+ *       scope: 'server',            // 'server' | 'tag'
+ *       dependsOn: ['types'],
+ *       generate({ serverName, model, pathResolver }) {
+ *         return [{ filePath: pathResolver.getDomainTypesDir(serverName) + '/zod.ts', content: '...' }]
+ *       },
+ *     },
+ *   ],
+ *   // 다른 단계의 출력 후처리 (문자열을 반환하면 내용 교체)
+ *   transform({ step, filePath, content }) {
+ *     if (step === 'api') return '// @generated\n' + content
+ *   },
+ *   // 생성 과정 훅 (에러를 던지면 해당 단계 또는 실행 전체가 실패)
+ *   hooks: {
+ *     afterWrite({ filePath }) { ... },
+ *   },
+ * })
+ */
+
+import { readFileSync } from 'fs'
+import { createRequire } from 'module'
+import { basename, isAbsolute, join, resolve } from 'path'
+import { pathToFileURL } from 'url'
+import { hashContent } from './GenerationManifest.js'
+
+/**
+ * 플러그인 단계의 실행 단위
+ */
+const PLUGIN_STEP_SCOPES = ['server', 'tag']
+
+/**
+ * 플러그인 단계 executor 이름 접두사 (기본 generator와 구분)
+ */
+export const PLUGIN_EXECUTOR_PREFIX = 'plugin:'
+
+/**
+ * 생성 과정 훅 이름 (실행 순서)
+ *
+ * - beforeAll: 단계 실행 전 (servers, steps)
+ * - beforeStep / afterStep: 서버(태그 단위 단계는 태그)마다 단계 실행 전후 (serverName, tagName, step)
+ * - afterWrite: 파일 저장 후 (filePath, absolutePath, targetPath, stagedPath, content, status) - dry-run/check에서는 호출하지 않음
+ * - afterAll: 모든 단계와 정리 후 (results, changes)
+ */
+export const HOOK_NAMES = ['beforeAll', 'beforeStep', 'afterStep', 'afterWrite', 'afterAll']
+
+/**
+ * PluginManager 클래스
+ *
+ * @class
+ * @description 플러그인 모듈 로드 및 검증
+ */
+export class PluginManager {
+	/**
+	 * @param {Object} config - 설정 객체
+	 * @param {Object} options - 옵션
+	 * @param {string} options.baseDir - 상대 경로 기준 디렉토리 (기본: 설정 파일 위치 또는 process.cwd())
+	 */
+	constructor(config, { baseDir = process.cwd() } = {}) {
+		this.config = config
+		this.baseDir = baseDir
+	}
+
+	/**
+	 * 설정의 모든 플러그인 로드 (plugins 다음에 hooks)
+	 *
+	 * @returns {Promise<Object[]>} 검증된 플러그인 목록
+	 * @throws {Error} 모듈을 찾을 수 없거나 플러그인 형식이 잘못된 경우
+	 */
+	async loadPlugins() {
+		const entries = this.config.plugins || []
+		const plugins = []
+
+		for (const entry of entries) {
+			const { path, options } = typeof entry === 'string' ? { path: entry, options: {} } : entry
+			plugins.push(await this.loadPlugin(path, options || {}))
+		}
+
+		plugins.push(...(await this.loadHooks()))
+
+		return plugins
+	}
+
+	/**
+	 * 설정의 hooks 로드
+	 *
+	 * 훅 모듈(또는 함수) 하나가 훅 하나만 가진 플러그인으로 변환됩니다.
+	 *
+	 * @example
+	 * // openapi-codegen.config.json
+	 * { "hooks": { "beforeAll": "./scripts/fetchSpec.mjs", "afterAll": ["./scripts/typecheck.mjs"] } }
+	 *
+	 * // scripts/typecheck.mjs
+	 * export default async function ({ dryRun }) { ... }
+	 *
+	 * // openapi-codegen.config.mjs
+	 * export default defineConfig({ hooks: { afterWrite: ({ filePath }) => { ... } } })
+	 */
+	async loadHooks() {
+		const plugins = []
+
+		for (const [hookName, value] of Object.entries(this.config.hooks || {})) {
+			if (!HOOK_NAMES.includes(hookName)) {
+				throw new Error(`알 수 없는 훅입니다: ${hookName} (사용 가능: ${HOOK_NAMES.join(', ')})`)
+			}
+
+			for (const specifier of [].concat(value)) {
+				if (typeof specifier === 'function') {
+					const name = `hooks.${hookName}`
+					plugins.push(validatePlugin({ name, hooks: { [hookName]: specifier } }, name))
+					continue
+				}
+
+				const { module } = await this.importModule(specifier)
+				const hook = module.default ?? module[hookName]
+
+				if (typeof hook !== 'function') {
+					throw new Error(`${specifier}: 훅 모듈은 함수를 default export해야 합니다.`)
+				}
+
+				plugins.push(validatePlugin({ name: specifier, hooks: { [hookName]: hook } }, specifier))
+			}
+		}
+
+		return plugins
+	}
+
+	/**
+	 * 플러그인 모듈 하나 로드
+	 *
+	 * @param {string} specifier - 파일 경로 또는 패키지 이름
+	 * @param {Object} options - 플러그인 함수에 전달할 옵션
+	 * @returns {Promise<Object>} 검증된 플러그인
+	 */
+	async loadPlugin(specifier, options = {}) {
+		const { module, modulePath } = await this.importModule(specifier)
+
+		let plugin = module.default ?? module
+		if (typeof plugin === 'function') {
+			plugin = await plugin(options)
+		}
+
+		return {
+			...validatePlugin(plugin, specifier),
+			// 플러그인 코드/옵션이 바뀌면 manifest의 이전 기록을 재사용하지 않도록 하는 지문
+			fingerprint: hashContent(readFileSync(modulePath, 'utf-8'), options),
+		}
+	}
+
+	/**
+	 * 플러그인/훅 모듈 import
+	 *
+	 * @returns {Promise<{module: Object, modulePath: string}>}
+	 */
+	async importModule(specifier) {
+		try {
+			const modulePath = this.resolveSpecifier(specifier)
+			const module = await import(pathToFileURL(modulePath).href)
+			return { module, modulePath }
+		} catch (error) {
+			throw new Error(`플러그인을 로드할 수 없습니다: ${specifier} (${error.message})`)
+		}
+	}
+
+	/**
+	 * 플러그인 경로 해석 (상대 경로는 baseDir 기준, 그 외는 프로젝트 node_modules)
+	 */
+	resolveSpecifier(specifier) {
+		if (isAbsolute(specifier)) return specifier
+
+		if (specifier.startsWith('.')) {
+			return resolve(this.baseDir, specifier)
+		}
+
+		return createRequire(join(this.baseDir, 'package.json')).resolve(specifier)
+	}
+}
+
+/**
+ * 플러그인 형식 검증 및 기본값 적용
+ *
+ * @param {Object} plugin - 플러그인 객체
+ * @param {string} source - 에러 메시지용 플러그인 경로
+ * @returns {Object} { name, steps, transform, hooks }
+ * @throws {Error} 형식이 잘못된 경우
+ */
+export function validatePlugin(plugin, source = 'plugin') {
+	if (!plugin || typeof plugin !== 'object') {
+		throw new Error(`${source}: 플러그인은 객체 또는 객체를 반환하는 함수여야 합니다.`)
+	}
+
+	const name = plugin.name || basename(source).replace(/\.[cm]?js$/, '')
+
+	if (plugin.transform !== undefined && typeof plugin.transform !== 'function') {
+		throw new Error(`${name}: transform은 함수여야 합니다.`)
+	}
+
+	const hooks = {}
+	Object.entries(plugin.hooks || {}).forEach(([hookName, hook]) => {
+		if (!HOOK_NAMES.includes(hookName)) {
+			throw new Error(`${name}: 알 수 없는 훅입니다: ${hookName} (사용 가능: ${HOOK_NAMES.join(', ')})`)
+		}
+		if (typeof hook !== 'function') {
+			throw new Error(`${name}: ${hookName} 훅은 함수여야 합니다.`)
+		}
+		hooks[hookName] = hook.bind(plugin.hooks)
+	})
+
+	const steps = (plugin.steps || []).map((step) => {
+		if (!step?.id) {
+			throw new Error(`${name}: 모든 단계에 id가 필요합니다.`)
+		}
+		if (typeof step.generate !== 'function') {
+			throw new Error(`${name}: '${step.id}' 단계에 generate 함수가 필요합니다.`)
+		}
+
+		const scope = step.scope || 'server'
+		if (!PLUGIN_STEP_SCOPES.includes(scope)) {
+			throw new Error(`${name}: '${step.id}' 단계의 scope는 ${PLUGIN_STEP_SCOPES.join(', ')} 중 하나여야 합니다.`)
+		}
+
+		return {
+			...step,
+			name: step.name || `${name}: ${step.id}`,
+			description: step.description || `${name} 플러그인 단계`,
+			scope,
+			dependsOn: step.dependsOn || ['types'],
+		}
+	})
+
+	return { ...plugin, name, steps, hooks, transform: plugin.transform?.bind(plugin) }
+}
+
+/**
+ * 설정의 플러그인 로드 헬퍼
+ *
+ * @param {Object} config - 설정 객체
+ * @param {Object} options - PluginManager 옵션
+ * @returns {Promise<Object[]>} 플러그인 목록
+ */
+export async function loadPlugins(config, options = {}) {
+	return new PluginManager(config, options).loadPlugins()
+}
+
+/**
+ * PluginManager 인스턴스 생성 헬퍼
+ */
+export function createPluginManager(config, options = {}) {
+	return new PluginManager(config, options)
+}
+
+export default PluginManager
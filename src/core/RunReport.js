@@ -0,0 +1,381 @@
+#!/usr/bin/env node
+
+/**
+ * 📊 RunReport - generate 실행 리포트
+ *
+ * 한 번의 generate 실행에서 처리한 서버, 단계, 태그, 파일과
+ * 소요 시간, 경고, 에러를 기계가 읽을 수 있는 JSON으로 모읍니다.
+ *
+ * @description
+ * - `generate --report <file>`로 저장 (CI 대시보드용)
+ * - logger의 warn/error는 실행 중인 단계/서버/태그와 함께 기록
+ * - Response 타입을 추출하지 못해 `any`로 생성된 operation 목록 (anyFallbacks)
+ * - atomic 모드에서 되돌린 실행은 rolledBack과 파일별 rolledBack으로 표시 (summary는 디스크 기준)
+ *
+ * @example
+ * {
+ *   "version": 1,
+ *   "mode": "write",
+ *   "success": true,
+ *   "durationMs": 1532,
+ *   "servers": [{ "name": "auth", "anyFallbacks": ["getHealth"] }],
+ *   "steps": [
+ *     {
+ *       "id": "api",
+ *       "status": "success",
+ *       "durationMs": 210,
+ *       "units": [{ "server": "auth", "tag": "user", "status": "generated", "durationMs": 35, "files": [...] }]
+ *     }
+ *   ],
+ *   "files": [{ "path": "src/domains/auth/api/user/userAPI.ts", "status": "modified", "server": "auth", "step": "api", "tag": "user" }],
+ *   "warnings": [{ "message": "...", "server": "auth", "step": "validated", "tag": null }],
+ *   "errors": [],
+ *   "rolledBack": false,
+ *   "summary": { "files": { "created": 0, "modified": 1, "unchanged": 8, "deleted": 0, "rolledBack": 0 }, "anyFallbacks": 1, ... }
+ * }
+ */
+
+import { AsyncLocalStorage } from 'async_hooks'
+import { mkdirSync, writeFileSync } from 'fs'
+import { dirname } from 'path'
+import logger from '../utils/Logger.js'
+
+/**
+ * 리포트 형식 버전 (구조가 바뀌면 증가)
+ */
+const REPORT_VERSION = 1
+
+/**
+ * RunReport 클래스
+ *
+ * @class
+ * @description 단계/서버/태그 단위 실행 기록
+ */
+export class RunReport {
+	/**
+	 * @param {Object} options - 옵션
+	 * @param {string} options.toolkitVersion - toolkit 버전
+	 * @param {string} options.mode - 'write' | 'dry-run' | 'check'
+	 */
+	constructor({ toolkitVersion = null, mode = 'write' } = {}) {
+		this.toolkitVersion = toolkitVersion
+		this.mode = mode
+
+		this.startedAt = null
+		this.finishedAt = null
+		this.startTime = 0
+		this.durationMs = null
+		this.success = null
+
+		// 서버 이름 → { name, anyFallbacks }
+		this.servers = new Map()
+		this.steps = []
+		this.files = []
+		this.warnings = []
+		this.errors = []
+		this.pruned = []
+		this.drift = null
+
+		// atomic 모드에서 변경 사항을 되돌렸는지 여부 (files의 생성/수정이 디스크에 없음)
+		this.rolledBack = false
+
+		// 실행 중인 단계 / 서버·태그 단위 (경고와 파일을 어디에 기록할지)
+		// 서버/태그는 병렬로 실행될 수 있으므로 비동기 컨텍스트별로 구분
+		this.currentStep = null
+		this.unitStorage = new AsyncLocalStorage()
+
+		this.unsubscribe = null
+	}
+
+	// ========================================
+	// 1. 실행 시작 / 종료
+	// ========================================
+
+	/**
+	 * 실행 시작 (logger 경고/에러 수집 시작)
+	 */
+	start() {
+		this.startedAt = new Date().toISOString()
+		this.startTime = Date.now()
+
+		this.unsubscribe?.()
+		this.unsubscribe = logger.addListener(({ level, message }) => {
+			if (level === 'warn') this.warning(message)
+			if (level === 'error') this.error(message)
+		})
+	}
+
+	/**
+	 * 실행 종료
+	 *
+	 * @param {boolean} success - 실패한 단계나 에러 없이 끝났는지 여부
+	 */
+	finish(success) {
+		this.unsubscribe?.()
+		this.unsubscribe = null
+
+		this.finishedAt = new Date().toISOString()
+		this.durationMs = Date.now() - this.startTime
+		this.success = success && this.errors.length === 0
+	}
+
+	// ========================================
+	// 2. 단계 / 단위 기록
+	// ========================================
+
+	/**
+	 * 대상 서버 목록
+	 */
+	setServers(serverNames) {
+		serverNames.forEach((name) => this.getServer(name))
+	}
+
+	/**
+	 * 단계 시작
+	 */
+	beginStep(step) {
+		this.currentStep = {
+			id: step.id,
+			name: step.name,
+			plugin: step.plugin || null,
+			status: 'running',
+			durationMs: 0,
+			units: [],
+			startTime: Date.now(),
+		}
+		this.steps.push(this.currentStep)
+	}
+
+	/**
+	 * 단계 종료
+	 *
+	 * @param {'success'|'failed'|'skipped'} status - 결과
+	 * @param {string} errorMessage - 실패 원인
+	 */
+	endStep(status, errorMessage = null) {
+		const step = this.currentStep
+		if (!step) return
+
+		step.status = status
+		step.durationMs = Date.now() - step.startTime
+
+		if (errorMessage) {
+			step.error = errorMessage
+
+			// generator가 logger.error로 이미 남긴 에러는 중복 기록하지 않음
+			if (this.errors.some((error) => error.step === step.id && error.message.includes(errorMessage))) {
+				this.currentStep = null
+				return
+			}
+
+			// 실패한 서버/태그가 있으면 그 위치로 기록
+			const failedUnit = step.units.find((unit) => unit.status === 'failed')
+			this.errors.push({
+				message: errorMessage,
+				step: step.id,
+				server: failedUnit?.server || null,
+				tag: failedUnit?.tag || null,
+			})
+		}
+
+		this.currentStep = null
+	}
+
+	/**
+	 * 서버(태그 단위 단계는 태그) 생성 실행 및 기록
+	 *
+	 * task 안에서 기록한 파일/경고/에러는 이 서버/태그 위치로 기록됩니다.
+	 *
+	 * @param {string} serverName - 서버 이름
+	 * @param {string|null} tagName - 태그 이름
+	 * @param {Function} task - () => Promise
+	 * @returns {Promise<*>} task 결과
+	 */
+	async runUnit(serverName, tagName, task) {
+		const unit = {
+			server: serverName,
+			tag: tagName,
+			status: 'running',
+			durationMs: 0,
+			files: [],
+			startTime: Date.now(),
+		}
+		this.currentStep?.units.push(unit)
+
+		try {
+			const result = await this.unitStorage.run(unit, task)
+			unit.status = 'generated'
+			return result
+		} catch (error) {
+			unit.status = 'failed'
+			throw error
+		} finally {
+			unit.durationMs = Date.now() - unit.startTime
+		}
+	}
+
+	/**
+	 * 입력이 같아 건너뛴 서버/태그
+	 */
+	skipUnit(serverName, tagName = null) {
+		this.currentStep?.units.push({ server: serverName, tag: tagName, status: 'fresh', durationMs: 0, files: [] })
+	}
+
+	// ========================================
+	// 3. 파일 / 경고 / 에러 기록
+	// ========================================
+
+	/**
+	 * 저장한 파일 (상대 경로)
+	 *
+	 * @param {string} filePath - 프로젝트 기준 상대 경로
+	 * @param {'created'|'modified'|'unchanged'} status - OutputSink 상태
+	 */
+	recordFile(filePath, status) {
+		const file = { path: filePath, status, ...this.getLocation() }
+
+		this.files.push(file)
+		this.unitStorage.getStore()?.files.push({ path: filePath, status })
+	}
+
+	/**
+	 * 정리 단계에서 삭제한 파일
+	 */
+	recordPruned(filePaths) {
+		this.pruned = filePaths
+	}
+
+	/**
+	 * atomic 모드에서 변경 사항을 되돌린 경우
+	 *
+	 * 생성/수정으로 기록한 파일에는 rolledBack을 표시하고, 삭제한 파일은 복구되었으므로 pruned에서 비웁니다.
+	 */
+	recordRollback() {
+		this.rolledBack = true
+
+		const markRolledBack = (file) => {
+			if (file.status !== 'unchanged') file.rolledBack = true
+		}
+		this.files.forEach(markRolledBack)
+		this.steps.forEach((step) => step.units.forEach((unit) => unit.files.forEach(markRolledBack)))
+
+		this.pruned = []
+	}
+
+	/**
+	 * --check 결과
+	 */
+	recordDrift(drift) {
+		this.drift = drift
+	}
+
+	/**
+	 * Response 타입이 any로 생성된 operation 목록
+	 */
+	recordAnyFallbacks(serverName, operationIds) {
+		this.getServer(serverName).anyFallbacks = operationIds
+	}
+
+	/**
+	 * 경고 (현재 단계/서버/태그 위치와 함께 기록)
+	 */
+	warning(message, location = {}) {
+		this.warnings.push({ message, ...this.getLocation(), ...location })
+	}
+
+	/**
+	 * 에러 (현재 단계/서버/태그 위치와 함께 기록)
+	 */
+	error(message, location = {}) {
+		this.errors.push({ message, ...this.getLocation(), ...location })
+	}
+
+	// ========================================
+	// 4. 출력
+	// ========================================
+
+	/**
+	 * JSON 직렬화용 객체
+	 */
+	toJSON() {
+		const servers = [...this.servers.values()]
+		const countFiles = (status) => this.files.filter((file) => file.status === status && !file.rolledBack).length
+
+		return {
+			version: REPORT_VERSION,
+			toolkitVersion: this.toolkitVersion,
+			mode: this.mode,
+			success: this.success,
+			startedAt: this.startedAt,
+			finishedAt: this.finishedAt,
+			durationMs: this.durationMs,
+			servers,
+			steps: this.steps.map(({ startTime, ...step }) => ({
+				...step,
+				units: step.units.map(({ startTime: unitStartTime, ...unit }) => unit),
+			})),
+			files: this.files,
+			pruned: this.pruned,
+			rolledBack: this.rolledBack,
+			drift: this.drift,
+			warnings: this.warnings,
+			errors: this.errors,
+			summary: {
+				servers: servers.length,
+				steps: this.steps.length,
+				succeededSteps: this.steps.filter((step) => step.status === 'success').length,
+				failedSteps: this.steps.filter((step) => step.status === 'failed').length,
+				files: {
+					created: countFiles('created'),
+					modified: countFiles('modified'),
+					unchanged: countFiles('unchanged'),
+					deleted: this.pruned.length,
+					rolledBack: this.files.filter((file) => file.rolledBack).length,
+				},
+				warnings: this.warnings.length,
+				errors: this.errors.length,
+				anyFallbacks: servers.reduce((sum, server) => sum + server.anyFallbacks.length, 0),
+			},
+		}
+	}
+
+	/**
+	 * 리포트 파일 저장 (dry-run/check에서도 저장)
+	 *
+	 * @param {string} filePath - 저장 경로
+	 */
+	write(filePath) {
+		mkdirSync(dirname(filePath), { recursive: true })
+		writeFileSync(filePath, JSON.stringify(this.toJSON(), null, 2) + '\n')
+	}
+
+	// ========================================
+	// 5. 내부 유틸리티
+	// ========================================
+
+	getServer(name) {
+		if (!this.servers.has(name)) {
+			this.servers.set(name, { name, anyFallbacks: [] })
+		}
+		return this.servers.get(name)
+	}
+
+	getLocation() {
+		const unit = this.unitStorage.getStore()
+
+		return {
+			step: this.currentStep?.id || null,
+			server: unit?.server || null,
+			tag: unit?.tag || null,
+		}
+	}
+}
+
+/**
+ * RunReport 인스턴스 생성 헬퍼
+ */
+export function createRunReport(options = {}) {
+	return new RunReport(options)
+}
+
+export default RunReport
@@ -0,0 +1,264 @@
+#!/usr/bin/env node
+
+/**
+ * 🛰️ ServerDetector - 서버 자동 감지 유틸리티
+ *
+ * 코드 생성 대상 서버 목록을 여러 소스에서 수집하고 필터링합니다.
+ * universalAutoDetect.js의 감지 로직을 config 기반으로 클래스화했습니다.
+ *
+ * @description
+ * - 환경 변수: `${envVarConfig.prefix}{SERVER}` 형태의 URL 값
+ * - 설정 파일: `servers.{serverName}`에 소스(문자열 또는 `source`)를 명시한 서버
+ * - 서버 인스턴스: `fileGeneration.serverInstances` 아래의 `{serverName}-server/instance.ts`
+ * - `serverSettings.serverNameExtraction`으로 서버 이름 추출
+ * - `includeOnlyServers`, `excludeServers` 필터 적용
+ */
+
+import { existsSync, readdirSync } from 'fs'
+
+/**
+ * 감지 소스별 표시 이름
+ */
+const SOURCE_LABELS = {
+	env: '환경 변수',
+	config: '설정 파일',
+	instance: '서버 인스턴스',
+}
+
+/**
+ * ServerDetector 클래스
+ *
+ * @class
+ * @description 환경 변수, 설정 파일, 서버 인스턴스 폴더 기반 서버 감지
+ */
+export class ServerDetector {
+	/**
+	 * @param {Object} config - 설정 객체
+	 * @param {Object} pathResolver - PathResolver 인스턴스
+	 * @param {Object} env - 환경 변수 객체 (기본: process.env)
+	 */
+	constructor(config, pathResolver, env = process.env) {
+		this.config = config
+		this.pathResolver = pathResolver
+		this.env = env
+	}
+
+	// ========================================
+	// 1. 서버 감지
+	// ========================================
+
+	/**
+	 * 모든 소스에서 서버를 감지하고 include/exclude 필터 적용
+	 *
+	 * @returns {{servers: Array<{name: string, sources: Array<{type: string, detail: string}>}>, excluded: Array<{name: string, reason: string}>, missing: string[]}}
+	 *
+	 * @example
+	 * detect()
+	 * // => {
+	 * //   servers: [{ name: 'auth', sources: [{ type: 'env', detail: 'NEXT_PUBLIC_STEPIN_AUTH' }] }],
+	 * //   excluded: [{ name: 'payment', reason: 'excludeServers' }]
+	 * // }
+	 */
+	detect() {
+		const detected = new Map()
+
+		const addServer = (name, type, detail) => {
+			if (!name) return
+			if (!detected.has(name)) {
+				detected.set(name, { name, sources: [] })
+			}
+			detected.get(name).sources.push({ type, detail })
+		}
+
+		this.detectFromEnv().forEach(({ name, detail }) => addServer(name, 'env', detail))
+		this.detectFromConfig().forEach(({ name, detail }) => addServer(name, 'config', detail))
+		this.detectFromInstances().forEach(({ name, detail }) => addServer(name, 'instance', detail))
+
+		return this.applyFilters(Array.from(detected.values()).sort((a, b) => a.name.localeCompare(b.name)))
+	}
+
+	/**
+	 * 감지된 서버 이름 목록 반환
+	 *
+	 * @returns {string[]} 서버 이름 배열
+	 */
+	detectServers() {
+		return this.detect().servers.map((server) => server.name)
+	}
+
+	/**
+	 * 환경 변수에서 서버 감지 (${prefix}{SERVER}=https://...)
+	 *
+	 * @returns {Array<{name: string, detail: string}>}
+	 */
+	detectFromEnv() {
+		const envVarConfig = this.config.envVarConfig || {}
+		if (envVarConfig.enabled === false) return []
+
+		const prefix = envVarConfig.prefix || 'NEXT_PUBLIC_STEPIN_'
+
+		return Object.entries(this.env)
+			.filter(([key, value]) => key.startsWith(prefix) && key.length > prefix.length && /^https?:\/\//i.test(value || ''))
+			.map(([key]) => ({
+				name: this.extractServerName(key.slice(prefix.length), { strict: false }).toLowerCase(),
+				detail: key,
+			}))
+	}
+
+	/**
+	 * 설정 파일의 servers 항목에서 서버 감지
+	 *
+	 * 덮어쓰기 설정만 있는 항목(`servers.rank: { codeGeneration }`)은 서버를 추가하지 않습니다.
+	 * 이런 서버는 환경 변수나 인스턴스 폴더로 감지되고 스펙도 그쪽 URL을 사용합니다.
+	 *
+	 * @returns {Array<{name: string, detail: string}>}
+	 */
+	detectFromConfig() {
+		return Object.entries(this.config.servers || {})
+			.filter(([, server]) => typeof server === 'string' || Boolean(server?.source))
+			.map(([name]) => ({
+				name,
+				detail: `servers.${name}`,
+			}))
+	}
+
+	/**
+	 * 서버 인스턴스 폴더에서 서버 감지 ({serverName}-server/instance.ts)
+	 *
+	 * @returns {Array<{name: string, detail: string}>}
+	 */
+	detectFromInstances() {
+		const instancesDir = this.pathResolver.getServerInstancesDir()
+		if (!existsSync(instancesDir)) return []
+
+		const results = []
+
+		for (const entry of readdirSync(instancesDir, { withFileTypes: true })) {
+			if (!entry.isDirectory()) continue
+
+			const name = this.extractServerName(entry.name)
+			if (!name) continue
+
+			// 실제 instance.ts가 있는 폴더만 서버로 인정
+			const instancePath = this.pathResolver.getServerInstancePath(name)
+			if (existsSync(instancePath)) {
+				results.push({ name, detail: this.pathResolver.toRelativePath(instancePath) })
+			}
+		}
+
+		return results
+	}
+
+	// ========================================
+	// 2. 서버 이름 추출 / 필터링
+	// ========================================
+
+	/**
+	 * serverNameExtraction 설정으로 원본 이름에서 서버 이름 추출
+	 *
+	 * @param {string} rawName - 폴더명 또는 환경 변수 접미사
+	 * @param {Object} options - 옵션
+	 * @param {boolean} options.strict - pattern과 맞지 않으면 null 반환 (기본: true, 폴더명용)
+	 * @returns {string|null} 서버 이름
+	 *
+	 * @example
+	 * // pattern: '{serverName}-server', removePattern: '-server'
+	 * extractServerName('auth-server')              // => 'auth'
+	 * extractServerName('shared')                   // => null
+	 * extractServerName('AUTH', { strict: false })  // => 'AUTH'
+	 */
+	extractServerName(rawName, { strict = true } = {}) {
+		const extraction = this.config.serverSettings?.serverNameExtraction || {}
+		const { pattern, removePattern } = extraction
+		let name = rawName
+
+		// 폴더명은 pattern과 일치해야 함 (환경 변수 접미사는 대문자이므로 대소문자 무시)
+		if (pattern?.includes('{serverName}')) {
+			const [before, after] = pattern.split('{serverName}').map((part) => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+			const match = rawName.match(new RegExp(`^${before}(.+)${after}$`, 'i'))
+
+			if (match) {
+				name = match[1]
+			} else if (strict) {
+				return null
+			}
+		}
+
+		if (removePattern) {
+			name = name.replace(new RegExp(removePattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'ig'), '')
+		}
+
+		return name || null
+	}
+
+	/**
+	 * includeOnlyServers, excludeServers 필터 적용
+	 *
+	 * @param {Array<{name: string, sources: Array}>} servers - 감지된 서버 목록
+	 * @returns {{servers: Array, excluded: Array<{name: string, reason: string}>, missing: string[]}}
+	 */
+	applyFilters(servers) {
+		const includeOnly = this.config.includeOnlyServers || []
+		const exclude = this.config.excludeServers || []
+		const excluded = []
+
+		const filtered = servers.filter(({ name }) => {
+			if (includeOnly.length > 0 && !includeOnly.includes(name)) {
+				excluded.push({ name, reason: 'includeOnlyServers' })
+				return false
+			}
+
+			if (exclude.includes(name)) {
+				excluded.push({ name, reason: 'excludeServers' })
+				return false
+			}
+
+			return true
+		})
+
+		// includeOnlyServers에 있지만 어디에서도 감지되지 않은 서버 (경고용)
+		const missing = includeOnly.filter((name) => !servers.some((server) => server.name === name))
+
+		return { servers: filtered, excluded, missing }
+	}
+
+	// ========================================
+	// 3. 결과 출력
+	// ========================================
+
+	/**
+	 * 감지 결과 출력
+	 *
+	 * @param {Object} result - detect() 결과
+	 */
+	printResult(result = this.detect()) {
+		console.log(`🔍 감지된 서버: ${result.servers.length}개`)
+
+		result.servers.forEach(({ name, sources }) => {
+			const sourceText = sources.map(({ type, detail }) => `${SOURCE_LABELS[type]}: ${detail}`).join(', ')
+			console.log(`   - ${name} (${sourceText})`)
+		})
+
+		if (result.excluded.length > 0) {
+			console.log('⏸️  제외된 서버:')
+			result.excluded.forEach(({ name, reason }) => console.log(`   - ${name} (${reason})`))
+		}
+
+		if (result.missing?.length > 0) {
+			console.warn(`⚠️  includeOnlyServers에 있지만 감지되지 않은 서버: ${result.missing.join(', ')}`)
+		}
+	}
+}
+
+/**
+ * ServerDetector 인스턴스 생성 헬퍼
+ *
+ * @param {Object} config - 설정 객체
+ * @param {Object} pathResolver - PathResolver 인스턴스
+ * @returns {ServerDetector} ServerDetector 인스턴스
+ */
+export function createServerDetector(config, pathResolver) {
+	return new ServerDetector(config, pathResolver)
+}
+
+export default ServerDetector
@@ -0,0 +1,384 @@
+#!/usr/bin/env node
+
+/**
+ * 📥 SourceResolver - OpenAPI 문서 소스 해결 유틸리티
+ *
+ * 서버별 OpenAPI 문서를 어디서 가져올지 결정하고 문서를 로드합니다.
+ * 설정의 `servers.{serverName}.source`가 있으면 그것을 사용하고,
+ * 없으면 기존처럼 환경 변수 URL(`${prefix}${SERVER}` + docs suffix)을 사용합니다.
+ *
+ * @description
+ * - 로컬 파일: "specs/auth.yaml", "./specs/auth.json" (projectRoot 기준)
+ * - glob 패턴: "specs/auth/*.yaml" (일치하는 모든 파일을 하나의 문서로 병합)
+ * - URL: "https://api.example.com/docs-yaml"
+ * - 네트워크 없이 체크인된 스펙 파일만으로 생성 가능 (CI 오프라인 모드)
+ * - workspace: 여러 프로젝트가 같은 cache를 공유하면 소스마다 한 번만 가져옴
+ */
+
+import { existsSync, readFileSync } from 'fs'
+import { isAbsolute, join, relative } from 'path'
+import logger from '../utils/Logger.js'
+import { expandGlob, hasGlobPattern } from '../utils/GlobMatcher.js'
+import { parseSpecDocument, HTTP_METHODS } from '../parsers/SchemaParser.js'
+
+/**
+ * 병합 시 이름 단위로 합치는 components 하위 섹션
+ */
+const COMPONENT_SECTIONS = [
+	'schemas',
+	'responses',
+	'parameters',
+	'examples',
+	'requestBodies',
+	'headers',
+	'securitySchemes',
+	'links',
+	'callbacks',
+	'pathItems',
+]
+
+/**
+ * SourceResolver 클래스
+ *
+ * @class
+ * @description 서버별 OpenAPI 문서 소스 해결 및 로드
+ */
+export class SourceResolver {
+	/**
+	 * @param {Object} config - 설정 객체
+	 * @param {Object} pathResolver - PathResolver 인스턴스 (projectRoot 기준 경로 해결용)
+	 * @param {Object} options - 옵션
+	 * @param {string} options.baseDir - 로컬 소스 경로의 기준 디렉토리 (기본: pathResolver.projectRoot, workspace에서는 workspace 루트)
+	 * @param {Map} options.cache - 로드한 문서 캐시 (소스 → Promise<문서>, 여러 resolver가 공유 가능)
+	 */
+	constructor(config, pathResolver, options = {}) {
+		this.config = config
+		this.pathResolver = pathResolver
+		this.projectRoot = options.baseDir || pathResolver?.projectRoot || process.cwd()
+		this.cache = options.cache || null
+	}
+
+	/**
+	 * 같은 기준 디렉토리와 캐시를 쓰는 resolver 옵션 (서버별/프로젝트별 resolver를 만들 때 사용)
+	 */
+	getOptions() {
+		return { baseDir: this.projectRoot, cache: this.cache }
+	}
+
+	// ========================================
+	// 1. 소스 해결
+	// ========================================
+
+	/**
+	 * 서버의 문서 소스 정보 반환
+	 *
+	 * @param {string} serverName - 서버 이름
+	 * @returns {{type: 'url'|'file'|'glob', location: string, origin: 'config'|'env'}|null} 소스 정보
+	 *
+	 * @example
+	 * resolveSource('auth')
+	 * // => { type: 'file', location: 'specs/auth.yaml', origin: 'config' }
+	 */
+	resolveSource(serverName) {
+		const configured = this.getConfiguredSource(serverName)
+
+		if (configured) {
+			return {
+				type: this.getSourceType(configured),
+				location: configured,
+				origin: 'config',
+			}
+		}
+
+		const url = this.getEnvUrl(serverName)
+		if (url) {
+			return { type: 'url', location: url, origin: 'env' }
+		}
+
+		return null
+	}
+
+	/**
+	 * 설정 파일에 지정된 서버 소스 (servers.{serverName}.source)
+	 *
+	 * @param {string} serverName - 서버 이름
+	 * @returns {string|null} 소스 문자열
+	 */
+	getConfiguredSource(serverName) {
+		const serverConfig = this.config.servers?.[serverName]
+
+		// "auth": "specs/auth.yaml" 축약형도 허용
+		if (typeof serverConfig === 'string') {
+			return serverConfig
+		}
+
+		return serverConfig?.source || null
+	}
+
+	/**
+	 * 소스 문자열의 종류 판별
+	 *
+	 * @param {string} source - 소스 문자열
+	 * @returns {'url'|'file'|'glob'} 소스 종류
+	 */
+	getSourceType(source) {
+		if (/^https?:\/\//i.test(source)) return 'url'
+		if (hasGlobPattern(source)) return 'glob'
+		return 'file'
+	}
+
+	/**
+	 * 환경 변수에서 서버 URL 가져오기
+	 *
+	 * @param {string} serverName - 서버 이름
+	 * @returns {string|null} OpenAPI URL
+	 */
+	getEnvUrl(serverName) {
+		const envVarConfig = this.config.envVarConfig || {}
+		if (envVarConfig.enabled === false) return null
+
+		const prefix = envVarConfig.prefix || 'NEXT_PUBLIC_STEPIN_'
+		const serverNameUpper = serverName.toUpperCase()
+
+		// 환경 변수명 생성: NEXT_PUBLIC_STEPIN_AUTH
+		const envVarName = `${prefix}${serverNameUpper}`
+		let url = process.env[envVarName]
+
+		if (!url) {
+			logger.warn(`환경 변수 ${envVarName}를 찾을 수 없습니다.`)
+			return null
+		}
+
+		// 기본 suffix 추가 (customDocsSuffix에 있으면 그것 사용)
+		const customSuffix = envVarConfig.customDocsSuffix?.[serverName]
+		const defaultSuffix = envVarConfig.defaultDocsSuffix || '/docs-yaml'
+		const suffix = customSuffix || defaultSuffix
+
+		// URL이 이미 suffix를 포함하고 있지 않으면 추가
+		if (!url.includes('/docs')) {
+			url = url + suffix
+		}
+
+		return url
+	}
+
+	// ========================================
+	// 2. 문서 로드
+	// ========================================
+
+	/**
+	 * 서버의 OpenAPI 문서 로드
+	 *
+	 * @param {string} serverName - 서버 이름
+	 * @returns {Promise<Object>} OpenAPI 문서 객체
+	 * @throws {Error} 소스를 찾을 수 없거나 로드에 실패한 경우
+	 */
+	async loadDocument(serverName) {
+		const source = this.resolveSource(serverName)
+
+		if (!source) {
+			throw new Error(
+				`${serverName} 서버의 OpenAPI 소스를 찾을 수 없습니다. ` +
+					`설정의 servers.${serverName}.source 또는 .env 파일을 확인하세요.`
+			)
+		}
+
+		// 다른 프로젝트에서 이미 로드한 소스는 재사용 (실패도 공유)
+		const cacheKey = source.type === 'url' ? source.location : `${source.type}:${this.toAbsolutePath(source.location)}`
+		if (this.cache?.has(cacheKey)) {
+			logger.info(`OpenAPI 소스 (${source.type}, 재사용): ${source.location}`)
+			return this.cache.get(cacheKey)
+		}
+
+		logger.info(`OpenAPI 소스 (${source.type}): ${source.location}`)
+
+		const document = this.loadSource(source)
+		this.cache?.set(cacheKey, document)
+
+		return document
+	}
+
+	/**
+	 * 소스 종류별 문서 로드
+	 */
+	async loadSource(source) {
+		switch (source.type) {
+			case 'url':
+				return this.fetchDocument(source.location)
+
+			case 'glob':
+				return this.loadGlobDocuments(source.location)
+
+			default:
+				return this.readDocument(this.toAbsolutePath(source.location))
+		}
+	}
+
+	/**
+	 * URL에서 OpenAPI 문서 가져오기 (JSON/YAML)
+	 *
+	 * @param {string} url - OpenAPI 문서 URL
+	 * @returns {Promise<Object>} OpenAPI 문서 객체
+	 */
+	async fetchDocument(url) {
+		const response = await fetch(url)
+
+		if (!response.ok) {
+			throw new Error(`OpenAPI 문서 요청 실패: ${url} (${response.status} ${response.statusText})`)
+		}
+
+		return parseSpecDocument(await response.text(), url)
+	}
+
+	/**
+	 * 로컬 파일에서 OpenAPI 문서 읽기 (JSON/YAML)
+	 *
+	 * @param {string} filePath - 파일 절대 경로
+	 * @returns {Object} OpenAPI 문서 객체
+	 */
+	readDocument(filePath) {
+		if (!existsSync(filePath)) {
+			throw new Error(`OpenAPI 문서 파일을 찾을 수 없습니다: ${filePath}`)
+		}
+
+		return parseSpecDocument(readFileSync(filePath, 'utf-8'), filePath)
+	}
+
+	/**
+	 * glob 패턴과 일치하는 모든 파일을 읽어 하나의 문서로 병합
+	 *
+	 * @param {string} pattern - glob 패턴
+	 * @returns {Object} 병합된 OpenAPI 문서 객체
+	 */
+	loadGlobDocuments(pattern) {
+		const files = expandGlob(pattern, this.projectRoot)
+
+		if (files.length === 0) {
+			throw new Error(`glob 패턴과 일치하는 OpenAPI 문서가 없습니다: ${pattern}`)
+		}
+
+		const documents = files.map((file) => ({
+			file: relative(this.projectRoot, file),
+			document: this.readDocument(file),
+		}))
+
+		logger.info(`${files.length}개 문서 병합: ${documents.map(({ file }) => file).join(', ')}`)
+
+		return mergeSpecDocuments(documents)
+	}
+
+	/**
+	 * projectRoot 기준 절대 경로로 변환
+	 */
+	toAbsolutePath(filePath) {
+		return isAbsolute(filePath) ? filePath : join(this.projectRoot, filePath)
+	}
+}
+
+// ========================================
+// 문서 병합 함수
+// ========================================
+
+/**
+ * 여러 OpenAPI 문서를 하나로 병합
+ *
+ * 첫 번째 문서의 openapi/info/servers를 기준으로 paths, webhooks, components, tags를 합칩니다.
+ * 같은 경로의 같은 메서드, 같은 이름의 component가 중복되면 먼저 읽은 쪽을 유지하고 경고합니다.
+ *
+ * @param {Array<{file: string, document: Object}>} documents - 파일별 문서 목록
+ * @returns {Object} 병합된 OpenAPI 문서
+ */
+export function mergeSpecDocuments(documents) {
+	const [first] = documents
+	const merged = {
+		...first.document,
+		paths: {},
+		webhooks: {},
+		components: { ...(first.document.components || {}) },
+		tags: [],
+	}
+
+	for (const section of COMPONENT_SECTIONS) {
+		delete merged.components[section]
+	}
+
+	const tagNames = new Set()
+
+	for (const { file, document } of documents) {
+		// 1. paths - 같은 경로는 메서드 단위로 병합
+		for (const [path, pathItem] of Object.entries(document.paths || {})) {
+			if (!merged.paths[path]) {
+				merged.paths[path] = { ...pathItem }
+				continue
+			}
+
+			for (const [key, value] of Object.entries(pathItem)) {
+				if (!(key in merged.paths[path])) {
+					merged.paths[path][key] = value
+				} else if (HTTP_METHODS.includes(key)) {
+					logger.warn(`${file}: ${key.toUpperCase()} ${path}가 중복되어 무시합니다.`)
+				}
+			}
+		}
+
+		// 2. webhooks (OpenAPI 3.1) - 이름 단위 병합
+		for (const [name, pathItem] of Object.entries(document.webhooks || {})) {
+			if (name in merged.webhooks) {
+				logger.warn(`${file}: webhooks.${name}가 중복되어 무시합니다.`)
+				continue
+			}
+
+			merged.webhooks[name] = pathItem
+		}
+
+		// 3. components - 섹션별 이름 단위 병합
+		for (const section of COMPONENT_SECTIONS) {
+			for (const [name, value] of Object.entries(document.components?.[section] || {})) {
+				merged.components[section] = merged.components[section] || {}
+
+				if (name in merged.components[section]) {
+					logger.warn(`${file}: components.${section}.${name}가 중복되어 무시합니다.`)
+					continue
+				}
+
+				merged.components[section][name] = value
+			}
+		}
+
+		// 4. tags - 이름 기준 중복 제거
+		for (const tag of document.tags || []) {
+			if (!tagNames.has(tag.name)) {
+				tagNames.add(tag.name)
+				merged.tags.push(tag)
+			}
+		}
+	}
+
+	if (Object.keys(merged.webhooks).length === 0) {
+		delete merged.webhooks
+	}
+
+	if (merged.tags.length === 0) {
+		delete merged.tags
+	}
+
+	if (Object.keys(merged.components).length === 0) {
+		delete merged.components
+	}
+
+	return merged
+}
+
+/**
+ * SourceResolver 인스턴스 생성 헬퍼
+ *
+ * @param {Object} config - 설정 객체
+ * @param {Object} pathResolver - PathResolver 인스턴스
+ * @param {Object} options - SourceResolver 옵션 (baseDir, cache)
+ * @returns {SourceResolver} SourceResolver 인스턴스
+ */
+export function createSourceResolver(config, pathResolver, options = {}) {
+	return new SourceResolver(config, pathResolver, options)
+}
+
+export default SourceResolver
@@ -0,0 +1,342 @@
+#!/usr/bin/env node
+
+/**
+ * 👀 Watcher - 스펙/설정 변경 감시 및 재생성
+ *
+ * `generate --watch`에서 사용합니다.
+ * 로컬 스펙 파일, 설정 파일, .env가 바뀌면 영향을 받는 서버만 다시 생성합니다.
+ *
+ * @description
+ * - 로컬 스펙 (servers.{name}.source 파일/glob): 해당 서버만 재생성
+ * - 설정 파일(extends한 파일 포함), 환경의 .env 파일들: Generator를 다시 만들고 모든 서버 재생성
+ * - 원격 스펙 URL: --poll 간격으로 가져와 openapi.json과 다르면 해당 서버 재생성
+ * - 재생성은 manifest 기반 증분 생성을 그대로 사용 (입력이 같은 단계/태그는 건너뜀)
+ * - 실행 중에 들어온 변경은 모아서 실행이 끝난 뒤 한 번 더 실행
+ * - 대상 서버는 설정을 다시 읽을 때만 새로 감지 (파일 이벤트, 폴링에서는 캐시 사용)
+ * - workspace 설정이면 (WorkspaceGenerator) 변경된 서버를 사용하는 모든 프로젝트 재생성
+ */
+
+import { existsSync, readFileSync, watch } from 'fs'
+import { dirname, isAbsolute, join, relative, resolve } from 'path'
+import { hashContent } from './GenerationManifest.js'
+import { getGlobBase, matchGlobPath } from '../utils/GlobMatcher.js'
+
+/**
+ * 변경 이벤트를 모으는 시간 (에디터 저장 시 여러 이벤트가 연달아 발생)
+ */
+const DEFAULT_DEBOUNCE_MS = 300
+
+/**
+ * Watcher 클래스
+ *
+ * @class
+ * @description 파일 감시, 원격 스펙 폴링, 재생성 스케줄링
+ */
+export class Watcher {
+	/**
+	 * @param {Function} createGenerator - () => Promise<{ generator, configPath, configFiles?, envFiles? }> (설정이 바뀌면 다시 호출)
+	 *   configFiles: extends한 설정 파일까지 포함한 감시 대상 (없으면 configPath만 감시)
+	 *   envFiles: 환경의 .env 파일 (없는 파일 포함, 없으면 .env만 감시), .env는 createGenerator에서 다시 로드
+	 * @param {Object} options - 옵션
+	 * @param {string[]|null} options.servers - 대상 서버 (없으면 자동 감지)
+	 * @param {Object} options.generateOptions - generateAll 옵션 (steps 등)
+	 * @param {number} options.poll - 원격 스펙 폴링 간격 (초, 0이면 폴링하지 않음)
+	 * @param {number} options.debounce - 변경 이벤트를 모으는 시간 (ms)
+	 * @param {Function} options.onRun - (generator, results) => void, 각 실행 후 호출
+	 */
+	constructor(
+		createGenerator,
+		{ servers = null, generateOptions = {}, poll = 0, debounce = DEFAULT_DEBOUNCE_MS, onRun = null } = {}
+	) {
+		this.createGenerator = createGenerator
+		this.servers = servers
+		this.generateOptions = generateOptions
+		this.poll = poll
+		this.debounce = debounce
+		this.onRun = onRun
+
+		this.generator = null
+		// 감지한 대상 서버 (설정을 다시 읽을 때마다 새로 감지)
+		this.targetServers = null
+		this.configPaths = new Set()
+		this.envPaths = new Set()
+
+		// 디렉토리 → FSWatcher
+		this.watchers = new Map()
+		this.pollTimer = null
+		this.debounceTimer = null
+
+		// 다음 실행에 반영할 변경 (reload: 설정/.env 변경, servers: 재생성할 서버)
+		this.pending = null
+		this.running = false
+		this.closed = false
+	}
+
+	// ========================================
+	// 1. 시작 / 종료
+	// ========================================
+
+	/**
+	 * 전체 생성 1회 실행 후 감시 시작
+	 */
+	async start() {
+		await this.reload()
+		await this.run(this.servers)
+
+		if (this.poll > 0) {
+			this.pollTimer = setInterval(() => this.pollRemoteSources(), this.poll * 1000)
+		}
+
+		this.printWatching()
+	}
+
+	/**
+	 * 감시 종료
+	 */
+	close() {
+		this.closed = true
+		this.watchers.forEach((watcher) => watcher.close())
+		this.watchers.clear()
+		clearInterval(this.pollTimer)
+		clearTimeout(this.debounceTimer)
+	}
+
+	/**
+	 * 설정을 다시 읽어 Generator를 만들고 감시 대상 갱신
+	 */
+	async reload() {
+		const { generator, configPath, configFiles = [], envFiles = null } = await this.createGenerator()
+
+		this.generator = generator
+		this.targetServers = null
+		this.configPaths = new Set([configPath, ...configFiles].filter(Boolean).map((path) => resolve(path)))
+		this.envPaths = new Set(envFiles || [generator.pathResolver.getEnvPath()])
+
+		this.watchFiles()
+	}
+
+	// ========================================
+	// 2. 파일 감시
+	// ========================================
+
+	/**
+	 * 설정 파일, .env, 로컬 스펙 파일이 있는 디렉토리 감시
+	 *
+	 * 에디터가 파일을 교체(rename)하면 파일 단위 감시가 끊기므로 디렉토리를 감시합니다.
+	 */
+	watchFiles() {
+		this.watchers.forEach((watcher) => watcher.close())
+		this.watchers.clear()
+
+		const directories = new Map()
+		const addDirectory = (dir, recursive = false) => {
+			directories.set(dir, directories.get(dir) || recursive)
+		}
+
+		this.configPaths.forEach((configPath) => addDirectory(dirname(configPath)))
+		this.envPaths.forEach((envPath) => addDirectory(dirname(envPath)))
+
+		this.getLocalSources().forEach((source) => {
+			if (source.type === 'glob') {
+				addDirectory(getGlobBase(source.pattern, this.generator.sourceResolver.projectRoot), true)
+			} else {
+				addDirectory(dirname(source.path))
+			}
+		})
+
+		directories.forEach((recursive, dir) => {
+			if (!existsSync(dir)) return
+
+			const watcher = watch(dir, { recursive }, (eventType, filename) => {
+				if (filename) this.onFileChange(join(dir, filename.toString()))
+			})
+			watcher.on('error', (error) => console.warn(`⚠️  감시 실패: ${dir} (${error.message})`))
+			this.watchers.set(dir, watcher)
+		})
+	}
+
+	/**
+	 * 서버별 로컬 스펙 소스 (파일/glob)
+	 *
+	 * @returns {Array<{server: string, type: 'file'|'glob', path?: string, pattern?: string}>}
+	 */
+	getLocalSources() {
+		const { sourceResolver } = this.generator
+
+		return this.getTargetServers().flatMap((server) => {
+			const source = sourceResolver.resolveSource(server)
+
+			switch (source?.type) {
+				case 'file':
+					return [{ server, type: 'file', path: sourceResolver.toAbsolutePath(source.location) }]
+				case 'glob':
+					return [{ server, type: 'glob', pattern: source.location }]
+				default:
+					return []
+			}
+		})
+	}
+
+	/**
+	 * 파일 변경 이벤트 처리
+	 */
+	onFileChange(filePath) {
+		if (this.configPaths.has(filePath) || this.envPaths.has(filePath)) {
+			this.schedule({ reload: true, files: [filePath] })
+			return
+		}
+
+		const projectRoot = this.generator.sourceResolver.projectRoot
+		const servers = this.getLocalSources()
+			.filter((source) =>
+				source.type === 'file' ? source.path === filePath : matchGlobPath(filePath, source.pattern, projectRoot)
+			)
+			.map((source) => source.server)
+
+		if (servers.length > 0) {
+			this.schedule({ servers, files: [filePath] })
+		}
+	}
+
+	// ========================================
+	// 3. 원격 스펙 폴링
+	// ========================================
+
+	/**
+	 * URL 소스를 가져와 현재 openapi.json과 다르면 재생성 예약
+	 */
+	async pollRemoteSources() {
+		if (this.running) return
+
+		const { sourceResolver } = this.generator
+		const changed = []
+
+		for (const server of this.getTargetServers()) {
+			const source = sourceResolver.resolveSource(server)
+			if (source?.type !== 'url') continue
+
+			try {
+				const document = await sourceResolver.fetchDocument(source.location)
+
+				// SchemaGenerator가 저장하는 openapi.json과 같은 형식으로 비교
+				const specPath = this.generator.getServerScope(server).pathResolver.getSpecPath(server)
+				const current = existsSync(specPath) ? hashContent(readFileSync(specPath, 'utf-8')) : null
+				if (hashContent(JSON.stringify(document, null, 2) + '\n') !== current) {
+					changed.push(server)
+				}
+			} catch (error) {
+				console.warn(`⚠️  ${server} 원격 스펙 확인 실패: ${error.message}`)
+			}
+		}
+
+		if (changed.length > 0 && !this.closed) {
+			this.schedule({ servers: changed, files: changed.map((server) => `${server} 원격 스펙`) })
+		}
+	}
+
+	// ========================================
+	// 4. 재생성 스케줄링
+	// ========================================
+
+	/**
+	 * 변경을 모아 debounce 후 실행
+	 *
+	 * @param {Object} change - 변경 내용
+	 * @param {boolean} change.reload - 설정을 다시 읽고 전체 재생성
+	 * @param {string[]} change.servers - 재생성할 서버
+	 * @param {string[]} change.files - 변경된 파일 (로그용, 한 번 저장에 이벤트가 여러 번 올 수 있음)
+	 */
+	schedule({ reload = false, servers = [], files = [] }) {
+		this.pending = this.pending || { reload: false, servers: new Set(), files: new Set() }
+		this.pending.reload = this.pending.reload || reload
+		servers.forEach((server) => this.pending.servers.add(server))
+		files.forEach((file) => this.pending.files.add(file))
+
+		clearTimeout(this.debounceTimer)
+		this.debounceTimer = setTimeout(() => this.flush(), this.debounce)
+	}
+
+	/**
+	 * 모인 변경 실행 (실행 중이면 끝난 뒤 다시 호출됨)
+	 */
+	async flush() {
+		if (this.running || !this.pending || this.closed) return
+
+		const { reload, servers, files } = this.pending
+		this.pending = null
+		this.running = true
+
+		const changedFiles = [...files].map((file) => this.toRelativePath(file)).join(', ')
+		console.log(`\n🔁 변경 감지: ${changedFiles} (${reload ? '전체 재생성' : [...servers].join(', ')})`)
+
+		try {
+			if (reload) {
+				await this.reload()
+				await this.run(this.servers)
+			} else {
+				await this.run([...servers])
+			}
+		} catch (error) {
+			// 설정 오류 등으로 Generator를 만들지 못해도 감시는 계속
+			console.error(`❌ 재생성 실패: ${error.message}`)
+		} finally {
+			this.running = false
+		}
+
+		if (this.pending) {
+			await this.flush()
+		} else {
+			this.printWatching()
+		}
+	}
+
+	/**
+	 * 생성 실행 (실패해도 감시는 계속)
+	 *
+	 * @param {string[]|null} servers - 대상 서버 (null이면 전체)
+	 */
+	async run(servers) {
+		let results = null
+
+		try {
+			results = await this.generator.generateAll(servers, this.generateOptions)
+		} catch (error) {
+			console.error(`❌ 생성 실패: ${error.message}`)
+		}
+
+		this.onRun?.(this.generator, results)
+		return results
+	}
+
+	// ========================================
+	// 5. 유틸리티
+	// ========================================
+
+	/**
+	 * 대상 서버 (파일 이벤트, 폴링마다 감지 결과를 출력하지 않도록 reload() 사이에는 캐시)
+	 */
+	getTargetServers() {
+		if (!this.targetServers) {
+			this.targetServers = this.servers || this.generator.detectServers()
+		}
+		return this.targetServers
+	}
+
+	toRelativePath(filePath) {
+		return isAbsolute(filePath) ? relative(this.generator.pathResolver.projectRoot, filePath) : filePath
+	}
+
+	printWatching() {
+		const pollMessage = this.poll > 0 ? `, 원격 스펙 ${this.poll}초마다 확인` : ''
+		console.log(`\n👀 변경 감시 중... (감시 디렉토리 ${this.watchers.size}개${pollMessage}, Ctrl+C로 종료)`)
+	}
+}
+
+/**
+ * Watcher 인스턴스 생성 헬퍼
+ */
+export function createWatcher(createGenerator, options = {}) {
+	return new Watcher(createGenerator, options)
+}
+
+export default Watcher
@@ -0,0 +1,257 @@
+#!/usr/bin/env node
+
+/**
+ * 🏢 WorkspaceGenerator - 모노레포 workspace 생성
+ *
+ * 설정의 workspace.projects에 있는 프로젝트마다 Generator를 실행합니다.
+ * (웹, 어드민, React Native 앱이 같은 백엔드를 사용하는 경우)
+ *
+ * @description
+ * - 프로젝트마다 workspace.projects.{name}의 덮어쓰기(fileGeneration, imports, featureFlags 등)를 병합한 설정과
+ *   프로젝트 디렉토리(root)를 projectRoot로 하는 PathResolver 사용
+ * - 스펙 소스 경로와 .env는 workspace 루트 기준
+ * - 프로젝트 Generator들이 SourceResolver 캐시를 공유하여 서버마다 스펙을 한 번만 가져오고 변환 (실행마다 비움)
+ * - 프로젝트는 순서대로 실행하며, 출력 반영(atomic)과 manifest는 프로젝트 단위
+ * - Generator와 같은 인터페이스 (generateAll, generateServer, detectServers, report)로 CLI, Watcher에서 그대로 사용
+ *
+ * @example
+ * // "workspace": {
+ * //   "projects": {
+ * //     "web": { "root": "apps/web" },
+ * //     "mobile": { "root": "apps/mobile", "projectType": "react-native", "featureFlags": { "generateDeepSchema": { "enabled": false } } }
+ * //   }
+ * // }
+ */
+
+import { existsSync, mkdirSync, writeFileSync } from 'fs'
+import { dirname, join, relative, resolve } from 'path'
+import { ConfigManager } from './ConfigManager.js'
+import { SourceResolver } from './SourceResolver.js'
+
+/**
+ * WorkspaceGenerator 클래스
+ *
+ * @class
+ * @description 프로젝트별 Generator 실행 및 결과 취합
+ */
+export class WorkspaceGenerator {
+	/**
+	 * @param {Object} config - 전체 설정 (workspace 포함)
+	 * @param {Object} pathResolver - workspace 루트 기준 PathResolver (.env, 스펙 소스 경로)
+	 * @param {Array<{name: string, root: string, generator: Object}>} projects - 프로젝트별 Generator (실행 순서)
+	 * @param {Object} options - 옵션
+	 * @param {Object} options.sources - 프로젝트 Generator들과 공유하는 SourceResolver 옵션 (baseDir, cache)
+	 */
+	constructor(config, pathResolver, projects, options = {}) {
+		this.config = config
+		this.pathResolver = pathResolver
+		this.projects = projects
+		this.sources = options.sources || { baseDir: pathResolver.projectRoot, cache: new Map() }
+		this.sourceResolver = new SourceResolver(config, pathResolver, this.sources)
+
+		// 실행 리포트 (generateAll마다 새로 생성)
+		this.report = new WorkspaceReport(pathResolver.projectRoot)
+	}
+
+	/**
+	 * 모든 프로젝트 생성
+	 *
+	 * 한 프로젝트의 단계가 실패해도 다음 프로젝트는 계속 생성하고, 실패는 결과에 모읍니다.
+	 * (beforeAll 훅 에러 등 Generator가 던진 에러는 그대로 전달)
+	 *
+	 * @param {string[]|null} servers - 대상 서버 목록 (없으면 프로젝트마다 자동 감지)
+	 * @param {Object} options - Generator.generateAll 옵션
+	 * @returns {Promise<{success: string[], failed: Array<{name: string, error: string}>, drift?: Array, pruned: string[]}>}
+	 *   단계 이름과 파일 경로 앞에 프로젝트 이름/디렉토리가 붙음
+	 */
+	async generateAll(servers = null, options = {}) {
+		// 이전 실행에서 가져온 스펙은 재사용하지 않음 (--watch)
+		this.sources.cache?.clear()
+		this.report = new WorkspaceReport(this.pathResolver.projectRoot)
+
+		const results = { success: [], failed: [], pruned: [] }
+		const summary = []
+
+		for (const project of this.projects) {
+			const projectRoot = this.toRelativePath(project.root)
+
+			console.log('\n' + '#'.repeat(60))
+			console.log(`🏢 프로젝트: ${project.name} (${projectRoot})`)
+			console.log('#'.repeat(60))
+
+			const projectServers = servers ? this.filterServers(project, servers) : null
+			if (projectServers?.length === 0) {
+				console.log(`⏭️  대상 서버(${servers.join(', ')})를 사용하지 않는 프로젝트이므로 건너뜁니다.`)
+				continue
+			}
+
+			let projectResults
+			try {
+				projectResults = await project.generator.generateAll(projectServers, options)
+			} finally {
+				this.report.addProject(project, project.generator.report)
+			}
+
+			results.success.push(...projectResults.success.map((name) => `[${project.name}] ${name}`))
+			results.failed.push(
+				...projectResults.failed.map((failure) => ({ ...failure, name: `[${project.name}] ${failure.name}` }))
+			)
+			results.pruned.push(...(projectResults.pruned || []).map((filePath) => join(projectRoot, filePath)))
+
+			if (projectResults.drift) {
+				results.drift = [
+					...(results.drift || []),
+					...projectResults.drift.map((file) => ({ ...file, filePath: join(projectRoot, file.filePath) })),
+				]
+			}
+
+			summary.push({ name: project.name, failed: projectResults.failed.length, drift: projectResults.drift?.length || 0 })
+		}
+
+		this.printSummary(summary)
+
+		return results
+	}
+
+	/**
+	 * 단일 서버 생성 (서버를 사용하는 프로젝트에서만)
+	 *
+	 * @param {string} serverName - 서버 이름
+	 * @param {Object} options - generateAll과 동일한 옵션
+	 */
+	async generateServer(serverName, options = {}) {
+		console.log(`🚀 ${serverName} 서버 생성 시작... (${this.projects.length}개 프로젝트)`)
+
+		const results = await this.generateAll([serverName], options)
+
+		console.log(`\n✅ ${serverName} 서버 생성 완료!`)
+		return results
+	}
+
+	/**
+	 * 모든 프로젝트의 대상 서버 (합집합)
+	 */
+	detectServers() {
+		const servers = new Set(this.projects.flatMap((project) => project.generator.serverDetector.detectServers()))
+		return [...servers].sort()
+	}
+
+	/**
+	 * 서버를 사용하는 첫 프로젝트의 서버별 설정 (Watcher에서 openapi.json 위치 확인용)
+	 */
+	getServerScope(serverName) {
+		const project =
+			this.projects.find((candidate) => this.filterServers(candidate, [serverName]).length > 0) || this.projects[0]
+		return project.generator.getServerScope(serverName)
+	}
+
+	/**
+	 * 프로젝트의 includeOnlyServers/excludeServers를 적용한 대상 서버
+	 */
+	filterServers(project, servers) {
+		const { servers: filtered } = project.generator.serverDetector.applyFilters(
+			servers.map((name) => ({ name, sources: [] }))
+		)
+		return filtered.map(({ name }) => name)
+	}
+
+	/**
+	 * 프로젝트별 결과 요약 출력
+	 */
+	printSummary(summary) {
+		if (summary.length < 2) return
+
+		console.log('\n' + '#'.repeat(60))
+		console.log('🏢 workspace 결과:')
+		summary.forEach(({ name, failed, drift }) => {
+			if (failed > 0) {
+				console.log(`   ❌ ${name}: ${failed}개 단계 실패`)
+			} else if (drift > 0) {
+				console.log(`   ❌ ${name}: ${drift}개 파일이 최신이 아님`)
+			} else {
+				console.log(`   ✅ ${name}`)
+			}
+		})
+		console.log('#'.repeat(60))
+	}
+
+	/**
+	 * workspace 루트 기준 상대 경로
+	 */
+	toRelativePath(filePath) {
+		return relative(this.pathResolver.projectRoot, filePath) || '.'
+	}
+}
+
+/**
+ * workspace 프로젝트별 설정과 디렉토리
+ *
+ * @param {Object} config - 전체 설정
+ * @param {string} workspaceRoot - workspace 루트 (root의 기준 디렉토리)
+ * @param {string[]|null} projectNames - 대상 프로젝트 (없으면 전체, 설정 순서)
+ * @returns {Array<{name: string, root: string, config: Object}>} root는 절대 경로
+ * @throws {Error} 프로젝트가 없거나 root 디렉토리가 없는 경우
+ */
+export function resolveWorkspaceProjects(config, workspaceRoot = process.cwd(), projectNames = null) {
+	const configManager = new ConfigManager(workspaceRoot)
+
+	return (projectNames || configManager.getProjectNames(config)).map((name) => {
+		const projectConfig = configManager.getProjectConfig(name, config)
+		const { root } = config.workspace.projects[name]
+
+		if (typeof root !== 'string' || !existsSync(resolve(workspaceRoot, root))) {
+			throw new Error(`workspace.projects.${name}.root 디렉토리를 찾을 수 없습니다: ${root}`)
+		}
+
+		return { name, root: resolve(workspaceRoot, root), config: projectConfig }
+	})
+}
+
+/**
+ * workspace 설정 여부 (workspace.projects에 프로젝트가 하나 이상)
+ */
+export function isWorkspaceConfig(config) {
+	return new ConfigManager().getProjectNames(config).length > 0
+}
+
+// ========================================
+// 실행 리포트
+// ========================================
+
+/**
+ * 프로젝트별 RunReport 묶음 (generate --report)
+ */
+class WorkspaceReport {
+	constructor(workspaceRoot) {
+		this.workspaceRoot = workspaceRoot
+		this.projects = []
+	}
+
+	addProject({ name, root }, report) {
+		this.projects.push({ name, root: relative(this.workspaceRoot, root) || '.', report })
+	}
+
+	toJSON() {
+		const projects = this.projects.map(({ name, root, report }) => ({ name, root, ...report.toJSON() }))
+
+		return {
+			workspace: true,
+			success: projects.every((project) => project.success),
+			projects,
+		}
+	}
+
+	write(filePath) {
+		mkdirSync(dirname(filePath), { recursive: true })
+		writeFileSync(filePath, JSON.stringify(this.toJSON(), null, 2) + '\n')
+	}
+}
+
+/**
+ * WorkspaceGenerator 인스턴스 생성 헬퍼
+ */
+export function createWorkspaceGenerator(config, pathResolver, projects, options = {}) {
+	return new WorkspaceGenerator(config, pathResolver, projects, options)
+}
+
+export default WorkspaceGenerator
@@ -1,8 +1,9 @@
 #!/usr/bin/env node
 
-import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs'
-import { dirname } from 'path'
 import logger from '../utils/Logger.js'
+import { loadSpecModel, getSchemaRefName } from '../parsers/SchemaParser.js'
+import { getEnumValues, getNonNullMembers, isArraySchema, isNullableSchema } from '../parsers/JsonSchema.js'
+import { OutputSink } from '../core/OutputSink.js'
 
 /**
  * 스키마에서 모든 프로퍼티와 타입을 재귀적으로 추출하는 고도화된 스크립트
@@ -10,184 +11,98 @@ import logger from '../utils/Logger.js'
  */
 
 class DeepSchemaTypeExtractor {
-	constructor(domain = 'content') {
+	constructor(domain = 'content', output = new OutputSink()) {
 		this.domain = domain
-		this.schemaFilePath = `src/domains/${domain}/types/schema.d.ts`
+		this.output = output // 파일 읽기/쓰기 (OutputSink)
+		this.specFilePath = `src/domains/${domain}/types/openapi.json`
+		this.model = null // 스펙 모델
 		this.extractedSchemas = new Set() // 이미 추출된 스키마 추적
 		this.allSchemas = new Map() // 전체 스키마 저장
 		this.processedTypes = new Set() // 처리된 타입들 추적
 	}
 
 	/**
-	 * 스키마 파일 전체를 파싱해서 모든 스키마를 추출
-	 * generateValidatedTypes.cjs의 검증된 로직을 사용
+	 * 스펙 모델에서 모든 스키마(components.schemas)를 가져옴
 	 */
-	parseAllSchemas(schemaContent) {
-		// validated 스크립트와 동일한 패턴 사용
-		const componentsMatch = schemaContent.match(
-			/export interface components \{[\s\S]*?schemas: \{([\s\S]*?)(?=\n\t\}[\s\S]*?\nexport interface)/
-		)
-		if (!componentsMatch) {
-			// 대안 패턴 시도 (파일 끝까지)
-			const altMatch = schemaContent.match(/export interface components \{[\s\S]*?schemas: \{([\s\S]*?)$/)
-			if (!altMatch) {
-				throw new Error('schemas 섹션을 찾을 수 없습니다.')
-			}
-			this.extractSchemasWithValidatedLogic(altMatch[1])
-		} else {
-			this.extractSchemasWithValidatedLogic(componentsMatch[1])
+	parseAllSchemas(model) {
+		if (!model?.schemas) {
+			throw new Error('schemas 섹션을 찾을 수 없습니다.')
 		}
 
+		this.model = model
+		this.allSchemas = new Map(Object.entries(model.schemas))
+
+		logger.debug(`발견된 스키마 이름들: ${Array.from(this.allSchemas.keys()).join(', ')}`)
 		logger.info(`총 ${this.allSchemas.size}개의 스키마를 발견했습니다.`)
 	}
 
 	/**
-	 * validated 스크립트의 검증된 로직을 사용한 스키마 추출
-	 * 개선된 중괄호 매칭으로 정확한 스키마 경계 찾기
+	 * 스키마 객체의 프로퍼티 목록 (allOf 조합 포함)
 	 */
-	extractSchemasWithValidatedLogic(componentsSchemasBlock) {
-		const schemaNames = []
-		const schemaDefinitions = new Map()
-
-		// 스키마명: { 패턴으로 시작점 찾기
-		const schemaStartRegex = /(\w+):\s*\{/g
-		let match
-		const startPositions = []
-
-		while ((match = schemaStartRegex.exec(componentsSchemasBlock)) !== null) {
-			const schemaName = match[1]
-			const startPos = match.index + match[0].length - 1 // { 위치
-			startPositions.push({
-				name: schemaName,
-				start: startPos,
-				fullMatch: match[0],
-			})
-			schemaNames.push(schemaName)
+	collectSchemaProperties(schemaObject, visited = new Set()) {
+		const refName = getSchemaRefName(schemaObject)
+		if (refName) {
+			if (visited.has(refName)) return { properties: {}, required: [] }
+			visited.add(refName)
+			return this.collectSchemaProperties(this.allSchemas.get(refName), visited)
 		}
 
-		logger.debug(`발견된 스키마 이름들: ${schemaNames.join(', ')}`)
-
-		// 각 스키마의 정확한 끝 위치를 중괄호 매칭으로 찾기
-		for (let i = 0; i < startPositions.length; i++) {
-			const current = startPositions[i]
-			const schemaName = current.name
-
-			try {
-				// 중괄호 카운터로 정확한 끝 위치 찾기
-				let braceCount = 1
-				let pos = current.start + 1 // { 다음부터 시작
-				let inString = false
-				let inComment = false
-				let escapeNext = false
-
-				while (pos < componentsSchemasBlock.length && braceCount > 0) {
-					const char = componentsSchemasBlock[pos]
-					const prevChar = pos > 0 ? componentsSchemasBlock[pos - 1] : ''
-					const nextChar = pos < componentsSchemasBlock.length - 1 ? componentsSchemasBlock[pos + 1] : ''
-
-					// 문자열 내부 처리
-					if (!inComment) {
-						if (escapeNext) {
-							escapeNext = false
-						} else if (char === '\\') {
-							escapeNext = true
-						} else if (char === '"' || char === "'" || char === '`') {
-							if (!inString) {
-								inString = char
-							} else if (inString === char) {
-								inString = false
-							}
-						}
-					}
-
-					// 주석 처리
-					if (!inString) {
-						if (char === '/' && nextChar === '/') {
-							inComment = 'line'
-							pos++ // // 건너뛰기
-						} else if (char === '/' && nextChar === '*') {
-							inComment = 'block'
-							pos++ // /* 건너뛰기
-						} else if (inComment === 'line' && char === '\n') {
-							inComment = false
-						} else if (inComment === 'block' && char === '*' && nextChar === '/') {
-							inComment = false
-							pos++ // */ 건너뛰기
-						}
-					}
-
-					// 중괄호 카운팅 (문자열이나 주석 안이 아닐 때만)
-					if (!inString && !inComment) {
-						if (char === '{') {
-							braceCount++
-						} else if (char === '}') {
-							braceCount--
-						}
-					}
-
-					pos++
-				}
+		const properties = { ...(schemaObject?.properties || {}) }
+		const required = [...(schemaObject?.required || [])]
 
-				if (braceCount === 0) {
-					// 정확한 스키마 정의 추출
-					const schemaContent = componentsSchemasBlock.substring(current.start + 1, pos - 1)
-					this.allSchemas.set(schemaName, schemaContent.trim())
-					logger.debug(`${schemaName}: ${schemaContent.trim().length} chars`)
-				} else {
-					logger.warn(`${schemaName}: 중괄호 매칭 실패`)
-				}
-			} catch (error) {
-				logger.error(`${schemaName}: 추출 오류 - ${error.message}`)
-			}
+		for (const member of schemaObject?.allOf || []) {
+			const collected = this.collectSchemaProperties(member, visited)
+			Object.assign(properties, collected.properties)
+			required.push(...collected.required)
 		}
+
+		return { properties, required }
 	}
 
 	/**
-	 * 스키마에서 주석을 제거하는 함수
+	 * 프로퍼티 스키마의 타입 정보 분석 (3.0 nullable, 3.1 type 배열/const/prefixItems 포함)
 	 */
-	removeCommentsFromSchema(schemaContent) {
-		// /* ... */ 블록 주석 제거
-		let cleaned = schemaContent.replace(/\/\*[\s\S]*?\*\//g, '')
-
-		// /** ... */ JSDoc 주석 제거
-		cleaned = cleaned.replace(/\/\*\*[\s\S]*?\*\//g, '')
-
-		// // 라인 주석 제거
-		cleaned = cleaned.replace(/\/\/.*$/gm, '')
-
-		// 연속된 공백과 빈 줄 정리
-		cleaned = cleaned.replace(/\s+/g, ' ').trim()
-
-		return cleaned
+	analyzePropertySchema(propertySchema) {
+		const enumValues = (getEnumValues(propertySchema) || []).filter((value) => typeof value === 'string')
+		const isNullable = isNullableSchema(propertySchema)
+		const isArray = isArraySchema(propertySchema)
+
+		// 직접 참조, 배열 아이템(튜플은 첫 참조 요소) 참조, null을 뺀 단일 참조 조합(allOf/oneOf/anyOf)
+		const itemSchemas = isArray ? [propertySchema.items, ...(propertySchema.prefixItems || [])] : []
+		const composition = propertySchema.allOf || getNonNullMembers(propertySchema)
+		const nestedSchemaName =
+			getSchemaRefName(propertySchema) ||
+			itemSchemas.map(getSchemaRefName).find(Boolean) ||
+			(composition.length === 1 ? getSchemaRefName(composition[0]) : null)
+
+		return {
+			isEnum: enumValues.length > 1 && !isNullable,
+			isArray,
+			enumValues,
+			nestedSchemaName,
+			description: propertySchema.description || null,
+		}
 	}
 
 	/**
 	 * 스키마 정의에서 모든 프로퍼티를 추출하고 분석 (스마트 필터링 적용)
 	 */
-	extractAllProperties(schemaDefinition, schemaName) {
+	extractAllProperties(schemaObject, schemaName) {
 		const properties = []
 		const nestedSchemas = new Set()
 
 		logger.debug(`${schemaName} 스키마 정의 분석 중...`)
-		logger.debug(`스키마 내용: ${schemaDefinition.substring(0, 200)}...`)
-
-		// 주석 제거 후 실제 속성만 추출
-		const cleanedSchema = this.removeCommentsFromSchema(schemaDefinition)
-		logger.debug(`주석 제거 후: ${cleanedSchema.substring(0, 200)}...`)
 
-		// 속성명과 타입을 매칭하는 정규식 (옵셔널 속성 포함, 주석 제거된 내용에서만)
-		const propertyRegex = /(\w+)\??\s*:\s*([^;]+);/g
-		let match
+		const { properties: schemaProperties, required } = this.collectSchemaProperties(schemaObject)
 
-		while ((match = propertyRegex.exec(cleanedSchema)) !== null) {
-			const [fullMatch, propertyName, typeDefinition] = match
-			const cleanType = typeDefinition.trim()
-			const isOptional = fullMatch.includes('?:') // 옵셔널 마커 체크
+		for (const [propertyName, propertySchema] of Object.entries(schemaProperties)) {
+			const typeInfo = this.analyzePropertySchema(propertySchema || {})
+			const isOptional = !required.includes(propertyName)
 
-			logger.debug(`발견된 속성: ${propertyName}${isOptional ? '?' : ''} : ${cleanType}`)
+			logger.debug(`발견된 속성: ${propertyName}${isOptional ? '?' : ''}`)
 
 			// 스마트 필터링: 의미있는 속성들만 선별
-			const shouldExtract = this.isPropertyWorthExtracting(propertyName, cleanType)
+			const shouldExtract = this.isPropertyWorthExtracting(propertyName, typeInfo)
 			logger.debug(`${shouldExtract ? '✅' : '❌'} ${propertyName} - ${shouldExtract ? '추출함' : '스킵됨'}`)
 
 			if (!shouldExtract) {
@@ -196,47 +111,22 @@ class DeepSchemaTypeExtractor {
 
 			const propertyInfo = {
 				name: propertyName,
-				originalType: cleanType,
-				isEnum: false,
-				isArray: false,
-				isOptional: isOptional || cleanType.includes('undefined'), // 개선된 옵셔널 체크
+				originalType: propertySchema,
+				isEnum: typeInfo.isEnum,
+				isArray: typeInfo.isArray,
+				isOptional,
 				isNested: false,
-				enumValues: [],
+				enumValues: typeInfo.isEnum ? typeInfo.enumValues : [],
 				nestedSchemaName: null,
-				description: null,
-				priority: this.getPropertyPriority(propertyName, cleanType),
-			}
-
-			// 주석에서 설명 추출
-			const descriptionMatch = schemaDefinition.match(new RegExp(`/\\*\\*[\\s\\S]*?\\*/\\s*${propertyName}\\??:`))
-			if (descriptionMatch) {
-				const commentBlock = descriptionMatch[0]
-				const descMatch = commentBlock.match(/@description\s+([^\n@]*)/)
-				if (descMatch) {
-					propertyInfo.description = descMatch[1].trim()
-				}
-			}
-
-			// 배열 타입 체크
-			if (cleanType.includes('[]') || cleanType.includes('Array<')) {
-				propertyInfo.isArray = true
-			}
-
-			// Union 타입 (enum) 체크
-			if (cleanType.includes('|') && !cleanType.includes('null') && !cleanType.includes('undefined')) {
-				const stringLiterals = cleanType.match(/'[^']*'/g)
-				if (stringLiterals && stringLiterals.length > 1) {
-					propertyInfo.isEnum = true
-					propertyInfo.enumValues = stringLiterals.map((s) => s.replace(/'/g, ''))
-				}
+				description: typeInfo.description,
+				priority: this.getPropertyPriority(propertyName, typeInfo),
 			}
 
 			// 중첩된 스키마 참조 체크
-			const componentMatch = cleanType.match(/components\['schemas'\]\['(\w+)'\]/)
-			if (componentMatch) {
+			if (typeInfo.nestedSchemaName) {
 				propertyInfo.isNested = true
-				propertyInfo.nestedSchemaName = componentMatch[1]
-				nestedSchemas.add(componentMatch[1])
+				propertyInfo.nestedSchemaName = typeInfo.nestedSchemaName
+				nestedSchemas.add(typeInfo.nestedSchemaName)
 			}
 
 			properties.push(propertyInfo)
@@ -251,7 +141,7 @@ class DeepSchemaTypeExtractor {
 	/**
 	 * 속성이 추출할 가치가 있는지 판단
 	 */
-	isPropertyWorthExtracting(propertyName, typeDefinition) {
+	isPropertyWorthExtracting(propertyName, typeInfo) {
 		// 무의미한 속성들 제외
 		const skipPatterns = [
 			/^id$/i, // 단순 id
@@ -267,55 +157,24 @@ class DeepSchemaTypeExtractor {
 			/^https$/i, // https
 		]
 
-		// 제외 패턴에 매칭되는지 확인
+		// 제외 패턴에 매칭되는지 확인 (단, enum이면 포함)
 		if (skipPatterns.some((pattern) => pattern.test(propertyName))) {
-			// 단, enum이나 union 타입이면 포함
-			if (typeDefinition.includes('|') && !typeDefinition.includes('null') && !typeDefinition.includes('undefined')) {
-				const stringLiterals = typeDefinition.match(/'[^']*'/g)
-				if (stringLiterals && stringLiterals.length > 1) {
-					return true // enum이면 포함
-				}
-			}
-			return false
-		}
-
-		// 포함할 가치가 있는 패턴들
-		const includePatterns = [
-			/Type$/i, // ~Type으로 끝나는 것들
-			/Status$/i, // ~Status로 끝나는 것들
-			/State$/i, // ~State로 끝나는 것들
-			/Mode$/i, // ~Mode로 끝나는 것들
-		]
-
-		// 포함 패턴에 매칭되거나, enum/union 타입이면 포함
-		if (includePatterns.some((pattern) => pattern.test(propertyName))) {
-			return true
+			return typeInfo.isEnum
 		}
 
-		// Union 타입 (enum) 체크
-		if (typeDefinition.includes('|') && !typeDefinition.includes('null') && !typeDefinition.includes('undefined')) {
-			const stringLiterals = typeDefinition.match(/'[^']*'/g)
-			if (stringLiterals && stringLiterals.length > 1) {
-				return true // enum이면 포함
-			}
-		}
-
-		// 기본적으로 포함 (나머지 필드들)
+		// 기본적으로 포함 (Type/Status/State/Mode, enum, 나머지 필드들)
 		return true
 	}
 
 	/**
 	 * 속성의 우선순위 계산 (높을수록 먼저 출력)
 	 */
-	getPropertyPriority(propertyName, typeDefinition) {
+	getPropertyPriority(propertyName, typeInfo) {
 		let priority = 0
 
-		// Enum/Union 타입은 최고 우선순위
-		if (typeDefinition.includes('|') && !typeDefinition.includes('null') && !typeDefinition.includes('undefined')) {
-			const stringLiterals = typeDefinition.match(/'[^']*'/g)
-			if (stringLiterals && stringLiterals.length > 1) {
-				priority += 100
-			}
+		// Enum 타입은 최고 우선순위
+		if (typeInfo.isEnum) {
+			priority += 100
 		}
 
 		// Type, Status, State 등은 높은 우선순위
@@ -325,7 +184,7 @@ class DeepSchemaTypeExtractor {
 		if (/Mode$/i.test(propertyName)) priority += 30
 
 		// 중첩된 스키마 참조는 중간 우선순위
-		if (typeDefinition.includes("components['schemas']")) {
+		if (typeInfo.nestedSchemaName) {
 			priority += 20
 		}
 
@@ -566,15 +425,13 @@ class DeepSchemaTypeExtractor {
 		try {
 			logger.info(`${schemaName} 스키마 깊이 분석 시작...`)
 
-			// 스키마 파일 읽기
-			if (!existsSync(this.schemaFilePath)) {
-				throw new Error(`스키마 파일을 찾을 수 없습니다: ${this.schemaFilePath}`)
+			// 스펙 파일 읽기
+			if (!this.output.exists(this.specFilePath)) {
+				throw new Error(`스펙 파일을 찾을 수 없습니다: ${this.specFilePath}`)
 			}
 
-			const schemaContent = readFileSync(this.schemaFilePath, 'utf-8')
-
 			// 모든 스키마 파싱
-			this.parseAllSchemas(schemaContent)
+			this.parseAllSchemas(loadSpecModel(this.specFilePath, this.output.readFile))
 
 			// 메인 스키마 확인
 			if (!this.allSchemas.has(schemaName)) {
@@ -603,14 +460,8 @@ class DeepSchemaTypeExtractor {
 			// 타입 파일 생성
 			const typeFileContent = this.generateDeepTypeFile(schemaName, mainSchema, nestedTypes)
 
-			// 디렉토리 생성 (필요한 경우)
-			const dir = dirname(outputPath)
-			if (!existsSync(dir)) {
-				mkdirSync(dir, { recursive: true })
-			}
-
-			// 파일 쓰기
-			writeFileSync(outputPath, typeFileContent)
+			// 파일 쓰기 (디렉토리는 OutputSink가 생성)
+			this.output.write(outputPath, typeFileContent)
 
 			// 결과 요약
 			this.printSummary(schemaName, mainSchema, nestedTypes, outputPath)
@@ -631,6 +482,7 @@ class DeepSchemaTypeExtractor {
  */
 async function processBatchMode() {
 	const domains = convertToServerList(detectServersFromModel())
+	const output = new OutputSink()
 	const results = {
 		totalDomains: 0,
 		totalSchemas: 0,
@@ -645,24 +497,23 @@ async function processBatchMode() {
 	for (const domain of domains) {
 		logger.info(`도메인 처리 중: ${domain.toUpperCase()}`)
 
-		const schemaFilePath = `src/domains/${domain}/types/schema.d.ts`
+		const specFilePath = `src/domains/${domain}/types/openapi.json`
 		const outputPath = `src/domains/${domain}/types/deepSchema.ts`
 
-		// 스키마 파일 존재 확인
-		if (!existsSync(schemaFilePath)) {
-			logger.warn(`스키마 파일이 존재하지 않습니다: ${schemaFilePath}`)
-			results.errors.push(`${domain}: 스키마 파일 없음`)
+		// 스펙 파일 존재 확인
+		if (!output.exists(specFilePath)) {
+			logger.warn(`스펙 파일이 존재하지 않습니다: ${specFilePath}`)
+			results.errors.push(`${domain}: 스펙 파일 없음`)
 			continue
 		}
 
 		results.totalDomains++
 
 		try {
-			const extractor = new DeepSchemaTypeExtractor(domain)
-			const schemaContent = readFileSync(schemaFilePath, 'utf-8')
+			const extractor = new DeepSchemaTypeExtractor(domain, output)
 
 			// 모든 스키마 파싱
-			extractor.parseAllSchemas(schemaContent)
+			extractor.parseAllSchemas(loadSpecModel(specFilePath, output.readFile))
 			const schemaNames = Array.from(extractor.allSchemas.keys())
 
 			logger.info(`발견된 스키마: ${schemaNames.length}개`)
@@ -671,14 +522,8 @@ async function processBatchMode() {
 			// 도메인의 모든 스키마를 하나의 파일로 통합 생성
 			const consolidatedContent = await generateConsolidatedDeepSchemaFile(extractor, schemaNames, domain)
 
-			// 디렉토리 생성 (필요한 경우)
-			const dir = dirname(outputPath)
-			if (!existsSync(dir)) {
-				mkdirSync(dir, { recursive: true })
-			}
-
-			// 파일 쓰기
-			writeFileSync(outputPath, consolidatedContent)
+			// 파일 쓰기 (디렉토리는 OutputSink가 생성)
+			output.write(outputPath, consolidatedContent)
 
 			results.processedDomains++
 			results.summary.push({
@@ -741,9 +586,10 @@ async function generateConsolidatedDeepSchemaFile(extractor, schemaNames, domain
 		logger.debug(`분석 중: ${schemaName}`)
 
 		try {
-			// 개별 스키마 분석을 위한 새로운 인스턴스
+			// 개별 스키마 분석을 위한 새로운 인스턴스 (이미 파싱한 모델과 스키마 목록을 공유)
 			const schemaExtractor = new DeepSchemaTypeExtractor(domain)
-			schemaExtractor.parseAllSchemas(readFileSync(extractor.schemaFilePath, 'utf-8'))
+			schemaExtractor.model = extractor.model
+			schemaExtractor.allSchemas = extractor.allSchemas
 			schemaExtractor.processedTypes = new Set(globalProcessedTypes)
 
 			const mainSchemaDefinition = schemaExtractor.allSchemas.get(schemaName)
@@ -883,23 +729,25 @@ export class DeepSchemaGenerator {
 		this.pathResolver = pathResolver
 		this.importResolver = importResolver
 		this.naming = naming
+
+		// openapi.json 읽기용 - Generator가 공용 OutputSink를 주입
+		this.output = new OutputSink({ projectRoot: pathResolver.projectRoot })
 	}
 
 	/**
 	 * Generator 인터페이스 호환 메서드
 	 */
 	async generate(serverName) {
-		const schemaFilePath = this.pathResolver.getSchemaPath(serverName)
+		const specFilePath = this.pathResolver.getSpecPath(serverName)
 		const outputPath = this.pathResolver.resolvePath(
 			this.config.fileGeneration.domainTypes + '/' + (this.config.fileGeneration?.files?.deepSchema || 'deepSchema.ts'),
 			{ serverName }
 		)
 
-		const extractor = new DeepSchemaTypeExtractor(serverName)
-		const schemaContent = readFileSync(schemaFilePath, 'utf-8')
+		const extractor = new DeepSchemaTypeExtractor(serverName, this.output)
 
 		// 모든 스키마 파싱
-		extractor.parseAllSchemas(schemaContent)
+		extractor.parseAllSchemas(loadSpecModel(specFilePath, this.output.readFile))
 		const schemaNames = Array.from(extractor.allSchemas.keys())
 
 		// 통합 파일 생성
@@ -10,11 +10,44 @@
  * - 태그별 API 함수 생성 (fetchUsers, createUser 등)
  * - JSDoc 주석 생성
  * - Params/Body/Response 타입 매핑
+ * - JSON이 아닌 요청 body(multipart/form-data, x-www-form-urlencoded 등)는 bodySerializer로 변환해서 전송
  * - Import 문 생성
  */
 
-import { readFileSync } from 'fs'
 import logger from '../utils/Logger.js'
+import { loadSpecModel, buildOperationIdMap, parseValidatedTypes } from '../parsers/SchemaParser.js'
+import { OutputSink } from '../core/OutputSink.js'
+
+/**
+ * API 함수를 생성하는 HTTP 메서드
+ */
+const CRUD_METHODS = ['get', 'post', 'put', 'patch', 'delete']
+
+/**
+ * JSON이 아닌 요청 body 변환 함수 (생성 파일에 필요한 것만 포함)
+ */
+const BODY_SERIALIZERS = {
+	toFormData: `// multipart/form-data 요청 body 변환 (배열은 같은 이름으로 여러 번, 객체는 JSON 문자열)
+const toFormData = (body: object) => {
+  const formData = new FormData();
+  Object.entries(body).forEach(([key, value]) => {
+    if (value === undefined || value === null) return;
+    (Array.isArray(value) ? value : [value]).forEach((item) =>
+      formData.append(key, item instanceof Blob ? item : typeof item === 'object' ? JSON.stringify(item) : String(item))
+    );
+  });
+  return formData;
+};`,
+	toURLSearchParams: `// application/x-www-form-urlencoded 요청 body 변환
+const toURLSearchParams = (body: object) => {
+  const searchParams = new URLSearchParams();
+  Object.entries(body).forEach(([key, value]) => {
+    if (value === undefined || value === null) return;
+    (Array.isArray(value) ? value : [value]).forEach((item) => searchParams.append(key, String(item)));
+  });
+  return searchParams.toString();
+};`,
+}
 
 /**
  * DomainAPIGenerator 클래스
@@ -31,6 +64,9 @@ export class DomainAPIGenerator {
 		this.pathResolver = pathResolver
 		this.importResolver = importResolver
 		this.naming = naming
+
+		// openapi.json, validated.ts 읽기용 - Generator가 공용 OutputSink를 주입
+		this.output = new OutputSink({ projectRoot: pathResolver.projectRoot })
 	}
 
 	/**
@@ -41,10 +77,9 @@ export class DomainAPIGenerator {
 	 * @returns {string} 생성된 파일 내용
 	 */
 	generate(serverName, tagName) {
-		// schema에서 경로 추출
-		const schemaPath = this.pathResolver.getSchemaPath(serverName)
-		const schemaContent = readFileSync(schemaPath, 'utf-8')
-		const pathDataArray = this.extractPathsFromSchema(schemaContent, serverName, tagName)
+		// 스펙 모델에서 경로 추출
+		const model = loadSpecModel(this.pathResolver.getSpecPath(serverName), this.output.readFile)
+		const pathDataArray = this.extractPathsFromModel(model, serverName, tagName)
 
 		if (pathDataArray.length === 0) {
 			logger.warn(`${tagName} 태그에 대한 경로를 찾을 수 없습니다.`)
@@ -55,14 +90,15 @@ export class DomainAPIGenerator {
 		const { allTypes, operationTypes } = this.parseValidatedTypes(serverName)
 
 		// 경로별 operationId 매핑
-		const pathToOperationIdMap = this.buildPathToOperationIdMap(serverName)
+		const pathToOperationIdMap = buildOperationIdMap(model)
 
 		// 사용할 타입들과 API 메서드 수집
 		const usedTypes = new Set()
 		const apiMethods = []
+		const bodySerializers = new Set()
 
 		pathDataArray.forEach((pathData) => {
-			const { path, method, functionName } = pathData
+			const { path, method, functionName, bodyContentType } = pathData
 
 			// operationId 조회
 			const operationId = this.getOperationId(path, method, pathToOperationIdMap)
@@ -86,6 +122,9 @@ export class DomainAPIGenerator {
 
 			const finalResponseType = responseType || roType
 
+			const bodySerializer = bodyType ? getBodySerializer(bodyContentType) : null
+			if (bodySerializer) bodySerializers.add(bodySerializer)
+
 			// 메서드 코드 생성
 			const methodCode = this.generateMethodCode(
 				serverName,
@@ -95,62 +134,57 @@ export class DomainAPIGenerator {
 				operationId,
 				paramsType,
 				bodyType,
-				finalResponseType
+				finalResponseType,
+				bodyContentType
 			)
 
 			apiMethods.push(methodCode)
 		})
 
 		// 파일 내용 생성
-		return this.generateFileContent(serverName, tagName, usedTypes, apiMethods)
+		return this.generateFileContent(serverName, tagName, usedTypes, apiMethods, bodySerializers)
 	}
 
 	/**
-	 * Schema에서 태그의 경로 추출
+	 * 스펙 모델에서 태그의 경로 추출
 	 */
-	extractPathsFromSchema(schemaContent, serverName, tagName) {
+	extractPathsFromModel(model, serverName, tagName) {
 		const pathsData = []
 
-		try {
-			const pathsMatch = schemaContent.match(/export interface paths\s*\{([\s\S]*?)(?=\nexport interface)/)
-			if (!pathsMatch) return pathsData
-
-			const pathsBlock = pathsMatch[1]
-			const pathRegex = /['"]([^'"]+)['"]:\s*\{([\s\S]*?)\n(?:\t| {4})\}/g
-			let pathMatch
-
-			while ((pathMatch = pathRegex.exec(pathsBlock)) !== null) {
-				const [_, path, pathDetails] = pathMatch
-
-				const extractedTag = this.naming.extractTagFromPath(path)
-				if (extractedTag !== tagName) continue
-
-				const methodRegex = /(get|post|put|patch|delete)\??:/gi
-				let methodMatch
+		for (const operation of this.naming.getTagOperations(model, serverName, tagName)) {
+			const { path, method } = operation
+			if (!CRUD_METHODS.includes(method)) continue
 
-				while ((methodMatch = methodRegex.exec(pathDetails)) !== null) {
-					const method = methodMatch[1].toLowerCase()
-					const functionName = this.naming.generateFunctionName(path, method)
+			const functionName = this.naming.generateFunctionName(path, method)
 
-					pathsData.push({
-						path,
-						method,
-						functionName,
-						tag: tagName,
-					})
-				}
-			}
-		} catch (error) {
-			logger.error(`${serverName} 경로 추출 오류: ${error.message}`)
+			pathsData.push({
+				path,
+				method,
+				functionName,
+				tag: tagName,
+				bodyContentType: operation.requestBody?.contentType || null,
+			})
 		}
 
+		logger.debug(`${serverName}/${tagName}: ${pathsData.length}개 API 함수`)
+
 		return pathsData
 	}
 
 	/**
 	 * 메서드 코드 생성 (generateDomainAPI.js line 786-898)
 	 */
-	generateMethodCode(serverName, path, method, functionName, operationId, paramsType, bodyType, responseType) {
+	generateMethodCode(
+		serverName,
+		path,
+		method,
+		functionName,
+		operationId,
+		paramsType,
+		bodyType,
+		responseType,
+		bodyContentType = null
+	) {
 		let parameters = []
 		let apiCallOptions = []
 
@@ -177,7 +211,7 @@ export class DomainAPIGenerator {
 		// Body 처리
 		if (bodyType) {
 			parameters.push(`body: ${bodyType}`)
-			apiCallOptions.push('body')
+			apiCallOptions.push('body', ...getBodyOptions(bodyContentType))
 		}
 
 		// 함수 시그니처
@@ -330,12 +364,16 @@ export const ${functionName} = async (${parameterString}) => {
 	/**
 	 * 파일 내용 생성 (generateDomainAPI.js line 916-933)
 	 */
-	generateFileContent(serverName, tagName, usedTypes, apiMethods) {
+	generateFileContent(serverName, tagName, usedTypes, apiMethods, bodySerializers = new Set()) {
 		const typeImports = Array.from(usedTypes)
 		const importStatement =
 			typeImports.length > 0
 				? `import {\n  ${typeImports.join(',\n  ')}\n} from '${this.importResolver.getValidatedTypesImport(serverName)}';`
 				: '// 사용 가능한 validated 타입이 없습니다.'
+		const serializers = Object.keys(BODY_SERIALIZERS)
+			.filter((name) => bodySerializers.has(name))
+			.map((name) => `\n${BODY_SERIALIZERS[name]}\n`)
+			.join('')
 
 		return `import { createQueryParams, handleAPIResponse } from '${this.importResolver.getApiHandlersImport()}';
 import { ${serverName}Fetcher } from '${this.importResolver.getServerInstanceImport(serverName)}';
@@ -343,7 +381,7 @@ ${importStatement}
 
 // openapi-fetch HTTP 메서드들 destructuring (싱글톤 인스턴스)
 const { GET, POST, PUT, PATCH, DELETE } = ${serverName}Fetcher;
-${apiMethods.join('\n')}
+${serializers}${apiMethods.join('\n')}
 `
 	}
 
@@ -353,7 +391,7 @@ ${apiMethods.join('\n')}
 	readValidatedContent(serverName) {
 		try {
 			const validatedPath = this.pathResolver.getValidatedTypesPath(serverName)
-			return readFileSync(validatedPath, 'utf-8')
+			return this.output.read(validatedPath)
 		} catch (error) {
 			logger.warn(`${serverName} validated.ts 파일을 읽을 수 없습니다.`)
 			return null
@@ -364,72 +402,14 @@ ${apiMethods.join('\n')}
 	 * validated 타입 파싱 (generateDomainAPI.js line 648-737)
 	 */
 	parseValidatedTypes(serverName) {
-		const validatedContent = this.readValidatedContent(serverName)
-		if (!validatedContent) {
-			return { allTypes: [], operationTypes: {} }
-		}
-
-		const allTypes = []
-		const operationTypes = {}
-
-		// export type ... 패턴으로 모든 타입 추출
-		const typeRegex = /export type ([a-zA-Z0-9_]+)(_Params|_Body|_Response|_RO)/g
-		let match
-
-		while ((match = typeRegex.exec(validatedContent)) !== null) {
-			const fullTypeName = match[1] + match[2]
-			const operationId = match[1]
-			const suffix = match[2]
-
-			allTypes.push(fullTypeName)
-
-			if (!operationTypes[operationId]) {
-				operationTypes[operationId] = {}
-			}
-
-			if (suffix === '_Params') operationTypes[operationId].params = fullTypeName
-			else if (suffix === '_Body') operationTypes[operationId].body = fullTypeName
-			else if (suffix === '_Response') operationTypes[operationId].response = fullTypeName
-			else if (suffix === '_RO') operationTypes[operationId].ro = fullTypeName
-		}
-
-		return { allTypes, operationTypes }
+		return parseValidatedTypes(this.readValidatedContent(serverName))
 	}
 
 	/**
 	 * operationId 매핑 생성 (generateDomainAPI.js line 953-1005)
 	 */
 	buildPathToOperationIdMap(serverName) {
-		const schemaPath = this.pathResolver.getSchemaPath(serverName)
-		const schemaContent = readFileSync(schemaPath, 'utf-8')
-
-		const pathToOperationIdMap = {}
-
-		// paths 인터페이스 추출
-		const pathsMatch = schemaContent.match(/export interface paths \{([\s\S]*?)(?=\nexport interface)/)
-		if (!pathsMatch) return pathToOperationIdMap
-
-		const pathsBlock = pathsMatch[1]
-
-		// 각 경로 순회 (탭 또는 공백 4개)
-		const pathRegex = /['"]([^'"]+)['"]:\s*\{([\s\S]*?)\n(?:\t| {4})\}/g
-		let pathMatch
-
-		while ((pathMatch = pathRegex.exec(pathsBlock)) !== null) {
-			const [_, path, pathDetails] = pathMatch
-
-			// 각 메서드 순회
-			const methodRegex = /(get|post|put|patch|delete)\??:\s*operations\[['"]([^'"]+)['"]\]/gi
-			let methodMatch
-
-			while ((methodMatch = methodRegex.exec(pathDetails)) !== null) {
-				const [__, method, operationId] = methodMatch
-				const key = `${path}#${method.toUpperCase()}`
-				pathToOperationIdMap[key] = operationId
-			}
-		}
-
-		return pathToOperationIdMap
+		return buildOperationIdMap(loadSpecModel(this.pathResolver.getSpecPath(serverName), this.output.readFile))
 	}
 
 	/**
@@ -451,6 +431,34 @@ ${apiMethods.join('\n')}
 	}
 }
 
+/**
+ * 요청 body content type에 맞는 변환 함수 이름 (JSON이면 null)
+ */
+function getBodySerializer(contentType) {
+	if (!contentType || /json/i.test(contentType) || contentType === '*/*') return null
+	if (/^multipart\/form-data/i.test(contentType)) return 'toFormData'
+	if (/^application\/x-www-form-urlencoded/i.test(contentType)) return 'toURLSearchParams'
+	return null
+}
+
+/**
+ * JSON이 아닌 요청 body의 openapi-fetch 옵션 (bodySerializer, Content-Type 헤더)
+ *
+ * multipart/form-data는 fetch가 boundary를 포함한 Content-Type을 정하므로 헤더를 지정하지 않습니다.
+ * 그 외 content type(application/octet-stream 등)은 body를 그대로 보냅니다.
+ */
+function getBodyOptions(contentType) {
+	if (!contentType || /json/i.test(contentType) || contentType === '*/*') return []
+
+	const serializer = getBodySerializer(contentType)
+	if (serializer === 'toFormData') return ['bodySerializer: toFormData']
+
+	return [
+		`bodySerializer: ${serializer || '(body) => body'}`,
+		`headers: { 'Content-Type': '${contentType}' }`,
+	]
+}
+
 /**
  * DomainAPIGenerator 인스턴스 생성 헬퍼
  */
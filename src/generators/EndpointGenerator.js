@@ -12,8 +12,14 @@
  * - 태그별 그룹화
  */
 
-import { readFileSync } from 'fs'
 import logger from '../utils/Logger.js'
+import { loadSpecModel } from '../parsers/SchemaParser.js'
+import { OutputSink } from '../core/OutputSink.js'
+
+/**
+ * endpoint 상수를 생성하는 HTTP 메서드
+ */
+const CRUD_METHODS = ['get', 'post', 'put', 'patch', 'delete']
 
 /**
  * EndpointGenerator 클래스
@@ -30,6 +36,9 @@ export class EndpointGenerator {
 		this.pathResolver = pathResolver
 		this.importResolver = importResolver
 		this.naming = naming
+
+		// openapi.json 읽기용 - Generator가 공용 OutputSink를 주입
+		this.output = new OutputSink({ projectRoot: pathResolver.projectRoot })
 	}
 
 	/**
@@ -40,58 +49,39 @@ export class EndpointGenerator {
 	 * @returns {string} 생성된 파일 내용
 	 */
 	generate(serverName, tagName) {
-		// schema에서 경로 추출
-		const schemaPath = this.pathResolver.getSchemaPath(serverName)
-		const schemaContent = readFileSync(schemaPath, 'utf-8')
+		// 스펙 모델에서 경로 추출
+		const model = loadSpecModel(this.pathResolver.getSpecPath(serverName), this.output.readFile)
 
-		const paths = this.extractPathsFromSchema(schemaContent, serverName, tagName)
+		const paths = this.extractPathsFromModel(model, serverName, tagName)
 
 		return this.generateEndpointFile(serverName, tagName, paths)
 	}
 
 	/**
-	 * Schema에서 경로 추출
+	 * 스펙 모델에서 경로 추출
 	 */
-	extractPathsFromSchema(schemaContent, serverName, tagName) {
+	extractPathsFromModel(model, serverName, tagName) {
 		const pathsData = []
 
-		try {
-			const pathsMatch = schemaContent.match(/export interface paths\s*\{([\s\S]*?)(?=\nexport interface)/)
-			if (!pathsMatch) return pathsData
-
-			const pathsBlock = pathsMatch[1]
-			const pathRegex = /['"]([^'"]+)['"]:\s*\{([\s\S]*?)\n(?:\t| {4})\}/g
-			let pathMatch
-
-			while ((pathMatch = pathRegex.exec(pathsBlock)) !== null) {
-				const [_, path, pathDetails] = pathMatch
-
-				const extractedTag = this.naming.extractTagFromPath(path)
-				if (extractedTag !== tagName) continue
-
-				// operations 참조를 찾아서 실제 정의된 메서드만 추출
-				const methodRegex = /(get|post|put|patch|delete)\??:\s*operations\[['"]([^'"]+)['"]\]/gi
-				let methodMatch
-
-				while ((methodMatch = methodRegex.exec(pathDetails)) !== null) {
-					const method = methodMatch[1].toLowerCase()
-					const isDynamic = path.includes('{')
-					const constantName = this.naming.generateConstantName(path, method)
-
-					pathsData.push({
-						path,
-						method,
-						constantName,
-						functionName: constantName,
-						isDynamic,
-						tag: tagName,
-					})
-				}
-			}
-		} catch (error) {
-			logger.error(`${serverName} 경로 추출 오류: ${error.message}`)
+		for (const operation of this.naming.getTagOperations(model, serverName, tagName)) {
+			const { path, method } = operation
+			if (!CRUD_METHODS.includes(method)) continue
+
+			const isDynamic = path.includes('{')
+			const constantName = this.naming.generateConstantName(path, method)
+
+			pathsData.push({
+				path,
+				method,
+				constantName,
+				functionName: constantName,
+				isDynamic,
+				tag: tagName,
+			})
 		}
 
+		logger.debug(`${serverName}/${tagName}: ${pathsData.length}개 엔드포인트`)
+
 		return pathsData
 	}
 
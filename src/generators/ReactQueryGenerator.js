@@ -13,9 +13,9 @@
  * - 타입 자동 추론
  */
 
-import { readFileSync, existsSync, writeFileSync, mkdirSync } from 'fs'
-import { dirname } from 'path'
 import logger from '../utils/Logger.js'
+import { loadSpecModel, buildOperationIdMap, parseValidatedTypes } from '../parsers/SchemaParser.js'
+import { OutputSink } from '../core/OutputSink.js'
 
 /**
  * ReactQueryGenerator 클래스
@@ -32,6 +32,10 @@ export class ReactQueryGenerator {
 		this.pathResolver = pathResolver
 		this.importResolver = importResolver
 		this.naming = naming
+
+		// {tag}API.ts, validated.ts 읽기용 - dry-run에서는 같은 실행에서 생성한 내용을 읽어야 하므로
+		// Generator가 공용 OutputSink를 주입
+		this.output = new OutputSink({ projectRoot: pathResolver.projectRoot })
 	}
 
 	/**
@@ -39,7 +43,7 @@ export class ReactQueryGenerator {
 	 *
 	 * @param {string} serverName - 서버 이름
 	 * @param {string} tagName - 태그 이름
-	 * @returns {void} 2개 파일 직접 생성 (useQueries.ts, useMutations.ts)
+	 * @returns {Array<{filePath: string, content: string}>} 생성할 파일 목록 (use{Tag}Queries.ts, use{Tag}Mutations.ts)
 	 */
 	generate(serverName, tagName) {
 		// API 파일에서 함수 목록 파싱
@@ -48,52 +52,47 @@ export class ReactQueryGenerator {
 			{ serverName, tagName }
 		)
 
-		if (!existsSync(apiPath)) {
+		if (!this.output.exists(apiPath)) {
 			logger.warn(`${tagName}: API 파일을 찾을 수 없습니다 (${apiPath})`)
-			return ''
+			return []
 		}
 
-		const apiContent = readFileSync(apiPath, 'utf-8')
+		const apiContent = this.output.read(apiPath)
 		const functions = this.parseAPIFile(apiContent, tagName, serverName)
 
 		if (functions.length === 0) {
 			logger.warn(`${tagName}: API 함수를 찾을 수 없습니다`)
-			return ''
+			return []
 		}
 
+		const tagPascal = tagName.charAt(0).toUpperCase() + tagName.slice(1).replace(/-./g, x => x[1].toUpperCase())
+		const files = []
+
 		// Query hooks 생성
 		const queryHooksContent = this.generateQueryHooks(serverName, tagName, functions)
 		if (queryHooksContent) {
-			const tagPascal = tagName.charAt(0).toUpperCase() + tagName.slice(1).replace(/-./g, x => x[1].toUpperCase())
-			const queryPath = this.pathResolver.resolvePath(
-				this.config.fileGeneration.apiEndpoints + '/{tagName}/use{tagPascal}Queries.ts',
-				{ serverName, tagName, tagPascal }
-			)
-			const dir = dirname(queryPath)
-			if (!existsSync(dir)) {
-				mkdirSync(dir, { recursive: true })
-			}
-			writeFileSync(queryPath, queryHooksContent, 'utf-8')
-			logger.info(`생성: ${queryPath.replace(process.cwd() + '/', '')}`)
+			files.push({
+				filePath: this.pathResolver.resolvePath(
+					this.config.fileGeneration.apiEndpoints + '/{tagName}/use{tagPascal}Queries.ts',
+					{ serverName, tagName, tagPascal }
+				),
+				content: queryHooksContent,
+			})
 		}
 
 		// Mutation hooks 생성
 		const mutationHooksContent = this.generateMutationHooks(serverName, tagName, functions)
 		if (mutationHooksContent) {
-			const tagPascal = tagName.charAt(0).toUpperCase() + tagName.slice(1).replace(/-./g, x => x[1].toUpperCase())
-			const mutationPath = this.pathResolver.resolvePath(
-				this.config.fileGeneration.apiEndpoints + '/{tagName}/use{tagPascal}Mutations.ts',
-				{ serverName, tagName, tagPascal }
-			)
-			const dir = dirname(mutationPath)
-			if (!existsSync(dir)) {
-				mkdirSync(dir, { recursive: true })
-			}
-			writeFileSync(mutationPath, mutationHooksContent, 'utf-8')
-			logger.info(`생성: ${mutationPath.replace(process.cwd() + '/', '')}`)
+			files.push({
+				filePath: this.pathResolver.resolvePath(
+					this.config.fileGeneration.apiEndpoints + '/{tagName}/use{tagPascal}Mutations.ts',
+					{ serverName, tagName, tagPascal }
+				),
+				content: mutationHooksContent,
+			})
 		}
 
-		return ''
+		return files
 	}
 
 	/**
@@ -156,11 +155,11 @@ export class ReactQueryGenerator {
 
 		// API 파일 읽기
 		const apiPath = this.pathResolver.getDomainApiPath(serverName, tagName)
-		const apiContent = readFileSync(apiPath, 'utf-8')
+		const apiContent = this.output.read(apiPath)
 
 		// validated.ts 읽기
 		const validatedPath = this.pathResolver.getValidatedTypesPath(serverName)
-		const validatedContent = existsSync(validatedPath) ? readFileSync(validatedPath, 'utf-8') : ''
+		const validatedContent = this.output.exists(validatedPath) ? this.output.read(validatedPath) : ''
 
 		const usedTypes = new Set()
 		const hookCodes = []
@@ -205,11 +204,11 @@ export class ReactQueryGenerator {
 
 		// API 파일 읽기
 		const apiPath = this.pathResolver.getDomainApiPath(serverName, tagName)
-		const apiContent = readFileSync(apiPath, 'utf-8')
+		const apiContent = this.output.read(apiPath)
 
 		// validated.ts 읽기
 		const validatedPath = this.pathResolver.getValidatedTypesPath(serverName)
-		const validatedContent = existsSync(validatedPath) ? readFileSync(validatedPath, 'utf-8') : ''
+		const validatedContent = this.output.exists(validatedPath) ? this.output.read(validatedPath) : ''
 
 		const usedTypes = new Set()
 		const hookCodes = []
@@ -480,66 +479,14 @@ ${hookCodes.join('\n\n')}
 	 */
 	parseValidatedTypes(serverName) {
 		const validatedPath = this.pathResolver.getValidatedTypesPath(serverName)
-		if (!existsSync(validatedPath)) {
-			return { allTypes: [], operationTypes: {} }
-		}
-
-		const validatedContent = readFileSync(validatedPath, 'utf-8')
-		const allTypes = []
-		const operationTypes = {}
-
-		const typeRegex = /export type ([a-zA-Z0-9_]+)(_Params|_Body|_Response|_RO)/g
-		let match
-
-		while ((match = typeRegex.exec(validatedContent)) !== null) {
-			const fullTypeName = match[1] + match[2]
-			const operationId = match[1]
-			const suffix = match[2]
-
-			allTypes.push(fullTypeName)
-
-			if (!operationTypes[operationId]) {
-				operationTypes[operationId] = {}
-			}
-
-			if (suffix === '_Params') operationTypes[operationId].params = fullTypeName
-			else if (suffix === '_Body') operationTypes[operationId].body = fullTypeName
-			else if (suffix === '_Response') operationTypes[operationId].response = fullTypeName
-			else if (suffix === '_RO') operationTypes[operationId].ro = fullTypeName
-		}
-
-		return { allTypes, operationTypes }
+		return parseValidatedTypes(this.output.exists(validatedPath) ? this.output.read(validatedPath) : '')
 	}
 
 	/**
 	 * operationId 매핑 생성 (generateReactQueryHooks.js line 299-338)
 	 */
 	buildPathToOperationIdMap(serverName) {
-		const schemaPath = this.pathResolver.getSchemaPath(serverName)
-		const schemaContent = readFileSync(schemaPath, 'utf-8')
-
-		const pathToOperationIdMap = {}
-
-		const pathsMatch = schemaContent.match(/export interface paths \{([\s\S]*?)(?=\nexport interface)/)
-		if (!pathsMatch) return pathToOperationIdMap
-
-		const pathsBlock = pathsMatch[1]
-		const pathRegex = /['"]([^'"]+)['"]:\s*\{([\s\S]*?)\n\t\}/g
-		let pathMatch
-
-		while ((pathMatch = pathRegex.exec(pathsBlock)) !== null) {
-			const [_, path, pathDetails] = pathMatch
-			const methodRegex = /(get|post|put|patch|delete)\??:\s*operations\[['"]([^'"]+)['"]\]/gi
-			let methodMatch
-
-			while ((methodMatch = methodRegex.exec(pathDetails)) !== null) {
-				const [__, method, operationId] = methodMatch
-				const key = `${path}#${method.toUpperCase()}`
-				pathToOperationIdMap[key] = operationId
-			}
-		}
-
-		return pathToOperationIdMap
+		return buildOperationIdMap(loadSpecModel(this.pathResolver.getSpecPath(serverName), this.output.readFile))
 	}
 
 	/**
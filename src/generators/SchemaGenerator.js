@@ -3,23 +3,24 @@
 /**
  * 📋 SchemaGenerator - OpenAPI Schema 타입 생성기
  *
- * openapi-typescript를 실행하여 schema.d.ts 파일을 생성합니다.
+ * OpenAPI 문서를 받아 openapi.json 스냅샷과
+ * openapi-typescript로 변환한 schema.d.ts 파일 내용을 만듭니다.
  * generateTypes.js의 로직을 클래스화했습니다.
  *
  * @description
- * - openapi-typescript CLI 실행
- * - schema.d.ts 파일 생성
- * - 환경 변수에서 OpenAPI URL 읽기
+ * - SourceResolver로 OpenAPI 문서 로드 (로컬 파일, glob, URL, 환경 변수 URL)
+ * - 원본 스펙을 openapi.json으로 저장 (이후 단계들의 입력)
+ * - openapi-typescript Node API로 schema.d.ts 내용 생성 (CLI와 동일한 출력)
+ * - 파일은 Generator가 OutputSink로 저장 (dry-run 지원)
+ * - workspace에서 공유 캐시로 같은 문서를 받으면 openapi-typescript 변환도 한 번만 실행
  */
 
-import { execSync } from 'child_process'
-import { existsSync, mkdirSync } from 'fs'
-import { dirname } from 'path'
-import dotenv from 'dotenv'
+import openapiTS, { astToString, COMMENT_HEADER } from 'openapi-typescript'
 import logger from '../utils/Logger.js'
+import { SourceResolver } from '../core/SourceResolver.js'
 
-// 환경 변수 로드
-dotenv.config()
+// 문서 객체 → schema.d.ts 내용 (SourceResolver 캐시로 같은 문서 객체를 받은 경우에만 재사용)
+const schemaCache = new WeakMap()
 
 /**
  * SchemaGenerator 클래스
@@ -28,48 +29,38 @@ export class SchemaGenerator {
 	/**
 	 * @param {Object} config - 설정 객체
 	 * @param {Object} pathResolver - PathResolver 인스턴스
+	 * @param {Object} sourceOptions - SourceResolver 옵션 (workspace: 공유 baseDir, cache)
 	 */
-	constructor(config, pathResolver) {
+	constructor(config, pathResolver, sourceOptions = {}) {
 		this.config = config
 		this.pathResolver = pathResolver
+		this.sourceResolver = new SourceResolver(config, pathResolver, sourceOptions)
 	}
 
 	/**
-	 * 서버의 schema.d.ts 생성
+	 * 서버의 openapi.json, schema.d.ts 생성
 	 *
 	 * @param {string} serverName - 서버 이름
-	 * @returns {string|null} 생성 성공 시 null (파일로 직접 저장됨)
+	 * @returns {Promise<Array<{filePath: string, content: string}>>} 생성할 파일 목록 (Generator가 저장)
 	 */
-	generate(serverName) {
+	async generate(serverName) {
+		const specPath = this.pathResolver.getSpecPath(serverName)
 		const schemaPath = this.pathResolver.getSchemaPath(serverName)
-		const url = this.getServerUrl(serverName)
-
-		if (!url) {
-			throw new Error(`${serverName} 서버의 URL을 찾을 수 없습니다. .env 파일을 확인하세요.`)
-		}
-
-		logger.info(`OpenAPI URL: ${url}`)
 
 		try {
-			// 디렉토리 생성
-			const dir = dirname(schemaPath)
-			if (!existsSync(dir)) {
-				mkdirSync(dir, { recursive: true })
-			}
+			const document = await this.sourceResolver.loadDocument(serverName)
 
-			// openapi-typescript 실행
-			const command = `npx openapi-typescript ${url} --output ${schemaPath}`
-			logger.info(`실행: ${command}`)
+			// 원본 스펙 스냅샷 - 이후 단계들은 schema.d.ts가 아닌 이 파일을 파싱합니다
+			const specContent = JSON.stringify(document, null, 2) + '\n'
 
-			execSync(command, {
-				stdio: 'inherit',
-				cwd: process.cwd(),
-			})
+			const schemaContent = await this.convertSchema(document, specPath)
 
-			logger.success(`${serverName} schema.d.ts 생성 완료`)
+			logger.success(`${serverName} openapi.json, schema.d.ts 생성 완료`)
 
-			// Generator.executeStep에서 파일로 저장하지 않도록 null 반환
-			return null
+			return [
+				{ filePath: specPath, content: specContent },
+				{ filePath: schemaPath, content: schemaContent },
+			]
 		} catch (error) {
 			logger.error(`${serverName} schema.d.ts 생성 실패: ${error.message}`)
 			throw error
@@ -77,44 +68,28 @@ export class SchemaGenerator {
 	}
 
 	/**
-	 * 환경 변수에서 서버 URL 가져오기
-	 *
-	 * @param {string} serverName - 서버 이름
-	 * @returns {string|null} OpenAPI URL
+	 * openapi-typescript로 schema.d.ts 내용 생성 (같은 문서 객체는 한 번만 변환)
 	 */
-	getServerUrl(serverName) {
-		const envVarConfig = this.config.envVarConfig || {}
-		const prefix = envVarConfig.prefix || 'NEXT_PUBLIC_STEPIN_'
-		const serverNameUpper = serverName.toUpperCase()
-
-		// 환경 변수명 생성: NEXT_PUBLIC_STEPIN_AUTH
-		const envVarName = `${prefix}${serverNameUpper}`
-		let url = process.env[envVarName]
-
-		if (!url) {
-			logger.warn(`환경 변수 ${envVarName}를 찾을 수 없습니다.`)
-			return null
+	convertSchema(document, specPath) {
+		if (schemaCache.has(document)) {
+			logger.info(`openapi-typescript 변환 결과 재사용: ${this.pathResolver.toRelativePath(specPath)}`)
+			return schemaCache.get(document)
 		}
 
-		// 기본 suffix 추가 (customDocsSuffix에 있으면 그것 사용)
-		const customSuffix = envVarConfig.customDocsSuffix?.[serverName]
-		const defaultSuffix = envVarConfig.defaultDocsSuffix || '/docs-yaml'
-		const suffix = customSuffix || defaultSuffix
-
-		// URL이 이미 suffix를 포함하고 있지 않으면 추가
-		if (!url.includes('/docs')) {
-			url = url + suffix
-		}
+		// openapi-typescript 실행 (문서 객체를 변형하므로 복사본 전달)
+		logger.info(`openapi-typescript 변환: ${this.pathResolver.toRelativePath(specPath)}`)
+		const schemaContent = openapiTS(structuredClone(document)).then((ast) => COMMENT_HEADER + astToString(ast))
+		schemaCache.set(document, schemaContent)
 
-		return url
+		return schemaContent
 	}
 }
 
 /**
  * SchemaGenerator 인스턴스 생성 헬퍼
  */
-export function createSchemaGenerator(config, pathResolver) {
-	return new SchemaGenerator(config, pathResolver)
+export function createSchemaGenerator(config, pathResolver, sourceOptions = {}) {
+	return new SchemaGenerator(config, pathResolver, sourceOptions)
 }
 
 export default SchemaGenerator
@@ -7,13 +7,16 @@
  * extractSwaggerTags.js의 모든 로직을 클래스화했습니다.
  *
  * @description
- * - OpenAPI schema에서 태그 추출
+ * - OpenAPI 스펙 모델에서 태그 추출
  * - 태그별 통계 계산
+ * - 태그별 스펙 정보 (OpenAPI tags의 description, externalDocs)
  * - TypeScript 타입 정의 생성
  */
 
-import { readFileSync } from 'fs'
 import logger from '../utils/Logger.js'
+import { loadSpecModel } from '../parsers/SchemaParser.js'
+import { OutputSink } from '../core/OutputSink.js'
+import { toTagName } from '../utils/TagStrategy.js'
 
 /**
  * TagsGenerator 클래스
@@ -28,6 +31,9 @@ export class TagsGenerator {
 		this.config = config
 		this.pathResolver = pathResolver
 		this.naming = naming
+
+		// openapi.json 읽기용 - Generator가 공용 OutputSink를 주입
+		this.output = new OutputSink({ projectRoot: pathResolver.projectRoot })
 	}
 
 	/**
@@ -37,103 +43,98 @@ export class TagsGenerator {
 	 * @returns {string} 생성된 파일 내용
 	 */
 	generate(serverName) {
-		const schemaPath = this.pathResolver.getSchemaPath(serverName)
-		const schemaContent = readFileSync(schemaPath, 'utf-8')
+		const model = loadSpecModel(this.pathResolver.getSpecPath(serverName), this.output.readFile)
 
-		const { tags, pathsData } = this.extractTagsFromSchema(schemaContent, serverName)
+		const { tags, pathsData, meta } = this.extractTagsFromModel(model, serverName)
 
-		return this.generateTagFile(serverName, tags, pathsData)
+		return this.generateTagFile(serverName, tags, pathsData, meta)
 	}
 
 	/**
-	 * 경로에서 태그 추출 (extractSwaggerTags.js line 25-55)
+	 * 스펙 모델에서 태그 추출 (extractSwaggerTags.js line 60-99)
+	 *
+	 * 태그는 operation 단위로 정해지므로(tagging.strategy) 한 경로가 여러 태그에 속할 수 있습니다.
+	 * pathsData는 태그별 경로 목록입니다. (통계는 태그별 경로 수)
 	 */
-	extractTagFromPath(path, schemaName = '') {
-		const segments = path.split('/').filter(Boolean)
-
-		if (segments.length === 0) return 'root'
+	extractTagsFromModel(model, schemaName) {
+		const tags = new Set()
+		const pathsData = []
+		const meta = new Map()
 
-		// 버전 정보 처리 (v1, v2 등)
-		if (segments[0].match(/^v\d+$/)) {
-			if (segments.length > 1) {
-				const tag = `${segments[0]}_${segments[1]}`
+		if (model.paths.length === 0) {
+			logger.warn(`${schemaName}에서 paths를 찾을 수 없습니다`)
+			return { tags, pathsData, meta }
+		}
 
-				// content 서버에서만 tournament 태그 제외
-				if (schemaName === 'content' && segments[1] === 'tournament') {
-					return null
-				}
+		const groups = this.naming.groupOperationsByTag(model, schemaName, (operation, reason) => {
+			logger.debug(`⏭️  ${schemaName}: ${operation.method.toUpperCase()} ${operation.path} 제외 - ${reason}`)
+		})
 
-				// internal 태그 제외
-				if (segments[1] === 'internal') {
-					return null
-				}
+		for (const [tag, operations] of groups) {
+			tags.add(tag)
+			meta.set(tag, this.findSpecTag(model, tag, operations))
 
-				return tag
+			for (const path of new Set(operations.map((operation) => operation.path))) {
+				pathsData.push({
+					path,
+					tag,
+					schema: schemaName,
+				})
 			}
-			return segments[0]
-		}
-
-		// internal 태그 제외
-		if (segments[0] === 'internal') {
-			return null
 		}
 
-		// content 서버의 tournament 태그 제외
-		if (schemaName === 'content' && segments[0] === 'tournament') {
-			return null
-		}
-
-		return segments[0]
+		return { tags, pathsData, meta }
 	}
 
 	/**
-	 * 스키마에서 태그 추출 (extractSwaggerTags.js line 60-99)
+	 * 태그에 해당하는 스펙의 태그 정보 (document.tags 항목)
+	 *
+	 * 1. 이름이 같은 스펙 태그 (operation-tags 전략의 camelCase 변환 포함)
+	 * 2. 태그에 속한 operation들의 첫 번째 tags 중 가장 많은 것 (같으면 먼저 나온 것)
+	 *
+	 * @returns {{name: string, description?: string, externalDocs?: Object}|null} 찾지 못하면 null
 	 */
-	extractTagsFromSchema(schemaContent, schemaName) {
-		const tags = new Set()
-		const pathsData = []
+	findSpecTag(model, tag, operations) {
+		const byName = model.tags.find(({ name }) => name === tag || toTagName(name) === tag)
+		if (byName) return byName
+
+		const counts = new Map()
+		operations.forEach(({ tags = [] }) => {
+			if (tags.length > 0) {
+				counts.set(tags[0], (counts.get(tags[0]) || 0) + 1)
+			}
+		})
+		if (counts.size === 0) return null
 
-		try {
-			// paths 인터페이스 추출
-			const pathsRegex = /export interface paths\s*\{([\s\S]*?)\n\}/
-			const pathsMatch = schemaContent.match(pathsRegex)
+		const [name] = [...counts].reduce((best, entry) => (entry[1] > best[1] ? entry : best))
+		return model.tags.find((specTag) => specTag.name === name) || { name }
+	}
 
-			if (!pathsMatch) {
-				logger.warn(`${schemaName}에서 paths를 찾을 수 없습니다`)
-				return { tags, pathsData }
-			}
+	/**
+	 * TAG_META 항목 (스펙 태그의 name, description, externalDocs)
+	 */
+	generateTagMetaEntry(specTag) {
+		if (!specTag) return '{}'
 
-			const pathsContent = pathsMatch[1]
-
-			// 각 경로 추출
-			const pathRegex = /['"]([^'"]+)['"]:\s*\{/g
-			let pathMatch
-
-			while ((pathMatch = pathRegex.exec(pathsContent)) !== null) {
-				const path = pathMatch[1]
-				const tag = this.extractTagFromPath(path, schemaName)
-
-				// null 태그는 무시
-				if (tag !== null) {
-					tags.add(tag)
-					pathsData.push({
-						path,
-						tag,
-						schema: schemaName,
-					})
-				}
+		const fields = [`name: ${toStringLiteral(specTag.name)}`]
+		if (specTag.description) {
+			fields.push(`description: ${toStringLiteral(specTag.description)}`)
+		}
+		if (specTag.externalDocs?.url) {
+			const docs = [`url: ${toStringLiteral(specTag.externalDocs.url)}`]
+			if (specTag.externalDocs.description) {
+				docs.push(`description: ${toStringLiteral(specTag.externalDocs.description)}`)
 			}
-		} catch (error) {
-			logger.error(`${schemaName} 태그 추출 오류: ${error.message}`)
+			fields.push(`externalDocs: { ${docs.join(', ')} }`)
 		}
 
-		return { tags, pathsData }
+		return `{\n${fields.map((field) => `    ${field},`).join('\n')}\n  }`
 	}
 
 	/**
 	 * 태그 파일 생성 (extractSwaggerTags.js line 131-194)
 	 */
-	generateTagFile(serverName, tags, pathsData) {
+	generateTagFile(serverName, tags, pathsData, meta = new Map()) {
 		const sortedTags = Array.from(tags).sort()
 
 		// 태그별 통계
@@ -172,6 +173,13 @@ export const ${serverUpper}_TAG_STATS = {
 ${sortedTags.map((tag) => `  '${tag}': ${tagStats[tag]},`).join('\n')}
 } as const;
 
+/**
+ * ${serverUpper} 서버 태그별 스펙 정보 (OpenAPI tags의 description, externalDocs)
+ */
+export const ${serverUpper}_TAG_META = {
+${sortedTags.map((tag) => `  '${tag}': ${this.generateTagMetaEntry(meta.get(tag))},`).join('\n')}
+} as const;
+
 /**
  * ${serverUpper} 서버 태그 요약
  */
@@ -179,7 +187,8 @@ export const ${serverUpper}_TAG_SUMMARY = {
   server: '${serverName}',
   total: ${sortedTags.length},
   tags: ${serverUpper}_TAGS,
-  stats: ${serverUpper}_TAG_STATS
+  stats: ${serverUpper}_TAG_STATS,
+  meta: ${serverUpper}_TAG_META
 } as const;
 
 // === 🎯 타입 정의 ===
@@ -194,16 +203,29 @@ export type ${serverPascal}Tag = typeof ${serverUpper}_TAGS[number];
  */
 export type ${serverPascal}TagStats = typeof ${serverUpper}_TAG_STATS;
 
+/**
+ * ${serverUpper} 서버 태그 스펙 정보 타입
+ */
+export type ${serverPascal}TagMeta = typeof ${serverUpper}_TAG_META;
+
 // === 🔧 기본 export ===
 
 export default {
   TAGS: ${serverUpper}_TAGS,
   STATS: ${serverUpper}_TAG_STATS,
+  META: ${serverUpper}_TAG_META,
   SUMMARY: ${serverUpper}_TAG_SUMMARY
 };`
 	}
 }
 
+/**
+ * 작은따옴표 TypeScript 문자열 리터럴
+ */
+function toStringLiteral(value) {
+	return `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'").replace(/\r?\n/g, '\\n')}'`
+}
+
 /**
  * TagsGenerator 인스턴스 생성 헬퍼
  */
@@ -3,7 +3,8 @@
 /**
  * 📝 TypeGenerator - Validated Types 생성기
  *
- * OpenAPI schema.d.ts에서 Params, Body, Response, RO 타입을 생성합니다.
+ * OpenAPI 스펙 모델에서 Params, Body, Response, RO 타입을 생성합니다.
+ * 생성된 타입은 schema.d.ts의 paths/components를 참조합니다.
  * generateValidatedTypes.js의 로직을 그대로 클래스화했습니다.
  *
  * @description
@@ -11,10 +12,18 @@
  * - Body 타입: requestBody의 JSON schema
  * - Response 타입: 200번대 응답의 타입
  * - RO (Read-Only) 타입: Response.data 필드의 타입
+ * - OpenAPI 3.1 webhooks: 같은 형식의 타입을 webhooks 참조로 생성 (API 함수는 만들지 않음)
  */
 
-import { readFileSync } from 'fs'
 import logger from '../utils/Logger.js'
+import { loadSpecModel, PARAMETER_LOCATIONS } from '../parsers/SchemaParser.js'
+import { renderSchemaType } from '../parsers/JsonSchema.js'
+import { OutputSink } from '../core/OutputSink.js'
+
+/**
+ * validated 타입을 생성하는 HTTP 메서드
+ */
+const CRUD_METHODS = ['get', 'post', 'put', 'patch', 'delete']
 
 /**
  * TypeGenerator 클래스
@@ -29,6 +38,9 @@ export class TypeGenerator {
 		this.config = config
 		this.pathResolver = pathResolver
 		this.naming = naming
+
+		// openapi.json 읽기용 - Generator가 공용 OutputSink를 주입
+		this.output = new OutputSink({ projectRoot: pathResolver.projectRoot })
 	}
 
 	/**
@@ -38,15 +50,16 @@ export class TypeGenerator {
 	 * @returns {string} 생성된 타입 파일 내용
 	 */
 	generate(serverName) {
-		const schemaPath = this.pathResolver.getSchemaPath(serverName)
+		const specPath = this.pathResolver.getSpecPath(serverName)
 
 		try {
-			const schemaContent = readFileSync(schemaPath, 'utf8')
-			const generatedTypes = this.processSchema(schemaContent)
+			const model = loadSpecModel(specPath, this.output.readFile)
+			const generatedTypes = this.processModel(model)
+			const schemaImports = this.getWebhookOperations(model).length > 0 ? 'components, paths, webhooks' : 'components, paths'
 
 			// 파일 헤더 + 타입들
 			const fileContent = [
-				`import type { components, paths } from './schema';`,
+				`import type { ${schemaImports} } from './schema';`,
 				'',
 				...generatedTypes,
 			].join('\n')
@@ -59,196 +72,67 @@ export class TypeGenerator {
 	}
 
 	/**
-	 * 스키마 파일 내용을 받아 타입 정의 배열을 생성
-	 * (generateValidatedTypes.js의 processSchema 함수 그대로)
+	 * 스펙 모델을 받아 타입 정의 배열을 생성
+	 * (generateValidatedTypes.js의 processSchema 함수를 모델 기반으로 변경)
+	 *
+	 * 생성되는 타입은 schema.d.ts의 paths/components를 참조합니다.
 	 *
-	 * @param {string} schemaContent - schema.d.ts 파일의 전체 내용
+	 * @param {Object} model - SchemaParser의 스펙 모델
 	 * @returns {string[]} - 생성된 타입 정의 문자열 배열
 	 */
-	processSchema(schemaContent) {
+	processModel(model) {
 		const generatedTypes = []
-
-		// 1. 주요 인터페이스 블록을 텍스트로 추출
-		const pathsMatch = schemaContent.match(/export interface paths \{([\s\S]*?)(?=\nexport interface)/)
-		const pathsBlock = pathsMatch ? pathsMatch[1] : ''
-
-		const componentsMatch = schemaContent.match(
-			/export interface components \{[\s\S]*?schemas: \{([\s\S]*?)(?=\n(?:\t| {4})\}[\s\S]*?\nexport interface)/
-		)
-		const componentsSchemasBlock = componentsMatch ? componentsMatch[1] : ''
-
-		const operationsMatch = schemaContent.match(/export interface operations \{([\s\S]*?)$/)
-		const operationsBlock = operationsMatch ? operationsMatch[1] : ''
+		let pathCount = 0
 
 		logger.debug(
-			`추출된 블록 크기: paths(${pathsBlock.length}), schemas(${componentsSchemasBlock.length}), operations(${operationsBlock.length})`
+			`스펙 모델: paths(${model.paths.length}), operations(${model.operations.length}), schemas(${Object.keys(model.schemas).length})`
 		)
 
-		// 2. paths 블록을 기준으로 엔드포인트 순회 (탭 또는 공백 4개)
-		const pathRegex = /['"]([^'"]+)['"]:\s*\{([\s\S]*?)\n(?:\t| {4})\}/g
-		let pathMatch
-		let pathCount = 0
-
-		while ((pathMatch = pathRegex.exec(pathsBlock)) !== null) {
-			const [_, path, pathDetails] = pathMatch
+		// 1. paths를 기준으로 엔드포인트 순회
+		for (const path of model.paths) {
 			pathCount++
 
-			// 3. 각 엔드포인트의 CRUD 메서드 순회
-			const methodRegex = /(get|post|put|patch|delete)\??:\s*operations\[['"]([^'"]+)['"]\]/g
-			let methodMatch
-			let methodCount = 0
-
-			while ((methodMatch = methodRegex.exec(pathDetails)) !== null) {
-				const [__, method, operationId] = methodMatch
-				methodCount++
+			// 2. 각 엔드포인트의 CRUD 메서드 순회
+			for (const operation of model.operationsByPath[path] || []) {
+				const { method, operationId } = operation
+				if (!CRUD_METHODS.includes(method) || !operationId) continue
+				if (!this.naming.isOperationIncluded(operation)) continue
 
 				logger.debug(`[${method.toUpperCase()}] ${path} (${operationId}) 분석 중...`)
 				const controllerName = operationId.split('_')[0]
 				generatedTypes.push(`//// ${controllerName}`, `// ${operationId}`)
 
-				// 4. 해당 operationId의 정의 블록 찾기 (탭 또는 공백 4개)
-				const operationRegex = new RegExp(`${operationId}:\\s*\\{([\\s\\S]*?)\\n(?:\\t| {4})\\}`, 'm')
-				const operationDetailsMatch = operationsBlock.match(operationRegex)
-				if (!operationDetailsMatch) continue
-
-				const operationDetails = operationDetailsMatch[1]
-
-				// 5. Params 타입 생성 - 모든 파라미터 타입 동적 감지
-				const paramsParts = []
-				if (operationDetails.includes('parameters:')) {
-					const parametersMatch = operationDetails.match(/parameters:\s*\{([\s\S]*?)\n(?:\t{2}| {8})\}/)
-					if (parametersMatch) {
-						const parametersBlock = parametersMatch[1]
-						const paramTypeRegex = /(\w+)(\??):\s*\{[\s\S]*?\n(?:\t{3}| {12})\}/g
-						let paramMatch
-
-						while ((paramMatch = paramTypeRegex.exec(parametersBlock)) !== null) {
-							const [fullMatch, paramType, optionalMarker] = paramMatch
-
-							if (!fullMatch.includes('never') && !fullMatch.includes('{}')) {
-								const isOptional = optionalMarker === '?'
-								const optionalSuffix = isOptional ? '?' : ''
-								paramsParts.push(
-									`  ${paramType}${optionalSuffix}: paths['${path}']['${method}']['parameters']['${paramType}'];`
-								)
-							}
-						}
-					}
-				}
-
-				// Params 타입 생성
-				if (paramsParts.length > 0) {
-					generatedTypes.push(`export type ${operationId}_Params = {`)
-					paramsParts.forEach((part) => generatedTypes.push(part))
-					generatedTypes.push(`};`)
-				}
+				// 3. Params 타입 생성
+				generatedTypes.push(...this.buildParamsType(operation))
 
-				// 6. RequestBody 추출
-				const requestBodyMatch = operationDetails.match(
-					/requestBody:\s*\{[\s\S]*?['"]application\/json['"]:\s*components\[['"]schemas['"]\]\[['"]([^'"]+)['"]\]/
-				)
-				if (requestBodyMatch) {
-					const bodySchemaName = requestBodyMatch[1]
-					generatedTypes.push(`export type ${operationId}_Body = components['schemas']['${bodySchemaName}'];`)
-				}
-
-				// 7. Response 추출 - 스키마 파일 기반 정확한 타입 매칭
-				let responseSchemaMatch = operationDetails.match(
-					/responses:\s*\{[\s\S]*?(?:20\d|default):\s*\{[\s\S]*?['"]application\/json['"]:\s*components\[['"]schemas['"]\]\[['"]([^'"]+Response)['"]\]/
-				)
+				// 4. RequestBody 타입 생성
+				generatedTypes.push(...this.buildBodyType(operation))
 
-				if (responseSchemaMatch) {
-					// Response 스키마가 있는 경우
-					const responseSchemaName = responseSchemaMatch[1]
-					generatedTypes.push(
-						`export type ${operationId}_Response = components['schemas']['${responseSchemaName}'];`
-					)
-
-					// RO 타입 추출 (Response.data 필드) (탭 또는 공백 8개)
-					const schemaDefinitionRegex = new RegExp(
-						`${responseSchemaName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}:\\s*\\{([\\s\\S]*?)\\n(?:\\t{2}| {8})\\}`,
-						''
-					)
-					const schemaDefinitionMatch = componentsSchemasBlock.match(schemaDefinitionRegex)
-
-					if (schemaDefinitionMatch) {
-						const schemaBody = schemaDefinitionMatch[1]
-						const dataFieldMatch = schemaBody.match(
-							/data\??:\s*components\[['"]schemas['"]\]\[['"]([^'"]+)['"]\]/
-						)
-
-						if (dataFieldMatch) {
-							const roSchemaName = dataFieldMatch[1]
-							generatedTypes.push(`export type ${operationId}_RO = components['schemas']['${roSchemaName}'];`)
-						}
-					}
-				} else {
-					// Response 스키마가 없는 경우: inline response 처리
-
-					// 1. data가 있는 inline response (200번대 또는 default)
-					let inlineResponseWithDataMatch = operationDetails.match(
-						/responses:\s*\{[\s\S]*?20\d:\s*\{[\s\S]*?['"]application\/json['"]:\s*\{[\s\S]*?data\??\s*:\s*components\[['"]schemas['"]\]\[['"]([^'"]+)['"]\]/
-					)
-
-					if (!inlineResponseWithDataMatch) {
-						inlineResponseWithDataMatch = operationDetails.match(
-							/responses:\s*\{[\s\S]*?default:\s*\{[\s\S]*?['"]application\/json['"]:\s*\{[\s\S]*?data\??\s*:\s*components\[['"]schemas['"]\]\[['"]([^'"]+)['"]\]/
-						)
-					}
-
-					if (inlineResponseWithDataMatch) {
-						const roSchemaName = inlineResponseWithDataMatch[1]
-						generatedTypes.push(
-							`export type ${operationId}_Response = { code: number; message: string; data?: components['schemas']['${roSchemaName}']; };`
-						)
-						generatedTypes.push(`export type ${operationId}_RO = components['schemas']['${roSchemaName}'];`)
-					} else {
-						// 2. data가 없는 inline response
-						let inlineResponseWithoutDataMatch = operationDetails.match(
-							/responses:\s*\{[\s\S]*?20\d:\s*\{[\s\S]*?['"]application\/json['"]:\s*\{[\s\S]*?code\s*:\s*number/
-						)
-
-						if (!inlineResponseWithoutDataMatch) {
-							inlineResponseWithoutDataMatch = operationDetails.match(
-								/responses:\s*\{[\s\S]*?default:\s*\{[\s\S]*?['"]application\/json['"]:\s*\{[\s\S]*?code\s*:\s*number/
-							)
-						}
-
-						if (inlineResponseWithoutDataMatch) {
-							generatedTypes.push(`export type ${operationId}_Response = { code: number; message: string; };`)
-						} else {
-							// 3. 204 No Content 응답
-							const noContentMatch = operationDetails.match(/responses:\s*\{[\s\S]*?204:/)
-							if (noContentMatch) {
-								generatedTypes.push(`export type ${operationId}_Response = void;`)
-							} else {
-								// 4. content가 없는 응답 (content?: never)
-								let noContentResponseMatch = operationDetails.match(
-									/responses:\s*\{[\s\S]*?20\d:\s*\{[\s\S]*?content\?:\s*never/
-								)
-								if (!noContentResponseMatch) {
-									noContentResponseMatch = operationDetails.match(
-										/responses:\s*\{[\s\S]*?default:\s*\{[\s\S]*?content\?:\s*never/
-									)
-								}
-
-								if (noContentResponseMatch) {
-									generatedTypes.push(`export type ${operationId}_Response = void;`)
-								} else {
-									// 5. 마지막 fallback
-									logger.warn(`${operationId}: Response 타입을 추출할 수 없어 기본 타입으로 생성합니다.`)
-									generatedTypes.push(`export type ${operationId}_Response = any;`)
-								}
-							}
-						}
-					}
-				}
+				// 5. Response / RO 타입 생성
+				generatedTypes.push(...this.buildResponseTypes(model, operation))
 			}
 			generatedTypes.push('')
+
+			if (pathCount % 10 === 0) {
+				logger.debug(`처리된 path: ${pathCount}`)
+			}
 		}
 
-		if (pathCount % 10 === 0) {
-			logger.debug(`처리된 path: ${pathCount}`)
+		// 6. webhooks (OpenAPI 3.1) - 서버가 보내는 요청 타입
+		const webhookOperations = this.getWebhookOperations(model)
+		if (webhookOperations.length > 0) {
+			generatedTypes.push('//// webhooks')
+
+			for (const operation of webhookOperations) {
+				logger.debug(`[${operation.method.toUpperCase()}] webhook ${operation.webhook} (${operation.operationId}) 분석 중...`)
+				generatedTypes.push(
+					`// ${operation.operationId}`,
+					...this.buildParamsType(operation),
+					...this.buildBodyType(operation),
+					...this.buildResponseTypes(model, operation)
+				)
+			}
+			generatedTypes.push('')
 		}
 
 		logger.info(`총 처리된 paths: ${pathCount}, 생성된 타입: ${generatedTypes.length}`)
@@ -269,6 +153,154 @@ export class TypeGenerator {
 
 		return finalTypes
 	}
+
+	/**
+	 * 타입을 생성할 webhook operation (operationId가 있는 것만)
+	 *
+	 * @param {Object} model - 스펙 모델
+	 * @returns {Object[]} webhook operation 목록
+	 */
+	getWebhookOperations(model) {
+		return (model.webhooks || []).filter((operation) => CRUD_METHODS.includes(operation.method) && operation.operationId)
+	}
+
+	/**
+	 * schema.d.ts에서 operation 타입의 위치
+	 *
+	 * @param {Object} operation - 모델의 operation
+	 * @returns {string} paths['/users']['get'] 또는 webhooks['userCreated']['post']
+	 */
+	getOperationTypePath(operation) {
+		const { path, method, webhook } = operation
+		return webhook ? `webhooks['${webhook}']['${method}']` : `paths['${path}']['${method}']`
+	}
+
+	/**
+	 * Params 타입 생성 - 파라미터가 있는 위치(query, header, path, cookie)만 포함
+	 *
+	 * @param {Object} operation - 모델의 operation
+	 * @returns {string[]} 타입 정의 라인들
+	 */
+	buildParamsType(operation) {
+		const { operationId } = operation
+		const paramsParts = []
+
+		for (const location of PARAMETER_LOCATIONS) {
+			const parameters = operation.parameters[location]
+			if (parameters.length === 0) continue
+
+			// 필수 파라미터가 하나도 없으면 openapi-typescript와 동일하게 optional
+			const optionalSuffix = parameters.some((parameter) => parameter.required) ? '' : '?'
+			paramsParts.push(
+				`  ${location}${optionalSuffix}: ${this.getOperationTypePath(operation)}['parameters']['${location}'];`
+			)
+		}
+
+		if (paramsParts.length === 0) return []
+
+		return [`export type ${operationId}_Params = {`, ...paramsParts, `};`]
+	}
+
+	/**
+	 * Body 타입 생성 - requestBody (JSON, 없으면 multipart/form-data 등 모델이 고른 content type)
+	 *
+	 * @param {Object} operation - 모델의 operation
+	 * @returns {string[]} 타입 정의 라인들
+	 */
+	buildBodyType(operation) {
+		const { operationId, requestBody } = operation
+
+		if (requestBody?.schemaRef) {
+			return [`export type ${operationId}_Body = components['schemas']['${requestBody.schemaRef}'];`]
+		}
+
+		// 인라인 스키마는 schema.d.ts의 requestBody 타입을 그대로 참조
+		if (requestBody?.schema) {
+			return [
+				`export type ${operationId}_Body = NonNullable<${this.getOperationTypePath(operation)}['requestBody']>['content']['${requestBody.contentType}'];`,
+			]
+		}
+
+		return []
+	}
+
+	/**
+	 * Response / RO 타입 생성 - 200번대 응답 우선, 없으면 default
+	 *
+	 * @param {Object} model - 스펙 모델
+	 * @param {Object} operation - 모델의 operation
+	 * @returns {string[]} 타입 정의 라인들
+	 */
+	buildResponseTypes(model, operation) {
+		const { operationId, responses } = operation
+
+		const candidates = [
+			...responses.filter((response) => /^2\d\d$/.test(response.status)),
+			...responses.filter((response) => response.status === 'default'),
+		]
+		const jsonResponse = candidates.find((response) => response.schema)
+
+		// 1. Response 스키마 참조가 있는 경우
+		if (jsonResponse?.schemaRef) {
+			const lines = [`export type ${operationId}_Response = components['schemas']['${jsonResponse.schemaRef}'];`]
+
+			// RO 타입 추출 (Response.data 필드)
+			const roType = this.getDataFieldType(model.schemas[jsonResponse.schemaRef])
+			if (roType) {
+				lines.push(`export type ${operationId}_RO = ${roType};`)
+			}
+
+			return lines
+		}
+
+		// 2. inline response
+		if (jsonResponse) {
+			const dataType = this.getDataFieldType(jsonResponse.schema)
+
+			// data가 있는 inline response
+			if (dataType) {
+				return [
+					`export type ${operationId}_Response = { code: number; message: string; data?: ${dataType}; };`,
+					`export type ${operationId}_RO = ${dataType};`,
+				]
+			}
+
+			// data가 없는 inline response
+			if (jsonResponse.schema.properties?.code) {
+				return [`export type ${operationId}_Response = { code: number; message: string; };`]
+			}
+
+			// 그 외 inline 스키마는 schema.d.ts의 응답 타입을 그대로 참조
+			return [
+				`export type ${operationId}_Response = ${this.getOperationTypePath(operation)}['responses']['${jsonResponse.status}']['content']['${jsonResponse.contentType}'];`,
+			]
+		}
+
+		// 3. 204 No Content 또는 content가 없는 응답
+		if (responses.some((response) => response.status === '204') || candidates.some((response) => !response.hasContent)) {
+			return [`export type ${operationId}_Response = void;`]
+		}
+
+		// 4. 마지막 fallback
+		logger.warn(`${operationId}: Response 타입을 추출할 수 없어 기본 타입으로 생성합니다.`)
+		return [`export type ${operationId}_Response = any;`]
+	}
+
+	/**
+	 * 응답 스키마의 data 필드 타입
+	 *
+	 * 스키마 참조, 배열, 3.1의 type 배열/const/prefixItems를 유니온, 리터럴, 튜플 타입으로 변환합니다.
+	 * 인라인 객체처럼 타입 문자열로 옮길 수 없으면 null입니다.
+	 *
+	 * @param {Object} schema - 응답 스키마
+	 * @returns {string|null} RO 타입 문자열
+	 */
+	getDataFieldType(schema) {
+		const dataSchema = schema?.properties?.data
+		if (!dataSchema) return null
+
+		return renderSchemaType(dataSchema)
+	}
 }
 
 /**
@@ -0,0 +1,908 @@
+/**
+ * @stepin/openapi-codegen 타입 선언
+ *
+ * 설정 파일(openapi-codegen.config.mjs 등)에서 defineConfig와 함께 쓰면
+ * 에디터에서 설정 자동완성과 타입 검사를 받을 수 있습니다.
+ *
+ * @example
+ * // openapi-codegen.config.mjs
+ * import { defineConfig } from '@stepin/openapi-codegen'
+ *
+ * export default defineConfig({
+ *   projectName: 'my-app',
+ *   servers: { auth: { source: 'specs/auth.yaml' } },
+ * })
+ *
+ * // 또는 JSDoc으로 타입만 지정
+ * /** @type {import('@stepin/openapi-codegen').OpenAPICodegenConfig} *\/
+ * export default { ... }
+ */
+
+// ========================================
+// 설정 (openapi-codegen.config.*)
+// ========================================
+
+export type HttpMethod = 'get' | 'post' | 'put' | 'patch' | 'delete'
+
+/**
+ * 파일 생성 경로 ({serverName}, {tagName} 치환)
+ */
+export interface FileGenerationConfig {
+	/** 서버 인스턴스 디렉토리 (기본: 'src/model/openAPI') */
+	serverInstances?: string
+	/** 서버 인스턴스 파일 패턴 (기본: '{serverName}-server/instance.ts') */
+	serverInstancePattern?: string
+	/** 타입 파일 디렉토리 (기본: 'src/domains/{serverName}/types') */
+	domainTypes?: string
+	/** API 파일 디렉토리 (기본: 'src/domains/{serverName}/api') */
+	apiEndpoints?: string
+	files?: {
+		spec?: string
+		schema?: string
+		validated?: string
+		deepSchema?: string
+		endpoint?: string
+		domainApi?: string
+		[key: string]: string | undefined
+	}
+	/** 증분 생성 manifest 경로 (기본: '.openapi-codegen/manifest.json') */
+	manifest?: string
+}
+
+/**
+ * 생성 코드의 import 경로
+ */
+export interface ImportsConfig {
+	internal?: {
+		apiHandlers?: string
+		serverInstance?: string
+		schemaTypes?: string
+		validatedTypes?: string
+		deepSchema?: string
+		endpoint?: string
+		domainApi?: string
+		[key: string]: string | undefined
+	}
+	external?: {
+		reactQuery?: string
+		toast?: string
+		axios?: string
+		[key: string]: string | undefined
+	}
+}
+
+export interface ServerSettingsConfig {
+	/** --env가 없을 때 사용할 환경 (기본: development) */
+	defaultEnvironment?: string
+	serverNameExtraction?: {
+		pattern?: string
+		removePattern?: string
+	}
+}
+
+/**
+ * 환경변수에서 서버 OpenAPI URL 읽기 ({prefix}{SERVER_NAME})
+ */
+export interface EnvVarConfig {
+	enabled?: boolean
+	/** 기본: 'NEXT_PUBLIC_STEPIN_' */
+	prefix?: string
+	/** 기본: '/docs-yaml' */
+	defaultDocsSuffix?: string
+	customDocsSuffix?: Record<string, string>
+}
+
+/**
+ * 서버별 설정
+ *
+ * source 외의 값은 이 서버를 생성할 때만 전체 설정에 깊은 병합됩니다. (ConfigManager.getServerConfig)
+ */
+export interface ServerConfig {
+	/** 로컬 .json/.yaml 경로, glob 패턴 또는 URL (없으면 환경변수 URL 사용) */
+	source?: string
+	/** manifest는 전체 설정만 사용 */
+	fileGeneration?: FileGenerationConfig
+	imports?: ImportsConfig
+	tagging?: TaggingConfig
+	filters?: FiltersConfig
+	errorHandling?: ErrorHandlingConfig
+	codeGeneration?: CodeGenerationConfig
+	/** `_comment` 등 설명용 키 */
+	[key: `_${string}`]: unknown
+}
+
+export interface PluginEntry {
+	/** 파일 경로(설정 파일 기준) 또는 패키지 이름 */
+	path: string
+	/** 플러그인 함수에 전달할 옵션 */
+	options?: Record<string, unknown>
+}
+
+type HookValue<T> = string | T | Array<string | T>
+
+export interface HooksConfig {
+	beforeAll?: HookValue<HookFunction<BeforeAllContext>>
+	beforeStep?: HookValue<HookFunction<StepHookContext>>
+	afterStep?: HookValue<HookFunction<AfterStepContext>>
+	afterWrite?: HookValue<HookFunction<AfterWriteContext>>
+	afterAll?: HookValue<HookFunction<AfterAllContext>>
+}
+
+/**
+ * API 함수명 규칙 - HTTP 메서드별 접두사 또는 함수 (JS 설정 전용)
+ */
+export type FunctionNamingConfig =
+	| Partial<Record<HttpMethod, string>>
+	| ((context: { path: string; method: HttpMethod; defaultName: string }) => string | null | undefined)
+
+/**
+ * 태그 결정에 사용하는 operation 정보 (스펙 모델의 operation)
+ */
+export interface TagOperation {
+	path: string
+	/** 소문자 HTTP 메서드 (get, post, ...) */
+	method: string
+	operationId: string | null
+	/** 스펙의 operation tags */
+	tags: string[]
+	[key: string]: unknown
+}
+
+/**
+ * operation을 태그로 묶는 방법
+ * - path-segment: 첫 경로 세그먼트 (/v1/auth/login → v1_auth)
+ * - path-depth:N: 앞에서부터 N개 세그먼트 (버전, 경로 파라미터 제외)
+ * - operation-tags: operation tags 중 첫 번째 (camelCase, 태그가 없으면 path-segment)
+ * - 함수 (JS 설정 전용): null이면 제외, undefined면 pathTag(path-segment 결과)
+ */
+export type TagStrategy =
+	| 'path-segment'
+	| 'operation-tags'
+	| `path-depth:${number}`
+	| ((operation: TagOperation, context: { serverName: string | null; pathTag: string }) => string | null | undefined)
+
+export interface TaggingConfig {
+	/** 기본: 'path-segment' */
+	strategy?: TagStrategy
+	/**
+	 * strategy로 정한 태그 변환
+	 * - 객체: 태그 → 새 이름 | null(제외) | { name, split }
+	 * - 함수 (JS 설정 전용): 문자열이면 이름 변경, null이면 제외, undefined면 원래 태그 유지
+	 */
+	map?:
+		| Record<string, TagMapTarget>
+		| ((
+				tag: string,
+				context: { path: string; method: string | null; operationId: string | null; serverName: string | null }
+		  ) => string | null | undefined)
+}
+
+/**
+ * tagging.map 객체의 값
+ * - 문자열: 태그 이름 변경 (여러 태그를 같은 이름으로 합칠 수 있음)
+ * - null: 해당 태그의 operation 제외
+ * - split: 경로 glob 패턴과 일치하는 operation을 다른 태그로 나눔 (나머지는 name, 없으면 원래 태그)
+ */
+export type TagMapTarget = string | null | { name?: string; split?: Record<string, string> }
+
+/**
+ * operation 필터 규칙 - 지정한 조건을 모두 만족하는 operation과 일치
+ */
+export interface OperationFilterRule {
+	/** 경로 glob 패턴 ({id} 같은 경로 파라미터는 아무 세그먼트와 일치) */
+	path?: string | string[]
+	methods?: Array<'get' | 'put' | 'post' | 'delete' | 'options' | 'head' | 'patch' | 'trace'>
+	/** operationId glob 패턴 */
+	operationIds?: string[]
+	/** 스펙의 operation tags 중 하나라도 일치 */
+	tags?: string[]
+	deprecated?: boolean
+	/** 확장 필드 값 비교 (예: "x-internal": true) */
+	[extension: `x-${string}`]: unknown
+	/** `_comment` 등 설명용 키 */
+	[key: `_${string}`]: unknown
+}
+
+export interface FiltersConfig {
+	/** 있으면 규칙 중 하나와 일치하는 operation만 생성 */
+	include?: OperationFilterRule[]
+	/** 규칙 중 하나와 일치하는 operation은 생성하지 않음 (include보다 우선) */
+	exclude?: OperationFilterRule[]
+}
+
+export type FeatureFlag = boolean | { enabled: boolean }
+
+export interface FeatureFlagsConfig {
+	generateValidatedTypes?: FeatureFlag
+	generateDeepSchema?: FeatureFlag
+	generateEndpoints?: FeatureFlag
+	generateDomainAPI?: FeatureFlag
+	generateReactQueryHooks?: FeatureFlag
+	[flag: string]: FeatureFlag | string | undefined
+}
+
+export type LogLevel = 'debug' | 'info' | 'success' | 'warn' | 'error'
+
+export interface LoggingConfig {
+	enabled?: boolean
+	level?: LogLevel
+	showTimestamp?: boolean
+	showEmoji?: boolean
+	levels?: Partial<Record<LogLevel | 'all' | 'none', boolean>>
+	colors?: Partial<Record<LogLevel, { emoji?: string; color?: string }>>
+	categories?: Record<string, LogLevel>
+}
+
+export interface CustomHandlerConfig {
+	functionName?: string
+	importPath?: string
+	parameters?: string[]
+	async?: boolean
+}
+
+export interface ErrorHandlingConfig {
+	useToast?: boolean
+	logErrors?: boolean
+	successNotification?: boolean
+	customErrorHandler?: string | null
+	customSuccessHandler?: string | null
+	customHandlers?: {
+		enabled?: boolean
+		errorHandler?: CustomHandlerConfig
+		successHandler?: CustomHandlerConfig
+		contextData?: {
+			includeEndpoint?: boolean
+			includeTimestamp?: boolean
+			includeUserId?: boolean
+			customFields?: Record<string, unknown>
+		}
+	}
+	toastMessages?: {
+		queryError?: string
+		mutationError?: string
+		mutationSuccess?: string
+	}
+}
+
+export interface JsdocTemplate {
+	parameterDescription?: string
+	bodyDescription?: string
+	returnDescription?: string
+	endpointPrefix?: string
+	methodDescriptions?: Partial<Record<HttpMethod, string>>
+}
+
+export interface CodeGenerationConfig {
+	jsdoc?: {
+		enabled?: boolean
+		language?: 'ko' | 'en' | string
+		includeParams?: boolean
+		includeReturns?: boolean
+		includeExample?: boolean
+		includeDescription?: boolean
+		includeEndpoint?: boolean
+		/** 엔드포인트별 설명 ('/auth/login' → '사용자 로그인을 처리하는 API') */
+		customDescriptions?: Record<string, string>
+		templates?: Record<string, JsdocTemplate>
+	}
+	functionNaming?: FunctionNamingConfig
+}
+
+/**
+ * 전체 설정
+ *
+ * 지정하지 않은 값은 기본 설정과 깊은 병합됩니다. (ConfigManager.getDefaultConfig)
+ */
+export interface OpenAPICodegenConfig {
+	/** 에디터 자동완성용 스키마 경로 (schema/openapi-codegen.schema.json) */
+	$schema?: string
+	/** 설정 형식 버전 (없으면 1, 이전 형식은 migrate-config로 변환) */
+	configVersion?: number
+	/** 먼저 병합할 공통 설정 (설정 파일 기준 상대 경로 또는 패키지 이름, 배열이면 앞에서부터 병합) */
+	extends?: string | string[]
+	projectName?: string
+	projectType?: 'nextjs' | 'react' | 'react-native' | string
+	fileGeneration?: FileGenerationConfig
+	imports?: ImportsConfig
+	serverSettings?: ServerSettingsConfig
+	envVarConfig?: EnvVarConfig
+	/** 환경별 설정 덮어쓰기 (--env 또는 serverSettings.defaultEnvironment의 환경을 깊은 병합) */
+	environments?: Record<string, EnvironmentProfile>
+	/** 모노레포: 같은 스펙으로 여러 프로젝트(앱)의 코드 생성 */
+	workspace?: WorkspaceConfig
+	/** 서버별 설정 ("auth": "specs/auth.yaml" 축약형 허용) */
+	servers?: Record<string, ServerConfig | string>
+	excludeServers?: string[]
+	includeOnlyServers?: string[]
+	plugins?: Array<string | PluginEntry>
+	hooks?: HooksConfig
+	tagging?: TaggingConfig
+	filters?: FiltersConfig
+	featureFlags?: FeatureFlagsConfig
+	logging?: LoggingConfig
+	errorHandling?: ErrorHandlingConfig
+	codeGeneration?: CodeGenerationConfig
+	/** `_comment` 등 설명용 키 */
+	[key: `_${string}`]: unknown
+}
+
+/**
+ * 환경별 설정 (environments.{env})
+ */
+export type EnvironmentProfile = Pick<
+	OpenAPICodegenConfig,
+	| 'servers'
+	| 'excludeServers'
+	| 'includeOnlyServers'
+	| 'fileGeneration'
+	| 'imports'
+	| 'envVarConfig'
+	| 'tagging'
+	| 'filters'
+	| 'featureFlags'
+	| 'logging'
+	| 'errorHandling'
+	| 'codeGeneration'
+> & { [key: `_${string}`]: unknown }
+
+/**
+ * workspace 프로젝트 (workspace.projects.{name})
+ *
+ * root 외의 값은 이 프로젝트를 생성할 때만 전체 설정에 깊은 병합됩니다. (ConfigManager.getProjectConfig)
+ */
+export type WorkspaceProject = {
+	/** 프로젝트 디렉토리 (workspace 루트 기준, 생성 경로의 기준) */
+	root: string
+} & Pick<
+	OpenAPICodegenConfig,
+	| 'projectType'
+	| 'fileGeneration'
+	| 'imports'
+	| 'tagging'
+	| 'filters'
+	| 'errorHandling'
+	| 'codeGeneration'
+	| 'featureFlags'
+	| 'includeOnlyServers'
+	| 'excludeServers'
+> & { [key: `_${string}`]: unknown }
+
+export interface WorkspaceConfig {
+	/** 설정 순서대로 생성 */
+	projects?: Record<string, WorkspaceProject>
+	[key: `_${string}`]: unknown
+}
+
+/**
+ * JS 설정 파일용 헬퍼 (설정을 그대로 반환)
+ */
+export function defineConfig(config: OpenAPICodegenConfig): OpenAPICodegenConfig
+
+// ========================================
+// 플러그인 / 훅
+// ========================================
+
+export interface GeneratedFile {
+	filePath: string
+	content: string
+}
+
+export interface PluginContext {
+	config: OpenAPICodegenConfig
+	step: string
+	serverName: string
+	tagName: string | null
+	pathResolver: PathResolver
+	importResolver: ImportResolver
+	naming: NamingConventions
+	readFile: (filePath: string) => string
+	/** openapi.json에서 만든 스펙 모델 (처음 접근할 때 로드) */
+	readonly model: any
+}
+
+export interface PluginStep {
+	id: string
+	name?: string
+	description?: string
+	/** 기본: 'server' */
+	scope?: 'server' | 'tag'
+	/** 기본: ['types'] */
+	dependsOn?: string[]
+	/** generate가 문자열을 반환할 때 저장할 경로 */
+	outputPath?: (context: PluginContext) => string
+	generate(context: PluginContext): GeneratedFile[] | string | Promise<GeneratedFile[] | string>
+}
+
+export interface TransformFile {
+	step: string
+	serverName: string
+	tagName: string | null
+	/** 프로젝트 기준 상대 경로 */
+	filePath: string
+	content: string
+}
+
+export interface Plugin {
+	name?: string
+	steps?: PluginStep[]
+	/** 문자열을 반환하면 파일 내용 교체 */
+	transform?: (file: TransformFile, context: PluginContext) => string | void | Promise<string | void>
+	hooks?: {
+		beforeAll?: HookFunction<BeforeAllContext>
+		beforeStep?: HookFunction<StepHookContext>
+		afterStep?: HookFunction<AfterStepContext>
+		afterWrite?: HookFunction<AfterWriteContext>
+		afterAll?: HookFunction<AfterAllContext>
+	}
+}
+
+export type HookName = 'beforeAll' | 'beforeStep' | 'afterStep' | 'afterWrite' | 'afterAll'
+
+export interface HookContext {
+	hook: HookName
+	config: OpenAPICodegenConfig
+	pathResolver: PathResolver
+	importResolver: ImportResolver
+	naming: NamingConventions
+	dryRun: boolean
+	check: boolean
+}
+
+export interface BeforeAllContext extends HookContext {
+	servers: string[]
+	steps: string[]
+}
+
+export interface StepHookContext extends HookContext {
+	step: string
+	serverName: string
+	tagName: string | null
+}
+
+export interface AfterStepContext extends StepHookContext {
+	/** 저장한 파일 (content는 afterWrite 훅 실행 후 실제 내용, generatedContent는 훅 실행 전 내용) */
+	files: Array<{ filePath: string; content: string; generatedContent: string }>
+}
+
+export interface AfterWriteContext extends StepHookContext {
+	/** 프로젝트 기준 상대 경로 */
+	filePath: string
+	/** 지금 파일을 읽고 고쳐 쓸 수 있는 경로 (atomic 모드에서는 stagedPath, 아니면 targetPath) */
+	absolutePath: string
+	/** 반영 후의 최종 절대 경로 */
+	targetPath: string
+	/** atomic 모드의 임시 파일 경로 (atomic 모드가 아니면 null) */
+	stagedPath: string | null
+	content: string
+	status: 'created' | 'modified' | 'unchanged'
+}
+
+export interface AfterAllContext extends HookContext {
+	servers: string[]
+	results: GenerateResults
+	changes: Array<{
+		/** 절대 경로 */
+		filePath: string
+		status: 'created' | 'modified' | 'unchanged' | 'deleted'
+		before: string | null
+		after: string | null
+	}>
+}
+
+export type HookFunction<T extends HookContext> = (context: T) => void | Promise<void>
+
+// ========================================
+// Core
+// ========================================
+
+export interface GenerateResults {
+	/** 성공한 단계 이름 */
+	success: string[]
+	failed: Array<{ name: string; error: string }>
+	[key: string]: unknown
+}
+
+export interface GenerateOptions {
+	/** 실행할 단계 id 목록 (없으면 활성화된 모든 단계) */
+	steps?: string[] | null
+}
+
+export interface GeneratorOptions {
+	dryRun?: boolean
+	check?: boolean
+	force?: boolean
+	/** 기본: true */
+	atomic?: boolean
+	/** 기본: 1 (스펙 다운로드, 타입 변환 등 비동기 작업만 겹쳐 실행) */
+	concurrency?: number
+	plugins?: Plugin[]
+	/** SourceResolver 옵션 (workspace: 스펙 소스 기준 디렉토리, 프로젝트 간 공유 캐시) */
+	sources?: SourceResolverOptions
+}
+
+export class ConfigManager {
+	constructor(projectRoot?: string)
+	projectRoot: string
+	config: OpenAPICodegenConfig | null
+	configPath: string | null
+	configFiles: string[]
+	loadConfig(customPath?: string | null, options?: { environment?: string | null }): Promise<OpenAPICodegenConfig>
+	readConfigFile(path: string): Promise<OpenAPICodegenConfig>
+	readConfigWithExtends(path: string, chain?: string[]): Promise<OpenAPICodegenConfig>
+	resolveExtendsPath(specifier: string, fromPath: string): string
+	getConfig(): OpenAPICodegenConfig | null
+	getConfigPath(): string | null
+	getConfigFiles(): string[]
+	getEnvironment(): string | null
+	applyEnvironment(config: OpenAPICodegenConfig, environment?: string | null): OpenAPICodegenConfig
+	getServerConfig(serverName: string, config?: OpenAPICodegenConfig | null): OpenAPICodegenConfig
+	getProjectNames(config?: OpenAPICodegenConfig | null): string[]
+	getProjectConfig(projectName: string, config?: OpenAPICodegenConfig | null): OpenAPICodegenConfig
+	getDefaultConfig(): OpenAPICodegenConfig
+	mergeWithDefaults(userConfig: OpenAPICodegenConfig): OpenAPICodegenConfig
+	validateConfig(config?: OpenAPICodegenConfig | null): { valid: boolean; errors: string[]; issues: SchemaIssue[] }
+	validateConfigOrThrow(config?: OpenAPICodegenConfig | null): void
+	createConfig(
+		path: string,
+		config?: OpenAPICodegenConfig | null,
+		options?: { overwrite?: boolean; pretty?: boolean }
+	): boolean
+	isFeatureEnabled(flagName: string): boolean
+}
+export function createConfigManager(projectRoot?: string): ConfigManager
+export const CONFIG_SCHEMA_PATH: URL
+export const CONFIG_VERSION: number
+export const SERVER_OVERRIDE_KEYS: Array<'fileGeneration' | 'imports' | 'tagging' | 'filters' | 'errorHandling' | 'codeGeneration'>
+export function resolveServerConfig(config: OpenAPICodegenConfig, serverName: string): OpenAPICodegenConfig
+export const PROJECT_OVERRIDE_KEYS: string[]
+export function resolveProjectConfig(config: OpenAPICodegenConfig, projectName: string): OpenAPICodegenConfig
+export function getConfigSchema(): object
+export function loadConfig(
+	configPath?: string | null,
+	projectRoot?: string,
+	options?: { environment?: string | null }
+): Promise<OpenAPICodegenConfig>
+
+/** migrate-config 변환 결과 */
+export interface ConfigMigrationResult {
+	config: OpenAPICodegenConfig
+	fromVersion: number
+	toVersion: number
+	/** 바뀐 위치 (JSON pointer)와 내용 */
+	changes: Array<{ pointer: string; message: string }>
+}
+export function migrateConfig(
+	userConfig: Record<string, any>,
+	options?: { stripComments?: boolean }
+): ConfigMigrationResult
+export function detectConfigVersion(config: Record<string, any>): number
+
+export class PathResolver {
+	constructor(config: OpenAPICodegenConfig, projectRoot?: string)
+	projectRoot: string
+	getSpecPath(serverName: string): string
+	getEnvPath(): string
+	[method: string]: any
+}
+export function createPathResolver(config: OpenAPICodegenConfig, projectRoot?: string): PathResolver
+
+export class ImportResolver {
+	constructor(config: OpenAPICodegenConfig, pathResolver: PathResolver)
+	[method: string]: any
+}
+export function createImportResolver(config: OpenAPICodegenConfig, pathResolver: PathResolver): ImportResolver
+
+export class Generator {
+	constructor(
+		config: OpenAPICodegenConfig,
+		pathResolver: PathResolver,
+		importResolver: ImportResolver,
+		naming: NamingConventions,
+		generators: Record<string, unknown>,
+		options?: GeneratorOptions
+	)
+	report: RunReport
+	generateAll(servers?: string[] | null, options?: GenerateOptions): Promise<GenerateResults>
+	generateServer(serverName: string, options?: GenerateOptions): Promise<GenerateResults>
+	detectServers(): string[]
+	/** servers.{name} 덮어쓰기가 적용된 설정과 resolver/generator */
+	getServerScope(serverName: string): {
+		config: OpenAPICodegenConfig
+		pathResolver: PathResolver
+		importResolver: ImportResolver
+		naming: NamingConventions
+		generators: Record<string, unknown>
+	}
+	[member: string]: any
+}
+export function createGenerator(...args: ConstructorParameters<typeof Generator>): Generator
+
+export interface SourceResolverOptions {
+	/** 로컬 소스 경로의 기준 디렉토리 (기본: pathResolver.projectRoot) */
+	baseDir?: string
+	/** 로드한 문서 캐시 (여러 resolver가 공유하면 소스마다 한 번만 로드) */
+	cache?: Map<string, Promise<object>>
+}
+export class SourceResolver {
+	constructor(config: OpenAPICodegenConfig, pathResolver: PathResolver, options?: SourceResolverOptions)
+	projectRoot: string
+	getOptions(): SourceResolverOptions
+	[method: string]: any
+}
+export function createSourceResolver(
+	config: OpenAPICodegenConfig,
+	pathResolver: PathResolver,
+	options?: SourceResolverOptions
+): SourceResolver
+export function mergeSpecDocuments(documents: Array<{ file: string; document: object }>): object
+
+export class ServerDetector {
+	constructor(...args: any[])
+	[method: string]: any
+}
+export function createServerDetector(...args: any[]): ServerDetector
+
+export class OutputSink {
+	constructor(options?: { dryRun?: boolean; atomic?: boolean; projectRoot?: string })
+	[method: string]: any
+}
+export function createOutputSink(options?: { dryRun?: boolean; atomic?: boolean; projectRoot?: string }): OutputSink
+
+export class GenerationManifest {
+	constructor(...args: any[])
+	[method: string]: any
+}
+export function createGenerationManifest(...args: any[]): GenerationManifest
+export function hashContent(...values: unknown[]): string
+
+export class PluginManager {
+	constructor(config: OpenAPICodegenConfig, options?: { baseDir?: string })
+	loadPlugins(): Promise<Plugin[]>
+	[method: string]: any
+}
+export function createPluginManager(config: OpenAPICodegenConfig, options?: { baseDir?: string }): PluginManager
+export function loadPlugins(config: OpenAPICodegenConfig, options?: { baseDir?: string }): Promise<Plugin[]>
+export function validatePlugin(plugin: Plugin, source?: string): Plugin
+
+export class RunReport {
+	constructor(options?: { toolkitVersion?: string | null; mode?: 'write' | 'dry-run' | 'check' })
+	toJSON(): Record<string, unknown>
+	write(filePath: string): void
+	[member: string]: any
+}
+export function createRunReport(options?: { toolkitVersion?: string | null; mode?: string }): RunReport
+
+export interface WatcherOptions {
+	servers?: string[] | null
+	generateOptions?: GenerateOptions
+	/** 원격 스펙 폴링 간격 (초, 0이면 폴링하지 않음) */
+	poll?: number
+	debounce?: number
+	onRun?: (generator: Generator | WorkspaceGenerator, results: GenerateResults | null) => void
+}
+export interface WorkspaceProjectGenerator {
+	name: string
+	/** 절대 경로 */
+	root: string
+	generator: Generator
+}
+export class WorkspaceGenerator {
+	constructor(
+		config: OpenAPICodegenConfig,
+		pathResolver: PathResolver,
+		projects: WorkspaceProjectGenerator[],
+		options?: { sources?: SourceResolverOptions }
+	)
+	projects: WorkspaceProjectGenerator[]
+	/** 프로젝트별 RunReport 묶음 (write, toJSON) */
+	report: { toJSON(): object; write(filePath: string): void }
+	generateAll(servers?: string[] | null, options?: GenerateOptions): Promise<GenerateResults>
+	generateServer(serverName: string, options?: GenerateOptions): Promise<GenerateResults>
+	detectServers(): string[]
+	[member: string]: any
+}
+export function createWorkspaceGenerator(...args: ConstructorParameters<typeof WorkspaceGenerator>): WorkspaceGenerator
+export function resolveWorkspaceProjects(
+	config: OpenAPICodegenConfig,
+	workspaceRoot?: string,
+	projectNames?: string[] | null
+): Array<{ name: string; root: string; config: OpenAPICodegenConfig }>
+export function isWorkspaceConfig(config: OpenAPICodegenConfig): boolean
+
+export interface WatcherGeneratorResult {
+	generator: Generator | WorkspaceGenerator
+	configPath: string | null
+	/** extends한 파일까지 포함한 설정 파일 (없으면 configPath만 감시) */
+	configFiles?: string[]
+	/** 환경의 .env 파일 (없는 파일 포함, 없으면 .env만 감시) */
+	envFiles?: string[]
+}
+export class Watcher {
+	constructor(createGenerator: () => Promise<WatcherGeneratorResult>, options?: WatcherOptions)
+	start(): Promise<void>
+	close(): void
+	[member: string]: any
+}
+export function createWatcher(
+	createGenerator: () => Promise<WatcherGeneratorResult>,
+	options?: WatcherOptions
+): Watcher
+
+export interface EnvLoadResult {
+	environment: string | null
+	/** 실제로 읽은 파일 (우선순위 높은 순) */
+	files: string[]
+	/** process.env에 반영한 변수 이름 (셸에 이미 있던 변수 제외) */
+	variables: string[]
+}
+export class EnvLoader {
+	constructor(projectRoot?: string, env?: Record<string, string | undefined>)
+	projectRoot: string
+	getEnvFiles(environment?: string | null): string[]
+	load(environment?: string | null): EnvLoadResult
+	unload(): void
+}
+export const DEFAULT_ENVIRONMENT: string
+export function resolveEnvironment(config: OpenAPICodegenConfig | null, environment?: string | null): string
+export function createEnvLoader(projectRoot?: string): EnvLoader
+export function loadEnv(environment?: string | null, projectRoot?: string): EnvLoadResult
+
+// ========================================
+// Parsers
+// ========================================
+
+export class SchemaParser {
+	constructor(...args: any[])
+	[method: string]: any
+}
+export function createSchemaParser(...args: any[]): SchemaParser
+export function extractPaths(...args: any[]): any
+export function extractOperationIds(...args: any[]): any
+export function parseSpecDocument(content: string, source?: string): object
+export function buildSpecModel(document: object): any
+export function loadSpecModel(specPath: string, readFile?: (filePath: string) => string): any
+export function parseValidatedTypes(...args: any[]): any
+/** swagger: "2.0" 문서인지 확인 */
+export function isSwagger2(document: object | null | undefined): boolean
+/** Swagger 2.0 문서를 OpenAPI 3.0 문서로 변환 (definitions, body/formData 파라미터, produces/consumes, basePath) */
+export function convertSwagger2(document: object): object
+/** type 목록 (3.0 nullable, 3.1 type 배열 모두 처리) */
+export function getSchemaTypes(schema: object | null | undefined): string[]
+/** null 허용 여부 (type 배열, nullable, anyOf/oneOf의 null 멤버 등) */
+export function isNullableSchema(schema: object | null | undefined): boolean
+/** anyOf/oneOf에서 null 멤버를 뺀 나머지 */
+export function getNonNullMembers(schema: object | null | undefined): object[]
+/** enum, const, const만 가진 oneOf/anyOf 멤버의 값 목록 */
+export function getEnumValues(schema: object | null | undefined): unknown[] | null
+/** 배열(튜플 포함) 스키마 여부 */
+export function isArraySchema(schema: object | null | undefined): boolean
+/** 스키마 → TypeScript 타입 문자열 (변환할 수 없으면 null) */
+export function renderSchemaType(schema: object | null | undefined): string | null
+/** 스키마 안의 $defs를 components.schemas로 꺼내고 $ref 변경 */
+export function hoistSchemaDefs(document: object): { document: object; hoisted: string[] }
+
+// ========================================
+// Generators
+// ========================================
+
+declare class BaseGenerator {
+	constructor(...args: any[])
+	generate(serverName: string, tagName?: string): any
+	[method: string]: any
+}
+
+export class TypeGenerator extends BaseGenerator {}
+export class DomainAPIGenerator extends BaseGenerator {}
+export class ReactQueryGenerator extends BaseGenerator {}
+export class TagsGenerator extends BaseGenerator {}
+export class EndpointGenerator extends BaseGenerator {}
+export class DeepSchemaGenerator extends BaseGenerator {}
+export function createTypeGenerator(...args: any[]): TypeGenerator
+export function createDomainAPIGenerator(...args: any[]): DomainAPIGenerator
+export function createReactQueryGenerator(...args: any[]): ReactQueryGenerator
+export function createTagsGenerator(...args: any[]): TagsGenerator
+export function createEndpointGenerator(...args: any[]): EndpointGenerator
+export function createDeepSchemaGenerator(...args: any[]): DeepSchemaGenerator
+
+// ========================================
+// Utils
+// ========================================
+
+export class NamingConventions {
+	constructor(config?: OpenAPICodegenConfig)
+	generateFunctionName(path: string, method: string): string
+	generateConstantName(path: string, method: string): string
+	tagToIdentifier(tag: string): string
+	extractTag(operation: TagOperation, serverName?: string | null): string | null
+	groupOperationsByTag(
+		model: { operations: TagOperation[] },
+		serverName?: string | null,
+		onSkip?: ((operation: TagOperation, reason: string) => void) | null
+	): Map<string, TagOperation[]>
+	getTagOperations(model: { operations: TagOperation[] }, serverName: string | null, tagName: string): TagOperation[]
+	/** 경로만으로 태그 결정 (operation-tags 전략에서는 path-segment) */
+	extractTagFromPath(path: string, serverName?: string | null): string | null
+	isOperationIncluded(operation: TagOperation): boolean
+	getSkipReason(operation: TagOperation): string | null
+	mapTag(tag: string | null, path: string, serverName?: string | null, operation?: TagOperation | null): string | null
+	[method: string]: any
+}
+export function createNamingConventions(config?: OpenAPICodegenConfig): NamingConventions
+
+export class OperationFilter {
+	constructor(filters?: FiltersConfig)
+	/** 제외 이유 (생성 대상이면 null) */
+	getSkipReason(operation: TagOperation): string | null
+	isIncluded(operation: TagOperation): boolean
+}
+export function createOperationFilter(filters?: FiltersConfig): OperationFilter
+
+export const DEFAULT_TAG_STRATEGY: 'path-segment'
+export function createTagMapper(
+	map?: TaggingConfig['map'] | null
+): ((tag: string, context: { path: string; [key: string]: unknown }) => string | null | undefined) | null
+export function pathPatternToRegExp(pattern: string): RegExp
+export function createTagResolver(
+	strategy?: TagStrategy
+): (operation: Pick<TagOperation, 'path' | 'method'> & Partial<TagOperation>, serverName?: string | null) => string | null
+export function extractPathTag(path: string, depth?: number): string
+export function toTagName(name: string): string
+
+export const Logger: {
+	debug(message: string, category?: string | null, ...args: unknown[]): void
+	info(message: string, category?: string | null, ...args: unknown[]): void
+	success(message: string, category?: string | null, ...args: unknown[]): void
+	warn(message: string, category?: string | null, ...args: unknown[]): void
+	error(message: string, category?: string | null, ...args: unknown[]): void
+	addListener(listener: (entry: { level: string; message: string; category: string | null }) => void): () => void
+	[member: string]: any
+}
+
+export function hasGlobPattern(pattern: string): boolean
+export function globToRegExp(pattern: string): RegExp
+export function matchGlob(filePath: string, pattern: string): boolean
+export function expandGlob(pattern: string, cwd?: string): string[]
+export function getGlobBase(pattern: string, cwd?: string): string
+export function matchGlobPath(filePath: string, pattern: string, cwd?: string): boolean
+
+export interface SchemaIssue {
+	/** JSON pointer (예: '/codeGeneration/functionNameing') */
+	pointer: string
+	message: string
+	expected?: string
+	actual?: string
+	/** 비슷한 이름 ("did you mean") */
+	suggestion?: string | null
+}
+export function validateSchema(value: unknown, schema: object): SchemaIssue[]
+export function formatIssue(issue: SchemaIssue): string
+export function findSuggestion(input: string, candidates: string[]): string | null
+
+declare const _default: {
+	ConfigManager: typeof ConfigManager
+	createConfigManager: typeof createConfigManager
+	loadConfig: typeof loadConfig
+	defineConfig: typeof defineConfig
+	PathResolver: typeof PathResolver
+	createPathResolver: typeof createPathResolver
+	ImportResolver: typeof ImportResolver
+	createImportResolver: typeof createImportResolver
+	Generator: typeof Generator
+	createGenerator: typeof createGenerator
+	SchemaParser: typeof SchemaParser
+	createSchemaParser: typeof createSchemaParser
+	extractPaths: typeof extractPaths
+	extractOperationIds: typeof extractOperationIds
+	parseSpecDocument: typeof parseSpecDocument
+	buildSpecModel: typeof buildSpecModel
+	loadSpecModel: typeof loadSpecModel
+	TypeGenerator: typeof TypeGenerator
+	createTypeGenerator: typeof createTypeGenerator
+	DomainAPIGenerator: typeof DomainAPIGenerator
+	createDomainAPIGenerator: typeof createDomainAPIGenerator
+	ReactQueryGenerator: typeof ReactQueryGenerator
+	createReactQueryGenerator: typeof createReactQueryGenerator
+	NamingConventions: typeof NamingConventions
+	createNamingConventions: typeof createNamingConventions
+}
+export default _default
@@ -11,15 +11,61 @@
 // ========================================
 // Core
 // ========================================
-export { ConfigManager, createConfigManager, loadConfig } from './core/ConfigManager.js'
+export {
+	ConfigManager,
+	createConfigManager,
+	loadConfig,
+	defineConfig,
+	getConfigSchema,
+	resolveServerConfig,
+	resolveProjectConfig,
+	CONFIG_SCHEMA_PATH,
+	CONFIG_VERSION,
+	SERVER_OVERRIDE_KEYS,
+	PROJECT_OVERRIDE_KEYS,
+} from './core/ConfigManager.js'
+export { migrateConfig, detectConfigVersion } from './core/ConfigMigrator.js'
 export { PathResolver, createPathResolver } from './core/PathResolver.js'
 export { ImportResolver, createImportResolver } from './core/ImportResolver.js'
 export { Generator, createGenerator } from './core/Generator.js'
+export { SourceResolver, createSourceResolver, mergeSpecDocuments } from './core/SourceResolver.js'
+export { ServerDetector, createServerDetector } from './core/ServerDetector.js'
+export { OutputSink, createOutputSink } from './core/OutputSink.js'
+export { GenerationManifest, createGenerationManifest, hashContent } from './core/GenerationManifest.js'
+export { PluginManager, createPluginManager, loadPlugins, validatePlugin } from './core/PluginManager.js'
+export { RunReport, createRunReport } from './core/RunReport.js'
+export { Watcher, createWatcher } from './core/Watcher.js'
+export {
+	WorkspaceGenerator,
+	createWorkspaceGenerator,
+	resolveWorkspaceProjects,
+	isWorkspaceConfig,
+} from './core/WorkspaceGenerator.js'
+export { EnvLoader, createEnvLoader, loadEnv, resolveEnvironment, DEFAULT_ENVIRONMENT } from './core/EnvLoader.js'
 
 // ========================================
 // Parsers
 // ========================================
-export { SchemaParser, createSchemaParser, extractPaths, extractOperationIds } from './parsers/SchemaParser.js'
+export {
+	SchemaParser,
+	createSchemaParser,
+	extractPaths,
+	extractOperationIds,
+	parseSpecDocument,
+	buildSpecModel,
+	loadSpecModel,
+	parseValidatedTypes,
+} from './parsers/SchemaParser.js'
+export { isSwagger2, convertSwagger2 } from './parsers/Swagger2Converter.js'
+export {
+	getSchemaTypes,
+	isNullableSchema,
+	getNonNullMembers,
+	getEnumValues,
+	isArraySchema,
+	renderSchemaType,
+	hoistSchemaDefs,
+} from './parsers/JsonSchema.js'
 
 // ========================================
 // Generators
@@ -35,16 +81,53 @@ export { DeepSchemaGenerator, createDeepSchemaGenerator } from './generators/Dee
 // Utils
 // ========================================
 export { NamingConventions, createNamingConventions } from './utils/NamingConventions.js'
+export {
+	createTagResolver,
+	createTagMapper,
+	extractPathTag,
+	toTagName,
+	DEFAULT_TAG_STRATEGY,
+} from './utils/TagStrategy.js'
+export { OperationFilter, createOperationFilter, pathPatternToRegExp } from './utils/OperationFilter.js'
 export { default as Logger } from './utils/Logger.js'
+export {
+	hasGlobPattern,
+	globToRegExp,
+	matchGlob,
+	expandGlob,
+	getGlobBase,
+	matchGlobPath,
+} from './utils/GlobMatcher.js'
+export { validateSchema, formatIssue, findSuggestion } from './utils/SchemaValidator.js'
 
 // ========================================
 // Default Export
 // ========================================
+// 위의 re-export는 이 모듈 안에서 바인딩을 만들지 않으므로 default export용으로 따로 import
+import { ConfigManager, createConfigManager, loadConfig, defineConfig } from './core/ConfigManager.js'
+import { PathResolver, createPathResolver } from './core/PathResolver.js'
+import { ImportResolver, createImportResolver } from './core/ImportResolver.js'
+import { Generator, createGenerator } from './core/Generator.js'
+import {
+	SchemaParser,
+	createSchemaParser,
+	extractPaths,
+	extractOperationIds,
+	parseSpecDocument,
+	buildSpecModel,
+	loadSpecModel,
+} from './parsers/SchemaParser.js'
+import { TypeGenerator, createTypeGenerator } from './generators/TypeGenerator.js'
+import { DomainAPIGenerator, createDomainAPIGenerator } from './generators/DomainAPIGenerator.js'
+import { ReactQueryGenerator, createReactQueryGenerator } from './generators/ReactQueryGenerator.js'
+import { NamingConventions, createNamingConventions } from './utils/NamingConventions.js'
+
 export default {
 	// Core
 	ConfigManager,
 	createConfigManager,
 	loadConfig,
+	defineConfig,
 	PathResolver,
 	createPathResolver,
 	ImportResolver,
@@ -57,6 +140,9 @@ export default {
 	createSchemaParser,
 	extractPaths,
 	extractOperationIds,
+	parseSpecDocument,
+	buildSpecModel,
+	loadSpecModel,
 
 	// Generators
 	TypeGenerator,
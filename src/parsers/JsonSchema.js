@@ -0,0 +1,358 @@
+#!/usr/bin/env node
+
+/**
+ * 🧩 JsonSchema - OpenAPI 3.0 / 3.1 스키마 해석 유틸리티
+ *
+ * OpenAPI 3.1은 스키마에 JSON Schema 2020-12 문법을 그대로 사용합니다.
+ * 생성기가 3.0 문법(type 문자열, nullable)과 3.1 문법을 구분하지 않도록 공통 해석 함수를 제공합니다.
+ *
+ * @description
+ * - type 배열 (['string', 'null']) 과 nullable: true 를 같은 방식으로 해석
+ * - anyOf/oneOf의 { type: 'null' } 멤버를 nullable로 해석
+ * - const, enum, const만 가진 oneOf/anyOf 멤버를 값 목록으로 해석
+ * - prefixItems(튜플)와 items를 함께 해석
+ * - 스키마 안의 $defs를 components.schemas로 꺼내고 $ref 변경 (hoistSchemaDefs)
+ * - 스키마 → TypeScript 타입 문자열 (renderSchemaType, components 참조/리터럴/유니온/튜플)
+ *
+ * @example
+ * renderSchemaType({ type: ['array', 'null'], items: { $ref: '#/components/schemas/User' } })
+ * // => "components['schemas']['User'][] | null"
+ *
+ * renderSchemaType({ type: 'array', prefixItems: [{ const: 'point' }, { type: 'number' }], items: false })
+ * // => "['point', number]"
+ */
+
+/**
+ * TypeScript 기본 타입으로 바로 바꿀 수 있는 JSON Schema type
+ */
+const PRIMITIVE_TYPES = {
+	string: 'string',
+	integer: 'number',
+	number: 'number',
+	boolean: 'boolean',
+	null: 'null',
+}
+
+/**
+ * 스키마의 type 목록 (3.0 nullable, 3.1 type 배열 모두 처리)
+ *
+ * @param {Object} schema - 스키마 객체
+ * @returns {string[]} type 목록 (nullable이면 'null' 포함, type이 없으면 빈 배열)
+ *
+ * @example
+ * getSchemaTypes({ type: 'string', nullable: true })
+ * // => ['string', 'null']
+ */
+export function getSchemaTypes(schema) {
+	if (!schema || typeof schema !== 'object') return []
+
+	const types = Array.isArray(schema.type) ? [...schema.type] : schema.type ? [schema.type] : []
+	if (schema.nullable === true && types.length > 0 && !types.includes('null')) {
+		types.push('null')
+	}
+
+	return types
+}
+
+/**
+ * null을 허용하는 스키마인지 확인
+ *
+ * type 배열의 'null', nullable: true, enum/const의 null, anyOf/oneOf의 { type: 'null' } 멤버를 확인합니다.
+ *
+ * @param {Object} schema - 스키마 객체
+ * @returns {boolean} null 허용 여부
+ */
+export function isNullableSchema(schema) {
+	if (!schema || typeof schema !== 'object') return false
+
+	return (
+		schema.nullable === true ||
+		getSchemaTypes(schema).includes('null') ||
+		(schema.enum || []).includes(null) ||
+		('const' in schema && schema.const === null) ||
+		(schema.anyOf || schema.oneOf || []).some(isNullSchema)
+	)
+}
+
+/**
+ * anyOf/oneOf에서 null 멤버를 뺀 나머지 (조합이 없으면 빈 배열)
+ *
+ * @param {Object} schema - 스키마 객체
+ * @returns {Object[]} null이 아닌 멤버 목록
+ *
+ * @example
+ * getNonNullMembers({ anyOf: [{ $ref: '#/components/schemas/User' }, { type: 'null' }] })
+ * // => [{ $ref: '#/components/schemas/User' }]
+ */
+export function getNonNullMembers(schema) {
+	return (schema?.anyOf || schema?.oneOf || []).filter((member) => !isNullSchema(member))
+}
+
+/**
+ * 스키마가 허용하는 값 목록 (enum, const, const만 가진 oneOf/anyOf 멤버)
+ *
+ * @param {Object} schema - 스키마 객체
+ * @returns {Array|null} 값 목록 (값 목록으로 표현할 수 없으면 null)
+ *
+ * @example
+ * getEnumValues({ oneOf: [{ const: 'A', title: '활성' }, { const: 'B', title: '정지' }] })
+ * // => ['A', 'B']
+ */
+export function getEnumValues(schema) {
+	if (!schema || typeof schema !== 'object') return null
+	if (Array.isArray(schema.enum)) return schema.enum
+	if ('const' in schema) return [schema.const]
+
+	const members = schema.oneOf || schema.anyOf
+	if (members?.length > 0 && members.every((member) => member && ('const' in member || isNullSchema(member)))) {
+		return members.map((member) => ('const' in member ? member.const : null))
+	}
+
+	return null
+}
+
+/**
+ * 배열 스키마인지 확인 (type: 'array', type 배열의 'array', prefixItems)
+ *
+ * @param {Object} schema - 스키마 객체
+ * @returns {boolean} 배열 여부
+ */
+export function isArraySchema(schema) {
+	return getSchemaTypes(schema).includes('array') || Array.isArray(schema?.prefixItems)
+}
+
+/**
+ * 스키마를 TypeScript 타입 문자열로 변환
+ *
+ * components.schemas 참조, 기본 타입, 리터럴(const/enum), 유니온(type 배열, anyOf/oneOf, nullable),
+ * 배열, 튜플(prefixItems)을 처리합니다. 인라인 객체처럼 타입 문자열로 옮길 수 없는 부분이 있으면 null을 반환합니다.
+ *
+ * @param {Object} schema - 스키마 객체
+ * @returns {string|null} TypeScript 타입 (변환할 수 없으면 null)
+ *
+ * @example
+ * renderSchemaType({ anyOf: [{ $ref: '#/components/schemas/User' }, { type: 'null' }] })
+ * // => "components['schemas']['User'] | null"
+ */
+export function renderSchemaType(schema) {
+	if (!schema || typeof schema !== 'object') return null
+
+	const refName = getComponentSchemaName(schema.$ref)
+	if (schema.$ref) {
+		return refName ? joinUnion([`components['schemas']['${refName}']`, ...(isNullableSchema(schema) ? ['null'] : [])]) : null
+	}
+
+	const values = getEnumValues(schema)
+	if (values) {
+		return joinUnion(values.map(toLiteral))
+	}
+
+	if (schema.allOf) {
+		const members = schema.allOf.map(renderSchemaType)
+		if (members.includes(null)) return null
+
+		// 3.0의 { allOf: [{ $ref }], nullable: true } 패턴
+		const intersection = members.length === 1 ? members[0] : members.map(wrapUnion).join(' & ')
+		return schema.nullable === true ? joinUnion([wrapUnion(intersection), 'null']) : intersection
+	}
+
+	const composition = schema.anyOf || schema.oneOf
+	if (composition) {
+		const members = composition.map(renderSchemaType)
+		return members.includes(null) ? null : joinUnion(members)
+	}
+
+	const types = getSchemaTypes(schema)
+	if (types.length === 0) {
+		return Array.isArray(schema.prefixItems) ? renderArrayType(schema) : null
+	}
+
+	const members = types.map((type) => (type === 'array' ? renderArrayType(schema) : PRIMITIVE_TYPES[type] || null))
+	return members.includes(null) ? null : joinUnion(members)
+}
+
+/**
+ * 스키마 안의 $defs를 components.schemas로 꺼냄
+ *
+ * openapi-typescript는 $defs를 상위 스키마 타입의 필수 속성으로 만들기 때문에,
+ * components.schemas.{이름}.$defs.{정의}와 문서 최상위 $defs를 components.schemas로 옮기고 $ref를 바꿉니다.
+ * 이름이 겹치면 상위 스키마 이름을 앞에 붙입니다. ({상위}_{정의})
+ *
+ * @param {Object} document - OpenAPI 문서 (변경하지 않음)
+ * @returns {{document: Object, hoisted: string[]}} 변환된 문서와 꺼낸 스키마 이름 목록 ($defs가 없으면 원본 문서)
+ *
+ * @example
+ * hoistSchemaDefs({ components: { schemas: { Item: { $defs: { Owner: { type: 'object' } } } } } })
+ * // => { document: { components: { schemas: { Item: {}, Owner: { type: 'object' } } } }, hoisted: ['Owner'] }
+ */
+export function hoistSchemaDefs(document) {
+	const pending = Object.entries(document.components?.schemas || {})
+		.filter(([, schema]) => hasDefs(schema))
+		.map(([name]) => ({ name, pointer: `#/components/schemas/${encodePointerSegment(name)}` }))
+
+	if (pending.length === 0 && !hasDefs(document)) {
+		return { document, hoisted: [] }
+	}
+
+	const { $defs: rootDefs = {}, ...rest } = document
+	const result = structuredClone(rest)
+	const schemas = (result.components = { ...result.components, schemas: { ...result.components?.schemas } }).schemas
+	const refMap = new Map()
+	const hoisted = []
+
+	const hoist = (owner, defs, pointer) => {
+		for (const [defName, definition] of Object.entries(defs)) {
+			const name = getAvailableName(schemas, defName, owner)
+			schemas[name] = structuredClone(definition)
+			refMap.set(`${pointer}/$defs/${encodePointerSegment(defName)}`, `#/components/schemas/${encodePointerSegment(name)}`)
+			hoisted.push(name)
+
+			if (hasDefs(schemas[name])) {
+				pending.push({ name, pointer: `${pointer}/$defs/${encodePointerSegment(defName)}` })
+			}
+		}
+	}
+
+	hoist(null, rootDefs, '#')
+
+	while (pending.length > 0) {
+		const { name, pointer } = pending.shift()
+		const { $defs: defs, ...schema } = schemas[name]
+		schemas[name] = schema
+		hoist(name, defs, pointer)
+	}
+
+	return { document: rewriteRefs(result, refMap), hoisted }
+}
+
+// ========================================
+// 내부 함수
+// ========================================
+
+/**
+ * { type: 'null' } 또는 const: null 멤버인지 확인
+ */
+function isNullSchema(schema) {
+	return Boolean(schema) && (schema.type === 'null' || ('const' in schema && schema.const === null))
+}
+
+/**
+ * 배열/튜플 타입 문자열 (prefixItems 뒤의 items는 나머지 요소)
+ */
+function renderArrayType(schema) {
+	if (Array.isArray(schema.prefixItems)) {
+		const elements = schema.prefixItems.map(renderSchemaType)
+		if (elements.includes(null)) return null
+
+		if (schema.items && typeof schema.items === 'object') {
+			const restType = renderSchemaType(schema.items)
+			if (!restType) return null
+			elements.push(`...${wrapUnion(restType)}[]`)
+		}
+
+		return `[${elements.join(', ')}]`
+	}
+
+	if (!schema.items || typeof schema.items !== 'object') return 'unknown[]'
+
+	const itemType = renderSchemaType(schema.items)
+	return itemType ? `${wrapUnion(itemType)}[]` : null
+}
+
+/**
+ * 유니온 멤버 합치기 (중복 제거)
+ */
+function joinUnion(members) {
+	return [...new Set(members)].join(' | ')
+}
+
+/**
+ * 배열/교차 타입 안의 유니온은 괄호로 감쌈
+ */
+function wrapUnion(type) {
+	return / [|&] /.test(type) && !/^\[.*\]$/.test(type) ? `(${type})` : type
+}
+
+/**
+ * const/enum 값 → TypeScript 리터럴 (문자열은 작은따옴표)
+ */
+function toLiteral(value) {
+	if (typeof value === 'string') {
+		return `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`
+	}
+	return value !== null && typeof value === 'object' ? 'unknown' : String(value)
+}
+
+/**
+ * '#/components/schemas/{이름}' 참조의 이름 (하위 경로 참조는 null)
+ */
+function getComponentSchemaName(ref) {
+	const match = typeof ref === 'string' ? ref.match(/^#\/components\/schemas\/([^/]+)$/) : null
+	return match ? match[1].replace(/~1/g, '/').replace(/~0/g, '~') : null
+}
+
+function hasDefs(schema) {
+	return Boolean(schema?.$defs) && typeof schema.$defs === 'object' && Object.keys(schema.$defs).length > 0
+}
+
+/**
+ * components.schemas에서 쓸 수 있는 이름 ({정의} → {상위}_{정의} → {상위}_{정의}2 ...)
+ */
+function getAvailableName(schemas, defName, owner) {
+	if (!(defName in schemas)) return defName
+
+	const base = owner ? `${owner}_${defName}` : defName
+	let name = base
+	for (let index = 2; name in schemas; index++) {
+		name = `${base}${index}`
+	}
+
+	return name
+}
+
+/**
+ * 문서 전체의 $ref를 refMap에 따라 변경 (하위 경로 참조 포함)
+ */
+function rewriteRefs(value, refMap) {
+	if (Array.isArray(value)) {
+		return value.map((item) => rewriteRefs(item, refMap))
+	}
+	if (!value || typeof value !== 'object') {
+		return value
+	}
+
+	for (const [key, child] of Object.entries(value)) {
+		if (key === '$ref' && typeof child === 'string') {
+			value[key] = resolveMappedRef(child, refMap)
+		} else {
+			value[key] = rewriteRefs(child, refMap)
+		}
+	}
+
+	return value
+}
+
+/**
+ * 가장 긴 일치 접두사로 $ref 변경 (#/components/schemas/A/$defs/B/properties/c 등)
+ */
+function resolveMappedRef(ref, refMap) {
+	const from = [...refMap.keys()]
+		.filter((pointer) => ref === pointer || ref.startsWith(`${pointer}/`))
+		.sort((a, b) => b.length - a.length)[0]
+
+	return from ? refMap.get(from) + ref.slice(from.length) : ref
+}
+
+function encodePointerSegment(segment) {
+	return segment.replace(/~/g, '~0').replace(/\//g, '~1')
+}
+
+export default {
+	getSchemaTypes,
+	isNullableSchema,
+	getNonNullMembers,
+	getEnumValues,
+	isArraySchema,
+	renderSchemaType,
+	hoistSchemaDefs,
+}
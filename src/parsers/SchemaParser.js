@@ -3,11 +3,12 @@
 /**
  * 📖 SchemaParser - OpenAPI Schema 파싱 유틸리티
  *
- * schema.d.ts 파일을 파싱하여 필요한 정보를 추출합니다.
+ * OpenAPI 문서(JSON/YAML) 또는 schema.d.ts 파일을 파싱하여 필요한 정보를 추출합니다.
  * 여러 스크립트에서 중복되는 스키마 파싱 로직을 통합합니다.
  *
  * @description
- * - paths 인터페이스에서 API 엔드포인트 추출
+ * - OpenAPI 문서 모드: 원본 스펙을 읽어 정규화된 모델(operations, parameters, bodies, responses, schemas) 생성
+ * - schema.d.ts 모드: paths 인터페이스에서 API 엔드포인트 추출 (레거시)
  * - HTTP 메서드별 operation 정보 추출
  * - 파라미터, 요청 바디, 응답 타입 추출
  * - operationId 추출 및 매핑
@@ -15,6 +16,21 @@
  */
 
 import { readFileSync, existsSync } from 'fs'
+import yaml from 'js-yaml'
+import { createTagResolver, DEFAULT_TAG_STRATEGY } from '../utils/TagStrategy.js'
+import logger from '../utils/Logger.js'
+import { isSwagger2, convertSwagger2 } from './Swagger2Converter.js'
+import { hoistSchemaDefs } from './JsonSchema.js'
+
+/**
+ * OpenAPI PathItem의 HTTP 메서드 (openapi-typescript 출력 순서와 동일)
+ */
+export const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace']
+
+/**
+ * 파라미터 위치 (openapi-typescript 출력 순서와 동일)
+ */
+export const PARAMETER_LOCATIONS = ['query', 'header', 'path', 'cookie']
 
 /**
  * SchemaParser 클래스
@@ -24,12 +40,17 @@ import { readFileSync, existsSync } from 'fs'
  */
 export class SchemaParser {
 	/**
-	 * @param {string} schemaFilePath - schema.d.ts 파일의 절대 경로
+	 * @param {string} schemaFilePath - OpenAPI 문서(.json/.yaml/.yml) 또는 schema.d.ts 파일의 절대 경로
 	 */
 	constructor(schemaFilePath) {
 		this.schemaFilePath = schemaFilePath
 		this.schemaContent = null
 		this.pathsContent = null
+
+		// .json/.yaml/.yml 파일이면 OpenAPI 문서 모드로 동작
+		this.mode = isSpecFile(schemaFilePath) ? 'spec' : 'typescript'
+		this.document = null
+		this.model = null
 	}
 
 	// ========================================
@@ -104,6 +125,10 @@ export class SchemaParser {
 	 * // => ['/users', '/users/{id}', '/auth/login', ...]
 	 */
 	extractAllPaths() {
+		if (this.mode === 'spec') {
+			return this.getModel()?.paths || []
+		}
+
 		const pathsContent = this.pathsContent || this.extractPathsInterface()
 		if (!pathsContent) return []
 
@@ -409,6 +434,10 @@ export class SchemaParser {
 	 * // }
 	 */
 	extractOperationIdMapping() {
+		if (this.mode === 'spec') {
+			return buildOperationIdMap(this.getModel())
+		}
+
 		const paths = this.extractAllPaths()
 		const mapping = {}
 
@@ -428,9 +457,15 @@ export class SchemaParser {
 	/**
 	 * 모든 operation 정보를 배열로 반환
 	 *
+	 * OpenAPI 문서 모드에서는 정규화된 모델의 operation 객체를 반환합니다.
+	 *
 	 * @returns {Array<Object>} 모든 operation 배열
 	 */
 	extractAllOperationsFlat() {
+		if (this.mode === 'spec') {
+			return this.getModel()?.operations || []
+		}
+
 		const paths = this.extractAllPaths()
 		const allOperations = []
 
@@ -445,15 +480,17 @@ export class SchemaParser {
 	/**
 	 * 태그별로 operation 그룹화
 	 *
+	 * @param {string|Function} strategy - 태그 결정 전략 (tagging.strategy와 같은 값, 기본: path-segment)
 	 * @returns {Object} { tagName: [operations] } 형태
 	 */
-	extractOperationsByTag() {
+	extractOperationsByTag(strategy = DEFAULT_TAG_STRATEGY) {
 		const allOps = this.extractAllOperationsFlat()
+		const resolveTag = createTagResolver(strategy)
 		const byTag = {}
 
 		for (const op of allOps) {
-			// 경로에서 태그 추출 (첫 번째 세그먼트)
-			const tag = this._extractTagFromPath(op.path)
+			const tag = resolveTag(op)
+			if (tag === null) continue
 
 			if (!byTag[tag]) {
 				byTag[tag] = []
@@ -465,26 +502,6 @@ export class SchemaParser {
 		return byTag
 	}
 
-	/**
-	 * 경로에서 태그 추출
-	 *
-	 * @param {string} path - API 경로
-	 * @returns {string} 태그명
-	 * @private
-	 */
-	_extractTagFromPath(path) {
-		const segments = path.split('/').filter(Boolean)
-
-		if (segments.length === 0) return 'root'
-
-		// 버전 처리 (v1, v2 등)
-		if (segments[0].match(/^v\d+$/i) && segments.length > 1) {
-			return `${segments[0]}_${segments[1]}`
-		}
-
-		return segments[0]
-	}
-
 	// ========================================
 	// 6. 유틸리티 메서드
 	// ========================================
@@ -495,6 +512,11 @@ export class SchemaParser {
 	 * @returns {boolean} 유효성 여부
 	 */
 	isValid() {
+		if (this.mode === 'spec') {
+			const document = this.getSpec()
+			return Boolean(document && (document.openapi || document.swagger) && document.paths)
+		}
+
 		if (!this.schemaContent && !this.loadSchema()) {
 			return false
 		}
@@ -534,17 +556,66 @@ export class SchemaParser {
 			console.log(`  - ${tag}: ${ops.length}개`)
 		}
 	}
+
+	// ========================================
+	// 7. OpenAPI 문서 모드
+	// ========================================
+
+	/**
+	 * OpenAPI 문서(JSON/YAML) 로드 및 모델 생성
+	 *
+	 * @returns {boolean} 로드 성공 여부
+	 */
+	loadSpec() {
+		if (!existsSync(this.schemaFilePath)) {
+			console.error(`❌ OpenAPI 문서를 찾을 수 없습니다: ${this.schemaFilePath}`)
+			return false
+		}
+
+		try {
+			this.document = parseSpecDocument(readFileSync(this.schemaFilePath, 'utf-8'), this.schemaFilePath)
+			this.model = buildSpecModel(this.document)
+			return true
+		} catch (error) {
+			console.error(`❌ OpenAPI 문서 파싱 실패: ${error.message}`)
+			return false
+		}
+	}
+
+	/**
+	 * 원본 OpenAPI 문서 반환
+	 *
+	 * @returns {Object|null} OpenAPI 문서 객체
+	 */
+	getSpec() {
+		if (!this.document) {
+			this.loadSpec()
+		}
+		return this.document
+	}
+
+	/**
+	 * 정규화된 스펙 모델 반환
+	 *
+	 * @returns {Object|null} buildSpecModel()이 만든 모델
+	 */
+	getModel() {
+		if (!this.model) {
+			this.loadSpec()
+		}
+		return this.model
+	}
 }
 
 /**
  * SchemaParser 인스턴스 생성 헬퍼
  *
- * @param {string} schemaFilePath - schema.d.ts 파일 경로
+ * @param {string} schemaFilePath - OpenAPI 문서 또는 schema.d.ts 파일 경로
  * @returns {SchemaParser} SchemaParser 인스턴스
  *
  * @example
  * import { createSchemaParser } from './utils/SchemaParser.js'
- * const parser = createSchemaParser('/path/to/schema.d.ts')
+ * const parser = createSchemaParser('/path/to/openapi.json')
  * const paths = parser.extractAllPaths()
  */
 export function createSchemaParser(schemaFilePath) {
@@ -558,7 +629,7 @@ export function createSchemaParser(schemaFilePath) {
 /**
  * Schema 파일에서 모든 경로 추출
  *
- * @param {string} schemaFilePath - schema.d.ts 파일 경로
+ * @param {string} schemaFilePath - OpenAPI 문서 또는 schema.d.ts 파일 경로
  * @returns {Array<string>} 경로 배열
  */
 export function extractPaths(schemaFilePath) {
@@ -569,7 +640,7 @@ export function extractPaths(schemaFilePath) {
 /**
  * Schema 파일에서 operationId 매핑 추출
  *
- * @param {string} schemaFilePath - schema.d.ts 파일 경로
+ * @param {string} schemaFilePath - OpenAPI 문서 또는 schema.d.ts 파일 경로
  * @returns {Object} operationId 매핑
  */
 export function extractOperationIds(schemaFilePath) {
@@ -577,6 +648,408 @@ export function extractOperationIds(schemaFilePath) {
 	return parser.extractOperationIdMapping()
 }
 
+// ========================================
+// OpenAPI 문서 모델
+// ========================================
+
+/**
+ * 파일 경로별 모델 캐시 (내용이 바뀌면 다시 파싱)
+ */
+const specModelCache = new Map()
+
+/**
+ * validated.ts 내용별 파싱 결과 캐시 (태그마다 같은 파일을 다시 파싱하지 않도록)
+ */
+const validatedTypesCache = new Map()
+
+/**
+ * OpenAPI 문서 파일인지 확인
+ *
+ * @param {string} filePath - 파일 경로
+ * @returns {boolean} .json/.yaml/.yml 여부
+ */
+export function isSpecFile(filePath) {
+	return /\.(json|ya?ml)$/i.test(filePath || '')
+}
+
+/**
+ * OpenAPI 문서 문자열 파싱 (JSON 또는 YAML)
+ *
+ * Swagger 2.0 문서는 OpenAPI 3.0 문서로 변환해서 반환합니다. (Swagger2Converter)
+ * OpenAPI 3.1 스키마의 $defs는 components.schemas로 꺼내서 반환합니다. (hoistSchemaDefs)
+ *
+ * @param {string} content - 문서 내용
+ * @param {string} source - 에러 메시지에 표시할 출처 (파일 경로 또는 URL)
+ * @returns {Object} OpenAPI 문서 객체
+ */
+export function parseSpecDocument(content, source = '') {
+	const trimmed = content.trim()
+	let document
+
+	try {
+		document = trimmed.startsWith('{') ? JSON.parse(trimmed) : yaml.load(trimmed)
+	} catch (error) {
+		throw new Error(`OpenAPI 문서 파싱 실패${source ? ` (${source})` : ''}: ${error.message}`)
+	}
+
+	if (!document || typeof document !== 'object' || (!document.openapi && !document.swagger)) {
+		throw new Error(`OpenAPI 문서가 아닙니다${source ? ` (${source})` : ''}: openapi 필드가 없습니다.`)
+	}
+
+	if (isSwagger2(document)) {
+		logger.debug(`Swagger 2.0 문서를 OpenAPI 3.0으로 변환${source ? `: ${source}` : ''}`)
+		return convertSwagger2(document)
+	}
+
+	const { document: hoistedDocument, hoisted } = hoistSchemaDefs(document)
+	if (hoisted.length > 0) {
+		logger.debug(`$defs를 components.schemas로 이동${source ? ` (${source})` : ''}: ${hoisted.join(', ')}`)
+	}
+
+	return hoistedDocument
+}
+
+/**
+ * OpenAPI 문서에서 정규화된 모델 생성
+ *
+ * 모든 Generator는 schema.d.ts 대신 이 모델을 읽습니다.
+ * $ref로 분리된 parameters, requestBodies, responses는 인라인으로 풀고,
+ * 스키마 참조는 schemaRef(components.schemas 이름)로 남겨둡니다.
+ * OpenAPI 3.1의 webhooks operation은 operations와 따로 webhooks에 담습니다. (path 대신 webhook 이름)
+ *
+ * @param {Object} document - OpenAPI 문서 객체
+ * @returns {Object} { openapi, info, tags, paths, operations, operationsByPath, webhooks, schemas, document }
+ *
+ * @example
+ * const model = buildSpecModel(document)
+ * model.operations[0]
+ * // => {
+ * //   path: '/users/{id}',
+ * //   method: 'get',
+ * //   operationId: 'UserController_getUser',
+ * //   parameters: { query: [], header: [], path: [{ name: 'id', required: true, ... }], cookie: [] },
+ * //   requestBody: null,
+ * //   responses: [{ status: '200', contentType: 'application/json', schemaRef: 'UserResponse', ... }],
+ * //   ...
+ * // }
+ */
+export function buildSpecModel(document) {
+	const paths = document.paths || {}
+	const operations = []
+	const operationsByPath = {}
+
+	for (const [path, rawPathItem] of Object.entries(paths)) {
+		const pathItem = resolveObject(document, rawPathItem) || {}
+		operationsByPath[path] = []
+
+		for (const method of HTTP_METHODS) {
+			if (!pathItem[method]) continue
+
+			const operation = normalizeOperation(document, path, method, pathItem[method], pathItem.parameters || [])
+			operations.push(operation)
+			operationsByPath[path].push(operation)
+		}
+	}
+
+	// webhooks는 API 서버가 호출하는 쪽이므로 API 함수/엔드포인트 대상(operations)에서 제외
+	const webhooks = []
+	for (const [name, rawPathItem] of Object.entries(document.webhooks || {})) {
+		const pathItem = resolveObject(document, rawPathItem) || {}
+
+		for (const method of HTTP_METHODS) {
+			if (!pathItem[method]) continue
+
+			webhooks.push({
+				...normalizeOperation(document, null, method, pathItem[method], pathItem.parameters || []),
+				webhook: name,
+			})
+		}
+	}
+
+	return {
+		openapi: document.openapi || document.swagger,
+		info: document.info || {},
+		tags: document.tags || [],
+		paths: Object.keys(paths),
+		operations,
+		operationsByPath,
+		webhooks,
+		schemas: document.components?.schemas || {},
+		document,
+	}
+}
+
+/**
+ * OpenAPI 문서 파일에서 모델 로드 (캐시 사용)
+ *
+ * 같은 파일을 여러 태그/단계에서 반복해서 읽어도 내용이 같으면 한 번만 파싱합니다.
+ * workspace의 프로젝트마다 저장된 같은 내용의 openapi.json도 한 번만 파싱합니다.
+ *
+ * @param {string} specFilePath - OpenAPI 문서 파일 경로
+ * @param {Function} readFile - 파일 읽기 함수 (기본: fs.readFileSync)
+ * @returns {Object} 정규화된 스펙 모델
+ */
+export function loadSpecModel(specFilePath, readFile = (path) => readFileSync(path, 'utf-8')) {
+	let content
+
+	try {
+		content = readFile(specFilePath)
+	} catch (error) {
+		throw new Error(`OpenAPI 문서를 읽을 수 없습니다: ${specFilePath} (types 단계를 먼저 실행하세요)`)
+	}
+
+	const cached = specModelCache.get(specFilePath)
+	if (cached && cached.content === content) {
+		return cached.model
+	}
+
+	const sameContent = [...specModelCache.values()].find((entry) => entry.content === content)
+	const model = sameContent ? sameContent.model : buildSpecModel(parseSpecDocument(content, specFilePath))
+	specModelCache.set(specFilePath, { content, model })
+
+	return model
+}
+
+/**
+ * validated.ts에서 operation별 타입 이름 추출 (캐시 사용)
+ *
+ * @param {string} validatedContent - validated.ts 파일 내용
+ * @returns {{allTypes: string[], operationTypes: Object}} 타입 이름 목록과 operationId별 타입
+ *
+ * @example
+ * parseValidatedTypes('export type getUsers_Params = ...')
+ * // => { allTypes: ['getUsers_Params'], operationTypes: { getUsers: { params: 'getUsers_Params' } } }
+ */
+export function parseValidatedTypes(validatedContent) {
+	if (!validatedContent) {
+		return { allTypes: [], operationTypes: {} }
+	}
+
+	if (validatedTypesCache.has(validatedContent)) {
+		return validatedTypesCache.get(validatedContent)
+	}
+
+	const allTypes = []
+	const operationTypes = {}
+
+	// export type ... 패턴으로 모든 타입 추출
+	const typeRegex = /export type ([a-zA-Z0-9_]+)(_Params|_Body|_Response|_RO)/g
+	let match
+
+	while ((match = typeRegex.exec(validatedContent)) !== null) {
+		const fullTypeName = match[1] + match[2]
+		const operationId = match[1]
+		const suffix = match[2]
+
+		allTypes.push(fullTypeName)
+
+		if (!operationTypes[operationId]) {
+			operationTypes[operationId] = {}
+		}
+
+		if (suffix === '_Params') operationTypes[operationId].params = fullTypeName
+		else if (suffix === '_Body') operationTypes[operationId].body = fullTypeName
+		else if (suffix === '_Response') operationTypes[operationId].response = fullTypeName
+		else if (suffix === '_RO') operationTypes[operationId].ro = fullTypeName
+	}
+
+	// 캐시가 계속 커지지 않도록 일정 개수를 넘으면 비움
+	if (validatedTypesCache.size >= 16) {
+		validatedTypesCache.clear()
+	}
+	validatedTypesCache.set(validatedContent, { allTypes, operationTypes })
+
+	return { allTypes, operationTypes }
+}
+
+/**
+ * "경로#메서드" → operationId 매핑 생성
+ *
+ * @param {Object} model - 스펙 모델
+ * @returns {Object} { "/users#GET": "getUsers", ... }
+ */
+export function buildOperationIdMap(model) {
+	const mapping = {}
+
+	for (const operation of model?.operations || []) {
+		if (operation.operationId) {
+			mapping[`${operation.path}#${operation.method.toUpperCase()}`] = operation.operationId
+		}
+	}
+
+	return mapping
+}
+
+/**
+ * components.schemas 참조 이름 추출
+ *
+ * @param {Object} schema - 스키마 객체
+ * @returns {string|null} 스키마 이름 ('#/components/schemas/User' → 'User')
+ */
+export function getSchemaRefName(schema) {
+	const match = schema?.$ref?.match(/^#\/components\/schemas\/(.+)$/)
+	return match ? decodePointerSegment(match[1]) : null
+}
+
+/**
+ * 문서 내부 $ref 해석 (JSON Pointer)
+ *
+ * @param {Object} document - OpenAPI 문서
+ * @param {string} ref - '#/components/...' 형태의 참조
+ * @returns {*} 참조 대상 (찾지 못하면 undefined)
+ */
+export function resolveRef(document, ref) {
+	if (typeof ref !== 'string' || !ref.startsWith('#/')) return undefined
+
+	return ref
+		.slice(2)
+		.split('/')
+		.map(decodePointerSegment)
+		.reduce((current, segment) => (current == null ? undefined : current[segment]), document)
+}
+
+/**
+ * JSON Pointer 세그먼트 디코딩 (~1 → /, ~0 → ~)
+ * @private
+ */
+function decodePointerSegment(segment) {
+	return segment.replace(/~1/g, '/').replace(/~0/g, '~')
+}
+
+/**
+ * $ref를 따라가 실제 객체 반환 (parameters, requestBodies, responses 등)
+ * @private
+ */
+function resolveObject(document, value, depth = 0) {
+	if (value && typeof value.$ref === 'string' && depth < 20) {
+		return resolveObject(document, resolveRef(document, value.$ref), depth + 1)
+	}
+	return value
+}
+
+/**
+ * JSON 응답/요청 content type 선택
+ * @private
+ */
+function pickJsonContentType(content) {
+	const contentTypes = Object.keys(content || {})
+
+	if (contentTypes.includes('application/json')) return 'application/json'
+	return contentTypes.find((type) => /json/i.test(type)) || (contentTypes.includes('*/*') ? '*/*' : null)
+}
+
+/**
+ * 요청 body content type 선택
+ *
+ * JSON이 없으면 form(multipart/form-data, x-www-form-urlencoded), 그 외에는 스키마가 있는 첫 번째 content type을 사용합니다.
+ * (Swagger 2.0의 formData 파라미터는 form content type으로 변환됨)
+ * @private
+ */
+function pickRequestContentType(content) {
+	const jsonType = pickJsonContentType(content)
+	if (jsonType) return jsonType
+
+	const contentTypes = Object.keys(content || {})
+	return (
+		contentTypes.find((type) => /^(multipart\/form-data|application\/x-www-form-urlencoded)/i.test(type)) ||
+		contentTypes.find((type) => content[type]?.schema) ||
+		null
+	)
+}
+
+/**
+ * 단일 operation 정규화
+ * @private
+ */
+function normalizeOperation(document, path, method, operation, pathParameters) {
+	return {
+		path,
+		method,
+		operationId: operation.operationId || null,
+		tags: operation.tags || [],
+		summary: operation.summary || null,
+		description: operation.description || null,
+		deprecated: operation.deprecated === true,
+		parameters: normalizeParameters(document, pathParameters, operation.parameters || []),
+		requestBody: normalizeRequestBody(document, operation.requestBody),
+		responses: normalizeResponses(document, operation.responses || {}),
+		extensions: Object.fromEntries(Object.entries(operation).filter(([key]) => key.startsWith('x-'))),
+	}
+}
+
+/**
+ * path 레벨 + operation 레벨 파라미터 병합 후 위치별 그룹화
+ * @private
+ */
+function normalizeParameters(document, pathParameters, operationParameters) {
+	const merged = new Map()
+
+	// operation 레벨 파라미터가 같은 name + in의 path 레벨 파라미터를 덮어씀
+	for (const rawParameter of [...pathParameters, ...operationParameters]) {
+		const parameter = resolveObject(document, rawParameter)
+		if (!parameter?.name || !parameter.in) continue
+
+		merged.set(`${parameter.in}:${parameter.name}`, {
+			name: parameter.name,
+			in: parameter.in,
+			required: parameter.in === 'path' || parameter.required === true,
+			description: parameter.description || null,
+			deprecated: parameter.deprecated === true,
+			schema: parameter.schema || null,
+		})
+	}
+
+	const grouped = Object.fromEntries(PARAMETER_LOCATIONS.map((location) => [location, []]))
+	for (const parameter of merged.values()) {
+		grouped[parameter.in]?.push(parameter)
+	}
+
+	return grouped
+}
+
+/**
+ * requestBody 정규화
+ * @private
+ */
+function normalizeRequestBody(document, rawRequestBody) {
+	const requestBody = resolveObject(document, rawRequestBody)
+	if (!requestBody) return null
+
+	const content = requestBody.content || {}
+	const contentType = pickRequestContentType(content)
+	const schema = contentType ? content[contentType]?.schema || null : null
+
+	return {
+		required: requestBody.required === true,
+		contentTypes: Object.keys(content),
+		contentType,
+		schema,
+		schemaRef: getSchemaRefName(schema),
+	}
+}
+
+/**
+ * responses 정규화 (스펙에 정의된 순서 유지)
+ * @private
+ */
+function normalizeResponses(document, responses) {
+	return Object.entries(responses).map(([status, rawResponse]) => {
+		const response = resolveObject(document, rawResponse) || {}
+		const content = response.content || {}
+		const contentType = pickJsonContentType(content)
+		const schema = contentType ? content[contentType]?.schema || null : null
+
+		return {
+			status: String(status),
+			description: response.description || null,
+			hasContent: Object.keys(content).length > 0,
+			contentType,
+			schema,
+			schemaRef: getSchemaRefName(schema),
+		}
+	})
+}
+
 /**
  * 기본 export
  */
@@ -0,0 +1,464 @@
+#!/usr/bin/env node
+
+/**
+ * 🔁 Swagger2Converter - Swagger 2.0 문서를 OpenAPI 3.0 문서로 변환
+ *
+ * parseSpecDocument가 Swagger 2.0 문서를 읽으면 이 변환을 거쳐 OpenAPI 3.0 문서를 반환합니다.
+ * openapi.json 스냅샷, schema.d.ts(openapi-typescript), 스펙 모델이 모두 변환된 문서를 사용하므로
+ * 이후 생성 단계는 Swagger 2.0을 따로 처리하지 않습니다.
+ *
+ * @description
+ * - host, basePath, schemes → servers (경로는 basePath 기준 그대로)
+ * - definitions → components.schemas, parameters → components.parameters / requestBodies,
+ *   responses → components.responses, securityDefinitions → components.securitySchemes ($ref도 변경)
+ * - in: body 파라미터 → requestBody (consumes의 content type별)
+ * - in: formData 파라미터 → requestBody 객체 스키마 (type: file → string/binary, 기본 multipart 또는 urlencoded)
+ * - 그 외 파라미터의 type, format, items, enum 등 → schema, collectionFormat → style/explode
+ * - 응답 schema, headers → content (produces의 content type별), headers.schema
+ * - 스키마의 x-nullable → nullable, discriminator 문자열 → { propertyName }
+ *
+ * @example
+ * const document = convertSwagger2({ swagger: '2.0', basePath: '/api', definitions: { User: { type: 'object' } }, paths: {} })
+ * // document.openapi => '3.0.3'
+ * // document.servers => [{ url: '/api' }]
+ * // document.components.schemas.User => { type: 'object' }
+ */
+
+/**
+ * 변환 결과의 OpenAPI 버전
+ */
+export const CONVERTED_OPENAPI_VERSION = '3.0.3'
+
+/**
+ * Swagger 2.0 HTTP 메서드 (OpenAPI 3.0의 trace는 없음)
+ */
+const METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch']
+
+/**
+ * 스키마가 아닌 파라미터 필드 중 schema로 옮기는 키
+ */
+const PARAMETER_SCHEMA_KEYS = [
+	'type',
+	'format',
+	'items',
+	'enum',
+	'default',
+	'maximum',
+	'exclusiveMaximum',
+	'minimum',
+	'exclusiveMinimum',
+	'maxLength',
+	'minLength',
+	'pattern',
+	'maxItems',
+	'minItems',
+	'uniqueItems',
+	'multipleOf',
+]
+
+/**
+ * Swagger 2.0 문서인지 확인
+ *
+ * @param {Object} document - 파싱한 문서 객체
+ * @returns {boolean} swagger: "2.0" 여부
+ */
+export function isSwagger2(document) {
+	return String(document?.swagger || '').startsWith('2')
+}
+
+/**
+ * Swagger 2.0 문서를 OpenAPI 3.0 문서로 변환
+ *
+ * @param {Object} swagger - Swagger 2.0 문서 (변경하지 않음)
+ * @returns {Object} OpenAPI 3.0 문서
+ */
+export function convertSwagger2(swagger) {
+	const source = rewriteRefs(structuredClone(swagger), getBodyParameterNames(swagger))
+	const context = {
+		consumes: source.consumes || ['application/json'],
+		produces: source.produces || ['application/json'],
+		parameters: source.parameters || {},
+	}
+
+	const { swagger: _version, host, basePath, schemes, consumes, produces, definitions, parameters, responses, securityDefinitions, paths, ...rest } =
+		source
+
+	const components = {
+		schemas: mapValues(definitions, convertSchema),
+		...convertParameterComponents(parameters, context),
+		responses: mapValues(responses, (response) => convertResponse(response, context.produces)),
+		securitySchemes: mapValues(securityDefinitions, convertSecurityScheme),
+	}
+
+	return {
+		openapi: CONVERTED_OPENAPI_VERSION,
+		...rest,
+		servers: convertServers(host, basePath, schemes),
+		paths: mapValues(paths, (pathItem) => convertPathItem(pathItem, context)),
+		components: Object.fromEntries(Object.entries(components).filter(([, section]) => Object.keys(section).length > 0)),
+	}
+}
+
+// ========================================
+// 문서 단위 변환
+// ========================================
+
+/**
+ * host, basePath, schemes → servers
+ */
+function convertServers(host, basePath = '', schemes = []) {
+	if (!host) {
+		return [{ url: basePath || '/' }]
+	}
+
+	return (schemes.length > 0 ? schemes : ['https']).map((scheme) => ({ url: `${scheme}://${host}${basePath}` }))
+}
+
+/**
+ * 전역 parameters → components.parameters (일반), components.requestBodies (body, formData)
+ */
+function convertParameterComponents(parameters = {}, context) {
+	const result = { parameters: {}, requestBodies: {} }
+
+	for (const [name, parameter] of Object.entries(parameters)) {
+		if (isBodyParameter(parameter)) {
+			result.requestBodies[name] = convertRequestBody([parameter], context.consumes)
+		} else {
+			result.parameters[name] = convertParameter(parameter)
+		}
+	}
+
+	return result
+}
+
+/**
+ * body/formData인 전역 parameters 이름 ($ref를 requestBodies로 바꾸기 위해)
+ */
+function getBodyParameterNames(swagger) {
+	return new Set(
+		Object.entries(swagger.parameters || {})
+			.filter(([, parameter]) => isBodyParameter(parameter))
+			.map(([name]) => name)
+	)
+}
+
+/**
+ * 문서 전체의 $ref를 OpenAPI 3.0 위치로 변경
+ */
+function rewriteRefs(value, bodyParameterNames) {
+	if (Array.isArray(value)) {
+		return value.map((item) => rewriteRefs(item, bodyParameterNames))
+	}
+	if (!value || typeof value !== 'object') {
+		return value
+	}
+
+	return Object.fromEntries(
+		Object.entries(value).map(([key, child]) => {
+			if (key !== '$ref' || typeof child !== 'string') {
+				return [key, rewriteRefs(child, bodyParameterNames)]
+			}
+
+			return [
+				key,
+				child
+					.replace(/^#\/definitions\//, '#/components/schemas/')
+					.replace(/^#\/parameters\/(.+)$/, (_, name) =>
+						bodyParameterNames.has(decodeURIComponent(name).replace(/~1/g, '/').replace(/~0/g, '~'))
+							? `#/components/requestBodies/${name}`
+							: `#/components/parameters/${name}`
+					)
+					.replace(/^#\/responses\//, '#/components/responses/'),
+			]
+		})
+	)
+}
+
+// ========================================
+// 경로 / operation 변환
+// ========================================
+
+/**
+ * path item 변환 (path 레벨 body/formData 파라미터는 각 operation의 requestBody로)
+ */
+function convertPathItem(pathItem, context) {
+	if (pathItem.$ref) return pathItem
+
+	const { parameters = [], ...rest } = pathItem
+	const bodyParameters = parameters.filter((parameter) => isBodyParameter(resolveParameter(parameter, context)))
+	const otherParameters = parameters.filter((parameter) => !bodyParameters.includes(parameter))
+
+	const result = {}
+	for (const [key, value] of Object.entries(rest)) {
+		result[key] = METHODS.includes(key) ? convertOperation(value, bodyParameters, context) : value
+	}
+
+	if (otherParameters.length > 0) {
+		result.parameters = otherParameters.map((parameter) => (parameter.$ref ? parameter : convertParameter(parameter)))
+	}
+
+	return result
+}
+
+/**
+ * operation 변환
+ */
+function convertOperation(operation, pathBodyParameters, context) {
+	const { parameters = [], consumes, produces, schemes, responses = {}, ...rest } = operation
+	const operationConsumes = consumes || context.consumes
+	const operationProduces = produces || context.produces
+
+	const ownBodyParameters = parameters.filter((parameter) => isBodyParameter(resolveParameter(parameter, context)))
+	const otherParameters = parameters.filter((parameter) => !ownBodyParameters.includes(parameter))
+
+	// operation 레벨 body/formData가 있으면 path 레벨 body는 사용하지 않음
+	const bodyParameters = ownBodyParameters.length > 0 ? ownBodyParameters : pathBodyParameters
+
+	const result = { ...rest }
+
+	if (otherParameters.length > 0) {
+		result.parameters = otherParameters.map((parameter) => (parameter.$ref ? parameter : convertParameter(parameter)))
+	}
+
+	if (bodyParameters.length > 0) {
+		// 전역 body 파라미터 하나만 참조하면 components.requestBodies 참조 유지
+		const [first] = bodyParameters
+		result.requestBody =
+			bodyParameters.length === 1 && first.$ref
+				? { $ref: first.$ref }
+				: convertRequestBody(
+						bodyParameters.map((parameter) => resolveParameter(parameter, context)),
+						operationConsumes
+				  )
+	}
+
+	result.responses = mapValues(responses, (response) =>
+		response.$ref ? response : convertResponse(response, operationProduces)
+	)
+
+	return result
+}
+
+/**
+ * body 또는 formData 파라미터 목록 → requestBody
+ */
+function convertRequestBody(parameters, consumes) {
+	const body = parameters.find((parameter) => parameter.in === 'body')
+
+	if (body) {
+		return {
+			...(body.description && { description: body.description }),
+			required: body.required === true,
+			content: toContent(consumes, convertSchema(body.schema || {})),
+			...pickExtensions(body),
+		}
+	}
+
+	// formData: 필드마다 객체 스키마의 속성으로
+	const schema = {
+		type: 'object',
+		properties: Object.fromEntries(
+			parameters.map((parameter) => [
+				parameter.name,
+				{ ...convertParameterSchema(parameter), ...(parameter.description && { description: parameter.description }) },
+			])
+		),
+	}
+	const required = parameters.filter((parameter) => parameter.required).map((parameter) => parameter.name)
+	if (required.length > 0) {
+		schema.required = required
+	}
+
+	const hasFile = parameters.some((parameter) => parameter.type === 'file')
+	const formTypes = consumes.filter((type) => /multipart\/form-data|application\/x-www-form-urlencoded/.test(type))
+	const contentTypes =
+		formTypes.length > 0 ? formTypes : [hasFile ? 'multipart/form-data' : 'application/x-www-form-urlencoded']
+
+	return {
+		required: required.length > 0,
+		content: toContent(contentTypes, schema),
+	}
+}
+
+/**
+ * body가 아닌 파라미터 변환 (type 등 → schema, collectionFormat → style/explode)
+ */
+function convertParameter(parameter) {
+	const { name, in: location, description, required, allowEmptyValue, collectionFormat } = parameter
+
+	return {
+		name,
+		in: location,
+		...(description && { description }),
+		...((required || location === 'path') && { required: true }),
+		...(allowEmptyValue && { allowEmptyValue }),
+		...convertCollectionFormat(collectionFormat, location),
+		schema: convertParameterSchema(parameter),
+		...pickExtensions(parameter),
+	}
+}
+
+/**
+ * 파라미터의 스키마 필드 → schema (items도 재귀 변환)
+ */
+function convertParameterSchema(parameter) {
+	const schema = Object.fromEntries(PARAMETER_SCHEMA_KEYS.filter((key) => key in parameter).map((key) => [key, parameter[key]]))
+
+	if (schema.type === 'file') {
+		return { type: 'string', format: 'binary' }
+	}
+	if (schema.items) {
+		schema.items = convertParameterSchema(schema.items)
+	}
+	if (parameter['x-nullable']) {
+		schema.nullable = true
+	}
+
+	return schema
+}
+
+/**
+ * collectionFormat → style, explode
+ */
+function convertCollectionFormat(collectionFormat, location) {
+	switch (collectionFormat) {
+		case 'multi':
+			return { style: 'form', explode: true }
+		case 'ssv':
+			return { style: 'spaceDelimited', explode: false }
+		case 'pipes':
+			return { style: 'pipeDelimited', explode: false }
+		case 'csv':
+			return location === 'query' || location === 'cookie' ? { style: 'form', explode: false } : { style: 'simple' }
+		default:
+			return {}
+	}
+}
+
+/**
+ * 응답 변환 (schema → produces의 content type별 content)
+ */
+function convertResponse(response, produces) {
+	const { description, schema, headers, examples, ...rest } = response
+
+	return {
+		...rest,
+		description: description || '',
+		...(headers && {
+			headers: mapValues(headers, (header) => {
+				const { description: headerDescription, ...headerSchema } = header
+				return {
+					...(headerDescription && { description: headerDescription }),
+					schema: convertParameterSchema(headerSchema),
+				}
+			}),
+		}),
+		...(schema && { content: toContent(produces, convertSchema(schema), examples) }),
+	}
+}
+
+/**
+ * securityDefinitions 항목 → securitySchemes 항목
+ */
+function convertSecurityScheme(scheme) {
+	if (scheme.type === 'basic') {
+		return { type: 'http', scheme: 'basic', ...(scheme.description && { description: scheme.description }) }
+	}
+	if (scheme.type !== 'oauth2') {
+		return scheme
+	}
+
+	const { flow, authorizationUrl, tokenUrl, scopes = {}, ...rest } = scheme
+	const flowName = { implicit: 'implicit', password: 'password', application: 'clientCredentials', accessCode: 'authorizationCode' }[flow]
+
+	return {
+		...rest,
+		flows: {
+			[flowName]: {
+				...(authorizationUrl && { authorizationUrl }),
+				...(tokenUrl && { tokenUrl }),
+				scopes,
+			},
+		},
+	}
+}
+
+// ========================================
+// 스키마 변환
+// ========================================
+
+/**
+ * 스키마 변환 (x-nullable, discriminator, type: file)
+ */
+function convertSchema(schema) {
+	if (!schema || typeof schema !== 'object' || schema.$ref) {
+		return schema
+	}
+
+	const { 'x-nullable': nullable, discriminator, ...result } = schema
+
+	if (result.type === 'file') {
+		return { type: 'string', format: 'binary' }
+	}
+	if (nullable) {
+		result.nullable = true
+	}
+	if (typeof discriminator === 'string') {
+		result.discriminator = { propertyName: discriminator }
+	}
+
+	if (result.properties) {
+		result.properties = mapValues(result.properties, convertSchema)
+	}
+	if (result.items) {
+		result.items = convertSchema(result.items)
+	}
+	if (result.additionalProperties && typeof result.additionalProperties === 'object') {
+		result.additionalProperties = convertSchema(result.additionalProperties)
+	}
+	if (result.allOf) {
+		result.allOf = result.allOf.map(convertSchema)
+	}
+
+	return result
+}
+
+// ========================================
+// 유틸리티
+// ========================================
+
+/**
+ * content type 목록 → content 객체 (같은 스키마)
+ */
+function toContent(contentTypes, schema, examples = {}) {
+	return Object.fromEntries(
+		contentTypes.map((type) => [type, { schema, ...(examples?.[type] !== undefined && { example: examples[type] }) }])
+	)
+}
+
+/**
+ * 전역 parameters를 참조하는 $ref는 실제 파라미터로 (body 여부 판단용)
+ */
+function resolveParameter(parameter, context) {
+	const match = /^#\/components\/(?:parameters|requestBodies)\/(.+)$/.exec(parameter.$ref || '')
+	if (!match) return parameter
+
+	return context.parameters[match[1].replace(/~1/g, '/').replace(/~0/g, '~')] || parameter
+}
+
+function isBodyParameter(parameter) {
+	return parameter?.in === 'body' || parameter?.in === 'formData'
+}
+
+function pickExtensions(value) {
+	return Object.fromEntries(Object.entries(value).filter(([key]) => key.startsWith('x-')))
+}
+
+function mapValues(object, mapper) {
+	return Object.fromEntries(Object.entries(object || {}).map(([key, value]) => [key, mapper(value)]))
+}
+
+export default {
+	isSwagger2,
+	convertSwagger2,
+}
@@ -0,0 +1,106 @@
+#!/usr/bin/env node
+
+/**
+ * ⚡ Concurrency - 병렬 실행 유틸리티
+ *
+ * 서버/태그 생성을 정해진 개수만큼 동시에 실행하고,
+ * 동시에 실행되는 작업의 콘솔 출력을 작업 단위로 모아서 출력합니다.
+ *
+ * @description
+ * - runPool: 최대 N개씩 비동기 작업 실행 (하나가 실패하면 새 작업을 시작하지 않음)
+ * - runBuffered: 작업 중 console 출력을 버퍼에 모았다가 작업이 끝나면 한 번에 출력
+ *   (AsyncLocalStorage 기반, 중첩 시 안쪽 버퍼는 바깥 버퍼로 합쳐짐)
+ */
+
+import { AsyncLocalStorage } from 'async_hooks'
+
+/**
+ * 버퍼링 대상 console 메서드
+ */
+const CONSOLE_METHODS = ['log', 'info', 'warn', 'error', 'debug']
+
+const bufferStorage = new AsyncLocalStorage()
+let consolePatched = false
+
+/**
+ * 최대 concurrency개씩 작업 실행
+ *
+ * 작업이 실패하면 아직 시작하지 않은 작업은 건너뛰고,
+ * 실행 중인 작업이 모두 끝난 뒤 첫 번째 에러를 던집니다.
+ * concurrency가 1이면 기존 for 루프와 같은 순서/동작입니다.
+ *
+ * @param {Array} items - 작업 대상 목록
+ * @param {number} concurrency - 동시에 실행할 최대 작업 수
+ * @param {Function} worker - (item, index) => Promise
+ * @returns {Promise<Array>} 작업 결과 (items 순서)
+ * @throws {Error} 첫 번째로 실패한 작업의 에러
+ */
+export async function runPool(items, concurrency, worker) {
+	const results = new Array(items.length)
+	let nextIndex = 0
+	let firstError = null
+
+	const runNext = async () => {
+		while (nextIndex < items.length && !firstError) {
+			const index = nextIndex++
+			try {
+				results[index] = await worker(items[index], index)
+			} catch (error) {
+				firstError = firstError || error
+			}
+		}
+	}
+
+	const workerCount = Math.max(1, Math.min(concurrency, items.length))
+	await Promise.all(Array.from({ length: workerCount }, runNext))
+
+	if (firstError) {
+		throw firstError
+	}
+
+	return results
+}
+
+/**
+ * 작업 중 console 출력을 모아 작업이 끝나면 순서대로 출력
+ *
+ * @param {Function} task - () => Promise
+ * @returns {Promise<*>} task 결과
+ */
+export async function runBuffered(task) {
+	patchConsole()
+
+	const buffer = []
+	try {
+		return await bufferStorage.run(buffer, task)
+	} finally {
+		// 바깥 작업 안에서 호출되었다면 바깥 버퍼로, 아니면 콘솔로 출력
+		buffer.forEach(([method, args]) => console[method](...args))
+	}
+}
+
+/**
+ * console 메서드를 버퍼 인식 버전으로 교체 (한 번만)
+ */
+function patchConsole() {
+	if (consolePatched) return
+	consolePatched = true
+
+	CONSOLE_METHODS.forEach((method) => {
+		const original = console[method].bind(console)
+
+		console[method] = (...args) => {
+			const buffer = bufferStorage.getStore()
+			if (buffer) {
+				buffer.push([method, args])
+			} else {
+				original(...args)
+			}
+		}
+	})
+}
+
+export default {
+	runPool,
+	runBuffered,
+}
@@ -0,0 +1,178 @@
+#!/usr/bin/env node
+
+/**
+ * 🔎 GlobMatcher - glob 패턴 매칭 유틸리티
+ *
+ * 설정 파일의 glob 패턴(예: "specs/auth/*.yaml")을 처리합니다.
+ * 외부 의존성 없이 자주 쓰는 문법만 지원합니다.
+ *
+ * @description
+ * - `*`  : 경로 구분자(/)를 제외한 모든 문자
+ * - `**` : 0개 이상의 디렉토리
+ * - `?`  : 경로 구분자를 제외한 한 글자
+ * - `{a,b}` : a 또는 b
+ */
+
+import { readdirSync } from 'fs'
+import { join, relative, isAbsolute, sep } from 'path'
+
+/**
+ * 문자열에 glob 문법이 포함되어 있는지 확인
+ *
+ * @param {string} pattern - 확인할 문자열
+ * @returns {boolean} glob 패턴 여부
+ */
+export function hasGlobPattern(pattern) {
+	return /[*?{]/.test(pattern || '')
+}
+
+/**
+ * glob 패턴을 정규식으로 변환
+ *
+ * @param {string} pattern - glob 패턴
+ * @returns {RegExp} 전체 문자열과 매칭되는 정규식
+ *
+ * @example
+ * globToRegExp('specs/*.{yaml,json}').test('specs/auth.yaml')
+ * // => true
+ */
+export function globToRegExp(pattern) {
+	let source = ''
+	let braceDepth = 0
+
+	for (let i = 0; i < pattern.length; i++) {
+		const char = pattern[i]
+
+		if (char === '*') {
+			if (pattern[i + 1] === '*') {
+				// "**/"는 0개 이상의 디렉토리, 그 외 "**"는 모든 문자
+				if (pattern[i + 2] === '/') {
+					source += '(?:.*/)?'
+					i += 2
+				} else {
+					source += '.*'
+					i += 1
+				}
+			} else {
+				source += '[^/]*'
+			}
+		} else if (char === '?') {
+			source += '[^/]'
+		} else if (char === '{') {
+			braceDepth++
+			source += '(?:'
+		} else if (char === '}' && braceDepth > 0) {
+			braceDepth--
+			source += ')'
+		} else if (char === ',' && braceDepth > 0) {
+			source += '|'
+		} else {
+			source += char.replace(/[.+^$()|[\]\\]/g, '\\$&')
+		}
+	}
+
+	return new RegExp(`^${source}$`)
+}
+
+/**
+ * 문자열이 glob 패턴과 일치하는지 확인
+ *
+ * @param {string} value - 확인할 문자열 (경로)
+ * @param {string} pattern - glob 패턴
+ * @returns {boolean} 일치 여부
+ */
+export function matchGlob(value, pattern) {
+	return globToRegExp(pattern).test(value)
+}
+
+/**
+ * glob 문법이 나오기 전까지의 고정 디렉토리 (탐색/감시 시작 위치)
+ *
+ * @param {string} pattern - glob 패턴 (상대 경로는 cwd 기준)
+ * @param {string} cwd - 기준 디렉토리 (기본: process.cwd())
+ * @returns {string} 절대 경로
+ *
+ * @example
+ * getGlobBase('specs/auth/*.yaml', '/project')
+ * // => '/project/specs/auth'
+ */
+export function getGlobBase(pattern, cwd = process.cwd()) {
+	const normalized = pattern.split(sep).join('/')
+	const segments = normalized.split('/')
+
+	const firstGlobIndex = segments.findIndex((segment) => hasGlobPattern(segment))
+	const baseSegments = firstGlobIndex === -1 ? segments.slice(0, -1) : segments.slice(0, firstGlobIndex)
+
+	return isAbsolute(normalized) ? baseSegments.join('/') || '/' : join(cwd, ...baseSegments)
+}
+
+/**
+ * 파일 경로가 glob 패턴과 일치하는지 확인 (상대 패턴은 cwd 기준)
+ *
+ * @param {string} filePath - 절대 경로
+ * @param {string} pattern - glob 패턴
+ * @param {string} cwd - 기준 디렉토리 (기본: process.cwd())
+ * @returns {boolean} 일치 여부
+ */
+export function matchGlobPath(filePath, pattern, cwd = process.cwd()) {
+	return globToRegExp(toAbsolutePattern(pattern, cwd)).test(filePath.split(sep).join('/'))
+}
+
+/**
+ * 상대 glob 패턴을 cwd 기준 절대 패턴으로 변환 (구분자는 /)
+ */
+function toAbsolutePattern(pattern, cwd) {
+	const normalized = pattern.split(sep).join('/')
+	return isAbsolute(normalized) ? normalized : join(cwd, normalized).split(sep).join('/')
+}
+
+/**
+ * glob 패턴과 일치하는 파일 목록 탐색
+ *
+ * @param {string} pattern - glob 패턴 (상대 경로는 cwd 기준)
+ * @param {string} cwd - 기준 디렉토리 (기본: process.cwd())
+ * @returns {string[]} 일치하는 파일의 절대 경로 (정렬됨)
+ *
+ * @example
+ * expandGlob('specs/*.yaml', '/project')
+ * // => ['/project/specs/auth.yaml', '/project/specs/user.yaml']
+ */
+export function expandGlob(pattern, cwd = process.cwd()) {
+	// glob 문법이 나오기 전까지의 고정 경로에서부터 탐색
+	const baseDir = getGlobBase(pattern, cwd)
+	const matcher = globToRegExp(toAbsolutePattern(pattern, cwd))
+	const matches = []
+
+	const walk = (dir) => {
+		let entries
+		try {
+			entries = readdirSync(dir, { withFileTypes: true })
+		} catch {
+			return
+		}
+
+		for (const entry of entries) {
+			if (entry.name === 'node_modules' || entry.name.startsWith('.git')) continue
+
+			const fullPath = join(dir, entry.name)
+			if (entry.isDirectory()) {
+				walk(fullPath)
+			} else if (matcher.test(fullPath.split(sep).join('/'))) {
+				matches.push(fullPath)
+			}
+		}
+	}
+
+	walk(baseDir)
+
+	return matches.sort((a, b) => relative(cwd, a).localeCompare(relative(cwd, b)))
+}
+
+export default {
+	hasGlobPattern,
+	globToRegExp,
+	matchGlob,
+	matchGlobPath,
+	getGlobBase,
+	expandGlob,
+}
@@ -16,6 +16,9 @@ class Logger {
 		this.enabled = this.config.enabled !== false
 		this.showTimestamp = this.config.showTimestamp || false
 		this.showEmoji = this.config.showEmoji !== false
+
+		// 로그 수신자 (RunReport 등) - 출력 설정과 관계없이 모든 로그를 받음
+		this.listeners = new Set()
 	}
 
 	/**
@@ -120,6 +123,8 @@ class Logger {
 	 * 실제 로그 출력
 	 */
 	log(level, message, category = null, ...args) {
+		this.listeners.forEach((listener) => listener({ level, message, category }))
+
 		if (!this.shouldLog(level, category)) return
 
 		const timestamp = this.getTimestamp()
@@ -170,6 +175,17 @@ class Logger {
 		this.log('error', message, category, ...args)
 	}
 
+	/**
+	 * 로그 수신자 등록
+	 *
+	 * @param {Function} listener - ({ level, message, category }) => void
+	 * @returns {Function} 등록 해제 함수
+	 */
+	addListener(listener) {
+		this.listeners.add(listener)
+		return () => this.listeners.delete(listener)
+	}
+
 	/**
 	 * 로그 레벨 동적 변경
 	 */
@@ -177,6 +193,13 @@ class Logger {
 		this.currentLevel = level
 	}
 
+	/**
+	 * 개별 로그 레벨 켜기/끄기 (generate --verbose에서 debug 로그 출력)
+	 */
+	setLevelEnabled(level, enabled = true) {
+		this.config.levels = { ...this.config.levels, [level]: enabled }
+	}
+
 	/**
 	 * 로깅 활성화/비활성화
 	 */
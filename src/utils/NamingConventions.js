@@ -6,8 +6,13 @@
  * 기존 스크립트의 네이밍 로직을 그대로 추출하여 중앙화합니다.
  * - generateDomainAPI.js의 generateFunctionName
  * - generateEndpointsByTags.js의 generateConstantName, tagToIdentifier
+ * - operation 태그 결정 (tagging.strategy, tagging.map)
+ * - 생성 대상 operation 필터 (filters.include, filters.exclude)
  */
 
+import { createTagMapper, createTagResolver } from './TagStrategy.js'
+import { OperationFilter } from './OperationFilter.js'
+
 /**
  * NamingConventions 클래스
  */
@@ -17,13 +22,27 @@ export class NamingConventions {
 	 */
 	constructor(config = {}) {
 		this.config = config
-		this.functionNaming = config?.codeGeneration?.functionNaming || {
+
+		// JS 설정에서는 ({ path, method, defaultName }) => 함수명 형태의 함수도 허용
+		const functionNaming = config?.codeGeneration?.functionNaming
+		this.functionNamingStrategy = typeof functionNaming === 'function' ? functionNaming : null
+		this.functionNaming = (!this.functionNamingStrategy && functionNaming) || {
 			get: 'fetch',
 			post: 'create',
 			put: 'update',
 			patch: 'modify',
 			delete: 'remove',
 		}
+
+		// (operation, serverName) => 태그 (tagging.strategy)
+		this.tagResolver = createTagResolver(config?.tagging?.strategy)
+
+		// (tag, { path, method, operationId, serverName }) => 태그 이름 (null이면 제외)
+		// tagging.map이 객체(이름 변경/합치기/나누기)이면 같은 형태의 함수로 변환
+		this.tagMapper = createTagMapper(config?.tagging?.map)
+
+		// filters.include / filters.exclude
+		this.operationFilter = new OperationFilter(config?.filters)
 	}
 
 	// ========================================
@@ -68,7 +87,13 @@ export class NamingConventions {
 
 		// 5단계: 최종 함수명 조합
 		const capitalizedCamelCase = camelCase.charAt(0).toUpperCase() + camelCase.slice(1)
-		return `${prefix}${capitalizedCamelCase}`
+		const defaultName = `${prefix}${capitalizedCamelCase}`
+
+		if (this.functionNamingStrategy) {
+			return this.functionNamingStrategy({ path, method: method.toLowerCase(), defaultName }) || defaultName
+		}
+
+		return defaultName
 	}
 
 	// ========================================
@@ -170,14 +195,77 @@ export class NamingConventions {
 	}
 
 	// ========================================
-	// 경로에서 태그 추출 (extractSwaggerTags.js, generateDomainAPI.js)
+	// operation 태그 결정 (extractSwaggerTags.js, generateDomainAPI.js)
 	// ========================================
 
 	/**
-	 * API 경로에서 태그명 추출 (generateDomainAPI.js line 119-156)
+	 * operation의 태그 (tagging.strategy → tagging.map 순서로 적용)
+	 *
+	 * tags.ts, endpoint.ts, {tag}API.ts가 모두 이 결과로 operation을 묶습니다.
+	 *
+	 * @param {Object} operation - 스펙 모델의 operation (path, method, operationId, tags)
+	 * @param {string|null} serverName - 서버 이름
+	 * @returns {string|null} 태그 (filters로 제외되거나 tagging에서 null이면 null)
+	 *
+	 * @example
+	 * // tagging.strategy: 'operation-tags'
+	 * extractTag({ path: '/v1/users/{id}', method: 'get', tags: ['User Management'] })
+	 * // => 'userManagement'
+	 */
+	extractTag(operation, serverName = null) {
+		if (!this.isOperationIncluded(operation)) return null
+
+		return this.mapTag(this.tagResolver(operation, serverName), operation.path, serverName, operation)
+	}
+
+	/**
+	 * 스펙 모델의 operation을 태그별로 묶음 (스펙 순서 유지)
+	 *
+	 * @param {Object} model - loadSpecModel 결과
+	 * @param {string|null} serverName - 서버 이름
+	 * @param {Function|null} onSkip - 제외한 operation마다 (operation, reason) 호출
+	 * @returns {Map<string, Object[]>} 태그 → operation 목록
+	 */
+	groupOperationsByTag(model, serverName = null, onSkip = null) {
+		const groups = new Map()
+
+		for (const operation of model.operations) {
+			const tag = this.extractTag(operation, serverName)
+			if (tag === null) {
+				onSkip?.(operation, this.getSkipReason(operation) || 'tagging.strategy 또는 tagging.map이 null 반환')
+				continue
+			}
+
+			if (!groups.has(tag)) {
+				groups.set(tag, [])
+			}
+			groups.get(tag).push(operation)
+		}
+
+		return groups
+	}
+
+	/**
+	 * 태그에 속한 operation 목록 (스펙 순서)
+	 *
+	 * @param {Object} model - loadSpecModel 결과
+	 * @param {string|null} serverName - 서버 이름
+	 * @param {string} tagName - 태그 이름
+	 * @returns {Object[]} operation 목록
+	 */
+	getTagOperations(model, serverName, tagName) {
+		return model.operations.filter((operation) => this.extractTag(operation, serverName) === tagName)
+	}
+
+	/**
+	 * API 경로에서 태그명 추출 (operation 정보 없이 경로만 사용)
+	 *
+	 * tagging.strategy가 operation-tags이면 path-segment로 결정합니다.
+	 * 생성기는 operation 단위의 extractTag를 사용합니다.
 	 *
 	 * @param {string} path - API 경로
-	 * @returns {string} 태그명
+	 * @param {string|null} serverName - 서버 이름 (tagging.map에 전달)
+	 * @returns {string|null} 태그명 (tagging.map이 null을 반환하면 null)
 	 *
 	 * @example
 	 * extractTagFromPath('/users/{id}')
@@ -186,19 +274,49 @@ export class NamingConventions {
 	 * extractTagFromPath('/v1/auth/login')
 	 * // => 'v1_auth'
 	 */
-	extractTagFromPath(path) {
-		const segments = path.split('/').filter(Boolean)
+	extractTagFromPath(path, serverName = null) {
+		return this.extractTag({ path, method: null, operationId: null, tags: [] }, serverName)
+	}
 
-		if (segments.length === 0) {
-			return 'root'
-		}
+	/**
+	 * 생성 대상 operation인지 확인 (filters.include / filters.exclude)
+	 *
+	 * @param {Object} operation - 스펙 모델의 operation
+	 * @returns {boolean} 생성 대상 여부
+	 */
+	isOperationIncluded(operation) {
+		return this.operationFilter.isIncluded(operation)
+	}
 
-		// 버전 처리 (v1, v2 등)
-		if (segments[0].match(/^v\d+$/i) && segments.length > 1) {
-			return `${segments[0]}_${segments[1]}`
-		}
+	/**
+	 * filters로 operation을 제외하는 이유 (--verbose 로그용)
+	 *
+	 * @param {Object} operation - 스펙 모델의 operation
+	 * @returns {string|null} 제외 이유 (생성 대상이면 null)
+	 */
+	getSkipReason(operation) {
+		return this.operationFilter.getSkipReason(operation)
+	}
+
+	/**
+	 * 설정의 tagging.map 적용
+	 *
+	 * @param {string|null} tag - tagging.strategy로 결정한 태그
+	 * @param {string} path - API 경로
+	 * @param {string|null} serverName - 서버 이름
+	 * @param {Object|null} operation - operation (method, operationId를 map에 전달)
+	 * @returns {string|null} 최종 태그 (map이 undefined를 반환하면 원래 태그)
+	 */
+	mapTag(tag, path, serverName = null, operation = null) {
+		if (!this.tagMapper || tag === null) return tag
 
-		return segments[0]
+		const mapped = this.tagMapper(tag, {
+			path,
+			method: operation?.method ?? null,
+			operationId: operation?.operationId ?? null,
+			serverName,
+		})
+		return mapped === undefined ? tag : mapped
 	}
 }
 
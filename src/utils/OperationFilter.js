@@ -0,0 +1,140 @@
+#!/usr/bin/env node
+
+/**
+ * 🚦 OperationFilter - 생성 대상 operation 필터
+ *
+ * 설정의 filters.include / filters.exclude 규칙으로 코드를 생성할 operation을 고릅니다.
+ * NamingConventions가 서버별 설정(servers.{name}.filters)으로 만들어 모든 생성기에서 같은 결과를 사용합니다.
+ *
+ * @description
+ * - 규칙 조건: path(glob), methods, operationIds(glob), tags(스펙의 operation tags), deprecated, x-* 확장 필드
+ * - 한 규칙의 조건은 모두 일치해야 하고(AND), 목록의 규칙은 하나만 일치하면 됨(OR)
+ * - include가 있으면 include 규칙 중 하나와 일치하는 operation만 생성
+ * - exclude 규칙과 일치하는 operation은 생성하지 않음 (include보다 우선)
+ * - path 패턴의 {id} 같은 경로 파라미터는 아무 세그먼트와 일치 (/users/{id} = /users/*)
+ *
+ * @example
+ * const filter = new OperationFilter({ exclude: [{ path: '/internal/**' }, { 'x-internal': true }] })
+ * filter.getSkipReason({ path: '/internal/health', method: 'get', tags: [], extensions: {} })
+ * // => 'filters.exclude[0] 규칙과 일치 ({"path":"/internal/**"})'
+ */
+
+import { globToRegExp } from './GlobMatcher.js'
+
+/**
+ * OperationFilter 클래스
+ *
+ * @class
+ * @description filters 규칙 해석 및 operation 판별
+ */
+export class OperationFilter {
+	/**
+	 * @param {Object} filters - 설정의 filters ({ include, exclude })
+	 */
+	constructor(filters = {}) {
+		this.include = (filters?.include || []).map(compileRule)
+		this.exclude = (filters?.exclude || []).map(compileRule)
+	}
+
+	/**
+	 * operation을 생성하지 않는 이유
+	 *
+	 * @param {Object} operation - 스펙 모델의 operation
+	 * @returns {string|null} 제외 이유 (생성 대상이면 null)
+	 */
+	getSkipReason(operation) {
+		if (this.include.length > 0 && !this.include.some((rule) => matchesRule(operation, rule))) {
+			return 'filters.include의 어떤 규칙과도 일치하지 않음'
+		}
+
+		const index = this.exclude.findIndex((rule) => matchesRule(operation, rule))
+		if (index !== -1) {
+			return `filters.exclude[${index}] 규칙과 일치 (${describeRule(this.exclude[index].source)})`
+		}
+
+		return null
+	}
+
+	/**
+	 * 생성 대상 operation인지 확인
+	 */
+	isIncluded(operation) {
+		return this.getSkipReason(operation) === null
+	}
+}
+
+/**
+ * API 경로 glob 패턴을 정규식으로 변환
+ *
+ * 패턴의 {id} 같은 경로 파라미터는 아무 세그먼트와 일치합니다. (glob의 {a,b} 문법은 그대로)
+ *
+ * @param {string} pattern - 경로 glob 패턴
+ * @returns {RegExp} 경로 전체와 매칭되는 정규식
+ *
+ * @example
+ * pathPatternToRegExp('/users/{id}/**').test('/users/{userId}/posts')
+ * // => true
+ */
+export function pathPatternToRegExp(pattern) {
+	return globToRegExp(pattern.replace(/\{[^{},]*\}/g, '*'))
+}
+
+// ========================================
+// 내부 함수
+// ========================================
+
+/**
+ * 규칙을 비교하기 쉬운 형태로 변환 (glob → 정규식, 메서드 소문자)
+ */
+function compileRule(rule) {
+	return {
+		source: rule,
+		paths: toArray(rule.path).map(pathPatternToRegExp),
+		methods: toArray(rule.methods).map((method) => method.toLowerCase()),
+		operationIds: toArray(rule.operationIds).map((pattern) => globToRegExp(pattern)),
+		tags: toArray(rule.tags),
+		deprecated: rule.deprecated,
+		extensions: Object.entries(rule).filter(([key]) => key.startsWith('x-')),
+	}
+}
+
+/**
+ * 규칙의 모든 조건이 일치하는지 확인 (조건이 없는 규칙은 모든 operation과 일치)
+ */
+function matchesRule(operation, rule) {
+	if (rule.paths.length > 0 && !rule.paths.some((regex) => regex.test(operation.path))) return false
+	if (rule.methods.length > 0 && !rule.methods.includes(operation.method)) return false
+	if (
+		rule.operationIds.length > 0 &&
+		!(operation.operationId && rule.operationIds.some((regex) => regex.test(operation.operationId)))
+	) {
+		return false
+	}
+	if (rule.tags.length > 0 && !(operation.tags || []).some((tag) => rule.tags.includes(tag))) return false
+	if (rule.deprecated !== undefined && Boolean(operation.deprecated) !== rule.deprecated) return false
+
+	return rule.extensions.every(
+		([key, value]) => JSON.stringify(operation.extensions?.[key]) === JSON.stringify(value)
+	)
+}
+
+/**
+ * 로그용 규칙 요약 (설명용 키 제외)
+ */
+function describeRule(rule) {
+	return JSON.stringify(Object.fromEntries(Object.entries(rule).filter(([key]) => !key.startsWith('_'))))
+}
+
+function toArray(value) {
+	if (value === undefined || value === null) return []
+	return Array.isArray(value) ? value : [value]
+}
+
+/**
+ * OperationFilter 인스턴스 생성 헬퍼
+ */
+export function createOperationFilter(filters = {}) {
+	return new OperationFilter(filters)
+}
+
+export default OperationFilter
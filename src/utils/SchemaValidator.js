@@ -0,0 +1,342 @@
+#!/usr/bin/env node
+
+/**
+ * 🧪 SchemaValidator - JSON Schema 검증 유틸리티
+ *
+ * 설정 스키마(schema/openapi-codegen.schema.json) 검증에 필요한 만큼의
+ * JSON Schema(draft-07) 키워드를 지원합니다.
+ *
+ * @description
+ * - 지원 키워드: type, enum, pattern, properties, required, additionalProperties,
+ *   patternProperties, items, minItems, anyOf, $ref(#/definitions/...)
+ * - pattern 위반 시 examples가 있으면 기대 값과 비슷한 값으로 표시
+ * - x-placeholders: 문자열 패턴에서 사용할 수 있는 {변수} 목록 (알 수 없는 변수는 에러)
+ * - x-function: JS 설정 파일의 함수 값 (JSON에는 없으므로 `not: {}`과 함께 사용)
+ * - 위반 사항마다 JSON pointer, 기대 타입, 비슷한 이름("did you mean")을 반환
+ *
+ * @example
+ * validateSchema({ featureFlag: {} }, schema)
+ * // => [{ pointer: '/featureFlag', message: '알 수 없는 설정입니다.', suggestion: 'featureFlags' }]
+ */
+
+/**
+ * 스키마 검증
+ *
+ * @param {*} value - 검증할 값
+ * @param {Object} schema - JSON Schema
+ * @returns {Array<{pointer: string, message: string, expected?: string, actual?: string, suggestion?: string}>} 위반 목록
+ */
+export function validateSchema(value, schema) {
+	const issues = []
+	validateNode(value, schema, '', schema, issues)
+	return issues
+}
+
+/**
+ * 위반 사항 한 줄 메시지
+ *
+ * @example
+ * formatIssue({ pointer: '/codeGeneration/jsdoc/enabled', message: '타입이 맞지 않습니다.', expected: 'boolean', actual: 'string' })
+ * // => "/codeGeneration/jsdoc/enabled: 타입이 맞지 않습니다. (기대: boolean, 현재: string)"
+ */
+export function formatIssue({ pointer, message, expected, actual, suggestion }) {
+	let line = `${pointer || '/'}: ${message}`
+
+	if (expected !== undefined) {
+		line += ` (기대: ${expected}, 현재: ${actual})`
+	}
+	if (suggestion) {
+		line += ` '${suggestion}'을(를) 찾으셨나요?`
+	}
+
+	return line
+}
+
+/**
+ * 후보 중 가장 비슷한 이름 (편집 거리 기준, 충분히 비슷하지 않으면 null)
+ *
+ * 한쪽이 다른 쪽의 접두사인 경우(warning → warn, tag → tagName)도 비슷한 이름으로 봅니다.
+ *
+ * @param {string} input - 입력한 이름
+ * @param {string[]} candidates - 후보 이름
+ * @returns {string|null} 가장 비슷한 후보
+ */
+export function findSuggestion(input, candidates) {
+	const maxDistance = Math.max(1, Math.floor(input.length / 3))
+	const lowerInput = input.toLowerCase()
+	let best = null
+	let bestDistance = Infinity
+
+	candidates.forEach((candidate) => {
+		const lowerCandidate = candidate.toLowerCase()
+		const isPrefix =
+			Math.min(lowerInput.length, lowerCandidate.length) >= 3 &&
+			(lowerInput.startsWith(lowerCandidate) || lowerCandidate.startsWith(lowerInput))
+		const distance = isPrefix ? Math.min(1, levenshtein(lowerInput, lowerCandidate)) : levenshtein(lowerInput, lowerCandidate)
+
+		if (distance <= maxDistance && distance < bestDistance) {
+			best = candidate
+			bestDistance = distance
+		}
+	})
+
+	return best
+}
+
+// ========================================
+// 내부 검증 함수
+// ========================================
+
+function validateNode(value, schema, pointer, root, issues) {
+	schema = resolveRef(schema, root)
+
+	if (typeof value === 'function') {
+		if (!acceptsFunction(schema, root)) {
+			issues.push({
+				pointer,
+				message: '이 설정에는 함수를 사용할 수 없습니다.',
+				expected: describeExpected(schema, root),
+				actual: 'function',
+			})
+		}
+		return
+	}
+
+	if (schema['x-function']) {
+		issues.push({ pointer, message: '함수여야 합니다. (JS 설정 파일 전용)', expected: 'function', actual: typeOf(value) })
+		return
+	}
+
+	if (schema.anyOf) {
+		validateAnyOf(value, schema, pointer, root, issues)
+		return
+	}
+
+	if (schema.type && !matchesType(value, schema.type)) {
+		issues.push({
+			pointer,
+			message: '타입이 맞지 않습니다.',
+			expected: describeExpected(schema, root),
+			actual: typeOf(value),
+		})
+		return
+	}
+
+	if (schema.enum && !schema.enum.includes(value)) {
+		issues.push({
+			pointer,
+			message: '허용되지 않는 값입니다.',
+			expected: schema.enum.map((item) => JSON.stringify(item)).join(' | '),
+			actual: JSON.stringify(value),
+			suggestion: typeof value === 'string' ? findSuggestion(value, schema.enum.map(String)) : null,
+		})
+	}
+
+	if (typeof value === 'string' && schema.pattern && !new RegExp(schema.pattern).test(value)) {
+		issues.push({
+			pointer,
+			message: '형식이 맞지 않습니다.',
+			expected: schema.examples ? schema.examples.join(' | ') : `/${schema.pattern}/`,
+			actual: JSON.stringify(value),
+			suggestion: schema.examples ? findSuggestion(value, schema.examples) : null,
+		})
+	}
+
+	if (typeof value === 'string' && schema['x-placeholders']) {
+		validatePlaceholders(value, schema['x-placeholders'], pointer, issues)
+	}
+
+	if (typeOf(value) === 'object') {
+		validateObject(value, schema, pointer, root, issues)
+	}
+
+	if (Array.isArray(value)) {
+		if (schema.minItems !== undefined && value.length < schema.minItems) {
+			issues.push({ pointer, message: `최소 ${schema.minItems}개 항목이 필요합니다.` })
+		}
+		if (schema.items) {
+			value.forEach((item, index) => validateNode(item, schema.items, `${pointer}/${index}`, root, issues))
+		}
+	}
+}
+
+/**
+ * 객체 속성 검증 (알 수 없는 속성은 비슷한 이름 제안)
+ */
+function validateObject(value, schema, pointer, root, issues) {
+	const properties = schema.properties || {}
+
+	for (const key of schema.required || []) {
+		if (value[key] === undefined) {
+			issues.push({ pointer: `${pointer}/${escapePointer(key)}`, message: '필수 설정이 없습니다.' })
+		}
+	}
+
+	Object.entries(value).forEach(([key, child]) => {
+		if (child === undefined) return
+
+		const childPointer = `${pointer}/${escapePointer(key)}`
+
+		if (properties[key]) {
+			validateNode(child, properties[key], childPointer, root, issues)
+			return
+		}
+
+		const pattern = Object.keys(schema.patternProperties || {}).find((regex) => new RegExp(regex).test(key))
+		if (pattern) {
+			validateNode(child, schema.patternProperties[pattern], childPointer, root, issues)
+			return
+		}
+
+		if (schema.additionalProperties === false) {
+			issues.push({
+				pointer: childPointer,
+				message: '알 수 없는 설정입니다.',
+				suggestion: findSuggestion(key, Object.keys(properties)),
+			})
+		} else if (typeof schema.additionalProperties === 'object') {
+			validateNode(child, schema.additionalProperties, childPointer, root, issues)
+		}
+	})
+}
+
+/**
+ * anyOf 검증
+ *
+ * 값의 타입과 맞는 분기가 하나뿐이면 그 분기의 에러를 그대로 보고하여
+ * `featureFlags.x.enabeld` 같은 중첩 오타도 정확한 위치로 알려줍니다.
+ */
+function validateAnyOf(value, schema, pointer, root, issues) {
+	const branches = schema.anyOf.map((branch) => resolveRef(branch, root))
+	const candidates = branches.filter((branch) => !branch['x-function'] && branchAcceptsType(branch, value, root))
+
+	if (candidates.length === 0) {
+		issues.push({
+			pointer,
+			message: '타입이 맞지 않습니다.',
+			expected: describeExpected(schema, root),
+			actual: typeOf(value),
+		})
+		return
+	}
+
+	let bestIssues = null
+	for (const branch of candidates) {
+		const branchIssues = []
+		validateNode(value, branch, pointer, root, branchIssues)
+
+		if (branchIssues.length === 0) return
+		if (!bestIssues || branchIssues.length < bestIssues.length) {
+			bestIssues = branchIssues
+		}
+	}
+
+	issues.push(...bestIssues)
+}
+
+/**
+ * 문자열의 {변수}가 허용된 변수인지 확인
+ */
+function validatePlaceholders(value, allowed, pointer, issues) {
+	for (const [, name] of value.matchAll(/\{(\w+)\}/g)) {
+		if (allowed.includes(name)) continue
+
+		const suggestion = findSuggestion(name, allowed)
+		issues.push({
+			pointer,
+			message: `알 수 없는 변수 {${name}}입니다.`,
+			expected: allowed.length > 0 ? allowed.map((item) => `{${item}}`).join(', ') : '변수 없음',
+			actual: value,
+			suggestion: suggestion ? `{${suggestion}}` : null,
+		})
+	}
+}
+
+// ========================================
+// 유틸리티
+// ========================================
+
+function resolveRef(schema, root) {
+	if (!schema?.$ref) return schema || {}
+
+	const target = schema.$ref
+		.replace(/^#\//, '')
+		.split('/')
+		.reduce((node, key) => node?.[key.replace(/~1/g, '/').replace(/~0/g, '~')], root)
+
+	if (!target) {
+		throw new Error(`스키마 참조를 찾을 수 없습니다: ${schema.$ref}`)
+	}
+
+	return resolveRef(target, root)
+}
+
+function acceptsFunction(schema, root) {
+	schema = resolveRef(schema, root)
+	if (schema['x-function']) return true
+	return (schema.anyOf || []).some((branch) => acceptsFunction(branch, root))
+}
+
+function branchAcceptsType(branch, value, root) {
+	if (branch.anyOf) {
+		return branch.anyOf.some((child) => {
+			const resolved = resolveRef(child, root)
+			return !resolved['x-function'] && branchAcceptsType(resolved, value, root)
+		})
+	}
+	return !branch.type || matchesType(value, branch.type)
+}
+
+function describeExpected(schema, root) {
+	schema = resolveRef(schema, root)
+
+	if (schema['x-function']) return 'function'
+	if (schema.anyOf) {
+		const types = schema.anyOf.flatMap((branch) => describeExpected(branch, root).split(' | '))
+		return [...new Set(types)].join(' | ')
+	}
+	if (schema.enum) return schema.enum.map((item) => JSON.stringify(item)).join(' | ')
+
+	return [].concat(schema.type || 'any').join(' | ')
+}
+
+function matchesType(value, type) {
+	return [].concat(type).some((expected) => {
+		if (expected === 'integer') return Number.isInteger(value)
+		return typeOf(value) === expected
+	})
+}
+
+function typeOf(value) {
+	if (value === null) return 'null'
+	if (Array.isArray(value)) return 'array'
+	return typeof value
+}
+
+function escapePointer(key) {
+	return String(key).replace(/~/g, '~0').replace(/\//g, '~1')
+}
+
+/**
+ * 편집 거리 (삽입/삭제/치환)
+ */
+function levenshtein(a, b) {
+	let previous = Array.from({ length: b.length + 1 }, (_, index) => index)
+
+	for (let i = 1; i <= a.length; i++) {
+		const current = [i]
+		for (let j = 1; j <= b.length; j++) {
+			const cost = a[i - 1] === b[j - 1] ? 0 : 1
+			current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost)
+		}
+		previous = current
+	}
+
+	return previous[b.length]
+}
+
+export default {
+	validateSchema,
+	formatIssue,
+	findSuggestion,
+}
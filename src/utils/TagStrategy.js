@@ -0,0 +1,186 @@
+#!/usr/bin/env node
+
+/**
+ * 🏷️ TagStrategy - operation 태그 결정 전략
+ *
+ * operation을 어느 태그(tags.ts 항목, endpoint/API/hooks 파일 묶음)에 넣을지 정합니다.
+ * 설정의 tagging.strategy로 선택하며, 모든 생성기가 NamingConventions.extractTag를 통해 이 구현을 사용합니다.
+ *
+ * @description
+ * - path-segment (기본): 첫 경로 세그먼트 (/users/{id} → users, /v1/auth/login → v1_auth)
+ * - path-depth:N: 앞에서부터 N개 세그먼트 (path-depth:2에서 /admin/users/{id} → admin_users)
+ *   - 버전 세그먼트(v1, v2 등)는 다음 세그먼트에 붙이고 개수에 포함하지 않음
+ *   - 경로 파라미터({id})는 건너뜀
+ * - operation-tags: 스펙의 operation tags 중 첫 번째 태그를 camelCase로 변환 (User Management → userManagement)
+ *   - 태그가 여러 개면 항상 첫 번째 태그만 사용 (operation이 여러 파일에 중복 생성되지 않음)
+ *   - 태그가 없는 operation은 path-segment로 결정
+ * - 함수 (JS 설정): (operation, { serverName, pathTag }) => 태그
+ *   - null을 반환하면 제외, undefined를 반환하면 pathTag(path-segment 결과) 사용
+ *
+ * tagging.map은 전략으로 정한 태그를 바꿉니다. (createTagMapper)
+ * - 객체: { 태그: 새 이름 | null | { name, split: { 경로 패턴: 태그 } } }
+ * - 함수 (JS 설정): (tag, { path, method, operationId, serverName }) => 새 이름 | null | undefined
+ */
+
+import { pathPatternToRegExp } from './OperationFilter.js'
+
+/**
+ * tagging.strategy 기본값
+ */
+export const DEFAULT_TAG_STRATEGY = 'path-segment'
+
+/**
+ * 문자열 전략 형식 (설정 스키마의 pattern과 같음)
+ */
+const STRATEGY_PATTERN = /^(path-segment|operation-tags|path-depth:([1-9]\d*))$/
+
+/**
+ * tagging.strategy로 태그 결정 함수 생성
+ *
+ * @param {string|Function} strategy - 'path-segment', 'path-depth:N', 'operation-tags' 또는 함수
+ * @returns {Function} (operation, serverName) => 태그 (null이면 제외)
+ * @throws {Error} 알 수 없는 전략인 경우
+ *
+ * @example
+ * const resolveTag = createTagResolver('operation-tags')
+ * resolveTag({ path: '/v1/users/{id}', method: 'get', tags: ['User Management', 'Admin'] })
+ * // => 'userManagement'
+ */
+export function createTagResolver(strategy = DEFAULT_TAG_STRATEGY) {
+	if (typeof strategy === 'function') {
+		return (operation, serverName = null) => {
+			const pathTag = extractPathTag(operation.path)
+			const tag = strategy(operation, { serverName, pathTag })
+
+			if (tag === undefined) return pathTag
+			if (tag !== null && typeof tag !== 'string') {
+				throw new Error(
+					`tagging.strategy 함수는 문자열, null 또는 undefined를 반환해야 합니다: ${operation.method.toUpperCase()} ${operation.path}`
+				)
+			}
+			return tag
+		}
+	}
+
+	const match = STRATEGY_PATTERN.exec(strategy)
+	if (!match) {
+		throw new Error(
+			`알 수 없는 tagging.strategy입니다: ${strategy} (사용 가능: path-segment, path-depth:N, operation-tags, 함수)`
+		)
+	}
+
+	if (strategy === 'operation-tags') {
+		return (operation) => {
+			const [tag] = (operation.tags || []).map(toTagName).filter(Boolean)
+			return tag || extractPathTag(operation.path)
+		}
+	}
+
+	const depth = match[2] ? Number(match[2]) : 1
+	return (operation) => extractPathTag(operation.path, depth)
+}
+
+/**
+ * tagging.map으로 태그 변환 함수 생성
+ *
+ * 객체 형식의 값:
+ * - 문자열: 이름 변경 (여러 태그를 같은 이름으로 바꾸면 하나의 폴더로 합쳐짐)
+ * - null: 해당 태그의 operation 제외
+ * - { name, split }: split의 경로 패턴과 일치하는 operation은 해당 태그로 나누고, 나머지는 name(없으면 원래 태그)
+ *
+ * @param {Object|Function|null} map - tagging.map
+ * @returns {Function|null} (tag, { path }) => 새 태그 | null(제외) | undefined(그대로)
+ *
+ * @example
+ * const mapTag = createTagMapper({
+ *   'v1_user-profile': 'userProfile',
+ *   v1_admin: { name: 'admin', split: { '/v1/admin/reports/**': 'adminReports' } },
+ * })
+ * mapTag('v1_admin', { path: '/v1/admin/reports/daily' })
+ * // => 'adminReports'
+ */
+export function createTagMapper(map) {
+	if (!map) return null
+	if (typeof map === 'function') return map
+
+	const targets = new Map(
+		Object.entries(map)
+			.filter(([tag]) => !tag.startsWith('_'))
+			.map(([tag, target]) => [tag, compileMapTarget(target)])
+	)
+
+	return (tag, { path }) => {
+		if (!targets.has(tag)) return undefined
+
+		const target = targets.get(tag)
+		if (target === null || typeof target === 'string') return target
+
+		const split = target.split.find(({ regex }) => regex.test(path))
+		return split ? split.tag : target.name
+	}
+}
+
+/**
+ * 경로에서 태그 추출
+ *
+ * @param {string} path - API 경로
+ * @param {number} depth - 사용할 세그먼트 수 (버전, 경로 파라미터 제외)
+ * @returns {string} 태그 (세그먼트가 없으면 'root')
+ *
+ * @example
+ * extractPathTag('/v1/auth/login')
+ * // => 'v1_auth'
+ *
+ * extractPathTag('/admin/{orgId}/users/{id}', 2)
+ * // => 'admin_users'
+ */
+export function extractPathTag(path, depth = 1) {
+	const segments = path.split('/').filter((segment) => segment && !/^\{[^}]*\}$/.test(segment))
+
+	if (segments.length === 0) return 'root'
+
+	const versioned = /^v\d+$/i.test(segments[0]) && segments.length > 1
+	return segments.slice(0, depth + (versioned ? 1 : 0)).join('_')
+}
+
+/**
+ * 스펙의 태그 이름을 파일명/식별자에 쓸 수 있는 camelCase로 변환
+ *
+ * @param {string} name - operation tags의 태그 이름
+ * @returns {string} 태그 (영문/숫자가 없으면 빈 문자열)
+ *
+ * @example
+ * toTagName('User Management')
+ * // => 'userManagement'
+ *
+ * toTagName('auth-v2')
+ * // => 'authV2'
+ */
+export function toTagName(name) {
+	const words = String(name).split(/[^a-zA-Z0-9]+/).filter(Boolean)
+
+	return words
+		.map((word, index) =>
+			index === 0 ? word.charAt(0).toLowerCase() + word.slice(1) : word.charAt(0).toUpperCase() + word.slice(1)
+		)
+		.join('')
+}
+
+/**
+ * tagging.map 객체 값의 split 패턴을 정규식으로 변환
+ */
+function compileMapTarget(target) {
+	if (target === null || typeof target === 'string') return target
+
+	return {
+		name: target.name,
+		split: Object.entries(target.split || {}).map(([pattern, tag]) => ({ regex: pathPatternToRegExp(pattern), tag })),
+	}
+}
+
+export default {
+	createTagResolver,
+	createTagMapper,
+	extractPathTag,
+	toTagName,
+}
@@ -23,7 +23,7 @@ try {
 	// 1. 설정 로드
 	console.log('\n1️⃣ 설정 로드 중...')
 	const configManager = new ConfigManager(EVENT_STEPIN_ROOT)
-	const config = configManager.loadConfig()
+	const config = await configManager.loadConfig()
 	console.log('✅ 설정 로드 완료')
 
 	// 2. PathResolver, NamingConventions 생성
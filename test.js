@@ -44,7 +44,7 @@ async function testToolkit() {
 		// 1. ConfigManager로 event-stepin-ai의 설정 파일 로드
 		console.log('\n1️⃣ 설정 파일 로드 중...')
 		const configManager = new ConfigManager(EVENT_STEPIN_ROOT)
-		const config = configManager.loadConfig(
+		const config = await configManager.loadConfig(
 			join(EVENT_STEPIN_ROOT, 'scripts/api/openapi-codegen.config.json')
 		)
 		console.log('✅ 설정 파일 로드 완료')
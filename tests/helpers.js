@@ -0,0 +1,272 @@
+/**
+ * 🧪 테스트 공용 헬퍼
+ *
+ * 임시 프로젝트 디렉토리(설정 파일, 스펙 파일)를 만들고 CLI를 실행합니다.
+ * 테스트 파일(tests/test-*.js)에서만 사용합니다.
+ */
+
+import { spawnSync } from 'child_process'
+import { existsSync, mkdirSync, mkdtempSync, readFileSync, rmSync, writeFileSync } from 'fs'
+import { tmpdir } from 'os'
+import { dirname, join } from 'path'
+import { fileURLToPath } from 'url'
+import { ConfigManager } from '../src/core/ConfigManager.js'
+import { Generator } from '../src/core/Generator.js'
+import { PathResolver } from '../src/core/PathResolver.js'
+import { ImportResolver } from '../src/core/ImportResolver.js'
+import { NamingConventions } from '../src/utils/NamingConventions.js'
+import { SchemaGenerator } from '../src/generators/SchemaGenerator.js'
+import { TypeGenerator } from '../src/generators/TypeGenerator.js'
+import { TagsGenerator } from '../src/generators/TagsGenerator.js'
+import { EndpointGenerator } from '../src/generators/EndpointGenerator.js'
+import { DomainAPIGenerator } from '../src/generators/DomainAPIGenerator.js'
+import { ReactQueryGenerator } from '../src/generators/ReactQueryGenerator.js'
+import { DeepSchemaGenerator } from '../src/generators/DeepSchemaGenerator.js'
+
+export const TOOLKIT_ROOT = join(dirname(fileURLToPath(import.meta.url)), '..')
+export const CLI_PATH = join(TOOLKIT_ROOT, 'bin/cli.js')
+
+/**
+ * 테스트용 OpenAPI 3.0 문서 (users, posts 두 태그)
+ */
+export function createDemoSpec() {
+	return {
+		openapi: '3.0.3',
+		info: { title: 'demo', version: '1.0.0' },
+		tags: [{ name: 'users', description: '사용자 API' }],
+		paths: {
+			'/users': {
+				get: {
+					operationId: 'UserController_list',
+					tags: ['users'],
+					parameters: [{ name: 'page', in: 'query', schema: { type: 'integer' } }],
+					responses: {
+						200: {
+							description: 'ok',
+							content: { 'application/json': { schema: { $ref: '#/components/schemas/UserListResponse' } } },
+						},
+					},
+				},
+				post: {
+					operationId: 'UserController_create',
+					tags: ['users'],
+					requestBody: {
+						required: true,
+						content: { 'application/json': { schema: { $ref: '#/components/schemas/CreateUser' } } },
+					},
+					responses: {
+						201: {
+							description: 'created',
+							content: {
+								'application/json': {
+									schema: {
+										type: 'object',
+										properties: {
+											code: { type: 'number' },
+											message: { type: 'string' },
+											data: { $ref: '#/components/schemas/User' },
+										},
+									},
+								},
+							},
+						},
+					},
+				},
+			},
+			'/users/{id}': {
+				parameters: [{ $ref: '#/components/parameters/UserId' }],
+				delete: {
+					operationId: 'UserController_remove',
+					tags: ['users'],
+					responses: { 204: { description: 'gone' } },
+				},
+			},
+			'/posts': {
+				get: {
+					operationId: 'PostController_list',
+					tags: ['posts'],
+					responses: {
+						200: {
+							description: 'ok',
+							content: {
+								'application/json': {
+									schema: { type: 'array', items: { $ref: '#/components/schemas/Post' } },
+								},
+							},
+						},
+					},
+				},
+			},
+		},
+		components: {
+			parameters: {
+				UserId: { name: 'id', in: 'path', required: true, schema: { type: 'string' } },
+			},
+			schemas: {
+				User: {
+					type: 'object',
+					required: ['name', 'status'],
+					properties: {
+						id: { type: 'string' },
+						name: { type: 'string' },
+						status: { type: 'string', enum: ['ACTIVE', 'BLOCKED'] },
+						profile: { $ref: '#/components/schemas/Profile' },
+					},
+				},
+				Profile: {
+					type: 'object',
+					properties: {
+						bio: { type: 'string' },
+						visibility: { type: 'string', enum: ['PUBLIC', 'PRIVATE'] },
+					},
+				},
+				CreateUser: { type: 'object', properties: { name: { type: 'string' } } },
+				UserListResponse: {
+					type: 'object',
+					properties: {
+						code: { type: 'number' },
+						message: { type: 'string' },
+						data: { type: 'array', items: { $ref: '#/components/schemas/User' } },
+					},
+				},
+				Post: { type: 'object', properties: { title: { type: 'string' } } },
+			},
+		},
+	}
+}
+
+/**
+ * 테스트용 기본 설정 (demo 서버를 specs/demo.json에서 읽음)
+ */
+export function createDemoConfig(overrides = {}) {
+	return {
+		projectName: 'demo',
+		servers: { demo: { source: 'specs/demo.json' } },
+		includeOnlyServers: ['demo'],
+		...overrides,
+	}
+}
+
+/**
+ * 임시 프로젝트 생성
+ *
+ * @param {Object} options - 옵션
+ * @param {Object|null} options.config - openapi-codegen.config.json 내용 (null이면 만들지 않음)
+ * @param {Object} options.spec - specs/demo.json 내용 (null이면 만들지 않음)
+ * @param {Object} options.files - 추가 파일 { 상대 경로: 내용 }
+ * @returns {Object} 프로젝트 헬퍼 (root, path, read, exists, write, readJson, cleanup)
+ */
+export function createProject({ config = createDemoConfig(), spec = createDemoSpec(), files = {} } = {}) {
+	const root = mkdtempSync(join(tmpdir(), 'openapi-codegen-test-'))
+
+	const project = {
+		root,
+		path: (relativePath) => join(root, relativePath),
+		exists: (relativePath) => existsSync(join(root, relativePath)),
+		read: (relativePath) => readFileSync(join(root, relativePath), 'utf-8'),
+		readJson: (relativePath) => JSON.parse(readFileSync(join(root, relativePath), 'utf-8')),
+		write: (relativePath, content) => {
+			const filePath = join(root, relativePath)
+			mkdirSync(dirname(filePath), { recursive: true })
+			writeFileSync(filePath, typeof content === 'string' ? content : JSON.stringify(content, null, 2))
+		},
+		cleanup: () => rmSync(root, { recursive: true, force: true }),
+	}
+
+	if (config) project.write('openapi-codegen.config.json', config)
+	if (spec) project.write('specs/demo.json', spec)
+	Object.entries(files).forEach(([relativePath, content]) => project.write(relativePath, content))
+
+	return project
+}
+
+/**
+ * CLI 실행 (환경변수의 NEXT_PUBLIC_STEPIN_* 서버 URL은 제외)
+ *
+ * @param {string[]} args - CLI 인자
+ * @param {Object} options - 옵션
+ * @param {string} options.cwd - 실행 디렉토리
+ * @param {Object} options.env - 추가 환경변수
+ * @returns {{status: number, stdout: string, stderr: string, output: string}}
+ */
+export function runCli(args, { cwd, env = {}, timeout = 120000 } = {}) {
+	const baseEnv = Object.fromEntries(Object.entries(process.env).filter(([key]) => !key.startsWith('NEXT_PUBLIC_STEPIN_')))
+
+	const result = spawnSync(process.execPath, [CLI_PATH, ...args], {
+		cwd,
+		env: { ...baseEnv, FORCE_COLOR: '0', ...env },
+		encoding: 'utf-8',
+		timeout,
+	})
+
+	return {
+		status: result.status,
+		stdout: result.stdout,
+		stderr: result.stderr,
+		output: `${result.stdout}\n${result.stderr}`,
+	}
+}
+
+/**
+ * 프로젝트 설정 로드 (기본 설정과 병합된 결과)
+ *
+ * @param {Object} project - createProject() 결과
+ * @returns {Promise<Object>} 설정 객체
+ */
+export async function loadProjectConfig(project) {
+	const { result } = await captureConsole(() =>
+		new ConfigManager(project.root).loadConfig(project.path('openapi-codegen.config.json'))
+	)
+	return result
+}
+
+/**
+ * CLI와 같은 방식으로 Generator 생성 (프로세스 안에서 실행하는 테스트용)
+ *
+ * @param {Object} project - createProject() 결과
+ * @param {Object} options - Generator 옵션 (dryRun, check, force, atomic, plugins 등)
+ * @returns {Promise<Generator>} Generator 인스턴스
+ */
+export async function buildGenerator(project, options = {}) {
+	const config = options.config || (await loadProjectConfig(project))
+	const pathResolver = new PathResolver(config, project.root)
+	const importResolver = new ImportResolver(config, pathResolver)
+	const naming = new NamingConventions(config)
+
+	const generators = {
+		generateTypes: new SchemaGenerator(config, pathResolver, options.sources),
+		generateTags: new TagsGenerator(config, pathResolver, naming),
+		generateValidatedTypes: new TypeGenerator(config, pathResolver, naming),
+		generateDeepSchema: new DeepSchemaGenerator(config, pathResolver, importResolver, naming),
+		generateEndpoints: new EndpointGenerator(config, pathResolver, importResolver, naming),
+		generateDomainAPI: new DomainAPIGenerator(config, pathResolver, importResolver, naming),
+		generateReactQueryHooks: new ReactQueryGenerator(config, pathResolver, importResolver, naming),
+	}
+
+	return new Generator(config, pathResolver, importResolver, naming, generators, options)
+}
+
+/**
+ * 콘솔 출력을 잠시 가로챔 (생성기 로그 확인용)
+ *
+ * @param {Function} fn - 실행할 함수 (async 가능)
+ * @returns {Promise<{result: *, lines: string[]}>} 반환값과 출력된 줄
+ */
+export async function captureConsole(fn) {
+	const lines = []
+	const methods = ['log', 'info', 'warn', 'error', 'debug']
+	const originals = Object.fromEntries(methods.map((method) => [method, console[method]]))
+
+	methods.forEach((method) => {
+		console[method] = (...args) => lines.push(args.map(String).join(' '))
+	})
+
+	try {
+		const result = await fn()
+		return { result, lines }
+	} finally {
+		methods.forEach((method) => {
+			console[method] = originals[method]
+		})
+	}
+}
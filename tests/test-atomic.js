@@ -0,0 +1,250 @@
+/**
+ * atomic 쓰기 / 롤백 테스트
+ *
+ * 임시 디렉토리 준비와 commit/rollback, 임시 파일 경로, 실패한 실행 후 이전 상태 유지, --no-atomic
+ */
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { readdirSync, readFileSync, statSync } from 'fs'
+import { extname, join, relative, sep } from 'path'
+import { OutputSink } from '../src/core/OutputSink.js'
+import { createDemoConfig, createDemoSpec, createProject, runCli } from './helpers.js'
+
+/**
+ * 두 번째 태그를 생성할 때 에러를 던지는 플러그인 단계 (태그 절반만 쓴 상태에서 실패)
+ */
+const FAIL_PLUGIN = `
+let count = 0
+
+export default {
+	name: 'half',
+	steps: [{
+		id: 'half',
+		dependsOn: ['api'],
+		scope: 'tag',
+		generate({ tagName }) {
+			if (++count === 2) throw new Error('half failed')
+			return [{ filePath: 'src/half/' + tagName + '.ts', content: 'export {}\\n' }]
+		},
+	}],
+}
+`
+
+/**
+ * 프로젝트 안의 모든 파일 내용 (상대 경로 → 내용)
+ */
+function snapshot(root, dir = root, files = {}) {
+	for (const entry of readdirSync(dir)) {
+		const path = join(dir, entry)
+		if (statSync(path).isDirectory()) {
+			snapshot(root, path, files)
+		} else {
+			files[relative(root, path)] = readFileSync(path, 'utf-8')
+		}
+	}
+	return files
+}
+
+/**
+ * afterWrite에서 받은 absolutePath를 writes.log에 한 줄씩 남기는 훅 모듈
+ */
+const PATH_HOOK = `
+import { appendFileSync, existsSync } from 'fs'
+import { extname } from 'path'
+
+export default function ({ filePath, absolutePath }) {
+	appendFileSync('writes.log', [filePath, extname(absolutePath), existsSync(absolutePath), absolutePath].join(' ') + '\\n')
+}
+`
+
+function stagingDirs(root) {
+	return readdirSync(root).filter((entry) => entry.startsWith('.openapi-codegen-staging-'))
+}
+
+test('atomic sink는 commit 전까지 임시 디렉토리에만 쓰고, 이후 단계는 준비한 내용을 읽는다', () => {
+	const project = createProject({ config: null, spec: null, files: { 'keep.txt': 'old\n', 'drop.txt': 'bye\n' } })
+
+	try {
+		const sink = new OutputSink({ atomic: true, projectRoot: project.root })
+
+		assert.equal(sink.write('new/file.ts', 'new\n'), 'created')
+		assert.equal(sink.write('keep.txt', 'new\n'), 'modified')
+		assert.equal(sink.remove('drop.txt'), 'deleted')
+
+		assert.equal(sink.read('keep.txt'), 'new\n')
+		assert.equal(sink.exists('drop.txt'), false)
+		assert.equal(project.read('keep.txt'), 'old\n')
+		assert.equal(project.exists('new/file.ts'), false)
+		assert.equal(project.exists('drop.txt'), true)
+		assert.equal(stagingDirs(project.root).length, 1)
+
+		assert.equal(sink.commit(), 3)
+		assert.equal(project.read('keep.txt'), 'new\n')
+		assert.equal(project.read('new/file.ts'), 'new\n')
+		assert.equal(project.exists('drop.txt'), false)
+
+		sink.finalize()
+		assert.deepEqual(stagingDirs(project.root), [])
+	} finally {
+		project.cleanup()
+	}
+})
+
+test('atomic sink는 임시 파일에 projectRoot 기준 상대 경로와 확장자를 유지한다', () => {
+	const project = createProject({ config: null, spec: null })
+
+	try {
+		const sink = new OutputSink({ atomic: true, projectRoot: project.root })
+		sink.write('src/domains/demo/tags.ts', 'export {}\n')
+		sink.write(`${project.root}-outside.json`, '{}\n')
+
+		const [stagingDir] = stagingDirs(project.root)
+		const inside = sink.getPhysicalPath('src/domains/demo/tags.ts')
+		assert.equal(relative(join(project.root, stagingDir), inside), join('files', 'src/domains/demo/tags.ts'))
+		assert.equal(readFileSync(inside, 'utf-8'), 'export {}\n')
+
+		// projectRoot 밖의 파일도 파일 이름(확장자)은 유지
+		const outside = sink.getPhysicalPath(`${project.root}-outside.json`)
+		assert.equal(extname(outside), '.json')
+		assert.ok(outside.startsWith(join(project.root, stagingDir, 'external') + sep))
+
+		sink.rollback()
+		assert.deepEqual(stagingDirs(project.root), [])
+	} finally {
+		project.cleanup()
+	}
+})
+
+test('commit 이후 rollback은 덮어쓴 파일과 삭제한 파일을 복구하고 새 파일을 지운다', () => {
+	const project = createProject({ config: null, spec: null, files: { 'keep.txt': 'old\n', 'drop.txt': 'bye\n' } })
+
+	try {
+		const sink = new OutputSink({ atomic: true, projectRoot: project.root })
+		sink.write('new/file.ts', 'new\n')
+		sink.write('keep.txt', 'new\n')
+		sink.remove('drop.txt')
+		sink.commit()
+
+		assert.equal(sink.rollback(), 3)
+		assert.equal(project.read('keep.txt'), 'old\n')
+		assert.equal(project.read('drop.txt'), 'bye\n')
+		assert.equal(project.exists('new'), false)
+		assert.deepEqual(stagingDirs(project.root), [])
+	} finally {
+		project.cleanup()
+	}
+})
+
+test('dry-run에서는 atomic을 요청해도 임시 디렉토리를 만들지 않는다', () => {
+	const project = createProject({ config: null, spec: null })
+
+	try {
+		const sink = new OutputSink({ dryRun: true, atomic: true, projectRoot: project.root })
+		assert.equal(sink.atomic, false)
+
+		sink.write('a.ts', 'a\n')
+		assert.equal(sink.commit(), 0)
+		assert.deepEqual(stagingDirs(project.root), [])
+	} finally {
+		project.cleanup()
+	}
+})
+
+test('태그 절반을 처리한 뒤 단계가 실패하면 프로젝트는 실행 전과 똑같이 남는다', () => {
+	const project = createProject({ files: { 'codegen/half.mjs': FAIL_PLUGIN } })
+
+	try {
+		// 플러그인 없이 한 번 생성해 둔 상태에서 시작
+		assert.equal(runCli(['generate'], { cwd: project.root }).status, 0)
+		project.write('openapi-codegen.config.json', createDemoConfig({ plugins: ['./codegen/half.mjs'] }))
+		const spec = createDemoSpec()
+		spec.info.version = '2.0.0'
+		spec.paths['/users'].get.summary = 'List every user'
+		project.write('specs/demo.json', spec)
+		const before = snapshot(project.root)
+
+		const result = runCli(['generate', '--force'], { cwd: project.root })
+		assert.equal(result.status, 1)
+		assert.match(result.output, /half failed/)
+		assert.match(result.output, /실패한 단계가 있어 변경 사항을 반영하지 않았습니다/)
+
+		assert.deepEqual(snapshot(project.root), before)
+		assert.deepEqual(stagingDirs(project.root), [])
+	} finally {
+		project.cleanup()
+	}
+})
+
+test('atomic 모드의 afterWrite 훅은 확장자가 그대로인 임시 파일 경로를 받는다', () => {
+	const project = createProject({
+		config: createDemoConfig({ hooks: { afterWrite: './codegen/paths.mjs' } }),
+		files: { 'codegen/paths.mjs': PATH_HOOK },
+	})
+
+	try {
+		const result = runCli(['generate'], { cwd: project.root })
+		assert.equal(result.status, 0, result.output)
+
+		const writes = project.read('writes.log').trim().split('\n').map((line) => line.split(' '))
+		assert.ok(writes.length > 0)
+		writes.forEach(([filePath, extension, exists, absolutePath]) => {
+			assert.equal(extension, extname(filePath))
+			assert.equal(exists, 'true')
+			assert.match(relative(project.root, absolutePath), /^\.openapi-codegen-staging-[^/]+\/files\//)
+			assert.equal(absolutePath.endsWith(join('files', filePath)), true)
+		})
+		assert.deepEqual([...new Set(writes.map(([, extension]) => extension))].sort(), ['.json', '.ts'])
+		assert.deepEqual(stagingDirs(project.root), [])
+	} finally {
+		project.cleanup()
+	}
+})
+
+test('afterAll 훅이 실패하면 이미 반영한 파일도 이전 내용으로 되돌린다', () => {
+	const project = createProject()
+
+	try {
+		assert.equal(runCli(['generate'], { cwd: project.root }).status, 0)
+		const before = snapshot(project.root)
+
+		const spec = createDemoSpec()
+		delete spec.paths['/posts']
+		project.write('specs/demo.json', spec)
+		project.write('codegen/typecheck.mjs', "export default () => { throw new Error('tsc failed') }\n")
+		project.write('openapi-codegen.config.json', createDemoConfig({ hooks: { afterAll: './codegen/typecheck.mjs' } }))
+
+		const result = runCli(['generate'], { cwd: project.root })
+		assert.equal(result.status, 1)
+		assert.match(result.output, /📦 변경 사항 반영/)
+		assert.match(result.output, /실행이 중단되어 \d+개 파일을 이전 상태로 되돌렸습니다/)
+
+		// 정리 단계에서 지운 posts 파일까지 복구 (생성 결과는 실행 전과 같음)
+		const generated = (files) => Object.fromEntries(Object.entries(files).filter(([path]) => path.startsWith('src/')))
+		assert.deepEqual(generated(snapshot(project.root)), generated(before))
+		assert.equal(project.exists('src/domains/demo/api/posts/postsAPI.ts'), true)
+		assert.deepEqual(stagingDirs(project.root), [])
+	} finally {
+		project.cleanup()
+	}
+})
+
+test('--no-atomic은 실패한 단계 전까지 쓴 파일을 그대로 남긴다', () => {
+	const project = createProject({
+		config: createDemoConfig({ plugins: ['./codegen/half.mjs'] }),
+		files: { 'codegen/half.mjs': FAIL_PLUGIN },
+	})
+
+	try {
+		const result = runCli(['generate', '--no-atomic'], { cwd: project.root })
+		assert.equal(result.status, 1)
+		assert.doesNotMatch(result.output, /변경 사항을 반영하지 않았습니다/)
+
+		assert.equal(project.exists('src/domains/demo/tags.ts'), true)
+		assert.equal(project.exists('src/domains/demo/api/users/usersAPI.ts'), true)
+		assert.equal(readdirSync(join(project.root, 'src/half')).length, 1)
+		assert.deepEqual(stagingDirs(project.root), [])
+	} finally {
+		project.cleanup()
+	}
+})
@@ -0,0 +1,78 @@
+/**
+ * generate --check 테스트
+ *
+ * 생성 결과가 커밋된 파일과 다르면 종료 코드 1, 디스크는 건드리지 않음
+ */
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { rmSync } from 'fs'
+import { createDemoSpec, createProject, runCli } from './helpers.js'
+
+test('생성 직후에는 --check가 통과한다', () => {
+	const project = createProject()
+
+	try {
+		assert.equal(runCli(['generate'], { cwd: project.root }).status, 0)
+
+		const result = runCli(['generate', '--check'], { cwd: project.root })
+		assert.equal(result.status, 0, result.output)
+		assert.match(result.stdout, /✅ 생성 코드가 최신입니다\. \(\d+개 파일 확인\)/)
+		assert.match(result.stdout, /✅ Check 완료!/)
+	} finally {
+		project.cleanup()
+	}
+})
+
+test('손으로 고친 파일, 지운 파일, 스펙 변경을 drift로 보고하고 종료 코드 1로 실패한다', () => {
+	const project = createProject()
+
+	try {
+		assert.equal(runCli(['generate'], { cwd: project.root }).status, 0)
+
+		project.write('src/domains/demo/api/users/endpoint.ts', '// edited by hand\n')
+		rmSync(project.path('src/domains/demo/api/posts/postsAPI.ts'))
+
+		const spec = createDemoSpec()
+		spec.components.schemas.Post.properties.body = { type: 'string' }
+		project.write('specs/demo.json', spec)
+
+		const result = runCli(['generate', '--check'], { cwd: project.root })
+		assert.equal(result.status, 1, result.output)
+
+		assert.match(result.stderr, /❌ 생성 코드가 최신이 아닙니다: \d+\/\d+개 파일/)
+		assert.match(result.stderr, /- \[변경됨\] src\/domains\/demo\/api\/users\/endpoint\.ts/)
+		assert.match(result.stderr, /- \[누락\] src\/domains\/demo\/api\/posts\/postsAPI\.ts/)
+		assert.match(result.stderr, /- \[변경됨\] src\/domains\/demo\/types\/schema\.d\.ts/)
+
+		// check는 디스크를 고치지 않음
+		assert.equal(project.read('src/domains/demo/api/users/endpoint.ts'), '// edited by hand\n')
+	} finally {
+		project.cleanup()
+	}
+})
+
+test('생성된 적 없는 프로젝트에서는 누락 파일로 실패한다', () => {
+	const project = createProject()
+
+	try {
+		const result = runCli(['generate', '--check'], { cwd: project.root })
+		assert.equal(result.status, 1)
+		assert.match(result.stderr, /- \[누락\] src\/domains\/demo\/tags\.ts/)
+		assert.equal(project.exists('src'), false)
+	} finally {
+		project.cleanup()
+	}
+})
+
+test('--check는 --watch와 함께 사용할 수 없다', () => {
+	const project = createProject()
+
+	try {
+		const result = runCli(['generate', '--check', '--watch'], { cwd: project.root })
+		assert.equal(result.status, 1)
+		assert.match(result.stderr, /--watch는 --check와 함께 사용할 수 없습니다/)
+	} finally {
+		project.cleanup()
+	}
+})
@@ -0,0 +1,132 @@
+/**
+ * 병렬 생성 테스트
+ *
+ * runPool 동시 실행 수와 실패 처리, runBuffered 출력 묶음, --concurrency 생성 결과
+ */
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { readdirSync, readFileSync, statSync } from 'fs'
+import { join, relative } from 'path'
+import { runBuffered, runPool } from '../src/utils/Concurrency.js'
+import { captureConsole, createDemoConfig, createProject, runCli } from './helpers.js'
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+/**
+ * 같은 스펙을 쓰는 서버 두 개 (demo, shop)
+ */
+function createTwoServerProject() {
+	return createProject({
+		config: createDemoConfig({
+			servers: { demo: { source: 'specs/demo.json' }, shop: { source: 'specs/demo.json' } },
+			includeOnlyServers: ['demo', 'shop'],
+		}),
+	})
+}
+
+/**
+ * 생성된 src 아래 파일 내용 (상대 경로 → 내용)
+ */
+function readGenerated(root, dir = join(root, 'src'), files = {}) {
+	for (const entry of readdirSync(dir)) {
+		const path = join(dir, entry)
+		if (statSync(path).isDirectory()) {
+			readGenerated(root, path, files)
+		} else {
+			files[relative(root, path)] = readFileSync(path, 'utf-8')
+		}
+	}
+	return files
+}
+
+test('runPool은 최대 concurrency개씩 실행하고 결과는 입력 순서로 돌려준다', async () => {
+	let running = 0
+	let maxRunning = 0
+
+	const results = await runPool([30, 10, 20, 5, 15], 2, async (delay, index) => {
+		running++
+		maxRunning = Math.max(maxRunning, running)
+		await sleep(delay)
+		running--
+		return index
+	})
+
+	assert.deepEqual(results, [0, 1, 2, 3, 4])
+	assert.equal(maxRunning, 2)
+})
+
+test('runPool은 작업이 실패하면 새 작업을 시작하지 않고 실행 중인 작업을 기다린 뒤 첫 에러를 던진다', async () => {
+	const started = []
+	const finished = []
+
+	await assert.rejects(
+		runPool(['a', 'fail', 'b', 'c'], 2, async (item) => {
+			started.push(item)
+			if (item === 'fail') throw new Error('fail')
+			await sleep(20)
+			finished.push(item)
+		}),
+		/^Error: fail$/
+	)
+
+	assert.deepEqual(started, ['a', 'fail'])
+	assert.deepEqual(finished, ['a'])
+})
+
+test('runBuffered는 동시에 실행된 작업의 출력을 작업 단위로 모아서 출력한다', async () => {
+	const { lines } = await captureConsole(() =>
+		Promise.all(
+			['a', 'b'].map((name, index) =>
+				runBuffered(async () => {
+					console.log(`${name}1`)
+					await sleep(index === 0 ? 30 : 10)
+					console.warn(`${name}2`)
+				})
+			)
+		)
+	)
+
+	// b가 먼저 끝나므로 b의 출력이 한 번에, 그다음 a의 출력이 한 번에
+	assert.deepEqual(lines, ['b1', 'b2', 'a1', 'a2'])
+})
+
+test('--concurrency로 병렬 생성해도 순차 생성과 같은 파일을 만들고 서버별 출력이 섞이지 않는다', () => {
+	const sequential = createTwoServerProject()
+	const parallel = createTwoServerProject()
+
+	try {
+		assert.equal(runCli(['generate'], { cwd: sequential.root }).status, 0)
+
+		const result = runCli(['generate', '--concurrency', '4'], { cwd: parallel.root })
+		assert.equal(result.status, 0, result.output)
+		assert.deepEqual(readGenerated(parallel.root), readGenerated(sequential.root))
+
+		// 각 서버의 "처리 중" 다음 줄부터 다음 서버 시작 전까지는 같은 서버의 출력
+		const lines = result.stdout.split('\n')
+		const starts = lines
+			.map((line, index) => [line.match(/🔧 (\w+) 처리 중/)?.[1], index])
+			.filter(([server]) => server)
+		for (let i = 0; i < starts.length - 1; i++) {
+			const [server, index] = starts[i]
+			const block = lines.slice(index + 1, starts[i + 1][1]).join('\n')
+			const other = server === 'demo' ? 'shop' : 'demo'
+			assert.doesNotMatch(block, new RegExp(`/${other}/`), block)
+		}
+	} finally {
+		sequential.cleanup()
+		parallel.cleanup()
+	}
+})
+
+test('--concurrency는 1 이상의 정수만 받는다', () => {
+	const project = createProject()
+
+	try {
+		const result = runCli(['generate', '--concurrency', '0'], { cwd: project.root })
+		assert.notEqual(result.status, 0)
+		assert.match(result.stderr, /1 이상의 정수여야 합니다/)
+	} finally {
+		project.cleanup()
+	}
+})
@@ -0,0 +1,164 @@
+/**
+ * 설정 상속(extends)과 서버별 덮어쓰기 테스트
+ *
+ * extends 병합 순서, 순환 참조, 패키지 extends, servers.{name} 덮어쓰기와 덮어쓰기만 있는 서버 항목
+ */
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { ConfigManager, resolveServerConfig } from '../src/core/ConfigManager.js'
+import { PathResolver } from '../src/core/PathResolver.js'
+import { ServerDetector } from '../src/core/ServerDetector.js'
+import { createDemoConfig, createProject, loadProjectConfig, runCli } from './helpers.js'
+
+test('extends는 앞의 설정부터 깊은 병합한 뒤 현재 파일로 덮어쓴다', async () => {
+	const project = createProject({
+		config: null,
+		spec: null,
+		files: {
+			'configs/base.json': { projectName: 'base', errorHandling: { useToast: false, logErrors: true } },
+			'configs/team.json': { extends: './base.json', errorHandling: { logErrors: false }, excludeServers: ['legacy'] },
+			'node_modules/@org/codegen-config/package.json': { name: '@org/codegen-config', version: '1.0.0' },
+			'node_modules/@org/codegen-config/strict.json': { codeGeneration: { jsdoc: { enabled: false } } },
+			'app.json': {
+				extends: ['./configs/team.json', '@org/codegen-config/strict.json'],
+				projectName: 'app',
+			},
+		},
+	})
+
+	try {
+		const configManager = new ConfigManager(project.root)
+		const config = await configManager.readConfigWithExtends(project.path('app.json'))
+
+		assert.deepEqual(config, {
+			projectName: 'app',
+			errorHandling: { useToast: false, logErrors: false },
+			excludeServers: ['legacy'],
+			codeGeneration: { jsdoc: { enabled: false } },
+		})
+		assert.deepEqual(configManager.configFiles, [
+			project.path('app.json'),
+			project.path('configs/team.json'),
+			project.path('configs/base.json'),
+			project.path('node_modules/@org/codegen-config/strict.json'),
+		])
+	} finally {
+		project.cleanup()
+	}
+})
+
+test('extends 대상이 없거나 순환 참조이면 위치와 함께 에러를 던진다', async () => {
+	const project = createProject({
+		config: null,
+		spec: null,
+		files: {
+			'a.json': { extends: './b.json' },
+			'b.json': { extends: './a.json' },
+			'missing.json': { extends: './nope.json' },
+			'pkg.json': { extends: '@org/not-installed' },
+			'invalid.json': { extends: [42] },
+		},
+	})
+
+	try {
+		const configManager = new ConfigManager(project.root)
+		await assert.rejects(configManager.readConfigWithExtends(project.path('a.json')), /extends 순환 참조: a\.json → b\.json → a\.json/)
+		await assert.rejects(
+			configManager.readConfigWithExtends(project.path('missing.json')),
+			/extends 대상 파일을 찾을 수 없습니다: \.\/nope\.json/
+		)
+		await assert.rejects(
+			configManager.readConfigWithExtends(project.path('pkg.json')),
+			/extends 대상 패키지를 찾을 수 없습니다: @org\/not-installed/
+		)
+		await assert.rejects(configManager.readConfigWithExtends(project.path('invalid.json')), /extends는 경로 또는 패키지 이름/)
+	} finally {
+		project.cleanup()
+	}
+})
+
+test('resolveServerConfig는 덮어쓸 수 있는 설정만 서버 설정에 병합한다', () => {
+	const config = {
+		featureFlags: { generateDeepSchema: false },
+		errorHandling: { useToast: true, logErrors: true },
+		servers: {
+			legacy: { source: 'specs/legacy.yaml', errorHandling: { useToast: false }, featureFlags: { generateDeepSchema: true } },
+			plain: 'specs/plain.yaml',
+		},
+	}
+
+	const legacy = resolveServerConfig(config, 'legacy')
+	assert.deepEqual(legacy.errorHandling, { useToast: false, logErrors: true })
+	assert.deepEqual(legacy.featureFlags, { generateDeepSchema: false })
+	assert.equal(resolveServerConfig(config, 'plain'), config)
+	assert.equal(resolveServerConfig(config, 'unknown'), config)
+})
+
+test('servers.{name} 덮어쓰기는 해당 서버의 경로와 함수명에만 적용된다', () => {
+	const project = createProject({
+		config: createDemoConfig({
+			includeOnlyServers: ['demo', 'legacy'],
+			servers: {
+				demo: { source: 'specs/demo.json' },
+				legacy: {
+					source: 'specs/demo.json',
+					fileGeneration: { apiEndpoints: 'src/legacy/{serverName}/api' },
+					codeGeneration: { functionNaming: { get: 'load' } },
+				},
+			},
+		}),
+	})
+
+	try {
+		const result = runCli(['generate'], { cwd: project.root })
+		assert.equal(result.status, 0, result.output)
+
+		assert.match(project.read('src/domains/demo/api/users/usersAPI.ts'), /fetchUsers\b/)
+		assert.match(project.read('src/legacy/legacy/api/users/usersAPI.ts'), /loadUsers\b/)
+		assert.equal(project.exists('src/domains/legacy/api'), false)
+	} finally {
+		project.cleanup()
+	}
+})
+
+test('source 없이 덮어쓰기만 있는 servers 항목은 서버로 감지하지 않는다', async () => {
+	const project = createProject({
+		config: createDemoConfig({
+			includeOnlyServers: [],
+			servers: {
+				demo: { source: 'specs/demo.json' },
+				shorthand: 'specs/demo.json',
+				rank: { codeGeneration: { functionNaming: { get: 'load' } } },
+			},
+		}),
+	})
+
+	try {
+		const config = await loadProjectConfig(project)
+		const pathResolver = new PathResolver(config, project.root)
+
+		assert.deepEqual(new ServerDetector(config, pathResolver, {}).detectServers(), ['demo', 'shorthand'])
+
+		// 기본 설정과 병합하지 않은 servers만으로도 같은 결과
+		const { servers } = project.readJson('openapi-codegen.config.json')
+		assert.deepEqual(
+			new ServerDetector({ servers }, pathResolver, {}).detectFromConfig().map(({ name }) => name),
+			['demo', 'shorthand']
+		)
+
+		// 환경 변수로 감지되면 덮어쓰기 설정과 함께 생성 대상이 됨
+		const detected = new ServerDetector(config, pathResolver, { NEXT_PUBLIC_STEPIN_RANK: 'https://rank.test' }).detect()
+		assert.deepEqual(detected.servers.find(({ name }) => name === 'rank').sources, [
+			{ type: 'env', detail: 'NEXT_PUBLIC_STEPIN_RANK' },
+		])
+
+		// 덮어쓰기만 있는 항목 때문에 types 단계가 실패하지 않음
+		const result = runCli(['generate'], { cwd: project.root })
+		assert.equal(result.status, 0, result.output)
+		assert.doesNotMatch(result.output, /rank 서버의 OpenAPI 소스를 찾을 수 없습니다/)
+		assert.equal(project.exists('src/domains/rank'), false)
+	} finally {
+		project.cleanup()
+	}
+})
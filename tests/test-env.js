@@ -0,0 +1,139 @@
+/**
+ * 환경 프로필 테스트
+ *
+ * .env 파일 우선순위, 다시 로드, serverSettings.defaultEnvironment, environments.{env}, --env
+ */
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { ConfigManager } from '../src/core/ConfigManager.js'
+import { EnvLoader, resolveEnvironment } from '../src/core/EnvLoader.js'
+import { createDemoConfig, createDemoSpec, createProject, runCli } from './helpers.js'
+
+test('getEnvFiles는 Next.js와 같은 우선순위로 .env 파일 경로를 돌려준다', () => {
+	const loader = new EnvLoader('/app', {})
+
+	assert.deepEqual(loader.getEnvFiles('staging'), [
+		'/app/.env.staging.local',
+		'/app/.env.local',
+		'/app/.env.staging',
+		'/app/.env',
+	])
+	assert.deepEqual(loader.getEnvFiles('test'), ['/app/.env.test.local', '/app/.env.test', '/app/.env'])
+	assert.deepEqual(loader.getEnvFiles(), ['/app/.env.local', '/app/.env'])
+})
+
+test('load는 우선순위가 높은 파일의 값을 쓰고 셸 환경 변수는 덮어쓰지 않는다', () => {
+	const project = createProject({
+		config: null,
+		spec: null,
+		files: {
+			'.env': 'A=env\nB=env\nC=env\nD=env\nSHELL_VALUE=env\n',
+			'.env.staging': 'A=staging\nB=staging\nC=staging\n',
+			'.env.local': 'A=local\nB=local\n',
+			'.env.staging.local': 'A=staging-local\n',
+		},
+	})
+
+	try {
+		const env = { SHELL_VALUE: 'shell' }
+		const result = new EnvLoader(project.root, env).load('staging')
+
+		assert.deepEqual(env, { SHELL_VALUE: 'shell', A: 'staging-local', B: 'local', C: 'staging', D: 'env' })
+		assert.deepEqual(result.files, [
+			project.path('.env.staging.local'),
+			project.path('.env.local'),
+			project.path('.env.staging'),
+			project.path('.env'),
+		])
+		assert.deepEqual(result.variables.sort(), ['A', 'B', 'C', 'D'])
+	} finally {
+		project.cleanup()
+	}
+})
+
+test('다시 로드하면 이전에 설정한 값을 지우고, 그 사이 바뀐 값은 유지한다', () => {
+	const project = createProject({ config: null, spec: null, files: { '.env': 'A=1\nB=1\n' } })
+
+	try {
+		const env = {}
+		const loader = new EnvLoader(project.root, env)
+		loader.load()
+
+		env.B = 'changed'
+		project.write('.env', 'C=2\n')
+		loader.load()
+
+		assert.deepEqual(env, { B: 'changed', C: '2' })
+	} finally {
+		project.cleanup()
+	}
+})
+
+test('환경은 --env > serverSettings.defaultEnvironment > development 순으로 정하고 environments.{env}를 병합한다', () => {
+	const config = {
+		serverSettings: { defaultEnvironment: 'staging' },
+		servers: { demo: { source: 'specs/demo.json' } },
+		environments: {
+			staging: { servers: { demo: { source: 'https://staging.test/docs-yaml' } } },
+			production: { errorHandling: { useToast: false } },
+		},
+	}
+
+	assert.equal(resolveEnvironment(config, 'production'), 'production')
+	assert.equal(resolveEnvironment(config), 'staging')
+	assert.equal(resolveEnvironment({}), 'development')
+
+	const configManager = new ConfigManager()
+	assert.equal(configManager.applyEnvironment(config).servers.demo.source, 'https://staging.test/docs-yaml')
+	assert.equal(configManager.getEnvironment(), 'staging')
+
+	const production = configManager.applyEnvironment(config, 'production')
+	assert.equal(production.servers.demo.source, 'specs/demo.json')
+	assert.deepEqual(production.errorHandling, { useToast: false })
+
+	assert.equal(configManager.applyEnvironment(config, 'development'), config)
+})
+
+test('generate --env는 environments.{env}의 스펙 소스와 .env.{env} 값으로 생성한다', () => {
+	const stagingSpec = createDemoSpec()
+	stagingSpec.paths['/users'].get.summary = 'Staging users'
+
+	const project = createProject({
+		config: createDemoConfig({
+			environments: { staging: { servers: { demo: { source: 'specs/staging.json' } } } },
+		}),
+		files: {
+			'specs/staging.json': stagingSpec,
+			'.env.staging': 'NEXT_PUBLIC_STEPIN_EXTRA=https://extra.test\n',
+		},
+	})
+
+	try {
+		const result = runCli(['generate', '--env', 'staging', '--steps', 'types'], { cwd: project.root })
+		assert.equal(result.status, 0, result.output)
+		assert.match(result.stdout, /🌱 환경: staging \(\.env\.staging\)/)
+		assert.match(project.read('src/domains/demo/types/openapi.json'), /Staging users/)
+		// includeOnlyServers에 없는 서버라도 .env.staging의 URL로 감지됨
+		assert.match(result.stdout, /extra \(includeOnlyServers\)/)
+
+		const development = runCli(['generate', '--steps', 'types'], { cwd: project.root })
+		assert.equal(development.status, 0, development.output)
+		assert.match(development.stdout, /🌱 환경: development \(\.env 파일 없음\)/)
+		assert.doesNotMatch(project.read('src/domains/demo/types/openapi.json'), /Staging users/)
+	} finally {
+		project.cleanup()
+	}
+})
+
+test('--env로 지정한 환경의 .env 파일과 설정이 모두 없으면 경고한다', () => {
+	const project = createProject()
+
+	try {
+		const result = runCli(['validate', '--env', 'stagin'], { cwd: project.root })
+		assert.equal(result.status, 0, result.output)
+		assert.match(result.stderr, /stagin 환경의 \.env\.stagin 파일과 environments\.stagin 설정이 없습니다/)
+	} finally {
+		project.cleanup()
+	}
+})
@@ -0,0 +1,171 @@
+/**
+ * 생성 과정 훅 테스트
+ *
+ * 훅 호출 순서와 컨텍스트, 훅 에러 처리, afterWrite로 파일을 고쳐 쓰는 포맷터 훅과 manifest/--check
+ */
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { hashContent } from '../src/core/GenerationManifest.js'
+import { PluginManager } from '../src/core/PluginManager.js'
+import { createDemoConfig, createDemoSpec, createProject, runCli } from './helpers.js'
+
+/**
+ * 호출된 훅을 hooks.log에 한 줄씩 남기는 훅 모듈
+ */
+const LOG_HOOK = `
+import { appendFileSync } from 'fs'
+
+export default function ({ hook, step, serverName, tagName, filePath, dryRun, files, servers, steps, results }) {
+	const detail = { beforeAll: servers && steps && steps.join(','), afterStep: files && files.length, afterAll: results && results.failed.length }
+	appendFileSync('hooks.log', [hook, step, serverName, tagName, filePath, dryRun, detail[hook]].filter((value) => value != null).join(' ') + '\\n')
+}
+`
+
+/**
+ * 생성된 API 파일 끝에 주석을 붙이는 포맷터 훅 (이미 붙어 있으면 그대로)
+ */
+const FORMAT_HOOK = `
+import { readFileSync, writeFileSync } from 'fs'
+
+export default function ({ step, absolutePath }) {
+	if (step !== 'api') return
+	const content = readFileSync(absolutePath, 'utf-8')
+	if (!content.endsWith('// formatted\\n')) writeFileSync(absolutePath, content + '// formatted\\n')
+}
+`
+
+test('훅은 정해진 순서로 호출되고 afterWrite는 dry-run에서 호출되지 않는다', () => {
+	const project = createProject({
+		config: createDemoConfig({
+			featureFlags: { generateDeepSchema: false, generateEndpoints: false, generateReactQueryHooks: false },
+			hooks: {
+				beforeAll: './codegen/log.mjs',
+				beforeStep: './codegen/log.mjs',
+				afterStep: './codegen/log.mjs',
+				afterWrite: './codegen/log.mjs',
+				afterAll: ['./codegen/log.mjs'],
+			},
+		}),
+		files: { 'codegen/log.mjs': LOG_HOOK },
+	})
+
+	try {
+		const result = runCli(['generate', '--steps', 'tags'], { cwd: project.root })
+		assert.equal(result.status, 0, result.output)
+		assert.deepEqual(project.read('hooks.log').trim().split('\n'), [
+			'beforeAll false types,tags',
+			'beforeStep types demo false',
+			'afterWrite types demo src/domains/demo/types/openapi.json false',
+			'afterWrite types demo src/domains/demo/types/schema.d.ts false',
+			'afterStep types demo false 2',
+			'beforeStep tags demo false',
+			'afterWrite tags demo src/domains/demo/tags.ts false',
+			'afterStep tags demo false 1',
+			'afterAll false 0',
+		])
+
+		project.write('hooks.log', '')
+		const dryRun = runCli(['generate', '--dry-run', '--steps', 'tags', '--force'], { cwd: project.root })
+		assert.equal(dryRun.status, 0, dryRun.output)
+		assert.doesNotMatch(project.read('hooks.log'), /afterWrite/)
+		assert.match(project.read('hooks.log'), /^afterAll true 0$/m)
+	} finally {
+		project.cleanup()
+	}
+})
+
+test('훅에서 던진 에러는 실행을 실패시킨다', () => {
+	const project = createProject({
+		config: createDemoConfig({ hooks: { beforeAll: './codegen/fail.mjs' } }),
+		files: { 'codegen/fail.mjs': "export default () => { throw new Error('spec server down') }\n" },
+	})
+
+	try {
+		const result = runCli(['generate'], { cwd: project.root })
+		assert.equal(result.status, 1)
+		assert.match(result.output, /\.\/codegen\/fail\.mjs beforeAll 훅 실패: spec server down/)
+		assert.equal(project.exists('src'), false)
+	} finally {
+		project.cleanup()
+	}
+})
+
+test('알 수 없는 훅 이름과 함수가 아닌 훅 모듈은 로드할 때 거부한다', async () => {
+	const project = createProject({ config: null, spec: null, files: { 'codegen/value.mjs': 'export default 42\n' } })
+
+	try {
+		await assert.rejects(
+			new PluginManager({ hooks: { afterEverything: './x.mjs' } }, { baseDir: project.root }).loadPlugins(),
+			/알 수 없는 훅입니다: afterEverything \(사용 가능: beforeAll, beforeStep, afterStep, afterWrite, afterAll\)/
+		)
+		await assert.rejects(
+			new PluginManager({ hooks: { afterAll: './codegen/value.mjs' } }, { baseDir: project.root }).loadPlugins(),
+			/\.\/codegen\/value\.mjs: 훅 모듈은 함수를 default export해야 합니다/
+		)
+	} finally {
+		project.cleanup()
+	}
+})
+
+test('afterWrite 훅이 고쳐 쓴 파일은 다음 실행에서 재사용되고 --check를 통과한다', () => {
+	const project = createProject({
+		config: createDemoConfig({ hooks: { afterWrite: './codegen/format.mjs' } }),
+		files: { 'codegen/format.mjs': FORMAT_HOOK },
+	})
+
+	try {
+		assert.equal(runCli(['generate'], { cwd: project.root }).status, 0)
+
+		const apiPath = 'src/domains/demo/api/users/usersAPI.ts'
+		const formatted = project.read(apiPath)
+		assert.match(formatted, /\/\/ formatted\n$/)
+
+		// manifest에는 훅 실행 후 실제 파일 내용의 해시를 기록
+		const file = project.readJson('.openapi-codegen/manifest.json').files[apiPath]
+		assert.equal(file.hash, hashContent(formatted))
+		assert.equal(typeof file.generatedHash, 'string')
+
+		const second = runCli(['generate'], { cwd: project.root })
+		assert.equal(second.status, 0, second.output)
+		assert.equal(second.stdout.match(/입력 변경 없음, 건너뜀: 2\/2개 태그/g).length, 3)
+		assert.equal(project.read(apiPath), formatted)
+
+		const check = runCli(['generate', '--check'], { cwd: project.root })
+		assert.equal(check.status, 0, check.output)
+
+		const dryRun = runCli(['generate', '--dry-run', '--force'], { cwd: project.root })
+		assert.equal(dryRun.status, 0, dryRun.output)
+		assert.match(dryRun.stdout, /= \[변경 없음\] src\/domains\/demo\/api\/users\/usersAPI\.ts/)
+
+		// 훅이 고친 파일도 스펙에서 사라지면 직접 수정한 파일로 보지 않고 정리
+		const spec = createDemoSpec()
+		delete spec.paths['/posts']
+		project.write('specs/demo.json', spec)
+
+		const pruned = runCli(['generate'], { cwd: project.root })
+		assert.equal(pruned.status, 0, pruned.output)
+		assert.match(pruned.stdout, /🗑️ {2}삭제: src\/domains\/demo\/api\/posts\/postsAPI\.ts/)
+		assert.doesNotMatch(pruned.output, /직접 수정된 파일이므로 삭제하지 않습니다/)
+	} finally {
+		project.cleanup()
+	}
+})
+
+test('훅이 고친 파일을 다시 손으로 수정하면 --check가 drift로 보고한다', () => {
+	const project = createProject({
+		config: createDemoConfig({ hooks: { afterWrite: './codegen/format.mjs' } }),
+		files: { 'codegen/format.mjs': FORMAT_HOOK },
+	})
+
+	try {
+		assert.equal(runCli(['generate'], { cwd: project.root }).status, 0)
+		project.write('src/domains/demo/api/users/usersAPI.ts', '// edited\n')
+
+		const check = runCli(['generate', '--check'], { cwd: project.root })
+		assert.equal(check.status, 1)
+		assert.match(check.stderr, /- \[변경됨\] src\/domains\/demo\/api\/users\/usersAPI\.ts/)
+	} finally {
+		project.cleanup()
+	}
+})
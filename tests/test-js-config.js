@@ -0,0 +1,151 @@
+/**
+ * JS 설정 파일 테스트
+ *
+ * openapi-codegen.config.mjs/.js/.cjs 자동 탐색, defineConfig, 함수 값 (네이밍, 태그 매핑, 훅)
+ */
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { pathToFileURL } from 'url'
+import { ConfigManager, defineConfig } from '../src/core/ConfigManager.js'
+import { TOOLKIT_ROOT, captureConsole, createProject, runCli } from './helpers.js'
+
+const TOOLKIT_URL = pathToFileURL(`${TOOLKIT_ROOT}/src/index.js`).href
+
+/**
+ * 함수 값을 사용하는 JS 설정 (defineConfig)
+ */
+const MJS_CONFIG = `
+import { appendFileSync } from 'fs'
+import { defineConfig } from '${TOOLKIT_URL}'
+
+export default defineConfig({
+	projectName: 'demo',
+	servers: { demo: { source: process.env.DEMO_SPEC ?? 'specs/demo.json' } },
+	includeOnlyServers: ['demo'],
+	codeGeneration: {
+		functionNaming: ({ method, defaultName }) => (method === 'get' ? defaultName : defaultName + 'Mutation'),
+	},
+	tagging: {
+		map: (tag) => (tag === 'posts' ? 'articles' : undefined),
+	},
+	hooks: {
+		afterAll: ({ results }) => appendFileSync('hooks.log', 'afterAll ' + results.failed.length + '\\n'),
+	},
+})
+`
+
+async function loadConfig(project, path = null) {
+	const configManager = new ConfigManager(project.root)
+	const { result, lines } = await captureConsole(() => configManager.loadConfig(path))
+	return { config: result, lines, configManager }
+}
+
+test('defineConfig는 설정을 그대로 반환한다', () => {
+	const config = { projectName: 'demo' }
+	assert.equal(defineConfig(config), config)
+})
+
+test('openapi-codegen.config.mjs를 자동으로 찾아 함수 값을 유지한 채 기본 설정과 병합한다', async () => {
+	const project = createProject({ config: null, files: { 'openapi-codegen.config.mjs': MJS_CONFIG } })
+
+	try {
+		const { config, lines, configManager } = await loadConfig(project)
+
+		assert.ok(lines.some((line) => line.includes('openapi-codegen.config.mjs')))
+		assert.equal(config.projectName, 'demo')
+		assert.equal(typeof config.codeGeneration.functionNaming, 'function')
+		assert.equal(typeof config.tagging.map, 'function')
+		assert.equal(typeof config.hooks.afterAll, 'function')
+		// 기본 설정과 병합 (JSON 설정과 같은 결과)
+		assert.equal(typeof config.fileGeneration, 'object')
+		assert.deepEqual(configManager.validateConfig(config).errors, [])
+	} finally {
+		project.cleanup()
+	}
+})
+
+test('.cjs 설정은 module.exports를, .js 설정은 default export를 사용하고 JSON보다 먼저 찾는다', async () => {
+	const cjs = createProject({
+		files: { 'openapi-codegen.config.cjs': "module.exports = { projectName: 'from-cjs' }\n" },
+	})
+	const js = createProject({
+		files: {
+			'package.json': '{ "type": "module" }\n',
+			'openapi-codegen.config.js': "export default { projectName: 'from-js' }\n",
+		},
+	})
+
+	try {
+		assert.equal((await loadConfig(cjs)).config.projectName, 'from-cjs')
+		assert.equal((await loadConfig(js)).config.projectName, 'from-js')
+	} finally {
+		cjs.cleanup()
+		js.cleanup()
+	}
+})
+
+test('객체를 default export하지 않은 JS 설정은 경고 후 다음 후보로 넘어간다', async () => {
+	const project = createProject({
+		config: null,
+		spec: null,
+		files: { 'openapi-codegen.config.mjs': 'export default 42\n' },
+	})
+
+	try {
+		const { config, lines } = await loadConfig(project)
+		assert.ok(lines.some((line) => line.includes('설정 객체를 default export해야 합니다.')), lines.join('\n'))
+		assert.ok(lines.some((line) => line.includes('기본 설정 사용')))
+		assert.ok(config)
+	} finally {
+		project.cleanup()
+	}
+})
+
+test('함수를 허용하지 않는 설정에 함수를 쓰면 검증에서 거부한다', async () => {
+	const project = createProject({
+		config: null,
+		spec: null,
+		files: { 'openapi-codegen.config.mjs': 'export default { projectName: () => "demo" }\n' },
+	})
+
+	try {
+		const { config, configManager } = await loadConfig(project)
+		const { valid, errors } = configManager.validateConfig(config)
+		assert.equal(valid, false)
+		assert.ok(
+			errors.some((error) => error.includes('projectName') && error.includes('이 설정에는 함수를 사용할 수 없습니다')),
+			errors.join('\n')
+		)
+	} finally {
+		project.cleanup()
+	}
+})
+
+test('generate는 JS 설정의 함수 네이밍, 태그 매핑, 훅을 적용하고 함수가 바뀌면 다시 생성한다', () => {
+	const project = createProject({ config: null, files: { 'openapi-codegen.config.mjs': MJS_CONFIG } })
+
+	try {
+		const result = runCli(['generate'], { cwd: project.root })
+		assert.equal(result.status, 0, result.output)
+		assert.match(result.stdout, /openapi-codegen\.config\.mjs/)
+
+		const usersApi = project.read('src/domains/demo/api/users/usersAPI.ts')
+		assert.match(usersApi, /fetchUsers\b/)
+		assert.match(usersApi, /createUsersMutation\b/)
+		assert.equal(project.exists('src/domains/demo/api/articles/articlesAPI.ts'), true)
+		assert.equal(project.exists('src/domains/demo/api/posts'), false)
+		assert.equal(project.read('hooks.log'), 'afterAll 0\n')
+
+		// 설정이 같으면 건너뛰고, 함수 본문이 바뀌면 manifest의 설정 해시가 달라져 다시 생성
+		const second = runCli(['generate'], { cwd: project.root })
+		assert.match(second.stdout, /입력 변경 없음, 건너뜀: 2\/2개 태그/)
+
+		project.write('openapi-codegen.config.mjs', MJS_CONFIG.replace("'Mutation'", "'Command'"))
+		const third = runCli(['generate'], { cwd: project.root })
+		assert.equal(third.status, 0, third.output)
+		assert.match(project.read('src/domains/demo/api/users/usersAPI.ts'), /createUsersCommand\b/)
+	} finally {
+		project.cleanup()
+	}
+})
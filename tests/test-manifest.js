@@ -0,0 +1,123 @@
+/**
+ * 증분 생성 / manifest 테스트
+ *
+ * 입력 해시가 같고 출력이 그대로인 서버/태그는 건너뛰고, --force나 설정 변경 시 전체 재생성
+ */
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { GenerationManifest, hashContent } from '../src/core/GenerationManifest.js'
+import { OutputSink } from '../src/core/OutputSink.js'
+import { PathResolver } from '../src/core/PathResolver.js'
+import { captureConsole, createDemoConfig, createDemoSpec, createProject, loadProjectConfig, runCli } from './helpers.js'
+
+const MANIFEST_PATH = '.openapi-codegen/manifest.json'
+
+test('hashContent는 값 경계와 함수 소스를 구분한다', () => {
+	assert.notEqual(hashContent('ab', 'c'), hashContent('a', 'bc'))
+	assert.equal(hashContent({ a: 1 }), hashContent({ a: 1 }))
+	assert.notEqual(hashContent({ fn: (name) => name }), hashContent({ fn: (name) => name.toUpperCase() }))
+})
+
+test('첫 실행은 manifest에 서버/태그별 입력 해시와 파일 해시를 기록한다', () => {
+	const project = createProject()
+
+	try {
+		assert.equal(runCli(['generate'], { cwd: project.root }).status, 0)
+
+		const manifest = project.readJson(MANIFEST_PATH)
+		assert.equal(manifest.version, 1)
+		assert.deepEqual(Object.keys(manifest.servers.demo.tags), ['posts', 'users'])
+		assert.deepEqual(Object.keys(manifest.servers.demo.tags.users).sort(), ['api', 'endpoints', 'hooks'])
+		assert.deepEqual(manifest.files['src/domains/demo/tags.ts'], {
+			hash: hashContent(project.read('src/domains/demo/tags.ts')),
+			server: 'demo',
+			step: 'tags',
+			tag: null,
+		})
+		assert.equal(manifest.files['src/domains/demo/api/users/endpoint.ts'].tag, 'users')
+	} finally {
+		project.cleanup()
+	}
+})
+
+test('입력이 같으면 두 번째 실행은 모든 단계를 건너뛴다', () => {
+	const project = createProject()
+
+	try {
+		assert.equal(runCli(['generate'], { cwd: project.root }).status, 0)
+
+		const result = runCli(['generate'], { cwd: project.root })
+		assert.equal(result.status, 0, result.output)
+		assert.match(result.stdout, /♻️ {2}demo 스펙 변경 없음/)
+		assert.match(result.stdout, /♻️ {2}입력 변경 없음, 건너뜀: 2\/2개 태그/)
+		assert.doesNotMatch(result.stdout, /🔄/)
+	} finally {
+		project.cleanup()
+	}
+})
+
+test('한 태그의 operation만 바뀌면 그 태그만 다시 생성한다', () => {
+	const project = createProject()
+
+	try {
+		assert.equal(runCli(['generate'], { cwd: project.root }).status, 0)
+
+		const spec = createDemoSpec()
+		spec.paths['/posts'].get.summary = '게시글 목록'
+		project.write('specs/demo.json', spec)
+
+		const result = runCli(['generate'], { cwd: project.root })
+		assert.equal(result.status, 0, result.output)
+		assert.match(result.stdout, /♻️ {2}입력 변경 없음, 건너뜀: 1\/2개 태그/)
+		assert.doesNotMatch(result.stdout, /건너뜀: 2\/2개 태그/)
+	} finally {
+		project.cleanup()
+	}
+})
+
+test('직접 수정한 출력 파일은 입력이 같아도 다시 생성한다', () => {
+	const project = createProject()
+
+	try {
+		assert.equal(runCli(['generate'], { cwd: project.root }).status, 0)
+		const original = project.read('src/domains/demo/api/users/endpoint.ts')
+
+		project.write('src/domains/demo/api/users/endpoint.ts', '// edited\n')
+
+		assert.equal(runCli(['generate'], { cwd: project.root }).status, 0)
+		assert.equal(project.read('src/domains/demo/api/users/endpoint.ts'), original)
+	} finally {
+		project.cleanup()
+	}
+})
+
+test('--force와 설정 변경은 이전 기록을 재사용하지 않는다', async () => {
+	const project = createProject()
+
+	try {
+		assert.equal(runCli(['generate'], { cwd: project.root }).status, 0)
+
+		const forced = runCli(['generate', '--force'], { cwd: project.root })
+		assert.equal(forced.status, 0, forced.output)
+		assert.match(forced.stdout, /🔄 --force: 이전 생성 기록을 무시하고 전체를 다시 생성합니다\./)
+		assert.doesNotMatch(forced.stdout, /입력 변경 없음/)
+
+		project.write('openapi-codegen.config.json', createDemoConfig({ imports: { external: { toast: 'sonner' } } }))
+		const reconfigured = runCli(['generate'], { cwd: project.root })
+		assert.equal(reconfigured.status, 0, reconfigured.output)
+		assert.doesNotMatch(reconfigured.stdout, /입력 변경 없음/)
+
+		// toolkit 버전/설정 해시가 같을 때만 재사용 가능
+		const config = await loadProjectConfig(project)
+		const sink = new OutputSink({ projectRoot: project.root })
+		const pathResolver = new PathResolver(config, project.root)
+		const manifest = new GenerationManifest(pathResolver, sink, { toolkitVersion: '0.0.0-other', configHash: 'x' })
+
+		await captureConsole(() => manifest.load())
+		assert.equal(manifest.reusable, false)
+		assert.ok(Object.keys(manifest.next.files).length > 0, '출력 파일 기록은 이어받음')
+	} finally {
+		project.cleanup()
+	}
+})
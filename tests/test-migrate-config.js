@@ -0,0 +1,166 @@
+/**
+ * 설정 마이그레이션 테스트
+ *
+ * 버전 감지, 이전 형식 변환, tournament 제외 규칙 이동, 사용자 값 유지, 새 기본값 추가, 설명용 키 제거, migrate-config 명령
+ */
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { CONFIG_VERSION, ConfigManager } from '../src/core/ConfigManager.js'
+import { detectConfigVersion, migrateConfig } from '../src/core/ConfigMigrator.js'
+import { createProject, runCli } from './helpers.js'
+
+/**
+ * configVersion이 없는 v1 설정 (boolean featureFlags, 문자열 servers)
+ */
+const LEGACY_CONFIG = {
+	$schema: './node_modules/@stepin/openapi-codegen/schema/openapi-codegen.schema.json',
+	projectName: 'legacy-app',
+	servers: { demo: 'specs/demo.json' },
+	featureFlags: {
+		_comment: '단계별 활성화',
+		generateDeepSchema: true,
+		generateReactQueryHooks: { enabled: false },
+	},
+	errorHandling: { useToast: false, _examples: { useToast: 'true면 toast 표시' } },
+}
+
+test('configVersion이 없으면 1로 본다', () => {
+	assert.equal(detectConfigVersion({}), 1)
+	assert.equal(detectConfigVersion({ configVersion: 2 }), 2)
+	assert.equal(detectConfigVersion({ configVersion: '2' }), 1)
+})
+
+test('v1 설정의 boolean featureFlags와 문자열 servers를 객체 형식으로 바꾸고 사용자 값은 유지한다', () => {
+	const { config, fromVersion, toVersion, changes } = migrateConfig(LEGACY_CONFIG)
+
+	assert.equal(fromVersion, 1)
+	assert.equal(toVersion, CONFIG_VERSION)
+	assert.deepEqual(Object.keys(config).slice(0, 3), ['$schema', 'configVersion', 'projectName'])
+
+	assert.deepEqual(config.featureFlags.generateDeepSchema, { enabled: true })
+	assert.deepEqual(config.featureFlags.generateReactQueryHooks, { enabled: false })
+	assert.deepEqual(config.servers.demo, { source: 'specs/demo.json' })
+	assert.equal(config.projectName, 'legacy-app')
+	assert.equal(config.errorHandling.useToast, false)
+
+	assert.deepEqual(changes.slice(0, 3), [
+		{ pointer: '/configVersion', message: `(없음) → ${CONFIG_VERSION}` },
+		{ pointer: '/featureFlags/generateDeepSchema', message: 'true → {"enabled":true}' },
+		{ pointer: '/servers/demo', message: '"specs/demo.json" → {"source":"specs/demo.json"}' },
+	])
+	assert.ok(changes.some(({ pointer, message }) => pointer === '/fileGeneration' && message === '추가 (기본값)'))
+
+	// 원본은 바꾸지 않음
+	assert.equal(LEGACY_CONFIG.featureFlags.generateDeepSchema, true)
+})
+
+test('v2 이하 설정에는 코드에 있던 content 서버의 tournament 제외 규칙을 servers.content.filters로 옮긴다', () => {
+	const internal = { path: ['/internal', '/internal/**', '/v*/internal', '/v*/internal/**'] }
+	const tournament = { path: ['/tournament', '/tournament/**', '/v*/tournament', '/v*/tournament/**'] }
+
+	const { config, changes } = migrateConfig({ configVersion: 2, servers: { content: { source: 'specs/content.yaml' } } })
+	assert.deepEqual(config.servers.content, { source: 'specs/content.yaml', filters: { exclude: [internal, tournament] } })
+	assert.ok(changes.some(({ pointer }) => pointer === '/servers/content/filters/exclude'))
+
+	// 서버별 exclude는 최상위 규칙을 대신하므로 사용자의 최상위 규칙을 함께 옮김
+	const custom = migrateConfig({ configVersion: 2, servers: { content: 'specs/content.yaml' }, filters: { exclude: [{ deprecated: true }] } })
+	assert.deepEqual(custom.config.servers.content, {
+		source: 'specs/content.yaml',
+		filters: { exclude: [{ deprecated: true }, tournament] },
+	})
+
+	// 이미 지정한 규칙, extends 설정, 현재 버전 설정에는 추가하지 않음
+	const own = { content: { filters: { exclude: [] } } }
+	assert.deepEqual(migrateConfig({ configVersion: 2, servers: own }).config.servers, own)
+	assert.equal(migrateConfig({ configVersion: 2, extends: './base.json' }).config.servers, undefined)
+	assert.equal(migrateConfig({ configVersion: CONFIG_VERSION }).config.servers.content, undefined)
+})
+
+test('새 릴리스에서 추가된 설정은 기본값으로 추가하되 설명용 키는 넣지 않는다', () => {
+	const { config, changes } = migrateConfig(LEGACY_CONFIG)
+
+	assert.ok(changes.some(({ pointer }) => pointer === '/errorHandling/customHandlers'))
+	assert.equal(config.errorHandling.customHandlers.errorHandler.functionName, 'handleAPIError')
+	assert.equal(config.errorHandling.customHandlers._comment, undefined)
+	assert.equal(config.errorHandling.customHandlers.contextData._comment, undefined)
+	assert.equal(config.featureFlags.generateValidatedTypes.enabled, true)
+	assert.equal(config.featureFlags._comment, '단계별 활성화')
+	assert.equal(config.codeGeneration._comment, undefined)
+
+	// 변환 결과는 스키마 검증을 통과
+	const configManager = new ConfigManager()
+	assert.deepEqual(configManager.validateConfig(configManager.mergeWithDefaults(config)).errors, [])
+})
+
+test('stripComments는 모든 설명용 키를 제거하고, extends 설정에는 기본값을 추가하지 않는다', () => {
+	const stripped = migrateConfig(LEGACY_CONFIG, { stripComments: true })
+	assert.equal(stripped.config.featureFlags._comment, undefined)
+	assert.equal(stripped.config.errorHandling._examples, undefined)
+	assert.deepEqual(stripped.changes.at(-1), { pointer: '', message: '설명용 키 2개 제거 (_comment, _examples 등)' })
+
+	const extended = migrateConfig({ extends: './base.json', featureFlags: { generateDeepSchema: false } })
+	assert.deepEqual(extended.config, {
+		configVersion: CONFIG_VERSION,
+		extends: './base.json',
+		featureFlags: { generateDeepSchema: { enabled: false } },
+	})
+})
+
+test('최신 설정은 변경 없음, 더 새 버전의 설정은 에러', () => {
+	const current = migrateConfig(migrateConfig(LEGACY_CONFIG).config)
+	assert.deepEqual(current.changes, [])
+	assert.equal(current.fromVersion, CONFIG_VERSION)
+
+	assert.throws(
+		() => migrateConfig({ configVersion: CONFIG_VERSION + 1 }),
+		new RegExp(`지원하는 설정 버전\\(${CONFIG_VERSION}\\)보다 새 버전입니다: configVersion ${CONFIG_VERSION + 1}`)
+	)
+})
+
+test('migrate-config는 변경 요약을 출력하고 --dry-run에서는 파일을 쓰지 않는다', () => {
+	const project = createProject({ config: LEGACY_CONFIG })
+	const before = project.read('openapi-codegen.config.json')
+
+	try {
+		const dryRun = runCli(['migrate-config', '--dry-run'], { cwd: project.root })
+		assert.equal(dryRun.status, 0, dryRun.output)
+		assert.match(dryRun.stdout, new RegExp(`🔄 설정 마이그레이션: \\./openapi-codegen\\.config\\.json \\(v1 → v${CONFIG_VERSION}\\)`))
+		assert.match(dryRun.stdout, /- \/featureFlags\/generateDeepSchema: true → \{"enabled":true\}/)
+		assert.match(dryRun.stdout, /Dry-run 완료/)
+		assert.equal(project.read('openapi-codegen.config.json'), before)
+
+		const result = runCli(['migrate-config', '--strip-comments'], { cwd: project.root })
+		assert.equal(result.status, 0, result.output)
+		assert.match(result.stdout, /💾 저장: \.\/openapi-codegen\.config\.json/)
+
+		const migrated = project.readJson('openapi-codegen.config.json')
+		assert.equal(migrated.configVersion, CONFIG_VERSION)
+		assert.equal(migrated.servers.content.filters.exclude.length, 2)
+		assert.doesNotMatch(project.read('openapi-codegen.config.json'), /"_comment"/)
+
+		const again = runCli(['migrate-config'], { cwd: project.root })
+		assert.match(again.stdout, /이미 최신 형식입니다/)
+
+		// 변환한 설정으로 바로 생성 가능
+		assert.equal(runCli(['generate', '--steps', 'tags'], { cwd: project.root }).status, 0)
+	} finally {
+		project.cleanup()
+	}
+})
+
+test('migrate-config는 JS 설정 파일과 없는 파일을 거부한다', () => {
+	const project = createProject({ config: null, spec: null, files: { 'openapi-codegen.config.mjs': 'export default {}\n' } })
+
+	try {
+		const js = runCli(['migrate-config', '--config', 'openapi-codegen.config.mjs'], { cwd: project.root })
+		assert.equal(js.status, 1)
+		assert.match(js.stderr, /JSON 설정 파일만 변환할 수 있습니다/)
+
+		const missing = runCli(['migrate-config'], { cwd: project.root })
+		assert.equal(missing.status, 1)
+		assert.match(missing.stderr, /설정 파일을 찾을 수 없습니다: \.\/openapi-codegen\.config\.json/)
+	} finally {
+		project.cleanup()
+	}
+})
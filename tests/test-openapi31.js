@@ -0,0 +1,234 @@
+/**
+ * OpenAPI 3.1 / JSON Schema 문법 테스트
+ *
+ * type 배열, const, oneOf const 목록, prefixItems 튜플, $defs 이동, webhooks, examples 배열
+ */
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+	getEnumValues,
+	getSchemaTypes,
+	hoistSchemaDefs,
+	isArraySchema,
+	isNullableSchema,
+	renderSchemaType,
+} from '../src/parsers/JsonSchema.js'
+import { buildSpecModel, parseSpecDocument } from '../src/parsers/SchemaParser.js'
+import { createDemoConfig, createProject, runCli } from './helpers.js'
+
+const USER_REF = { $ref: '#/components/schemas/User' }
+
+/**
+ * 테스트용 OpenAPI 3.1 문서
+ */
+function createOpenAPI31Spec() {
+	return {
+		openapi: '3.1.0',
+		info: { title: 'next', version: '1.0.0' },
+		paths: {
+			'/items/{id}': {
+				get: {
+					operationId: 'Item_get',
+					parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'string' } }],
+					responses: {
+						200: {
+							description: 'ok',
+							content: {
+								'application/json': {
+									schema: {
+										type: 'object',
+										properties: {
+											code: { type: 'number' },
+											message: { type: 'string' },
+											data: { type: ['array', 'null'], items: { $ref: '#/components/schemas/Item' } },
+										},
+									},
+								},
+							},
+						},
+					},
+				},
+			},
+			'/points': {
+				get: {
+					operationId: 'Point_get',
+					responses: {
+						200: {
+							description: 'ok',
+							content: {
+								'application/json': {
+									schema: {
+										type: 'object',
+										properties: {
+											code: { type: 'number' },
+											message: { type: 'string' },
+											data: { type: 'array', prefixItems: [{ const: 'point' }, { type: 'number' }, { type: 'number' }], items: false },
+										},
+									},
+								},
+							},
+						},
+					},
+				},
+			},
+		},
+		webhooks: {
+			itemCreated: {
+				post: {
+					operationId: 'Webhook_itemCreated',
+					requestBody: { content: { 'application/json': { schema: { $ref: '#/components/schemas/Item' } } } },
+					responses: { 200: { description: 'ok' } },
+				},
+			},
+		},
+		components: {
+			schemas: {
+				Item: {
+					type: 'object',
+					required: ['kind', 'point'],
+					$defs: { Owner: { type: 'object', properties: { name: { type: 'string' } } } },
+					properties: {
+						kind: { const: 'item' },
+						name: { type: ['string', 'null'], examples: ['a', 'b'] },
+						point: { type: 'array', prefixItems: [{ type: 'number' }, { type: 'number' }], items: false },
+						status: { oneOf: [{ const: 'ON', title: '켜짐' }, { const: 'OFF', title: '꺼짐' }] },
+						owner: { anyOf: [{ $ref: '#/components/schemas/Item/$defs/Owner' }, { type: 'null' }] },
+					},
+				},
+			},
+		},
+	}
+}
+
+test('type 배열과 3.0 nullable을 같은 type 목록으로 해석한다', () => {
+	assert.deepEqual(getSchemaTypes({ type: ['string', 'null'] }), ['string', 'null'])
+	assert.deepEqual(getSchemaTypes({ type: 'string', nullable: true }), ['string', 'null'])
+	assert.deepEqual(getSchemaTypes({ nullable: true }), [])
+
+	assert.equal(isNullableSchema({ type: ['integer', 'null'] }), true)
+	assert.equal(isNullableSchema({ anyOf: [USER_REF, { type: 'null' }] }), true)
+	assert.equal(isNullableSchema({ enum: ['A', null] }), true)
+	assert.equal(isNullableSchema({ const: null }), true)
+	assert.equal(isNullableSchema({ type: 'string' }), false)
+
+	assert.equal(isArraySchema({ type: ['array', 'null'] }), true)
+	assert.equal(isArraySchema({ prefixItems: [{ type: 'number' }] }), true)
+	assert.equal(isArraySchema({ type: 'object' }), false)
+})
+
+test('const, enum, const만 가진 oneOf 멤버를 값 목록으로 해석한다', () => {
+	assert.deepEqual(getEnumValues({ const: 'item' }), ['item'])
+	assert.deepEqual(getEnumValues({ enum: ['A', 'B'] }), ['A', 'B'])
+	assert.deepEqual(getEnumValues({ oneOf: [{ const: 'ON', title: '켜짐' }, { const: 'OFF' }, { type: 'null' }] }), ['ON', 'OFF', null])
+	assert.equal(getEnumValues({ oneOf: [{ const: 'ON' }, { type: 'string' }] }), null)
+	assert.equal(getEnumValues({ type: 'string' }), null)
+})
+
+test('renderSchemaType은 유니온, 리터럴, 튜플 타입을 만든다', () => {
+	assert.equal(renderSchemaType({ type: ['string', 'null'] }), 'string | null')
+	assert.equal(renderSchemaType({ type: ['array', 'null'], items: USER_REF }), "components['schemas']['User'][] | null")
+	assert.equal(renderSchemaType({ anyOf: [USER_REF, { type: 'null' }] }), "components['schemas']['User'] | null")
+	assert.equal(renderSchemaType({ allOf: [USER_REF], nullable: true }), "components['schemas']['User'] | null")
+	assert.equal(renderSchemaType({ const: "it's" }), "'it\\'s'")
+	assert.equal(renderSchemaType({ enum: [1, 2, null] }), '1 | 2 | null')
+	assert.equal(renderSchemaType({ type: 'array', items: { type: ['string', 'number'] } }), '(string | number)[]')
+
+	assert.equal(
+		renderSchemaType({ type: 'array', prefixItems: [{ const: 'point' }, { type: 'number' }], items: false }),
+		"['point', number]"
+	)
+	assert.equal(
+		renderSchemaType({ prefixItems: [{ type: 'string' }], items: { type: ['integer', 'boolean'] } }),
+		'[string, ...(number | boolean)[]]'
+	)
+
+	// 인라인 객체는 타입 문자열로 옮길 수 없음
+	assert.equal(renderSchemaType({ type: 'object', properties: {} }), null)
+	assert.equal(renderSchemaType({ anyOf: [USER_REF, { type: 'object' }] }), null)
+	assert.equal(renderSchemaType({ $ref: '#/components/schemas/User/properties/id' }), null)
+})
+
+test('hoistSchemaDefs는 $defs를 components.schemas로 옮기고 $ref를 바꾼다', () => {
+	const document = {
+		$defs: { Money: { type: 'number' } },
+		components: {
+			schemas: {
+				Owner: { type: 'string' },
+				Item: {
+					$defs: { Owner: { type: 'object', $defs: { Tag: { type: 'string' } } } },
+					properties: {
+						owner: { $ref: '#/components/schemas/Item/$defs/Owner' },
+						ownerName: { $ref: '#/components/schemas/Item/$defs/Owner/properties/name' },
+						tag: { $ref: '#/components/schemas/Item/$defs/Owner/$defs/Tag' },
+						price: { $ref: '#/$defs/Money' },
+					},
+				},
+			},
+		},
+	}
+
+	const { document: hoisted, hoisted: names } = hoistSchemaDefs(document)
+	assert.deepEqual(names, ['Money', 'Item_Owner', 'Tag'])
+	assert.equal(hoisted.$defs, undefined)
+	assert.equal(hoisted.components.schemas.Item.$defs, undefined)
+	assert.deepEqual(hoisted.components.schemas.Item.properties, {
+		owner: { $ref: '#/components/schemas/Item_Owner' },
+		ownerName: { $ref: '#/components/schemas/Item_Owner/properties/name' },
+		tag: { $ref: '#/components/schemas/Tag' },
+		price: { $ref: '#/components/schemas/Money' },
+	})
+
+	// 원본은 바꾸지 않고, $defs가 없으면 같은 문서를 반환
+	assert.ok(document.components.schemas.Item.$defs)
+	const plain = { components: { schemas: { User: { type: 'object' } } } }
+	assert.equal(hoistSchemaDefs(plain).document, plain)
+})
+
+test('스펙 모델은 webhooks를 API operation과 따로 담는다', () => {
+	const model = buildSpecModel(parseSpecDocument(JSON.stringify(createOpenAPI31Spec())))
+
+	assert.deepEqual(
+		model.operations.map(({ operationId }) => operationId),
+		['Item_get', 'Point_get']
+	)
+	assert.equal(model.webhooks.length, 1)
+	assert.equal(model.webhooks[0].operationId, 'Webhook_itemCreated')
+	assert.equal(model.webhooks[0].requestBody.schemaRef, 'Item')
+	assert.ok(model.schemas.Owner)
+	assert.deepEqual(model.schemas.Item.properties.owner.anyOf[0], { $ref: '#/components/schemas/Owner' })
+})
+
+test('OpenAPI 3.1 스펙으로 유니온, 튜플 RO 타입과 webhooks 타입, deep schema를 생성한다', () => {
+	const project = createProject({ config: createDemoConfig(), spec: createOpenAPI31Spec() })
+
+	try {
+		const result = runCli(['generate', '--verbose'], { cwd: project.root })
+		assert.equal(result.status, 0, result.output)
+		assert.match(result.output, /\$defs를 components\.schemas로 이동 \(.*demo\.json\): Owner/)
+
+		const schema = project.read('src/domains/demo/types/schema.d.ts')
+		assert.match(schema, /kind: "item";/)
+		assert.match(schema, /name\?: string \| null;/)
+		assert.match(schema, /owner\?: components\["schemas"\]\["Owner"\] \| null;/)
+		// 상위 스키마 타입에 $defs 속성이 남지 않음
+		assert.doesNotMatch(schema, /\$defs: \{/)
+
+		const validated = project.read('src/domains/demo/types/validated.ts')
+		assert.match(validated, /^import type \{ components, paths, webhooks \} from '\.\/schema';/)
+		assert.match(validated, /export type Item_get_RO = components\['schemas'\]\['Item'\]\[\] \| null;/)
+		assert.match(validated, /export type Point_get_RO = \['point', number, number\];/)
+		assert.match(validated, /export type Webhook_itemCreated_Body = components\['schemas'\]\['Item'\];/)
+
+		// webhooks는 API 함수를 만들지 않음
+		assert.equal(project.exists('src/domains/demo/api/itemCreated'), false)
+		assert.doesNotMatch(project.read('src/domains/demo/api/items/itemsAPI.ts'), /Webhook_itemCreated/)
+
+		const deepSchema = project.read('src/domains/demo/types/deepSchema.ts')
+		assert.match(deepSchema, /export type Owner = components\['schemas'\]\['Owner'\];/)
+		assert.match(deepSchema, /export type Props_Item_Status = Item\['status'\];/)
+		assert.match(deepSchema, /export type Props_Item_Owner = Item\['owner'\];/)
+	} finally {
+		project.cleanup()
+	}
+})
@@ -0,0 +1,147 @@
+/**
+ * operation 필터 테스트
+ *
+ * filters.include/exclude 규칙 조건, 기본 규칙, 서버별 filters, --verbose 제외 이유
+ */
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { ConfigManager, resolveServerConfig } from '../src/core/ConfigManager.js'
+import { OperationFilter, pathPatternToRegExp } from '../src/utils/OperationFilter.js'
+import { NamingConventions } from '../src/utils/NamingConventions.js'
+import { createDemoConfig, createDemoSpec, createProject, runCli } from './helpers.js'
+
+const operation = (path, method = 'get', fields = {}) => ({
+	path,
+	method,
+	operationId: null,
+	tags: [],
+	extensions: {},
+	...fields,
+})
+
+test('path 패턴의 {id}는 아무 세그먼트와 일치하고 **는 하위 경로 전체와 일치한다', () => {
+	assert.equal(pathPatternToRegExp('/users/{id}/**').test('/users/{userId}/posts'), true)
+	assert.equal(pathPatternToRegExp('/users/{id}').test('/users/{id}/posts'), false)
+	assert.equal(pathPatternToRegExp('/v*/internal/**').test('/v2/internal/health'), true)
+	assert.equal(pathPatternToRegExp('/internal/**').test('/internals'), false)
+})
+
+test('규칙의 조건은 모두 일치해야 하고, 규칙 목록은 하나만 일치하면 된다', () => {
+	const filter = new OperationFilter({
+		exclude: [
+			{ path: '/users/**', methods: ['DELETE'] },
+			{ operationIds: ['Admin*'] },
+			{ tags: ['internal'] },
+			{ deprecated: true },
+			{ 'x-internal': true },
+		],
+	})
+
+	assert.equal(filter.isIncluded(operation('/users/{id}', 'delete')), false)
+	assert.equal(filter.isIncluded(operation('/users/{id}', 'get')), true)
+	assert.equal(filter.isIncluded(operation('/stats', 'get', { operationId: 'AdminController_stats' })), false)
+	assert.equal(filter.isIncluded(operation('/stats', 'get', { operationId: null })), true)
+	assert.equal(filter.isIncluded(operation('/health', 'get', { tags: ['public', 'internal'] })), false)
+	assert.equal(filter.isIncluded(operation('/old', 'get', { deprecated: true })), false)
+	assert.equal(filter.isIncluded(operation('/secret', 'get', { extensions: { 'x-internal': true } })), false)
+	assert.equal(filter.isIncluded(operation('/secret', 'get', { extensions: { 'x-internal': false } })), true)
+})
+
+test('include가 있으면 일치하는 operation만 남기고 exclude가 include보다 우선한다', () => {
+	const filter = new OperationFilter({
+		include: [{ path: '/users/**' }, { tags: ['posts'] }],
+		exclude: [{ path: '/users/{id}', methods: ['delete'], _comment: '삭제 API 숨김' }],
+	})
+
+	assert.equal(filter.getSkipReason(operation('/users/{id}')), null)
+	assert.equal(filter.getSkipReason(operation('/feed', 'get', { tags: ['posts'] })), null)
+	assert.equal(filter.getSkipReason(operation('/feed')), 'filters.include의 어떤 규칙과도 일치하지 않음')
+	assert.equal(
+		filter.getSkipReason(operation('/users/{id}', 'delete')),
+		'filters.exclude[0] 규칙과 일치 ({"path":"/users/{id}","methods":["delete"]})'
+	)
+})
+
+test('기본 설정은 모든 서버에서 /internal 경로만 제외한다', () => {
+	const configManager = new ConfigManager()
+	const config = configManager.mergeWithDefaults({ servers: { shop: { source: 'specs/shop.json' } } })
+	const shop = new NamingConventions(resolveServerConfig(config, 'shop'))
+	const content = new NamingConventions(resolveServerConfig(config, 'content'))
+
+	for (const naming of [shop, content]) {
+		assert.equal(naming.extractTag(operation('/internal/health'), 'demo'), null)
+		assert.equal(naming.extractTag(operation('/v1/internal'), 'demo'), null)
+		assert.equal(naming.extractTag(operation('/users'), 'demo'), 'users')
+		assert.equal(naming.extractTag(operation('/tournament/list'), 'demo'), 'tournament')
+	}
+
+	// 기본 설정에는 서버별 항목이 없음 (init으로 만든 설정에도 들어가지 않음)
+	assert.deepEqual(configManager.getDefaultConfig().servers, {})
+	assert.deepEqual(Object.keys(config.servers), ['shop'])
+})
+
+test('환경별 설정에서 서버를 문자열 소스로 바꿔도 servers.<name>.filters를 유지한다', () => {
+	const configManager = new ConfigManager()
+	const config = configManager.mergeWithDefaults({
+		servers: {
+			content: { source: 'specs/content.yaml', filters: { exclude: [{ path: '/tournament/**' }] } },
+			shop: 'specs/shop.yaml',
+		},
+		environments: { staging: { servers: { content: 'https://staging.test/content/docs-yaml', shop: 'specs/shop.json' } } },
+	})
+
+	const staging = configManager.applyEnvironment(config, 'staging')
+	assert.equal(staging.servers.content.source, 'https://staging.test/content/docs-yaml')
+	assert.equal(staging.servers.shop, 'specs/shop.json')
+	assert.equal(new NamingConventions(resolveServerConfig(staging, 'content')).extractTagFromPath('/tournament/list'), null)
+
+	// 서버별 exclude는 최상위 규칙을 대신함
+	assert.equal(new NamingConventions(resolveServerConfig(staging, 'content')).extractTagFromPath('/internal/health'), 'internal')
+	assert.deepEqual(configManager.validateConfig(staging).errors, [])
+})
+
+test('모든 생성기가 서버별 filters를 따르고 --verbose는 제외 이유를 출력한다', () => {
+	const spec = createDemoSpec()
+	spec.paths['/tournament/list'] = { get: { operationId: 'Tournament_list', responses: { 200: { description: 'ok' } } } }
+	spec.paths['/internal/health'] = { get: { operationId: 'Internal_health', responses: { 200: { description: 'ok' } } } }
+	spec.paths['/posts'].get['x-internal'] = true
+
+	const project = createProject({
+		config: createDemoConfig({
+			includeOnlyServers: ['demo', 'content'],
+			servers: {
+				demo: { source: 'specs/demo.json', filters: { exclude: [{ 'x-internal': true }] } },
+				content: 'specs/demo.json',
+			},
+		}),
+		spec,
+	})
+
+	try {
+		const result = runCli(['generate', '--verbose'], { cwd: project.root })
+		assert.equal(result.status, 0, result.output)
+
+		// demo: 서버별 exclude가 기본 규칙을 대신하므로 /internal, /tournament는 생성하고 x-internal만 제외
+		assert.match(result.output, /⏭️  demo: GET \/posts 제외 - filters\.exclude\[0\] 규칙과 일치 \(\{"x-internal":true\}\)/)
+		assert.match(project.read('src/domains/demo/tags.ts'), /'internal',\s*'tournament',\s*'users',/)
+		assert.equal(project.exists('src/domains/demo/api/posts'), false)
+		assert.equal(project.exists('src/domains/demo/api/tournament/tournamentAPI.ts'), true)
+
+		// content: 최상위 기본 규칙으로 /internal만 제외
+		assert.match(result.output, /⏭️  content: GET \/internal\/health 제외 - filters\.exclude\[0\] 규칙과 일치/)
+		assert.doesNotMatch(result.output, /⏭️  content: GET \/tournament/)
+		const contentTags = project.read('src/domains/content/tags.ts')
+		assert.match(contentTags, /'tournament'/)
+		assert.doesNotMatch(contentTags, /'internal'/)
+		assert.equal(project.exists('src/domains/content/api/tournament/tournamentAPI.ts'), true)
+		assert.equal(project.exists('src/domains/content/api/posts/postsAPI.ts'), true)
+
+		// --verbose가 없으면 제외 이유를 출력하지 않음
+		const quiet = runCli(['generate', '--force'], { cwd: project.root })
+		assert.equal(quiet.status, 0, quiet.output)
+		assert.doesNotMatch(quiet.output, /⏭️  content/)
+	} finally {
+		project.cleanup()
+	}
+})
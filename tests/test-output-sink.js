@@ -0,0 +1,152 @@
+/**
+ * OutputSink / --dry-run 테스트
+ *
+ * 메모리 가상 파일 시스템, 파일별 변경 상태, 디스크 대비 diff
+ */
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { statSync, utimesSync } from 'fs'
+import { OutputSink } from '../src/core/OutputSink.js'
+import { captureConsole, createDemoSpec, createProject, runCli } from './helpers.js'
+
+test('dry-run sink는 디스크를 건드리지 않고 메모리에서 읽고 쓴다', () => {
+	const project = createProject({ config: null, spec: null, files: { 'keep.txt': 'disk\n', 'drop.txt': 'bye\n' } })
+
+	try {
+		const sink = new OutputSink({ dryRun: true, projectRoot: project.root })
+
+		assert.equal(sink.write('new/file.ts', 'new\n'), 'created')
+		assert.equal(sink.write('keep.txt', 'memory\n'), 'modified')
+		assert.equal(sink.remove('drop.txt'), 'deleted')
+		assert.equal(sink.remove('missing.txt'), null)
+
+		// 이후 단계는 같은 sink에서 메모리 내용을 읽음
+		assert.equal(sink.read('new/file.ts'), 'new\n')
+		assert.equal(sink.read('keep.txt'), 'memory\n')
+		assert.equal(sink.exists('drop.txt'), false)
+		assert.throws(() => sink.read('drop.txt'))
+
+		// 디스크는 그대로
+		assert.equal(project.exists('new/file.ts'), false)
+		assert.equal(project.read('keep.txt'), 'disk\n')
+		assert.equal(project.read('drop.txt'), 'bye\n')
+
+		assert.deepEqual(sink.getSummary(), { created: 1, modified: 1, unchanged: 0, deleted: 1 })
+	} finally {
+		project.cleanup()
+	}
+})
+
+test('같은 파일을 여러 번 쓰면 첫 쓰기 이전 내용 대비 최종 상태로 기록한다', () => {
+	const project = createProject({ config: null, spec: null, files: { 'a.txt': 'one\n' } })
+
+	try {
+		const sink = new OutputSink({ dryRun: true, projectRoot: project.root })
+
+		sink.write('a.txt', 'two\n')
+		assert.equal(sink.write('a.txt', 'one\n'), 'unchanged')
+
+		sink.write('b.txt', 'temp\n')
+		assert.equal(sink.remove('b.txt'), 'unchanged')
+
+		assert.deepEqual(sink.getSummary(), { created: 0, modified: 0, unchanged: 2, deleted: 0 })
+	} finally {
+		project.cleanup()
+	}
+})
+
+test('내용이 같으면 쓰지 않아 수정 시간이 유지된다', () => {
+	const project = createProject({ config: null, spec: null, files: { 'same.txt': 'same\n' } })
+
+	try {
+		const past = new Date('2020-01-01T00:00:00Z')
+		utimesSync(project.path('same.txt'), past, past)
+
+		const sink = new OutputSink({ projectRoot: project.root })
+		assert.equal(sink.write('same.txt', 'same\n'), 'unchanged')
+		assert.equal(statSync(project.path('same.txt')).mtimeMs, past.getTime())
+
+		assert.equal(sink.write('same.txt', 'changed\n'), 'modified')
+		assert.equal(project.read('same.txt'), 'changed\n')
+	} finally {
+		project.cleanup()
+	}
+})
+
+test('createDiff는 projectRoot 기준 상대 경로의 unified diff를 만든다', () => {
+	const project = createProject({ config: null, spec: null, files: { 'src/a.ts': 'export const a = 1\n' } })
+
+	try {
+		const sink = new OutputSink({ dryRun: true, projectRoot: project.root })
+		sink.write('src/a.ts', 'export const a = 2\n')
+		sink.write('src/b.ts', 'export const b = 1\n')
+
+		const [modified, created] = sink.getChanges()
+		const modifiedDiff = sink.createDiff(modified)
+		assert.match(modifiedDiff, /--- a\/src\/a\.ts/)
+		assert.match(modifiedDiff, /\+\+\+ b\/src\/a\.ts/)
+		assert.match(modifiedDiff, /-export const a = 1\n\+export const a = 2/)
+
+		assert.match(sink.createDiff(created), /--- \/dev\/null\n\+\+\+ b\/src\/b\.ts/)
+	} finally {
+		project.cleanup()
+	}
+})
+
+test('printReport는 상태 요약과 파일 목록을 출력한다', async () => {
+	const project = createProject({ config: null, spec: null })
+
+	try {
+		const sink = new OutputSink({ dryRun: true, projectRoot: project.root })
+		sink.write('x.ts', 'x\n')
+
+		const { lines } = await captureConsole(() => sink.printReport({ showDiff: false }))
+		assert.ok(lines.includes('🧪 Dry-run 결과 (디스크에 쓰지 않음)'))
+		assert.ok(lines.includes('📊 생성 1, 수정 0, 변경 없음 0, 삭제 0'))
+		assert.ok(lines.includes('   + [생성] x.ts'))
+	} finally {
+		project.cleanup()
+	}
+})
+
+test('generate --dry-run은 전체 단계를 메모리에서 실행하고 아무것도 쓰지 않는다', () => {
+	const project = createProject()
+
+	try {
+		const result = runCli(['generate', '--dry-run'], { cwd: project.root })
+		assert.equal(result.status, 0, result.output)
+
+		assert.match(result.stdout, /\+ \[생성\] src\/domains\/demo\/types\/validated\.ts/)
+		assert.match(result.stdout, /\+ \[생성\] src\/domains\/demo\/api\/users\/useUsersQueries\.ts/)
+		assert.match(result.stdout, /Dry-run 완료! \(디스크 변경 없음\)/)
+		assert.equal(project.exists('src'), false)
+		assert.equal(project.exists('.openapi-codegen'), false)
+	} finally {
+		project.cleanup()
+	}
+})
+
+test('generate --dry-run은 기존 생성 결과와의 diff만 보여준다', () => {
+	const project = createProject()
+
+	try {
+		assert.equal(runCli(['generate'], { cwd: project.root }).status, 0)
+		const before = project.read('src/domains/demo/types/validated.ts')
+
+		const spec = createDemoSpec()
+		spec.paths['/posts'].get.operationId = 'PostController_findAll'
+		project.write('specs/demo.json', spec)
+
+		const result = runCli(['generate', '--dry-run'], { cwd: project.root })
+		assert.equal(result.status, 0, result.output)
+
+		assert.match(result.stdout, /~ \[수정\] src\/domains\/demo\/types\/validated\.ts/)
+		assert.match(result.stdout, /= \[변경 없음\] src\/domains\/demo\/tags\.ts/)
+		assert.match(result.stdout, /-export type PostController_list_Response/)
+		assert.match(result.stdout, /\+export type PostController_findAll_Response/)
+		assert.equal(project.read('src/domains/demo/types/validated.ts'), before)
+	} finally {
+		project.cleanup()
+	}
+})
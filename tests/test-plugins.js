@@ -0,0 +1,211 @@
+/**
+ * 플러그인 API 테스트
+ *
+ * 플러그인 단계 추가, 출력 transform, --steps 선택, 플러그인 제거 시 정리, afterWrite 경로
+ */
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { join, relative } from 'path'
+import { PluginManager, validatePlugin } from '../src/core/PluginManager.js'
+import { createDemoConfig, createProject, runCli } from './helpers.js'
+
+const OPERATIONS_PLUGIN = `
+export default (options) => ({
+	name: 'operations',
+	steps: [
+		{
+			id: 'operations',
+			scope: 'tag',
+			dependsOn: ['tags'],
+			generate({ serverName, tagName, model, pathResolver, naming }) {
+				const ids = model.operations
+					.filter((operation) => naming.extractTagFromPath(operation.path) === tagName)
+					.map((operation) => operation.operationId)
+				return [
+					{
+						filePath: pathResolver.getTagApiDir(serverName, tagName) + '/' + tagName + 'Operations.ts',
+						content: options.banner + '\\nexport const operations = ' + JSON.stringify(ids) + '\\n',
+					},
+				]
+			},
+		},
+	],
+	transform({ step, content }) {
+		if (step === 'api') return '/* eslint-disable */\\n' + content
+	},
+})
+`
+
+/**
+ * afterWrite에서 받은 경로를 writes.jsonl에 한 줄씩 남기는 플러그인
+ */
+const PATHS_PLUGIN = `
+import { appendFileSync } from 'fs'
+
+export default {
+	name: 'paths',
+	hooks: {
+		afterWrite({ filePath, absolutePath, targetPath, stagedPath }) {
+			appendFileSync('writes.jsonl', JSON.stringify({ filePath, absolutePath, targetPath, stagedPath }) + '\\n')
+		},
+	},
+}
+`
+
+/**
+ * operations 플러그인을 사용하는 프로젝트
+ */
+function createPluginProject() {
+	return createProject({
+		config: createDemoConfig({ plugins: [{ path: './codegen/operations.mjs', options: { banner: '// operations' } }] }),
+		files: { 'codegen/operations.mjs': OPERATIONS_PLUGIN },
+	})
+}
+
+test('플러그인 단계는 기본 단계 뒤에 태그마다 실행되고 transform이 다른 단계 출력에 적용된다', () => {
+	const project = createPluginProject()
+
+	try {
+		const result = runCli(['generate'], { cwd: project.root })
+		assert.equal(result.status, 0, result.output)
+		assert.match(result.stdout, /📋 활성화된 단계: 8개/)
+		assert.match(result.stdout, /8\/8: operations: operations \(operations\)/)
+
+		assert.equal(
+			project.read('src/domains/demo/api/users/usersOperations.ts'),
+			'// operations\nexport const operations = ["UserController_list","UserController_create","UserController_remove"]\n'
+		)
+		assert.match(project.read('src/domains/demo/api/posts/postsAPI.ts'), /^\/\* eslint-disable \*\/\n/)
+		assert.doesNotMatch(project.read('src/domains/demo/api/posts/endpoint.ts'), /eslint-disable/)
+	} finally {
+		project.cleanup()
+	}
+})
+
+test('--steps로 플러그인 단계만 선택하면 필요한 선행 단계만 함께 실행한다', () => {
+	const project = createPluginProject()
+
+	try {
+		const result = runCli(['generate', '--steps', 'operations'], { cwd: project.root })
+		assert.equal(result.status, 0, result.output)
+		assert.match(result.stdout, /📋 활성화된 단계: 3개/)
+		assert.ok(project.exists('src/domains/demo/api/posts/postsOperations.ts'))
+		assert.equal(project.exists('src/domains/demo/api/posts/postsAPI.ts'), false)
+	} finally {
+		project.cleanup()
+	}
+})
+
+test('플러그인을 제거하면 그 단계가 만든 파일을 정리한다', () => {
+	const project = createPluginProject()
+
+	try {
+		assert.equal(runCli(['generate'], { cwd: project.root }).status, 0)
+
+		project.write('openapi-codegen.config.json', createDemoConfig())
+		const result = runCli(['generate'], { cwd: project.root })
+		assert.equal(result.status, 0, result.output)
+
+		assert.equal(project.exists('src/domains/demo/api/users/usersOperations.ts'), false)
+		assert.doesNotMatch(project.read('src/domains/demo/api/posts/postsAPI.ts'), /eslint-disable/)
+	} finally {
+		project.cleanup()
+	}
+})
+
+test('플러그인 afterWrite는 atomic 모드와 관계없이 같은 targetPath를 받는다', () => {
+	const project = createProject({
+		config: createDemoConfig({ plugins: ['./codegen/paths.mjs'] }),
+		files: { 'codegen/paths.mjs': PATHS_PLUGIN },
+	})
+	const readWrites = () => {
+		const lines = project.read('writes.jsonl').trim().split('\n').map((line) => JSON.parse(line))
+		project.write('writes.jsonl', '')
+		return lines
+	}
+
+	try {
+		assert.equal(runCli(['generate'], { cwd: project.root }).status, 0)
+		const atomic = readWrites()
+		assert.ok(atomic.length > 0)
+		atomic.forEach(({ filePath, absolutePath, targetPath, stagedPath }) => {
+			assert.equal(targetPath, join(project.root, filePath))
+			assert.equal(absolutePath, stagedPath)
+			assert.match(relative(project.root, stagedPath), /^\.openapi-codegen-staging-/)
+		})
+
+		assert.equal(runCli(['generate', '--no-atomic', '--force'], { cwd: project.root }).status, 0)
+		const direct = readWrites()
+		assert.deepEqual(
+			direct.map(({ filePath, targetPath }) => [filePath, targetPath]),
+			atomic.map(({ filePath, targetPath }) => [filePath, targetPath])
+		)
+		direct.forEach(({ absolutePath, targetPath, stagedPath }) => {
+			assert.equal(stagedPath, null)
+			assert.equal(absolutePath, targetPath)
+		})
+	} finally {
+		project.cleanup()
+	}
+})
+
+test('PluginManager는 설정 파일 기준 상대 경로와 옵션으로 플러그인을 만든다', async () => {
+	const project = createProject({ config: null, spec: null, files: { 'codegen/operations.mjs': OPERATIONS_PLUGIN } })
+
+	try {
+		const manager = new PluginManager(
+			{ plugins: [{ path: './codegen/operations.mjs', options: { banner: '//' } }, './codegen/missing.mjs'] },
+			{ baseDir: project.root }
+		)
+
+		await assert.rejects(manager.loadPlugins(), /플러그인을 로드할 수 없습니다: \.\/codegen\/missing\.mjs/)
+
+		const [plugin] = await new PluginManager({ plugins: ['./codegen/operations.mjs'] }, { baseDir: project.root }).loadPlugins()
+		assert.equal(plugin.name, 'operations')
+		assert.deepEqual(plugin.steps[0].dependsOn, ['tags'])
+		assert.equal(typeof plugin.fingerprint, 'string')
+	} finally {
+		project.cleanup()
+	}
+})
+
+test('validatePlugin은 잘못된 플러그인 형식을 거부하고 기본값을 채운다', () => {
+	assert.throws(() => validatePlugin(null, 'x.mjs'), /x\.mjs: 플러그인은 객체 또는 객체를 반환하는 함수여야 합니다/)
+	assert.throws(() => validatePlugin({ steps: [{ generate() {} }] }, 'x.mjs'), /x: 모든 단계에 id가 필요합니다/)
+	assert.throws(() => validatePlugin({ name: 'p', steps: [{ id: 's' }] }), /p: 's' 단계에 generate 함수가 필요합니다/)
+	assert.throws(
+		() => validatePlugin({ name: 'p', steps: [{ id: 's', scope: 'file', generate() {} }] }),
+		/p: 's' 단계의 scope는 server, tag 중 하나여야 합니다/
+	)
+	assert.throws(() => validatePlugin({ name: 'p', transform: 'x' }), /p: transform은 함수여야 합니다/)
+
+	const plugin = validatePlugin({ steps: [{ id: 'zod', generate() {} }] }, './codegen/zodPlugin.mjs')
+	assert.equal(plugin.name, 'zodPlugin')
+	assert.deepEqual(plugin.steps[0], {
+		id: 'zod',
+		generate: plugin.steps[0].generate,
+		name: 'zodPlugin: zod',
+		description: 'zodPlugin 플러그인 단계',
+		scope: 'server',
+		dependsOn: ['types'],
+	})
+})
+
+test('알 수 없는 선행 단계를 지정한 플러그인 단계는 생성 전에 에러로 중단한다', () => {
+	const project = createProject({
+		config: createDemoConfig({ plugins: ['./codegen/bad.mjs'] }),
+		files: {
+			'codegen/bad.mjs': "export default { name: 'bad', steps: [{ id: 'bad', dependsOn: ['nope'], generate: () => null }] }\n",
+		},
+	})
+
+	try {
+		const result = runCli(['generate'], { cwd: project.root })
+		assert.equal(result.status, 1)
+		assert.match(result.output, /bad: 'bad' 단계의 선행 단계 'nope'를 찾을 수 없습니다/)
+		assert.equal(project.exists('src'), false)
+	} finally {
+		project.cleanup()
+	}
+})
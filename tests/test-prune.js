@@ -0,0 +1,103 @@
+/**
+ * orphan 파일 정리 테스트
+ *
+ * 스펙에서 태그/operation이 사라지면 이전에 생성한 파일을 삭제 (직접 수정한 파일은 유지)
+ */
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { createDemoSpec, createProject, runCli } from './helpers.js'
+
+/**
+ * posts 태그를 제거한 스펙
+ */
+function createSpecWithoutPosts() {
+	const spec = createDemoSpec()
+	delete spec.paths['/posts']
+	return spec
+}
+
+test('스펙에서 사라진 태그의 파일과 빈 폴더를 삭제하고 manifest에서도 제거한다', () => {
+	const project = createProject()
+
+	try {
+		assert.equal(runCli(['generate'], { cwd: project.root }).status, 0)
+		assert.ok(project.exists('src/domains/demo/api/posts/postsAPI.ts'))
+
+		project.write('specs/demo.json', createSpecWithoutPosts())
+
+		const result = runCli(['generate'], { cwd: project.root })
+		assert.equal(result.status, 0, result.output)
+		assert.match(result.stdout, /🧹 더 이상 생성되지 않는 파일 정리: 3개/)
+		assert.match(result.stdout, /🗑️ {2}삭제: src\/domains\/demo\/api\/posts\/postsAPI\.ts/)
+
+		assert.equal(project.exists('src/domains/demo/api/posts'), false)
+		assert.ok(project.exists('src/domains/demo/api/users/usersAPI.ts'))
+
+		const manifest = project.readJson('.openapi-codegen/manifest.json')
+		assert.equal(
+			Object.keys(manifest.files).some((filePath) => filePath.includes('/posts/')),
+			false
+		)
+		assert.equal('posts' in manifest.servers.demo.tags, false)
+	} finally {
+		project.cleanup()
+	}
+})
+
+test('생성 후 직접 수정한 orphan 파일은 경고만 하고 남긴다', () => {
+	const project = createProject()
+
+	try {
+		assert.equal(runCli(['generate'], { cwd: project.root }).status, 0)
+		project.write('src/domains/demo/api/posts/postsAPI.ts', '// customized\n')
+
+		project.write('specs/demo.json', createSpecWithoutPosts())
+
+		const result = runCli(['generate'], { cwd: project.root })
+		assert.equal(result.status, 0, result.output)
+		assert.match(result.output, /생성 후 직접 수정된 파일이므로 삭제하지 않습니다: src\/domains\/demo\/api\/posts\/postsAPI\.ts/)
+		assert.equal(project.read('src/domains/demo/api/posts/postsAPI.ts'), '// customized\n')
+		assert.equal(project.exists('src/domains/demo/api/posts/endpoint.ts'), false)
+	} finally {
+		project.cleanup()
+	}
+})
+
+test('--dry-run과 --check는 삭제 예정 파일을 보고만 한다', () => {
+	const project = createProject()
+
+	try {
+		assert.equal(runCli(['generate'], { cwd: project.root }).status, 0)
+		project.write('specs/demo.json', createSpecWithoutPosts())
+
+		const dryRun = runCli(['generate', '--dry-run'], { cwd: project.root })
+		assert.equal(dryRun.status, 0, dryRun.output)
+		assert.match(dryRun.stdout, /🗑️ {2}삭제 예정: src\/domains\/demo\/api\/posts\/endpoint\.ts/)
+		assert.match(dryRun.stdout, /- \[삭제\] src\/domains\/demo\/api\/posts\/endpoint\.ts/)
+
+		const check = runCli(['generate', '--check'], { cwd: project.root })
+		assert.equal(check.status, 1)
+		assert.match(check.stderr, /- \[삭제 필요\] src\/domains\/demo\/api\/posts\/endpoint\.ts/)
+
+		assert.ok(project.exists('src/domains/demo/api/posts/endpoint.ts'))
+	} finally {
+		project.cleanup()
+	}
+})
+
+test('생성 단계가 실패하면 정리를 건너뛴다', () => {
+	const project = createProject()
+
+	try {
+		assert.equal(runCli(['generate'], { cwd: project.root }).status, 0)
+		project.write('specs/demo.json', '{ broken')
+
+		const result = runCli(['generate'], { cwd: project.root })
+		assert.equal(result.status, 1)
+		assert.match(result.output, /실패한 단계가 있어 이전 생성 파일 정리를 건너뜁니다/)
+		assert.ok(project.exists('src/domains/demo/api/posts/postsAPI.ts'))
+	} finally {
+		project.cleanup()
+	}
+})
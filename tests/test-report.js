@@ -0,0 +1,152 @@
+/**
+ * 실행 리포트 테스트
+ *
+ * --report JSON의 단계/단위/파일/요약, 모드별 기록, atomic 롤백 후 디스크와 일치하는 리포트
+ */
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { RunReport } from '../src/core/RunReport.js'
+import { createDemoConfig, createProject, runCli } from './helpers.js'
+
+test('--report는 단계, 서버/태그 단위, 파일, 요약을 JSON으로 저장한다', () => {
+	const project = createProject()
+
+	try {
+		const result = runCli(['generate', '--report', 'reports/codegen.json'], { cwd: project.root })
+		assert.equal(result.status, 0, result.output)
+		assert.match(result.stdout, /📊 실행 리포트 저장: reports\/codegen\.json/)
+
+		const report = project.readJson('reports/codegen.json')
+		assert.equal(report.version, 1)
+		assert.equal(report.mode, 'write')
+		assert.equal(report.success, true)
+		assert.equal(report.rolledBack, false)
+		assert.deepEqual(report.servers, [{ name: 'demo', anyFallbacks: [] }])
+		assert.deepEqual(
+			report.steps.map(({ id, status }) => `${id}:${status}`),
+			['types:success', 'tags:success', 'validated:success', 'deepSchema:success', 'endpoints:success', 'api:success', 'hooks:success']
+		)
+
+		const apiStep = report.steps.find((step) => step.id === 'api')
+		assert.deepEqual(
+			apiStep.units
+				.map(({ server, tag, status, files }) => ({ server, tag, status, files }))
+				.sort((a, b) => a.tag.localeCompare(b.tag)),
+			[
+				{ server: 'demo', tag: 'posts', status: 'generated', files: [{ path: 'src/domains/demo/api/posts/postsAPI.ts', status: 'created' }] },
+				{ server: 'demo', tag: 'users', status: 'generated', files: [{ path: 'src/domains/demo/api/users/usersAPI.ts', status: 'created' }] },
+			]
+		)
+		assert.deepEqual(report.files.find((file) => file.path.endsWith('postsAPI.ts')), {
+			path: 'src/domains/demo/api/posts/postsAPI.ts',
+			status: 'created',
+			step: 'api',
+			server: 'demo',
+			tag: 'posts',
+		})
+		assert.deepEqual(report.summary.files, { created: report.files.length, modified: 0, unchanged: 0, deleted: 0, rolledBack: 0 })
+		assert.equal(report.summary.failedSteps, 0)
+
+		// 두 번째 실행은 입력이 같은 태그를 fresh로 기록
+		assert.equal(runCli(['generate', '--report', 'reports/codegen.json'], { cwd: project.root }).status, 0)
+		const second = project.readJson('reports/codegen.json')
+		assert.deepEqual(
+			second.steps.find((step) => step.id === 'api').units.map(({ status }) => status),
+			['fresh', 'fresh']
+		)
+	} finally {
+		project.cleanup()
+	}
+})
+
+test('--check 리포트에는 drift가, 실패한 실행에는 에러 위치가 기록된다', () => {
+	const project = createProject()
+
+	try {
+		const check = runCli(['generate', '--check', '--report', 'report.json'], { cwd: project.root })
+		assert.equal(check.status, 1)
+
+		const report = project.readJson('report.json')
+		assert.equal(report.mode, 'check')
+		assert.ok(report.drift.some(({ filePath, status }) => filePath === 'src/domains/demo/tags.ts' && status === 'created'))
+
+		project.write('specs/demo.json', '{ broken')
+		const failed = runCli(['generate', '--report', 'report.json'], { cwd: project.root })
+		assert.equal(failed.status, 1)
+
+		const failedReport = project.readJson('report.json')
+		assert.equal(failedReport.success, false)
+		assert.equal(failedReport.steps[0].status, 'failed')
+		assert.ok(failedReport.errors.some(({ step, server }) => step === 'types' && server === 'demo'))
+	} finally {
+		project.cleanup()
+	}
+})
+
+test('단계가 실패해 atomic 쓰기를 되돌리면 리포트의 파일도 rolledBack으로 표시한다', () => {
+	const project = createProject({
+		config: createDemoConfig({ plugins: ['./codegen/fail.mjs'] }),
+		files: {
+			'codegen/fail.mjs':
+				"export default { name: 'fail', steps: [{ id: 'fail', dependsOn: ['api'], generate() { throw new Error('boom') } }] }\n",
+		},
+	})
+
+	try {
+		const result = runCli(['generate', '--report', 'report.json'], { cwd: project.root })
+		assert.equal(result.status, 1)
+		assert.match(result.output, /실패한 단계가 있어 변경 사항을 반영하지 않았습니다/)
+		assert.equal(project.exists('src'), false)
+
+		const report = project.readJson('report.json')
+		assert.equal(report.rolledBack, true)
+		assert.ok(report.files.length > 0)
+		assert.ok(report.files.every((file) => file.rolledBack === true))
+		assert.ok(report.steps.flatMap((step) => step.units.flatMap((unit) => unit.files)).every((file) => file.rolledBack))
+		assert.equal(report.summary.files.created, 0)
+		assert.equal(report.summary.files.rolledBack, report.files.length)
+	} finally {
+		project.cleanup()
+	}
+})
+
+test('afterAll 훅 실패로 반영한 파일을 되돌려도 리포트가 디스크와 일치한다', () => {
+	const project = createProject({
+		config: createDemoConfig({ hooks: { afterAll: './codegen/typecheck.mjs' } }),
+		files: { 'codegen/typecheck.mjs': "export default () => { throw new Error('tsc failed') }\n" },
+	})
+
+	try {
+		const result = runCli(['generate', '--report', 'report.json'], { cwd: project.root })
+		assert.equal(result.status, 1)
+		assert.match(result.output, /실행이 중단되어 \d+개 파일을 이전 상태로 되돌렸습니다/)
+		assert.equal(project.exists('src/domains/demo/tags.ts'), false)
+
+		const report = project.readJson('report.json')
+		assert.equal(report.success, false)
+		assert.equal(report.rolledBack, true)
+		assert.ok(report.files.every((file) => file.rolledBack === true))
+		assert.deepEqual(report.pruned, [])
+		assert.ok(report.errors.some(({ message }) => message.includes('tsc failed')))
+	} finally {
+		project.cleanup()
+	}
+})
+
+test('recordRollback은 변경 없는 파일은 그대로 두고 삭제 기록을 비운다', () => {
+	const report = new RunReport()
+	report.recordFile('a.ts', 'created')
+	report.recordFile('b.ts', 'unchanged')
+	report.recordPruned(['c.ts'])
+
+	report.recordRollback()
+
+	const json = report.toJSON()
+	assert.deepEqual(json.files, [
+		{ path: 'a.ts', status: 'created', step: null, server: null, tag: null, rolledBack: true },
+		{ path: 'b.ts', status: 'unchanged', step: null, server: null, tag: null },
+	])
+	assert.deepEqual(json.pruned, [])
+	assert.deepEqual(json.summary.files, { created: 0, modified: 0, unchanged: 1, deleted: 0, rolledBack: 1 })
+})
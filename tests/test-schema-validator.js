@@ -0,0 +1,111 @@
+/**
+ * 설정 스키마 검증 테스트
+ *
+ * JSON pointer, 기대 타입, "did you mean" 제안, {변수} 검사, 템플릿/기본 설정 검증, validate 명령
+ */
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { readFileSync } from 'fs'
+import { join } from 'path'
+import { ConfigManager, getConfigSchema } from '../src/core/ConfigManager.js'
+import { findSuggestion, formatIssue, validateSchema } from '../src/utils/SchemaValidator.js'
+import { TOOLKIT_ROOT, createDemoConfig, createProject, runCli } from './helpers.js'
+
+const validate = (config) => validateSchema(config, getConfigSchema())
+
+test('알 수 없는 키는 JSON pointer와 비슷한 이름을 함께 보고한다', () => {
+	assert.deepEqual(validate({ featureFlag: {} }), [
+		{ pointer: '/featureFlag', message: '알 수 없는 설정입니다.', suggestion: 'featureFlags' },
+	])
+	assert.deepEqual(validate({ codeGeneration: { functionNameing: {} } }), [
+		{ pointer: '/codeGeneration/functionNameing', message: '알 수 없는 설정입니다.', suggestion: 'functionNaming' },
+	])
+
+	// 비슷한 이름이 없으면 제안하지 않음, `_`로 시작하는 설명용 키는 허용
+	assert.deepEqual(validate({ somethingElse: true, _comment: 'memo' }), [
+		{ pointer: '/somethingElse', message: '알 수 없는 설정입니다.', suggestion: null },
+	])
+})
+
+test('타입과 enum 위반은 기대 값과 현재 값을 보고한다', () => {
+	const issues = validate({ logging: { enabled: 'yes', level: 'warning' } })
+
+	assert.deepEqual(issues, [
+		{ pointer: '/logging/enabled', message: '타입이 맞지 않습니다.', expected: 'boolean', actual: 'string' },
+		{
+			pointer: '/logging/level',
+			message: '허용되지 않는 값입니다.',
+			expected: '"debug" | "info" | "success" | "warn" | "error"',
+			actual: '"warning"',
+			suggestion: 'warn',
+		},
+	])
+	assert.equal(
+		formatIssue(issues[1]),
+		`/logging/level: 허용되지 않는 값입니다. (기대: "debug" | "info" | "success" | "warn" | "error", 현재: "warning") 'warn'을(를) 찾으셨나요?`
+	)
+})
+
+test('anyOf 안의 중첩 오타도 정확한 위치로 보고한다', () => {
+	assert.deepEqual(validate({ featureFlags: { generateDeepSchema: { enabeld: false } } }), [
+		{ pointer: '/featureFlags/generateDeepSchema/enabled', message: '필수 설정이 없습니다.' },
+		{ pointer: '/featureFlags/generateDeepSchema/enabeld', message: '알 수 없는 설정입니다.', suggestion: 'enabled' },
+	])
+	assert.deepEqual(validate({ featureFlags: { generateDeepSchema: false } }), [])
+})
+
+test('경로 패턴의 알 수 없는 {변수}는 사용할 수 있는 변수와 함께 보고한다', () => {
+	assert.deepEqual(validate({ fileGeneration: { domainTypes: 'src/domains/{server}/types' } }), [
+		{
+			pointer: '/fileGeneration/domainTypes',
+			message: '알 수 없는 변수 {server}입니다.',
+			expected: '{serverName}',
+			actual: 'src/domains/{server}/types',
+			suggestion: '{serverName}',
+		},
+	])
+	assert.deepEqual(validate({ fileGeneration: { serverInstances: 'src/{serverName}' } })[0].expected, '변수 없음')
+})
+
+test('findSuggestion은 편집 거리와 접두사로 비슷한 이름을 고른다', () => {
+	assert.equal(findSuggestion('featurFlags', ['featureFlags', 'filters']), 'featureFlags')
+	assert.equal(findSuggestion('warning', ['warn', 'error']), 'warn')
+	assert.equal(findSuggestion('xyz', ['featureFlags', 'filters']), null)
+})
+
+test('기본 설정과 init 템플릿은 스키마를 통과하고, 스키마는 package.json exports로 공개된다', () => {
+	assert.deepEqual(validate(new ConfigManager().getDefaultConfig()), [])
+
+	const template = JSON.parse(readFileSync(join(TOOLKIT_ROOT, 'templates/openapi-codegen.config.json'), 'utf-8'))
+	assert.deepEqual(validate(template), [])
+
+	const packageJson = JSON.parse(readFileSync(join(TOOLKIT_ROOT, 'package.json'), 'utf-8'))
+	assert.equal(packageJson.exports['./schema.json'], './schema/openapi-codegen.schema.json')
+	assert.equal(getConfigSchema().$schema, 'http://json-schema.org/draft-07/schema#')
+})
+
+test('validate 명령은 모든 위반 사항을 출력하고 실패한다', () => {
+	const project = createProject({
+		config: createDemoConfig({
+			featureFlag: {},
+			fileGeneration: { domainTypes: 'src/{server}/types' },
+			logging: { level: 'warning' },
+		}),
+	})
+
+	try {
+		const result = runCli(['validate'], { cwd: project.root })
+		assert.equal(result.status, 1)
+		assert.match(result.stderr, /- \/featureFlag: 알 수 없는 설정입니다\. 'featureFlags'을\(를\) 찾으셨나요\?/)
+		assert.match(result.stderr, /- \/fileGeneration\/domainTypes: 알 수 없는 변수 \{server\}입니다\./)
+		assert.match(result.stderr, /- \/logging\/level: 허용되지 않는 값입니다\./)
+
+		project.write('openapi-codegen.config.json', createDemoConfig())
+		const valid = runCli(['validate'], { cwd: project.root })
+		assert.equal(valid.status, 0, valid.output)
+		assert.match(valid.stdout, /설정 파일이 유효합니다/)
+	} finally {
+		project.cleanup()
+	}
+})
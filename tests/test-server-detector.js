@@ -0,0 +1,128 @@
+/**
+ * 서버 자동 감지 테스트
+ *
+ * 환경 변수, 설정 파일, 서버 인스턴스 폴더 감지와 includeOnlyServers/excludeServers 필터
+ */
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { ServerDetector } from '../src/core/ServerDetector.js'
+import { PathResolver } from '../src/core/PathResolver.js'
+import { captureConsole, createDemoConfig, createProject, loadProjectConfig, runCli } from './helpers.js'
+
+/**
+ * 기본 설정(serverNameExtraction: '{serverName}-server')으로 detector 생성
+ */
+async function createDetector(project, env, overrides = {}) {
+	const config = { ...(await loadProjectConfig(project)), ...overrides }
+	return new ServerDetector(config, new PathResolver(config, project.root), env)
+}
+
+test('환경 변수, 설정 파일, instance.ts가 있는 인스턴스 폴더에서 서버를 감지한다', async () => {
+	const project = createProject({
+		config: createDemoConfig({ includeOnlyServers: [] }),
+		files: {
+			'src/model/openAPI/auth-server/instance.ts': 'export {}\n',
+			'src/model/openAPI/shared/instance.ts': 'export {}\n',
+			'src/model/openAPI/empty-server/README.md': '',
+		},
+	})
+
+	try {
+		const env = {
+			NEXT_PUBLIC_STEPIN_AUTH: 'https://auth.test',
+			NEXT_PUBLIC_STEPIN_PAYMENT: 'https://payment.test',
+			NEXT_PUBLIC_STEPIN_ENABLE_LOGS: 'true',
+		}
+		const detector = await createDetector(project, env)
+		const result = detector.detect()
+
+		assert.deepEqual(result.servers, [
+			{
+				name: 'auth',
+				sources: [
+					{ type: 'env', detail: 'NEXT_PUBLIC_STEPIN_AUTH' },
+					{ type: 'instance', detail: 'src/model/openAPI/auth-server/instance.ts' },
+				],
+			},
+			{ name: 'demo', sources: [{ type: 'config', detail: 'servers.demo' }] },
+			{ name: 'payment', sources: [{ type: 'env', detail: 'NEXT_PUBLIC_STEPIN_PAYMENT' }] },
+		])
+		assert.deepEqual(result.excluded, [])
+	} finally {
+		project.cleanup()
+	}
+})
+
+test('envVarConfig.enabled가 false면 환경 변수는 감지 대상에서 빠진다', async () => {
+	const project = createProject({ config: createDemoConfig({ includeOnlyServers: [] }) })
+
+	try {
+		const detector = await createDetector(project, { NEXT_PUBLIC_STEPIN_AUTH: 'https://auth.test' }, { envVarConfig: { enabled: false } })
+		assert.deepEqual(detector.detectServers(), ['demo'])
+	} finally {
+		project.cleanup()
+	}
+})
+
+test('includeOnlyServers와 excludeServers를 적용하고 감지되지 않은 include 서버를 보고한다', async () => {
+	const project = createProject({ config: createDemoConfig({ includeOnlyServers: [] }) })
+
+	try {
+		const env = { NEXT_PUBLIC_STEPIN_AUTH: 'https://a.test', NEXT_PUBLIC_STEPIN_PAYMENT: 'https://p.test' }
+
+		const included = (await createDetector(project, env, { includeOnlyServers: ['auth', 'demo', 'ghost'] })).detect()
+		assert.deepEqual(included.servers.map(({ name }) => name), ['auth', 'demo'])
+		assert.deepEqual(included.excluded, [{ name: 'payment', reason: 'includeOnlyServers' }])
+		assert.deepEqual(included.missing, ['ghost'])
+
+		const detector = await createDetector(project, env, { excludeServers: ['payment'] })
+		const excluded = detector.detect()
+		assert.deepEqual(excluded.servers.map(({ name }) => name), ['auth', 'demo'])
+		assert.deepEqual(excluded.excluded, [{ name: 'payment', reason: 'excludeServers' }])
+
+		const { lines } = await captureConsole(() => detector.printResult(excluded))
+		assert.deepEqual(lines, [
+			'🔍 감지된 서버: 2개',
+			'   - auth (환경 변수: NEXT_PUBLIC_STEPIN_AUTH)',
+			'   - demo (설정 파일: servers.demo)',
+			'⏸️  제외된 서버:',
+			'   - payment (excludeServers)',
+		])
+	} finally {
+		project.cleanup()
+	}
+})
+
+test('extractServerName은 pattern과 removePattern을 따른다', () => {
+	const detector = new ServerDetector(
+		{ serverSettings: { serverNameExtraction: { pattern: 'svc-{serverName}', removePattern: '-api' } } },
+		null,
+		{}
+	)
+
+	assert.equal(detector.extractServerName('svc-auth'), 'auth')
+	assert.equal(detector.extractServerName('svc-payment-api'), 'payment')
+	assert.equal(detector.extractServerName('shared'), null)
+	assert.equal(detector.extractServerName('AUTH', { strict: false }), 'AUTH')
+})
+
+test('generate는 excludeServers에 있는 서버를 생성하지 않는다', () => {
+	const project = createProject({
+		config: createDemoConfig({
+			includeOnlyServers: [],
+			excludeServers: ['skipped'],
+			servers: { demo: { source: 'specs/demo.json' }, skipped: { source: 'specs/demo.json' } },
+		}),
+	})
+
+	try {
+		const result = runCli(['generate'], { cwd: project.root })
+		assert.equal(result.status, 0, result.output)
+		assert.match(result.stdout, /- skipped \(excludeServers\)/)
+		assert.ok(project.exists('src/domains/demo/tags.ts'))
+		assert.equal(project.exists('src/domains/skipped'), false)
+	} finally {
+		project.cleanup()
+	}
+})
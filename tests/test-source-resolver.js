@@ -0,0 +1,174 @@
+/**
+ * OpenAPI 소스 해결 테스트
+ *
+ * servers.{name}.source의 로컬 파일, glob, URL과 환경 변수 URL 폴백
+ */
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { createServer } from 'http'
+import { SourceResolver, mergeSpecDocuments } from '../src/core/SourceResolver.js'
+import { captureConsole, createDemoConfig, createDemoSpec, createProject, runCli } from './helpers.js'
+
+const YAML_SPEC = `openapi: 3.0.3
+info:
+  title: auth
+  version: 1.0.0
+paths:
+  /login:
+    post:
+      operationId: AuthController_login
+      tags: [auth]
+      responses:
+        '200':
+          description: ok
+`
+
+test('resolveSource는 설정 소스를 종류별로 구분하고 없으면 환경 변수 URL을 사용한다', async () => {
+	const resolver = new SourceResolver(
+		{
+			servers: { file: { source: 'specs/a.yaml' }, glob: 'specs/b/*.json', url: { source: 'https://api.test/docs' } },
+			envVarConfig: { prefix: 'TEST_SOURCE_', customDocsSuffix: { custom: '/swagger.json' } },
+		},
+		null,
+		{ baseDir: '/project' }
+	)
+
+	assert.deepEqual(resolver.resolveSource('file'), { type: 'file', location: 'specs/a.yaml', origin: 'config' })
+	assert.deepEqual(resolver.resolveSource('glob'), { type: 'glob', location: 'specs/b/*.json', origin: 'config' })
+	assert.deepEqual(resolver.resolveSource('url'), { type: 'url', location: 'https://api.test/docs', origin: 'config' })
+
+	process.env.TEST_SOURCE_ENV = 'http://localhost:4000'
+	process.env.TEST_SOURCE_CUSTOM = 'http://localhost:5000'
+	try {
+		assert.deepEqual(resolver.resolveSource('env'), { type: 'url', location: 'http://localhost:4000/docs-yaml', origin: 'env' })
+		assert.equal(resolver.resolveSource('custom').location, 'http://localhost:5000/swagger.json')
+	} finally {
+		delete process.env.TEST_SOURCE_ENV
+		delete process.env.TEST_SOURCE_CUSTOM
+	}
+
+	const { result } = await captureConsole(() => resolver.resolveSource('missing'))
+	assert.equal(result, null)
+})
+
+test('loadDocument는 projectRoot 기준 YAML 파일을 읽고, 없는 파일은 경로와 함께 실패한다', async () => {
+	const project = createProject({ config: null, spec: null, files: { 'specs/auth.yaml': YAML_SPEC } })
+
+	try {
+		const resolver = new SourceResolver({ servers: { auth: 'specs/auth.yaml', gone: 'specs/gone.yaml' } }, { projectRoot: project.root })
+		const { result: document } = await captureConsole(() => resolver.loadDocument('auth'))
+
+		assert.equal(document.info.title, 'auth')
+		assert.ok(document.paths['/login'].post)
+
+		await assert.rejects(
+			captureConsole(() => resolver.loadDocument('gone')),
+			/OpenAPI 문서 파일을 찾을 수 없습니다: .*specs\/gone\.yaml/
+		)
+	} finally {
+		project.cleanup()
+	}
+})
+
+test('glob 소스는 일치하는 파일을 paths/components/tags 단위로 병합한다', async () => {
+	const part = (path, schema, tag) => ({
+		openapi: '3.0.3',
+		info: { title: 'part', version: '1.0.0' },
+		tags: [{ name: tag }, { name: 'shared' }],
+		paths: { [path]: { get: { operationId: `${schema}_get`, responses: { 200: { description: 'ok' } } } } },
+		components: { schemas: { [schema]: { type: 'object' }, Shared: { type: 'string' } } },
+	})
+	const project = createProject({
+		config: null,
+		spec: null,
+		files: { 'specs/parts/a.json': part('/a', 'A', 'a'), 'specs/parts/b.json': part('/b', 'B', 'b') },
+	})
+
+	try {
+		const resolver = new SourceResolver({ servers: { merged: 'specs/parts/*.json' } }, { projectRoot: project.root })
+		const { result: document, lines } = await captureConsole(() => resolver.loadDocument('merged'))
+
+		assert.deepEqual(Object.keys(document.paths), ['/a', '/b'])
+		assert.deepEqual(Object.keys(document.components.schemas), ['A', 'Shared', 'B'])
+		assert.deepEqual(document.tags.map((tag) => tag.name), ['a', 'shared', 'b'])
+		assert.ok(lines.some((line) => line.includes('components.schemas.Shared가 중복되어 무시합니다')))
+	} finally {
+		project.cleanup()
+	}
+})
+
+test('mergeSpecDocuments는 같은 경로의 다른 메서드를 합치고 중복 메서드는 먼저 읽은 쪽을 유지한다', async () => {
+	const documents = [
+		{ file: 'a.json', document: { openapi: '3.0.3', paths: { '/x': { get: { operationId: 'first' } } } } },
+		{ file: 'b.json', document: { openapi: '3.0.3', paths: { '/x': { get: { operationId: 'second' }, post: { operationId: 'create' } } } } },
+	]
+
+	const { result: merged } = await captureConsole(() => mergeSpecDocuments(documents))
+
+	assert.equal(merged.paths['/x'].get.operationId, 'first')
+	assert.equal(merged.paths['/x'].post.operationId, 'create')
+	assert.equal('components' in merged, false)
+})
+
+test('URL 소스는 HTTP로 가져오고 공유 캐시로 한 번만 요청한다', async () => {
+	let requests = 0
+	const server = createServer((request, response) => {
+		requests++
+		if (request.url === '/docs-yaml') {
+			response.writeHead(200, { 'Content-Type': 'text/yaml' })
+			response.end(YAML_SPEC)
+		} else {
+			response.writeHead(404)
+			response.end()
+		}
+	})
+	await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve))
+	const baseUrl = `http://127.0.0.1:${server.address().port}`
+
+	try {
+		const config = { servers: { auth: `${baseUrl}/docs-yaml`, missing: `${baseUrl}/nope` } }
+		const cache = new Map()
+		const first = new SourceResolver(config, null, { baseDir: '/a', cache })
+		const second = new SourceResolver(config, null, { baseDir: '/b', cache })
+
+		const { result: documents } = await captureConsole(() =>
+			Promise.all([first.loadDocument('auth'), second.loadDocument('auth')])
+		)
+
+		assert.equal(documents[0].info.title, 'auth')
+		assert.equal(documents[0], documents[1])
+		assert.equal(requests, 1)
+
+		await assert.rejects(captureConsole(() => first.loadDocument('missing')), /OpenAPI 문서 요청 실패: .*\/nope \(404/)
+	} finally {
+		await new Promise((resolve) => server.close(resolve))
+	}
+})
+
+test('소스를 찾을 수 없으면 설정 키와 .env를 안내한다', async () => {
+	const resolver = new SourceResolver({ envVarConfig: { enabled: false } }, null, { baseDir: '/project' })
+
+	await assert.rejects(
+		captureConsole(() => resolver.loadDocument('auth')),
+		/auth 서버의 OpenAPI 소스를 찾을 수 없습니다\. 설정의 servers\.auth\.source/
+	)
+})
+
+test('체크인된 스펙 파일만으로 네트워크 없이 전체 생성이 가능하다', () => {
+	const project = createProject({
+		config: createDemoConfig({ servers: { demo: { source: 'specs/demo.json' } } }),
+		spec: createDemoSpec(),
+	})
+
+	try {
+		const result = runCli(['generate'], { cwd: project.root })
+		assert.equal(result.status, 0, result.output)
+
+		assert.match(project.read('src/domains/demo/types/schema.d.ts'), /"\/users\/\{id\}": \{/)
+		assert.ok(project.exists('src/domains/demo/types/openapi.json'))
+		assert.ok(project.exists('src/domains/demo/api/users/usersAPI.ts'))
+	} finally {
+		project.cleanup()
+	}
+})
@@ -0,0 +1,117 @@
+/**
+ * 스펙 모델 테스트
+ *
+ * OpenAPI 문서에서 바로 만든 모델, 모델 기반 validated/deepSchema 생성, --steps 재사용 판단
+ */
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { utimesSync } from 'fs'
+import { buildSpecModel, loadSpecModel } from '../src/parsers/SchemaParser.js'
+import logger from '../src/utils/Logger.js'
+import { buildGenerator, captureConsole, createDemoSpec, createProject, runCli } from './helpers.js'
+
+test('buildSpecModel은 operation, path 레벨 $ref 파라미터, 스키마 참조를 정규화한다', () => {
+	const model = buildSpecModel(createDemoSpec())
+
+	assert.deepEqual(model.paths, ['/users', '/users/{id}', '/posts'])
+	assert.deepEqual(
+		model.operations.map((operation) => `${operation.method} ${operation.path}`),
+		['get /users', 'post /users', 'delete /users/{id}', 'get /posts']
+	)
+
+	const [list, create, remove] = model.operations
+	assert.equal(list.parameters.query[0].name, 'page')
+	assert.equal(list.responses[0].schemaRef, 'UserListResponse')
+	assert.equal(create.requestBody.schemaRef, 'CreateUser')
+	assert.equal(create.requestBody.required, true)
+
+	// path 레벨 파라미터($ref)는 operation으로 합쳐지고 path 파라미터는 항상 필수
+	assert.deepEqual(remove.parameters.path.map(({ name, required }) => ({ name, required })), [{ name: 'id', required: true }])
+	assert.equal(remove.responses[0].status, '204')
+	assert.equal(remove.responses[0].hasContent, false)
+
+	assert.deepEqual(Object.keys(model.schemas), ['User', 'Profile', 'CreateUser', 'UserListResponse', 'Post'])
+})
+
+test('loadSpecModel은 같은 내용의 문서를 한 번만 파싱한다', () => {
+	const content = JSON.stringify(createDemoSpec())
+	let reads = 0
+	const readFile = () => {
+		reads++
+		return content
+	}
+
+	const first = loadSpecModel('/virtual/a/openapi.json', readFile)
+	const second = loadSpecModel('/virtual/a/openapi.json', readFile)
+	const otherPath = loadSpecModel('/virtual/b/openapi.json', readFile)
+
+	assert.equal(reads, 3)
+	assert.equal(first, second)
+	assert.equal(first, otherPath)
+})
+
+test('validated.ts는 schema.d.ts 형식과 관계없이 모델에서 생성된다', () => {
+	const project = createProject()
+
+	try {
+		const result = runCli(['generate'], { cwd: project.root })
+		assert.equal(result.status, 0, result.output)
+
+		const validated = project.read('src/domains/demo/types/validated.ts')
+		assert.match(validated, /export type UserController_list_Response = components\['schemas'\]\['UserListResponse'\];/)
+		assert.match(validated, /export type UserController_list_RO = components\['schemas'\]\['User'\]\[\];/)
+		assert.match(validated, /export type UserController_create_Body = components\['schemas'\]\['CreateUser'\];/)
+		assert.match(validated, /path: paths\['\/users\/\{id\}'\]\['delete'\]\['parameters'\]\['path'\];/)
+		assert.match(validated, /export type UserController_remove_Response = void;/)
+		assert.doesNotMatch(validated, /= any;/)
+	} finally {
+		project.cleanup()
+	}
+})
+
+test('deepSchema 단계는 서버마다 스펙 모델을 한 번만 읽는다', async () => {
+	const project = createProject()
+
+	try {
+		assert.equal(runCli(['generate', '--steps', 'types'], { cwd: project.root }).status, 0)
+
+		const generator = await buildGenerator(project)
+		const deepSchema = generator.generators.generateDeepSchema
+
+		logger.setLevelEnabled('info')
+		const { result, lines } = await captureConsole(() => deepSchema.generate('demo'))
+		logger.setLevelEnabled('info', false)
+
+		assert.equal(lines.filter((line) => line.includes('스키마를 발견했습니다')).length, 1)
+		assert.match(result, /export type User = components\['schemas'\]\['User'\];/)
+		assert.match(result, /export type Props_User_Status = User\['status'\];/)
+	} finally {
+		project.cleanup()
+	}
+})
+
+test('--steps 선행 단계 재사용 판단은 dry-run 메모리 파일과 projectRoot 기준 경로를 처리한다', async () => {
+	const project = createProject()
+
+	try {
+		assert.equal(runCli(['generate', '--steps', 'types,tags'], { cwd: project.root }).status, 0)
+
+		// cwd와 다른 projectRoot에서도 파일 시간을 읽을 수 있어야 함
+		const generator = await buildGenerator(project, { dryRun: true })
+		const tagsStep = generator.findStep('tags')
+		assert.equal(generator.isStepUpToDate(tagsStep, ['demo']), true)
+
+		// 입력이 더 최신이면 재사용하지 않음
+		const future = new Date(Date.now() + 60_000)
+		utimesSync(project.path('src/domains/demo/types/openapi.json'), future, future)
+		assert.equal(generator.isStepUpToDate(tagsStep, ['demo']), false)
+
+		// dry-run에서 메모리에만 쓴 파일도 sink 기준으로 판단 (디스크에 없어도 에러 없음)
+		generator.output.write('src/domains/demo/tags.ts', 'export {}\n')
+		generator.output.remove('src/domains/demo/types/openapi.json')
+		assert.doesNotThrow(() => generator.isStepUpToDate(tagsStep, ['demo']))
+	} finally {
+		project.cleanup()
+	}
+})
@@ -0,0 +1,82 @@
+/**
+ * --steps 단계 선택 테스트
+ *
+ * 요청된 단계 + 필요한 선행 단계만 실행하고, 최신 출력은 재사용
+ */
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { buildGenerator, captureConsole, createDemoConfig, createProject, runCli } from './helpers.js'
+
+test('빈 프로젝트에서 --steps api는 필요한 선행 단계만 함께 실행한다', () => {
+	const project = createProject()
+
+	try {
+		const result = runCli(['generate', '--steps', 'api'], { cwd: project.root })
+		assert.equal(result.status, 0, result.output)
+
+		assert.match(result.stdout, /➕ types: tags 단계에 필요하여 함께 실행합니다\./)
+		assert.match(result.stdout, /➕ tags: api 단계에 필요하여 함께 실행합니다\./)
+		assert.match(result.stdout, /➕ validated: api 단계에 필요하여 함께 실행합니다\./)
+		assert.match(result.stdout, /📋 활성화된 단계: 4개/)
+
+		assert.ok(project.exists('src/domains/demo/api/users/usersAPI.ts'))
+		assert.equal(project.exists('src/domains/demo/types/deepSchema.ts'), false)
+		assert.equal(project.exists('src/domains/demo/api/users/endpoint.ts'), false)
+		assert.equal(project.exists('src/domains/demo/api/users/useUsersQueries.ts'), false)
+	} finally {
+		project.cleanup()
+	}
+})
+
+test('선행 단계의 출력이 최신이면 다시 실행하지 않고 재사용한다', () => {
+	const project = createProject()
+
+	try {
+		assert.equal(runCli(['generate'], { cwd: project.root }).status, 0)
+
+		const result = runCli(['generate', '--steps', 'hooks'], { cwd: project.root })
+		assert.equal(result.status, 0, result.output)
+
+		assert.match(result.stdout, /♻️ {2}api: 기존 출력이 최신이므로 재사용합니다\./)
+		assert.match(result.stdout, /♻️ {2}validated: 기존 출력이 최신이므로 재사용합니다\./)
+		assert.match(result.stdout, /📋 활성화된 단계: 1개/)
+	} finally {
+		project.cleanup()
+	}
+})
+
+test('resolveSteps는 요청 순서와 관계없이 정의 순서로 반환한다', async () => {
+	const project = createProject()
+
+	try {
+		const generator = await buildGenerator(project)
+		const { result: steps } = await captureConsole(() => generator.resolveSteps(['hooks', 'types'], ['demo']))
+
+		assert.deepEqual(
+			steps.map((step) => step.id),
+			['types', 'tags', 'validated', 'api', 'hooks']
+		)
+	} finally {
+		project.cleanup()
+	}
+})
+
+test('알 수 없는 단계나 비활성화된 선행 단계는 에러로 중단한다', () => {
+	const project = createProject({
+		config: createDemoConfig({ featureFlags: { generateValidatedTypes: false } }),
+	})
+
+	try {
+		const unknown = runCli(['generate', '--steps', 'nope'], { cwd: project.root })
+		assert.notEqual(unknown.status, 0)
+		assert.match(unknown.output, /알 수 없는 단계입니다: nope \(사용 가능: types, tags, validated, deepSchema, endpoints, api, hooks\)/)
+
+		const disabled = runCli(['generate', '--steps', 'api'], { cwd: project.root })
+		assert.notEqual(disabled.status, 0)
+		assert.match(disabled.output, /'api' 단계에 필요한 'validated' 단계를 실행할 수 없습니다: featureFlags\.generateValidatedTypes가 비활성화되어 있습니다/)
+		assert.equal(project.exists('src/domains/demo/api'), false)
+	} finally {
+		project.cleanup()
+	}
+})
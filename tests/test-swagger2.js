@@ -0,0 +1,242 @@
+/**
+ * Swagger 2.0 변환과 JSON이 아닌 요청 body 테스트
+ *
+ * definitions, body/formData 파라미터, consumes/produces, basePath 변환과
+ * multipart/form-data, x-www-form-urlencoded 요청 body의 _Body 타입과 API 함수
+ */
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { convertSwagger2, isSwagger2 } from '../src/parsers/Swagger2Converter.js'
+import { buildSpecModel, parseSpecDocument } from '../src/parsers/SchemaParser.js'
+import { createDemoConfig, createProject, runCli } from './helpers.js'
+
+/**
+ * 테스트용 Swagger 2.0 문서 (JSON body, formData 업로드, urlencoded 로그인)
+ */
+function createSwagger2Spec() {
+	return {
+		swagger: '2.0',
+		info: { title: 'legacy', version: '1.0.0' },
+		host: 'legacy.test',
+		basePath: '/api',
+		schemes: ['https', 'http'],
+		consumes: ['application/json'],
+		produces: ['application/json'],
+		parameters: {
+			NewUser: { name: 'user', in: 'body', required: true, schema: { $ref: '#/definitions/NewUser' } },
+			Page: { name: 'page', in: 'query', type: 'integer' },
+		},
+		paths: {
+			'/users': {
+				get: {
+					operationId: 'User_list',
+					parameters: [
+						{ $ref: '#/parameters/Page' },
+						{ name: 'ids', in: 'query', type: 'array', items: { type: 'string' }, collectionFormat: 'multi' },
+					],
+					responses: { 200: { description: 'ok', schema: { type: 'array', items: { $ref: '#/definitions/User' } } } },
+				},
+				post: {
+					operationId: 'User_create',
+					parameters: [{ $ref: '#/parameters/NewUser' }],
+					responses: { 201: { description: 'created', schema: { $ref: '#/definitions/User' } } },
+				},
+			},
+			'/files': {
+				post: {
+					operationId: 'File_upload',
+					consumes: ['multipart/form-data'],
+					parameters: [
+						{ name: 'file', in: 'formData', type: 'file', required: true, description: '업로드 파일' },
+						{ name: 'tags', in: 'formData', type: 'array', items: { type: 'string' } },
+					],
+					responses: { 200: { description: 'ok', schema: { $ref: '#/definitions/File' } } },
+				},
+			},
+			'/login': {
+				post: {
+					operationId: 'Auth_login',
+					consumes: ['application/x-www-form-urlencoded'],
+					produces: ['text/plain'],
+					parameters: [
+						{ name: 'username', in: 'formData', type: 'string', required: true },
+						{ name: 'password', in: 'formData', type: 'string', required: true },
+					],
+					responses: { 200: { description: 'token', schema: { type: 'string' } } },
+				},
+			},
+		},
+		definitions: {
+			User: {
+				type: 'object',
+				required: ['id'],
+				properties: { id: { type: 'string' }, nickname: { type: 'string', 'x-nullable': true } },
+			},
+			NewUser: { type: 'object', properties: { nickname: { type: 'string' } } },
+			File: { type: 'object', properties: { id: { type: 'string' }, size: { type: 'integer' } } },
+		},
+	}
+}
+
+test('convertSwagger2는 host/basePath, definitions, 전역 parameters와 $ref를 OpenAPI 3 위치로 옮긴다', () => {
+	const swagger = createSwagger2Spec()
+	const document = convertSwagger2(swagger)
+
+	assert.equal(isSwagger2(swagger), true)
+	assert.equal(isSwagger2(document), false)
+	assert.equal(document.openapi, '3.0.3')
+	assert.deepEqual(document.servers, [{ url: 'https://legacy.test/api' }, { url: 'http://legacy.test/api' }])
+	assert.deepEqual(Object.keys(document.paths), ['/users', '/files', '/login'])
+
+	assert.deepEqual(document.components.schemas.User.properties.nickname, { type: 'string', nullable: true })
+	assert.deepEqual(document.components.parameters.Page, { name: 'page', in: 'query', schema: { type: 'integer' } })
+	assert.deepEqual(document.components.requestBodies.NewUser, {
+		required: true,
+		content: { 'application/json': { schema: { $ref: '#/components/schemas/NewUser' } } },
+	})
+
+	const { get, post } = document.paths['/users']
+	assert.deepEqual(get.parameters[0], { $ref: '#/components/parameters/Page' })
+	assert.deepEqual(get.parameters[1], {
+		name: 'ids',
+		in: 'query',
+		style: 'form',
+		explode: true,
+		schema: { type: 'array', items: { type: 'string' } },
+	})
+	assert.deepEqual(post.requestBody, { $ref: '#/components/requestBodies/NewUser' })
+	assert.deepEqual(post.responses[201].content, {
+		'application/json': { schema: { $ref: '#/components/schemas/User' } },
+	})
+
+	// 원본은 바꾸지 않음
+	assert.equal(swagger.paths['/users'].post.parameters[0].$ref, '#/parameters/NewUser')
+	assert.equal(convertSwagger2({ swagger: '2.0', info: {}, paths: {} }).servers[0].url, '/')
+})
+
+test('formData 파라미터는 operation의 consumes에 맞는 객체 스키마 requestBody가 된다', () => {
+	const document = convertSwagger2(createSwagger2Spec())
+
+	assert.deepEqual(document.paths['/files'].post.requestBody, {
+		required: true,
+		content: {
+			'multipart/form-data': {
+				schema: {
+					type: 'object',
+					properties: {
+						file: { type: 'string', format: 'binary', description: '업로드 파일' },
+						tags: { type: 'array', items: { type: 'string' } },
+					},
+					required: ['file'],
+				},
+			},
+		},
+	})
+	assert.deepEqual(Object.keys(document.paths['/login'].post.requestBody.content), ['application/x-www-form-urlencoded'])
+	assert.deepEqual(Object.keys(document.paths['/login'].post.responses[200].content), ['text/plain'])
+
+	// consumes가 form이 아니면 file 여부로 multipart / urlencoded 결정
+	const fallback = convertSwagger2({
+		swagger: '2.0',
+		info: {},
+		paths: {
+			'/avatar': { put: { parameters: [{ name: 'image', in: 'formData', type: 'file' }], responses: {} } },
+			'/memo': { put: { parameters: [{ name: 'text', in: 'formData', type: 'string' }], responses: {} } },
+		},
+	})
+	assert.deepEqual(Object.keys(fallback.paths['/avatar'].put.requestBody.content), ['multipart/form-data'])
+	assert.deepEqual(Object.keys(fallback.paths['/memo'].put.requestBody.content), ['application/x-www-form-urlencoded'])
+})
+
+test('스펙 모델은 JSON이 없으면 form content type의 요청 body를 사용한다', () => {
+	const model = buildSpecModel(parseSpecDocument(JSON.stringify(createSwagger2Spec())))
+	const body = (path, method = 'post') =>
+		model.operations.find((operation) => operation.path === path && operation.method === method).requestBody
+
+	assert.equal(body('/users').contentType, 'application/json')
+	assert.equal(body('/users').schemaRef, 'NewUser')
+	assert.equal(body('/files').contentType, 'multipart/form-data')
+	assert.deepEqual(Object.keys(body('/files').schema.properties), ['file', 'tags'])
+	assert.equal(body('/login').contentType, 'application/x-www-form-urlencoded')
+
+	// JSON과 form이 함께 있으면 JSON, 그 외 content type은 스키마가 있는 첫 번째
+	const document = {
+		openapi: '3.0.3',
+		info: {},
+		paths: {
+			'/both': {
+				post: {
+					requestBody: {
+						content: {
+							'multipart/form-data': { schema: { type: 'object' } },
+							'application/json': { schema: { type: 'object' } },
+						},
+					},
+					responses: {},
+				},
+			},
+			'/raw': {
+				put: {
+					requestBody: { content: { 'application/octet-stream': { schema: { type: 'string', format: 'binary' } } } },
+					responses: {},
+				},
+			},
+		},
+	}
+	const [both, raw] = buildSpecModel(document).operations
+	assert.equal(both.requestBody.contentType, 'application/json')
+	assert.equal(raw.requestBody.contentType, 'application/octet-stream')
+	assert.deepEqual(raw.requestBody.schema, { type: 'string', format: 'binary' })
+})
+
+test('Swagger 2.0 스펙으로 validated 타입과 form body를 보내는 API 함수를 생성한다', () => {
+	const project = createProject({ config: createDemoConfig(), spec: createSwagger2Spec() })
+
+	try {
+		const result = runCli(['generate'], { cwd: project.root })
+		assert.equal(result.status, 0, result.output)
+
+		const document = JSON.parse(project.read('src/domains/demo/types/openapi.json'))
+		assert.equal(document.openapi, '3.0.3')
+
+		// basePath는 servers[].url에만 들어가고 생성된 경로에는 붙지 않음 (인스턴스 baseUrl에서 지정)
+		assert.equal(document.servers[0].url, 'https://legacy.test/api')
+		assert.match(project.read('src/domains/demo/api/users/endpoint.ts'), /GET_USERS: '\/users' as const,/)
+		assert.match(project.read('src/domains/demo/api/users/usersAPI.ts'), /GET\('\/users'/)
+		assert.doesNotMatch(project.read('src/domains/demo/types/schema.d.ts'), /"\/api\/users"/)
+
+		const validated = project.read('src/domains/demo/types/validated.ts')
+		assert.match(validated, /export type User_create_Body = components\['schemas'\]\['NewUser'\];/)
+		assert.match(
+			validated,
+			/export type File_upload_Body = NonNullable<paths\['\/files'\]\['post'\]\['requestBody'\]>\['content'\]\['multipart\/form-data'\];/
+		)
+		assert.match(
+			validated,
+			/export type Auth_login_Body = NonNullable<paths\['\/login'\]\['post'\]\['requestBody'\]>\['content'\]\['application\/x-www-form-urlencoded'\];/
+		)
+		assert.match(validated, /export type User_create_Response = /)
+
+		// JSON body는 그대로, form body는 bodySerializer로 변환
+		const usersAPI = project.read('src/domains/demo/api/users/usersAPI.ts')
+		assert.match(usersAPI, /export const createUsers = async \(body: User_create_Body\)/)
+		assert.doesNotMatch(usersAPI, /bodySerializer|toFormData/)
+
+		const filesAPI = project.read('src/domains/demo/api/files/filesAPI.ts')
+		assert.match(filesAPI, /const toFormData = \(body: object\) => \{/)
+		assert.match(filesAPI, /export const createFiles = async \(body: File_upload_Body\)/)
+		assert.match(filesAPI, /POST\('\/files', \{\s*body,\s*bodySerializer: toFormData\s*\}\)/)
+		assert.doesNotMatch(filesAPI, /Content-Type|toURLSearchParams/)
+
+		const loginAPI = project.read('src/domains/demo/api/login/loginAPI.ts')
+		assert.match(loginAPI, /const toURLSearchParams = \(body: object\) => \{/)
+		assert.match(
+			loginAPI,
+			/POST\('\/login', \{\s*body,\s*bodySerializer: toURLSearchParams,\s*headers: \{ 'Content-Type': 'application\/x-www-form-urlencoded' \}\s*\}\)/
+		)
+		assert.doesNotMatch(loginAPI, /toFormData/)
+	} finally {
+		project.cleanup()
+	}
+})
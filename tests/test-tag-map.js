@@ -0,0 +1,133 @@
+/**
+ * tagging.map과 태그 메타 정보 테스트
+ *
+ * 태그 이름 변경, 여러 태그 합치기, 경로 패턴으로 나누기, null 제외, 함수 map, tags.ts의 TAG_META
+ */
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { createTagMapper } from '../src/utils/TagStrategy.js'
+import { NamingConventions } from '../src/utils/NamingConventions.js'
+import { createDemoConfig, createDemoSpec, createProject, runCli } from './helpers.js'
+
+test('createTagMapper는 이름 변경, null 제외, split 경로 패턴을 처리하고 map에 없는 태그는 그대로 둔다', () => {
+	const mapTag = createTagMapper({
+		_comment: '설명용 키는 무시',
+		'v1_user-profile': 'userProfile',
+		v1_legacy: null,
+		v1_admin: { name: 'admin', split: { '/v1/admin/reports/**': 'adminReports', '/v1/admin/users/{id}': 'adminUsers' } },
+		v1_billing: { split: { '/v1/billing/invoices/**': 'invoices' } },
+	})
+
+	assert.equal(mapTag('v1_user-profile', { path: '/v1/user-profile' }), 'userProfile')
+	assert.equal(mapTag('v1_legacy', { path: '/v1/legacy/ping' }), null)
+	assert.equal(mapTag('v1_admin', { path: '/v1/admin/reports/daily' }), 'adminReports')
+	assert.equal(mapTag('v1_admin', { path: '/v1/admin/users/{userId}' }), 'adminUsers')
+	assert.equal(mapTag('v1_admin', { path: '/v1/admin/settings' }), 'admin')
+	// name이 없으면 split에 해당하지 않는 operation은 원래 태그
+	assert.equal(mapTag('v1_billing', { path: '/v1/billing/plans' }), undefined)
+	assert.equal(mapTag('v1_billing', { path: '/v1/billing/invoices/{id}' }), 'invoices')
+	assert.equal(mapTag('_comment', { path: '/_comment' }), undefined)
+	assert.equal(mapTag('users', { path: '/users' }), undefined)
+
+	assert.equal(createTagMapper(null), null)
+})
+
+test('함수 map은 operation 정보를 받고, undefined를 반환하면 원래 태그를 쓴다', () => {
+	const calls = []
+	const naming = new NamingConventions({
+		tagging: {
+			map: (tag, context) => {
+				calls.push(context)
+				if (tag.endsWith('_internal')) return null
+				return tag.startsWith('v1_') ? tag.replace(/^v1_/, '') : undefined
+			},
+		},
+	})
+
+	const operation = { path: '/v1/orders/{id}', method: 'get', operationId: 'Order_get', tags: [] }
+	assert.equal(naming.extractTag(operation, 'shop'), 'orders')
+	assert.deepEqual(calls[0], { path: '/v1/orders/{id}', method: 'get', operationId: 'Order_get', serverName: 'shop' })
+	assert.equal(naming.extractTagFromPath('/v1/internal'), null)
+	assert.equal(naming.extractTagFromPath('/users/{id}'), 'users')
+})
+
+test('tagging.map으로 태그를 바꾸고 합치고 나눈 결과로 폴더, endpoint 상수, tags.ts를 생성한다', () => {
+	const spec = createDemoSpec()
+	spec.paths['/v1/user-profile'] = {
+		get: { operationId: 'Profile_get', responses: { 200: { description: 'ok' } } },
+	}
+	spec.paths['/v1/user-profile/{id}/avatar'] = {
+		put: { operationId: 'Profile_avatar', responses: { 200: { description: 'ok' } } },
+	}
+	spec.paths['/v1/legacy/ping'] = { get: { operationId: 'Legacy_ping', responses: { 200: { description: 'ok' } } } }
+
+	const project = createProject({
+		config: createDemoConfig({
+			tagging: {
+				map: {
+					'v1_user-profile': { name: 'userProfile', split: { '/v1/user-profile/{id}/avatar': 'avatar' } },
+					posts: 'users',
+					v1_legacy: null,
+				},
+			},
+		}),
+		spec,
+	})
+
+	try {
+		const result = runCli(['generate'], { cwd: project.root })
+		assert.equal(result.status, 0, result.output)
+
+		const api = 'src/domains/demo/api'
+		assert.equal(project.exists(`${api}/v1_user-profile`), false)
+		assert.equal(project.exists(`${api}/posts`), false)
+		assert.equal(project.exists(`${api}/v1_legacy`), false)
+		assert.equal(project.exists(`${api}/userProfile/userProfileAPI.ts`), true)
+		assert.equal(project.exists(`${api}/avatar/useAvatarMutations.ts`), true)
+
+		// 합친 태그는 한 폴더의 파일에 모두 들어감
+		const endpoint = project.read(`${api}/users/endpoint.ts`)
+		assert.match(endpoint, /export const USERS_API = \{/)
+		assert.match(endpoint, /GET_POSTS: '\/posts' as const/)
+		assert.match(project.read(`${api}/userProfile/endpoint.ts`), /export const USERPROFILE_API = \{/)
+		assert.match(project.read(`${api}/users/usersAPI.ts`), /fetchPosts\b/)
+
+		const tags = project.read('src/domains/demo/tags.ts')
+		assert.match(tags, /DEMO_TAGS = \[\s*'avatar',\s*'userProfile',\s*'users',\s*\] as const;/)
+		assert.match(tags, /DEMO_TAG_STATS = \{\s*'avatar': 1,\s*'userProfile': 1,\s*'users': 3,\s*\} as const;/)
+	} finally {
+		project.cleanup()
+	}
+})
+
+test('tags.ts의 TAG_META는 스펙 태그의 description과 externalDocs를 내보낸다', () => {
+	const spec = createDemoSpec()
+	spec.tags = [
+		{ name: 'users', description: '사용자 API', externalDocs: { url: 'https://docs.test/users', description: '가이드' } },
+		{ name: 'Post Feed', description: "작성자's 글 목록\n(피드)" },
+	]
+	spec.paths['/posts'].get.tags = ['Post Feed']
+	spec.paths['/health'] = { get: { operationId: 'health', responses: { 200: { description: 'ok' } } } }
+
+	const project = createProject({ config: createDemoConfig(), spec })
+
+	try {
+		const result = runCli(['generate', '--steps', 'tags'], { cwd: project.root })
+		assert.equal(result.status, 0, result.output)
+
+		const tags = project.read('src/domains/demo/tags.ts')
+		assert.match(
+			tags,
+			/'users': \{\s*name: 'users',\s*description: '사용자 API',\s*externalDocs: \{ url: 'https:\/\/docs\.test\/users', description: '가이드' \},\s*\}/
+		)
+		// 경로 태그(posts)와 이름이 다르면 operation의 tags로 찾고, 문자열은 이스케이프
+		assert.match(tags, /'posts': \{\s*name: 'Post Feed',\s*description: '작성자\\'s 글 목록\\n\(피드\)',\s*\}/)
+		// 스펙 태그가 없는 태그는 빈 객체
+		assert.match(tags, /'health': \{\},/)
+		assert.match(tags, /meta: DEMO_TAG_META/)
+		assert.match(tags, /export type DemoTagMeta = typeof DEMO_TAG_META;/)
+	} finally {
+		project.cleanup()
+	}
+})
@@ -0,0 +1,139 @@
+/**
+ * 태그 결정 전략 테스트
+ *
+ * path-segment, path-depth:N, operation-tags(여러 태그는 첫 번째), 함수 전략, 생성 파일 묶음
+ */
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { createTagResolver, extractPathTag, toTagName } from '../src/utils/TagStrategy.js'
+import { NamingConventions } from '../src/utils/NamingConventions.js'
+import { createDemoConfig, createDemoSpec, createProject, runCli } from './helpers.js'
+
+const operation = (path, tags = [], method = 'get') => ({ path, method, operationId: null, tags })
+
+test('extractPathTag는 버전 세그먼트를 다음 세그먼트에 붙이고 경로 파라미터는 건너뛴다', () => {
+	assert.equal(extractPathTag('/users/{id}'), 'users')
+	assert.equal(extractPathTag('/v1/auth/login'), 'v1_auth')
+	assert.equal(extractPathTag('/v2'), 'v2')
+	assert.equal(extractPathTag('/'), 'root')
+	assert.equal(extractPathTag('/admin/{orgId}/users/{id}', 2), 'admin_users')
+	assert.equal(extractPathTag('/v1/admin/users', 2), 'v1_admin_users')
+	assert.equal(extractPathTag('/admin', 3), 'admin')
+})
+
+test('toTagName은 스펙의 태그 이름을 camelCase 식별자로 바꾼다', () => {
+	assert.equal(toTagName('User Management'), 'userManagement')
+	assert.equal(toTagName('auth-v2'), 'authV2')
+	assert.equal(toTagName('Users'), 'users')
+	assert.equal(toTagName('사용자'), '')
+})
+
+test('문자열 전략은 경로 또는 operation tags로 태그를 정한다', () => {
+	assert.equal(createTagResolver()(operation('/v1/admin/users')), 'v1_admin')
+	assert.equal(createTagResolver('path-depth:2')(operation('/v1/admin/users')), 'v1_admin_users')
+
+	const byOperationTags = createTagResolver('operation-tags')
+	assert.equal(byOperationTags(operation('/users', ['User Management', 'Admin'])), 'userManagement')
+	assert.equal(byOperationTags(operation('/users', ['Admin', 'User Management'])), 'admin')
+	// 태그가 없거나 식별자로 바꿀 수 없으면 path-segment
+	assert.equal(byOperationTags(operation('/v1/users')), 'v1_users')
+	assert.equal(byOperationTags(operation('/users', ['사용자'])), 'users')
+
+	assert.throws(() => createTagResolver('path-depth:0'), /알 수 없는 tagging\.strategy입니다: path-depth:0/)
+	assert.throws(() => createTagResolver('tags'), /사용 가능: path-segment, path-depth:N, operation-tags, 함수/)
+})
+
+test('함수 전략은 pathTag를 받고 null은 제외, undefined는 pathTag, 그 외 값은 에러', () => {
+	const calls = []
+	const resolveTag = createTagResolver((op, context) => {
+		calls.push(context)
+		if (op.path.startsWith('/internal')) return null
+		if (op.path.startsWith('/broken')) return 42
+		if (op.tags.length > 0) return op.tags[0].toLowerCase()
+		return undefined
+	})
+
+	assert.equal(resolveTag(operation('/users', ['Members']), 'demo'), 'members')
+	assert.equal(resolveTag(operation('/v1/posts'), 'demo'), 'v1_posts')
+	assert.equal(resolveTag(operation('/internal/health')), null)
+	assert.deepEqual(calls[0], { serverName: 'demo', pathTag: 'users' })
+	assert.throws(
+		() => resolveTag(operation('/broken', [], 'post')),
+		/tagging\.strategy 함수는 문자열, null 또는 undefined를 반환해야 합니다: POST \/broken/
+	)
+})
+
+test('NamingConventions는 tagging.strategy로 operation을 스펙 순서대로 묶는다', () => {
+	const naming = new NamingConventions({ tagging: { strategy: 'operation-tags' } })
+	const model = {
+		operations: [
+			operation('/users', ['User Management', 'Admin']),
+			operation('/posts', ['Posts']),
+			operation('/users/{id}', ['Admin', 'User Management'], 'delete'),
+			operation('/users', ['User Management'], 'post'),
+		],
+	}
+
+	const groups = naming.groupOperationsByTag(model, 'demo')
+	assert.deepEqual([...groups.keys()], ['userManagement', 'posts', 'admin'])
+	assert.deepEqual(
+		groups.get('userManagement').map(({ method }) => method),
+		['get', 'post']
+	)
+	assert.deepEqual(naming.getTagOperations(model, 'demo', 'admin'), [model.operations[2]])
+
+	// 경로만 있으면 path-segment
+	assert.equal(naming.extractTagFromPath('/v1/users/{id}'), 'v1_users')
+})
+
+test('operation-tags 전략으로 tags.ts, endpoint.ts, API, hooks 파일을 같은 태그로 생성한다', () => {
+	const spec = createDemoSpec()
+	spec.paths['/users'].get.tags = ['User Management', 'Admin']
+	spec.paths['/users'].post.tags = ['User Management']
+	spec.paths['/users/{id}'].delete.tags = ['Admin', 'User Management']
+
+	const project = createProject({ config: createDemoConfig({ tagging: { strategy: 'operation-tags' } }), spec })
+
+	try {
+		const result = runCli(['generate'], { cwd: project.root })
+		assert.equal(result.status, 0, result.output)
+
+		const tags = project.read('src/domains/demo/tags.ts')
+		assert.match(tags, /export const DEMO_TAGS = \[\s*'admin',\s*'posts',\s*'userManagement',\s*\] as const;/)
+		assert.match(tags, /'userManagement': \{\s*name: 'User Management',/)
+
+		const api = 'src/domains/demo/api'
+		assert.equal(project.exists(`${api}/users`), false)
+		assert.equal(project.exists(`${api}/userManagement/endpoint.ts`), true)
+		assert.equal(project.exists(`${api}/userManagement/useUserManagementQueries.ts`), true)
+		assert.equal(project.exists(`${api}/admin/useAdminMutations.ts`), true)
+
+		// 여러 태그를 가진 operation은 첫 번째 태그 파일에만 생성
+		const userManagementAPI = project.read(`${api}/userManagement/userManagementAPI.ts`)
+		const adminAPI = project.read(`${api}/admin/adminAPI.ts`)
+		assert.match(userManagementAPI, /fetchUsers\b/)
+		assert.match(userManagementAPI, /createUsers\b/)
+		assert.doesNotMatch(adminAPI, /fetchUsers\b/)
+		assert.doesNotMatch(userManagementAPI, /remove/)
+		assert.match(adminAPI, /remove/)
+	} finally {
+		project.cleanup()
+	}
+})
+
+test('path-depth:2 전략은 두 번째 세그먼트까지 태그로 쓴다', () => {
+	const spec = createDemoSpec()
+	spec.paths['/users/{id}/posts'] = spec.paths['/posts']
+	delete spec.paths['/posts']
+
+	const project = createProject({ config: createDemoConfig({ tagging: { strategy: 'path-depth:2' } }), spec })
+
+	try {
+		const result = runCli(['generate', '--steps', 'tags'], { cwd: project.root })
+		assert.equal(result.status, 0, result.output)
+		assert.match(project.read('src/domains/demo/tags.ts'), /DEMO_TAGS = \[\s*'users',\s*'users_posts',\s*\]/)
+	} finally {
+		project.cleanup()
+	}
+})
@@ -0,0 +1,139 @@
+/**
+ * --watch 테스트
+ *
+ * 로컬 스펙 변경 시 해당 서버 재생성, 원격 스펙 폴링, 서버 감지는 설정을 다시 읽을 때만
+ */
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { createServer } from 'http'
+import { Watcher } from '../src/core/Watcher.js'
+import { buildGenerator, captureConsole, createDemoConfig, createDemoSpec, createProject } from './helpers.js'
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+/**
+ * 조건이 참이 될 때까지 대기
+ */
+async function waitFor(predicate, message, timeout = 20000) {
+	const deadline = Date.now() + timeout
+	while (!predicate()) {
+		if (Date.now() > deadline) throw new Error(`시간 초과: ${message}`)
+		await sleep(50)
+	}
+}
+
+/**
+ * 프로젝트의 Generator로 Watcher 생성 (실행 결과는 runs에 기록)
+ */
+function createProjectWatcher(project, options = {}) {
+	const runs = []
+	const watcher = new Watcher(
+		async () => ({ generator: await buildGenerator(project), configPath: project.path('openapi-codegen.config.json') }),
+		{ debounce: 50, ...options, onRun: (generator, results) => runs.push(results) }
+	)
+	return { watcher, runs }
+}
+
+const countDetections = (lines) => lines.filter((line) => line.includes('🔍 감지된 서버')).length
+
+test('로컬 스펙이 바뀌면 해당 서버만 다시 생성하고 서버 감지는 반복하지 않는다', async () => {
+	const project = createProject()
+	const { watcher, runs } = createProjectWatcher(project)
+
+	try {
+		const { lines } = await captureConsole(async () => {
+			await watcher.start()
+			assert.equal(runs.length, 1)
+			assert.deepEqual(runs[0].failed, [])
+
+			const spec = createDemoSpec()
+			spec.paths['/users'].get.summary = 'List every user'
+			project.write('specs/demo.json', spec)
+			await waitFor(() => runs.length === 2 && !watcher.running, '스펙 변경 후 재생성')
+
+			// 관련 없는 파일 이벤트로는 재생성하지 않음
+			project.write('specs/notes.txt', 'memo\n')
+			await sleep(300)
+		})
+
+		assert.equal(runs.length, 2)
+		assert.deepEqual(runs[1].failed, [])
+		assert.ok(lines.some((line) => line.includes('🔁 변경 감지: specs/demo.json (demo)')), lines.join('\n'))
+		assert.match(project.read('src/domains/demo/types/openapi.json'), /List every user/)
+
+		// 시작할 때 감시 대상을 정하면서 한 번, 전체 생성에서 한 번
+		assert.equal(countDetections(lines), 2)
+	} finally {
+		watcher.close()
+		project.cleanup()
+	}
+})
+
+test('설정 파일이 바뀌면 Generator를 다시 만들고 서버를 다시 감지한다', async () => {
+	const project = createProject()
+	const { watcher, runs } = createProjectWatcher(project)
+
+	try {
+		const { lines } = await captureConsole(async () => {
+			await watcher.start()
+
+			project.write(
+				'openapi-codegen.config.json',
+				createDemoConfig({ featureFlags: { generateReactQueryHooks: false } })
+			)
+			await waitFor(() => runs.length === 2 && !watcher.running, '설정 변경 후 재생성')
+		})
+
+		assert.ok(lines.some((line) => line.includes('🔁 변경 감지: openapi-codegen.config.json (전체 재생성)')))
+		assert.deepEqual(runs[1].failed, [])
+
+		// 다시 읽은 설정으로 감시 대상과 전체 생성에서 한 번씩 더 감지
+		assert.equal(countDetections(lines), 4)
+	} finally {
+		watcher.close()
+		project.cleanup()
+	}
+})
+
+test('--poll은 원격 스펙이 바뀐 경우에만 다시 생성한다', async () => {
+	let spec = createDemoSpec()
+	let requests = 0
+	const server = createServer((request, response) => {
+		requests++
+		response.writeHead(200, { 'Content-Type': 'application/json' })
+		response.end(JSON.stringify(spec))
+	})
+	await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve))
+
+	const project = createProject({
+		config: createDemoConfig({ servers: { demo: { source: `http://127.0.0.1:${server.address().port}/docs-json` } } }),
+		spec: null,
+	})
+	const { watcher, runs } = createProjectWatcher(project, { poll: 0.1 })
+
+	try {
+		const { lines } = await captureConsole(async () => {
+			await watcher.start()
+			assert.equal(runs.length, 1)
+
+			// 스펙이 같으면 여러 번 확인해도 재생성하지 않음
+			const firstRequests = requests
+			await waitFor(() => requests >= firstRequests + 3, '원격 스펙 폴링')
+			assert.equal(runs.length, 1)
+
+			spec = createDemoSpec()
+			spec.paths['/users'].get.summary = 'Polled change'
+			await waitFor(() => runs.length === 2 && !watcher.running, '원격 스펙 변경 후 재생성')
+		})
+
+		assert.deepEqual(runs[1].failed, [])
+		assert.ok(lines.some((line) => line.includes('🔁 변경 감지: demo 원격 스펙 (demo)')), lines.join('\n'))
+		assert.match(project.read('src/domains/demo/types/openapi.json'), /Polled change/)
+		assert.equal(countDetections(lines), 2)
+	} finally {
+		watcher.close()
+		await new Promise((resolve) => server.close(resolve))
+		project.cleanup()
+	}
+})
@@ -0,0 +1,135 @@
+/**
+ * 모노레포 workspace 테스트
+ *
+ * 프로젝트별 root/설정 덮어쓰기, 스펙 한 번만 로드, --project/--server, --check/--report 경로
+ */
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { resolveWorkspaceProjects } from '../src/core/WorkspaceGenerator.js'
+import { createDemoSpec, createProject, runCli } from './helpers.js'
+
+/**
+ * web, admin, mobile 프로젝트가 같은 demo 스펙을 쓰는 workspace
+ */
+function createWorkspaceProject() {
+	return createProject({
+		config: {
+			projectName: 'workspace',
+			servers: { demo: { source: 'specs/demo.json' } },
+			includeOnlyServers: ['demo'],
+			workspace: {
+				projects: {
+					web: { root: 'apps/web' },
+					admin: { root: 'apps/admin', imports: { internal: { apiHandlers: '~/lib/apiHandlers' } } },
+					mobile: {
+						root: 'apps/mobile',
+						projectType: 'react-native',
+						fileGeneration: { domainTypes: 'src/api/{serverName}/types', apiEndpoints: 'src/api/{serverName}' },
+						featureFlags: { generateReactQueryHooks: { enabled: false } },
+					},
+				},
+			},
+		},
+		files: { 'apps/web/.keep': '', 'apps/admin/.keep': '', 'apps/mobile/.keep': '' },
+	})
+}
+
+test('프로젝트마다 자기 root와 설정으로 생성하고 스펙은 한 번만 로드한다', () => {
+	const project = createWorkspaceProject()
+
+	try {
+		const result = runCli(['generate', '--report', 'report.json'], { cwd: project.root })
+		assert.equal(result.status, 0, result.output)
+		assert.match(result.stdout, /🏢 workspace 프로젝트: web, admin, mobile/)
+
+		// 첫 프로젝트에서 읽고 변환한 스펙을 나머지 프로젝트에서 재사용
+		assert.equal(result.stdout.match(/📋 OpenAPI 소스 \(file\): specs\/demo\.json/g).length, 1)
+		assert.equal(result.stdout.match(/📋 OpenAPI 소스 \(file, 재사용\): specs\/demo\.json/g).length, 2)
+
+		assert.equal(project.exists('apps/web/src/domains/demo/api/users/useUsersQueries.ts'), true)
+		assert.match(project.read('apps/admin/src/domains/demo/api/users/usersAPI.ts'), /from '~\/lib\/apiHandlers'/)
+		assert.doesNotMatch(project.read('apps/web/src/domains/demo/api/users/usersAPI.ts'), /~\/lib\/apiHandlers/)
+		assert.equal(project.exists('apps/mobile/src/api/demo/users/usersAPI.ts'), true)
+		assert.equal(project.exists('apps/mobile/src/api/demo/users/useUsersQueries.ts'), false)
+		assert.equal(project.exists('src'), false)
+
+		// 생성 기록은 프로젝트마다
+		assert.equal(project.exists('apps/web/.openapi-codegen/manifest.json'), true)
+		assert.equal(project.exists('apps/mobile/.openapi-codegen/manifest.json'), true)
+
+		const report = project.readJson('report.json')
+		assert.equal(report.success, true)
+		assert.deepEqual(report.projects.map(({ name }) => name), ['web', 'admin', 'mobile'])
+	} finally {
+		project.cleanup()
+	}
+})
+
+test('--project로 일부 프로젝트만 생성하고, --check는 프로젝트별로 변경 파일을 보고한다', () => {
+	const project = createWorkspaceProject()
+
+	try {
+		const result = runCli(['generate', '--project', 'mobile, admin'], { cwd: project.root })
+		assert.equal(result.status, 0, result.output)
+		assert.match(result.stdout, /🏢 workspace 프로젝트: mobile, admin/)
+		assert.equal(project.exists('apps/web/src'), false)
+		assert.equal(project.exists('apps/admin/src/domains/demo/tags.ts'), true)
+
+		const spec = createDemoSpec()
+		delete spec.paths['/posts']
+		project.write('specs/demo.json', spec)
+
+		const check = runCli(['generate', '--check', '--project', 'mobile', '--report', 'report.json'], { cwd: project.root })
+		assert.equal(check.status, 1)
+		assert.match(check.stderr, /- \[삭제 필요\] src\/api\/demo\/posts\/postsAPI\.ts/)
+
+		const [mobile] = project.readJson('report.json').projects
+		assert.equal(mobile.root, 'apps/mobile')
+		assert.ok(mobile.drift.some(({ filePath, status }) => filePath === 'src/api/demo/posts/postsAPI.ts' && status === 'deleted'))
+	} finally {
+		project.cleanup()
+	}
+})
+
+test('--server로 지정한 서버를 쓰지 않는 프로젝트는 건너뛴다', () => {
+	const project = createWorkspaceProject()
+	const config = project.readJson('openapi-codegen.config.json')
+	config.workspace.projects.admin.includeOnlyServers = ['billing']
+	project.write('openapi-codegen.config.json', config)
+
+	try {
+		const result = runCli(['generate', '--server', 'demo'], { cwd: project.root })
+		assert.equal(result.status, 0, result.output)
+		assert.match(result.stdout, /대상 서버\(demo\)를 사용하지 않는 프로젝트이므로 건너뜁니다/)
+		assert.equal(project.exists('apps/admin/src'), false)
+		assert.equal(project.exists('apps/web/src/domains/demo/tags.ts'), true)
+	} finally {
+		project.cleanup()
+	}
+})
+
+test('root 디렉토리가 없는 프로젝트와 workspace가 아닌 설정의 --project는 에러', () => {
+	const workspace = createWorkspaceProject()
+	const single = createProject()
+
+	try {
+		const config = workspace.readJson('openapi-codegen.config.json')
+		assert.throws(
+			() => resolveWorkspaceProjects({ ...config, workspace: { projects: { ghost: { root: 'apps/ghost' } } } }, workspace.root),
+			/workspace\.projects\.ghost\.root 디렉토리를 찾을 수 없습니다: apps\/ghost/
+		)
+
+		const projects = resolveWorkspaceProjects(config, workspace.root, ['mobile'])
+		assert.deepEqual(projects.map(({ name, root }) => [name, root]), [['mobile', workspace.path('apps/mobile')]])
+		assert.equal(projects[0].config.projectType, 'react-native')
+		assert.equal(projects[0].config.workspace, undefined)
+
+		const result = runCli(['generate', '--project', 'web'], { cwd: single.root })
+		assert.equal(result.status, 1)
+		assert.match(result.output, /--project는 workspace\.projects가 있는 설정에서만 사용할 수 있습니다/)
+	} finally {
+		workspace.cleanup()
+		single.cleanup()
+	}
+})